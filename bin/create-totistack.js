@@ -9,37 +9,312 @@ import { execa } from 'execa'; // Keep execa if it's used elsewhere for commands
 import {
   createApp,
   installDependencies,
-  setupTailwind
+  setupTailwind,
+  setupTypeScript
 } from '../lib/createApp.js';
-import generateStore from '../lib/generateStore.js';
+import generateStore, { isAuthCollection } from '../lib/generateStore.js';
 import generateAuth from '../lib/generateAuth.js';
 import generateAdmin from '../lib/generateAdmin.js';
 import generateLanding from '../lib/generateLanding.js';
 import generateRouter from '../lib/generateRouter.js';
 import generateLoading from '../lib/generateLoading.js';
-import runSeeder from '../lib/runSeeder.js';
+import generateFirestoreRules from '../lib/generateFirestoreRules.js';
+import generateFirestoreIndexes from '../lib/generateFirestoreIndexes.js';
+import generateFirebaseConfig from '../lib/generateFirebaseConfig.js';
+import generateStorageRules from '../lib/generateStorageRules.js';
+import generateFirebaseApp from '../lib/generateFirebaseApp.js';
+import generateRoleFunctions, { hasRoleFunctions } from '../lib/generateRoleFunctions.js';
+import generatePermissions, { hasPermissions } from '../lib/generatePermissions.js';
+import runSeeder, { generateSeeder } from '../lib/runSeeder.js';
 import { generateFormComponents } from '../lib/helper/generateFormComponents.js'; 
+import { generateModel } from '../lib/generators/generateModel.js';
+import {
+  DEFAULT_CONFIG_FILE,
+  FIELD_TYPES,
+  loadProjectConfig,
+  normalizeProjectConfig,
+  saveProjectConfig,
+  stringifyProjectConfig
+} from '../lib/projectConfig.js';
+import { configureGeneration, printGenerationReport, writeGeneratedFile } from '../lib/manifest.js';
+import { getProjectRoot } from '../lib/helper/utils.js';
+import { describeCollectionOptions, describeField, FILE_DEFAULTS, FILE_TYPES, getSearchableFields, normalizeField, QUERY_KEYS, REFERENCE_TYPES, SEARCHABLE_TYPES, SORTABLE_TYPES, validateQueryFields } from '../lib/helper/fields.js';
+import { VALIDATORS } from '../lib/helper/generateSchemaModule.js';
+import { SOCIAL_PROVIDERS } from '../lib/helper/socialProviders.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 console.log(chalk.cyan.bold('\n✨ Welcome to create-totistack! ✨\n'));
 
-// Define the available field types for user selection
-const FIELD_TYPES = ['string', 'number', 'boolean', 'tel', 'array', 'object', 'timestamp', 'email'];
+/**
+ * Parses command-line flags into an object.
+ * Supports `--flag value`, `--flag=value` and boolean `--flag` forms.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{ _: string[], [flag: string]: string|boolean|string[] }} Parsed flags and positional arguments.
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
+}
 
 /**
- * Checks if a given collection configuration represents an authentication-related collection.
- * This function is now updated to work with the new collection object structure.
- * @param {Object} collectionConfig - The configuration object for a collection.
- * @param {string} collectionConfig.name - The name of the Firestore collection.
- * @returns {boolean} True if the collection is considered an auth collection, false otherwise.
+ * Parses a value typed at a prompt into the field's type (numbers for number fields).
+ * @param {string} value - The raw answer.
+ * @param {string} fieldType - The field type.
+ * @returns {string|number} The parsed value.
  */
-const isAuthCollection = (collectionConfig) => {
-  const authCollections = ['users', 'user', 'customer', 'client', 'clients', 'customers', 'student', 'students', 'admins', 'admin'];
-  return authCollections.includes(collectionConfig.name.toLowerCase());
-};
+const parseOptionValue = (value, fieldType) => fieldType === 'number' ? Number(value) : value;
 
-async function init() {
+/**
+ * Asks whether to customize a field and, if so, prompts for its descriptor options.
+ * Only options that apply to the field type are asked for.
+ * @param {string} fieldName - Name of the field.
+ * @param {string} fieldType - Selected field type.
+ * @returns {Promise<Object|null>} Descriptor options without `type`, or null to keep the type shorthand.
+ */
+async function promptFieldOptions(fieldName, fieldType) {
+  const { customize } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'customize',
+      message: `Customize '${fieldName}' (required, default, allowed values, limits, label)?`,
+      default: false
+    }
+  ]);
+  if (!customize) return null;
+
+  const isText = ['string', 'email', 'tel'].includes(fieldType);
+  const isFile = FILE_TYPES.includes(fieldType);
+  const hasLimits = isText || ['number', 'array', 'references', 'files'].includes(fieldType);
+  const limitUnit = fieldType === 'number' ? 'value' : ['array', 'references', 'files'].includes(fieldType) ? 'number of items' : 'length';
+  const isNumberOrEmpty = input => input.trim() === '' || Number.isFinite(Number(input)) ? true : 'Enter a number or leave empty';
+
+  const answers = await inquirer.prompt([
+    { type: 'confirm', name: 'required', message: 'Required?', default: true },
+    { type: 'input', name: 'label', message: 'Label:', default: fieldName },
+    {
+      type: 'input',
+      name: 'enum',
+      message: 'Allowed values (comma-separated, empty for any):',
+      when: ['string', 'number'].includes(fieldType),
+      validate: input => fieldType !== 'number' || input.split(',').filter(v => v.trim()).every(v => Number.isFinite(Number(v))) ? true : 'Allowed values must be numbers'
+    },
+    { type: 'input', name: 'min', message: `Minimum ${limitUnit} (empty for none):`, when: a => hasLimits && !a.enum, validate: isNumberOrEmpty },
+    { type: 'input', name: 'max', message: `Maximum ${limitUnit} (empty for none):`, when: a => hasLimits && !a.enum, validate: isNumberOrEmpty },
+    { type: 'input', name: 'pattern', message: 'Regex pattern (empty for none):', when: a => isText && !a.enum },
+    {
+      type: 'input',
+      name: 'accept',
+      message: 'Accepted MIME types (comma-separated, e.g. image/*,application/pdf):',
+      when: isFile,
+      default: isFile ? FILE_DEFAULTS[fieldType].accept.join(',') : undefined
+    },
+    {
+      type: 'input',
+      name: 'maxSize',
+      message: 'Maximum file size in MB:',
+      when: isFile,
+      default: isFile ? String(FILE_DEFAULTS[fieldType].maxSize) : undefined,
+      validate: input => Number(input) > 0 ? true : 'Enter a positive number'
+    },
+    { type: 'input', name: 'placeholder', message: 'Placeholder (empty for none):', when: !['boolean', 'timestamp', ...FILE_TYPES].includes(fieldType) },
+    {
+      type: 'input',
+      name: 'default',
+      message: 'Default value (empty for none):',
+      when: ['string', 'number', 'boolean', 'email', 'tel'].includes(fieldType)
+    }
+  ]);
+
+  const options = { required: answers.required };
+  if (answers.label.trim() && answers.label.trim() !== fieldName) options.label = answers.label.trim();
+  if (answers.enum?.trim()) options.enum = answers.enum.split(',').map(v => v.trim()).filter(Boolean).map(v => parseOptionValue(v, fieldType));
+  if (answers.min?.trim()) options.min = Number(answers.min);
+  if (answers.max?.trim()) options.max = Number(answers.max);
+  if (answers.pattern?.trim()) options.pattern = answers.pattern.trim();
+  if (answers.accept?.trim()) options.accept = answers.accept.split(',').map(v => v.trim()).filter(Boolean);
+  if (answers.maxSize?.trim()) options.maxSize = Number(answers.maxSize);
+  if (answers.placeholder?.trim()) options.placeholder = answers.placeholder.trim();
+  if (answers.default?.trim()) {
+    options.default = fieldType === 'boolean'
+      ? ['true', 'yes', '1'].includes(answers.default.trim().toLowerCase())
+      : parseOptionValue(answers.default.trim(), fieldType);
+  }
+  return options;
+}
+
+/**
+ * Prompts for the fields of a collection until the user stops adding them.
+ * @param {string} collectionName - Name of the collection being defined.
+ * @returns {Promise<Object.<string, import('../lib/helper/fields.js').FieldDefinition>>} Field names mapped to their types or descriptors.
+ */
+async function promptCollectionFields(collectionName) {
+  const fields = {};
+  let addFields = true;
+
+  while (addFields) {
+    // First, get the fieldName
+    const fieldNameAnswer = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'fieldName',
+        message: `Enter field name for '${collectionName}':`,
+        validate: input => input.trim() ? true : 'Field name is required'
+      }
+    ]);
+
+    // Then, use the obtained fieldName to prompt for the fieldType
+    const fieldTypeAnswer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'fieldType',
+        // Access the fieldName from fieldNameAnswer
+        message: `Select type for '${fieldNameAnswer.fieldName}':`,
+        choices: FIELD_TYPES,
+        default: 'string'
+      }
+    ]);
+
+    // Reference fields need the collection they point at
+    const referenceAnswer = REFERENCE_TYPES.includes(fieldTypeAnswer.fieldType)
+      ? await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'collection',
+          message: `Which collection does '${fieldNameAnswer.fieldName}' reference?`,
+          validate: input => input.trim() ? true : 'Target collection is required'
+        }
+      ])
+      : null;
+
+    // Optionally collect validation and form options for the field
+    const fieldOptions = await promptFieldOptions(fieldNameAnswer.fieldName, fieldTypeAnswer.fieldType);
+
+    // Finally, ask if they want to add another field
+    const addAnotherFieldAnswer = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'addAnotherField',
+        message: 'Add another field to this collection?',
+        default: true
+      }
+    ]);
+
+    // Now, combine the answers
+    const fieldAnswers = {
+      fieldName: fieldNameAnswer.fieldName,
+      fieldType: fieldTypeAnswer.fieldType,
+      addAnotherField: addAnotherFieldAnswer.addAnotherField
+    };
+
+    fields[fieldAnswers.fieldName] = fieldOptions || referenceAnswer
+      ? { type: fieldAnswers.fieldType, ...(referenceAnswer && { collection: referenceAnswer.collection.trim() }), ...fieldOptions }
+      : fieldAnswers.fieldType;
+    addFields = fieldAnswers.addAnotherField;
+  }
+
+  return fields;
+}
+
+/**
+ * Asks which fields lists of a collection may be filtered and sorted by, and which ones search covers.
+ * Only declared combinations get composite indexes, and the store rejects the others.
+ * @param {string} collectionName - Name of the collection.
+ * @param {Object.<string, string|Object>} fields - The collection's field definitions.
+ * @returns {Promise<{filterable?: string[], sortable?: string[], searchable?: string[]}>} The declared lists; empty
+ * filterable/sortable lists are left out, and so is a searchable list matching the default (see getSearchableFields).
+ */
+async function promptQueryFields(collectionName, fields) {
+  const fieldNames = Object.keys(fields);
+  const sortableNames = fieldNames.filter(name => SORTABLE_TYPES.includes(normalizeField(name, fields[name]).type));
+  const searchableNames = fieldNames.filter(name => SEARCHABLE_TYPES.includes(normalizeField(name, fields[name]).type));
+  const defaultSearchable = getSearchableFields({ fields });
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'checkbox',
+      name: 'filterable',
+      message: `Which fields can '${collectionName}' lists be filtered by? (leave both lists empty to allow any filter and sort)`,
+      choices: fieldNames
+    },
+    {
+      type: 'checkbox',
+      name: 'sortable',
+      message: `Which fields can '${collectionName}' lists be sorted by?`,
+      choices: sortableNames,
+      when: () => sortableNames.length > 0
+    },
+    {
+      type: 'checkbox',
+      name: 'searchable',
+      message: `Which fields does '${collectionName}' search look in?`,
+      choices: searchableNames.map(name => ({ name, checked: defaultSearchable.includes(name) })),
+      when: () => searchableNames.length > 0
+    }
+  ]);
+  const searchableChanged = answers.searchable && answers.searchable.join() !== defaultSearchable.join();
+
+  return {
+    ...Object.fromEntries(
+      ['filterable', 'sortable'].filter(key => answers[key]?.length > 0).map(key => [key, answers[key]])
+    ),
+    ...(searchableChanged && { searchable: answers.searchable })
+  };
+}
+
+/**
+ * Asks for the optional store features of a collection: real-time lists (subscribe/unsubscribe
+ * backed by onSnapshot), soft delete (trash with restore/purge) and versioning (history with revert).
+ * @param {string} collectionName - Name of the collection.
+ * @returns {Promise<{realtime?: boolean, softDelete?: boolean, versioned?: boolean}>} The confirmed options; declined ones are left out.
+ */
+async function promptCollectionOptions(collectionName) {
+  const answers = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'realtime',
+      message: `Keep '${collectionName}' lists in sync in real time (onSnapshot)?`,
+      default: false
+    },
+    {
+      type: 'confirm',
+      name: 'softDelete',
+      message: `Move deleted '${collectionName}' documents to a trash instead of deleting them?`,
+      default: false
+    },
+    {
+      type: 'confirm',
+      name: 'versioned',
+      message: `Keep the earlier versions of '${collectionName}' documents (history with revert)?`,
+      default: false
+    }
+  ]);
+  return Object.fromEntries(['realtime', 'softDelete', 'versioned'].filter(key => answers[key]).map(key => [key, true]));
+}
+
+/**
+ * Runs the interactive wizard and collects every answer needed to scaffold a project.
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - Set by --typescript; skips the TypeScript question.
+ * @param {string} [options.validator] - Set by --validator; skips the validation library question.
+ * @returns {Promise<Object>} The combined wizard answers.
+ */
+async function runWizard({ typescript = false, validator } = {}) {
   const initialAnswers = await inquirer.prompt([
     {
       type: 'input',
@@ -49,8 +324,6 @@ async function init() {
     }
   ]);
 
-  const projectPath = path.resolve(process.cwd(), initialAnswers.projectName);
-
   // Array to store the structured collection data
   const collectionsData = [];
 
@@ -71,52 +344,9 @@ async function init() {
       dataType: 'object' // Default data type for the collection document
     };
 
-    let addFields = true;
-    // const fieldCount = 0; // This variable is not used, can be removed
-
-    while (addFields) {
-      // First, get the fieldName
-      const fieldNameAnswer = await inquirer.prompt([
-        {
-          type: 'input',
-          name: 'fieldName',
-          message: `Enter field name for '${currentCollection.name}':`,
-          validate: input => input.trim() ? true : 'Field name is required'
-        }
-      ]);
-
-      // Then, use the obtained fieldName to prompt for the fieldType
-      const fieldTypeAnswer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'fieldType',
-          // Access the fieldName from fieldNameAnswer
-          message: `Select type for '${fieldNameAnswer.fieldName}':`,
-          choices: FIELD_TYPES,
-          default: 'string'
-        }
-      ]);
-
-      // Finally, ask if they want to add another field
-      const addAnotherFieldAnswer = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'addAnotherField',
-          message: 'Add another field to this collection?',
-          default: true
-        }
-      ]);
-
-      // Now, combine the answers
-      const fieldAnswers = {
-        fieldName: fieldNameAnswer.fieldName,
-        fieldType: fieldTypeAnswer.fieldType,
-        addAnotherField: addAnotherFieldAnswer.addAnotherField
-      };
-
-      currentCollection.fields[fieldAnswers.fieldName] = fieldAnswers.fieldType;
-      addFields = fieldAnswers.addAnotherField;
-    }
+    currentCollection.fields = await promptCollectionFields(currentCollection.name);
+    Object.assign(currentCollection, await promptQueryFields(currentCollection.name, currentCollection.fields));
+    Object.assign(currentCollection, await promptCollectionOptions(currentCollection.name));
 
     collectionsData.push(currentCollection);
 
@@ -131,6 +361,25 @@ async function init() {
 
   // Now, prompt for other features, using the collected collectionsData
   const featurePrompts = [
+    {
+      type: 'confirm',
+      name: 'typescript',
+      message: 'Use TypeScript (vue-ts template, typed store and router)?',
+      default: false,
+      when: () => !typescript
+    },
+    {
+      type: 'list',
+      name: 'validator',
+      message: 'Validation library for the collection schemas (forms, store and Cloud Functions):',
+      choices: [
+        { name: 'Built-in (no dependency)', value: 'builtin' },
+        { name: 'Zod', value: 'zod' },
+        { name: 'Yup', value: 'yup' }
+      ],
+      default: 'builtin',
+      when: () => !validator
+    },
     {
       type: 'confirm',
       name: 'enableAuth',
@@ -153,6 +402,27 @@ async function init() {
       default: true,
       when: answers => answers.enableAuth
     },
+    {
+      type: 'checkbox',
+      name: 'socialProviders',
+      message: 'Social sign-in providers (enable them in the Firebase console too):',
+      choices: Object.entries(SOCIAL_PROVIDERS).map(([value, { label }]) => ({ name: label, value })),
+      when: answers => answers.enableAuth
+    },
+    {
+      type: 'confirm',
+      name: 'enableEmailLink',
+      message: 'Add passwordless sign-in with email links?',
+      default: false,
+      when: answers => answers.enableAuth
+    },
+    {
+      type: 'confirm',
+      name: 'enableAnonymous',
+      message: 'Add guest sessions (anonymous sign-in, upgraded to an account later)?',
+      default: false,
+      when: answers => answers.enableAuth
+    },
     {
       type: 'confirm',
       name: 'enableAdmin',
@@ -171,6 +441,12 @@ async function init() {
       message: 'Add global loading UI?',
       default: true
     },
+    {
+      type: 'confirm',
+      name: 'offline',
+      message: 'Enable offline mode (persistent local cache, writes queued while offline)?',
+      default: false
+    },
     {
       type: 'confirm',
       name: 'runSeeder',
@@ -181,85 +457,294 @@ async function init() {
 
   const featureAnswers = await inquirer.prompt(featurePrompts);
 
+  let roles = [];
+  let addActivityLogging = false;
+
+  // Determine roles and activity logging based on collected data and answers
+  if (collectionsData.some(isAuthCollection) && featureAnswers.enableAuth) {
+    // Get roles if role-based auth is enabled
+    if (featureAnswers.enableRoles) {
+      roles = (await inquirer.prompt({
+        type: 'input',
+        name: 'roles',
+        message: 'Enter roles for authorization (comma-separated):',
+        default: 'admin,user'
+      })).roles.split(',').map(r => r.trim()).filter(Boolean);
+    }
+
+    // Ask about activity logging
+    addActivityLogging = (await inquirer.prompt({
+      type: 'confirm',
+      name: 'addActivityLogging',
+      message: 'Add activity logging system?',
+      default: false
+    })).addActivityLogging;
+  }
+
   // Combine initial answers and feature answers
-  const allAnswers = { ...initialAnswers, ...featureAnswers, collections: collectionsData };
+  return { ...initialAnswers, ...featureAnswers, ...(typescript && { typescript }), ...(validator && { validator }), roles, addActivityLogging, collections: collectionsData };
+}
+
+/**
+ * Offers to save the wizard answers as a project schema so the same project can be re-created later.
+ * @param {Object} answers - The wizard answers.
+ * @param {string|boolean|undefined} saveConfigFlag - Value of the --save-config flag, if any.
+ */
+async function offerToSaveConfig(answers, saveConfigFlag) {
+  let targetFile = typeof saveConfigFlag === 'string' ? saveConfigFlag : null;
+
+  if (!targetFile) {
+    const { saveConfig, configFile } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'saveConfig',
+        message: 'Save these answers to a config file for later re-runs?',
+        default: saveConfigFlag === true
+      },
+      {
+        type: 'input',
+        name: 'configFile',
+        message: 'Config file path (.json, .yaml or .yml):',
+        default: DEFAULT_CONFIG_FILE,
+        when: current => current.saveConfig
+      }
+    ]);
+    if (!saveConfig) return;
+    targetFile = configFile;
+  }
+
+  const savedPath = await saveProjectConfig(targetFile, answers);
+  console.log(chalk.green(`  💾 Saved project config to ${savedPath}`));
+  console.log(chalk.gray(`     Re-run with: npx create-totistack --config ${path.relative(process.cwd(), savedPath)}`));
+}
+
+/**
+ * Parses a `--fields` flag value such as `title:string,price:number,ownerId:reference:users`.
+ * Reference fields name their target collection after the type.
+ * @param {string} value - Comma-separated name:type[:collection] entries.
+ * @returns {Object.<string, import('../lib/helper/fields.js').FieldDefinition>} Field names mapped to their types or descriptors.
+ * @throws {Error} If an entry is malformed or uses an unknown type.
+ */
+function parseFieldsFlag(value) {
+  const fields = {};
+  for (const pair of value.split(',').map(p => p.trim()).filter(Boolean)) {
+    const [fieldName, fieldType = 'string', target] = pair.split(':').map(p => p.trim());
+    if (!fieldName) throw new Error(`Invalid field definition: "${pair}"`);
+    if (!FIELD_TYPES.includes(fieldType)) {
+      throw new Error(`Unknown type "${fieldType}" for field "${fieldName}". Expected one of: ${FIELD_TYPES.join(', ')}`);
+    }
+    if (REFERENCE_TYPES.includes(fieldType)) {
+      if (!target) throw new Error(`Field "${fieldName}" needs a target collection, e.g. ${fieldName}:${fieldType}:users`);
+      fields[fieldName] = { type: fieldType, collection: target };
+    } else {
+      fields[fieldName] = fieldType;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Handles `totistack add <what> <name>` inside an existing project.
+ * Currently supports `add collection <name> [--fields name:type[:collection],...] [--filterable a,b] [--sortable c] [--searchable d,e] [--realtime] [--soft-delete] [--versioned]`.
+ * @param {Object} args - Parsed command-line arguments.
+ */
+async function runAddCommand(args) {
+  const [, what, name] = args._;
+
+  if (what !== 'collection') {
+    console.error(chalk.red.bold(`❌ Unknown add target "${what || ''}". Usage: totistack add collection <name> [--fields title:string,price:number]`));
+    process.exit(1);
+  }
 
   try {
-    // Create base project
-    await createApp(allAnswers.projectName);
-    process.chdir(projectPath);
+    const collectionName = name || (await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'collectionName',
+        message: 'Enter name for the new collection:',
+        validate: input => input.trim() ? true : 'Collection name is required'
+      }
+    ])).collectionName;
 
-    // Install dependencies
-    await installDependencies();
+    const fields = typeof args.fields === 'string'
+      ? parseFieldsFlag(args.fields)
+      : await promptCollectionFields(collectionName);
 
-    // Setup Tailwind
-    await setupTailwind();
+    if (Object.keys(fields).length === 0) {
+      throw new Error('At least one field is required');
+    }
 
-    let roles = [];
-    let addActivityLogging = false;
+    const queryFields = typeof args.fields === 'string'
+      ? Object.fromEntries(QUERY_KEYS
+        .filter(key => typeof args[key] === 'string')
+        .map(key => [key, args[key].split(',').map(name => name.trim()).filter(Boolean)]))
+      : await promptQueryFields(collectionName, fields);
 
-    // Determine roles and activity logging based on collected data and answers
-    if (allAnswers.collections.some(isAuthCollection) && allAnswers.enableAuth) {
-      // Get roles if role-based auth is enabled
-      if (allAnswers.enableRoles) {
-        roles = (await inquirer.prompt({
-          type: 'input',
-          name: 'roles',
-          message: 'Enter roles for authorization (comma-separated):',
-          default: 'admin,user'
-        })).roles.split(',').map(r => r.trim());
+    const queryErrors = validateQueryFields({ fields, ...queryFields }, collectionName);
+    if (queryErrors.length > 0) {
+      throw new Error(queryErrors.join(' '));
+    }
+
+    // --realtime, --soft-delete and --versioned only apply with --fields; otherwise the prompts ask
+    const collectionOptions = typeof args.fields === 'string'
+      ? {
+        ...(args.realtime === true && { realtime: true }),
+        ...(args['soft-delete'] === true && { softDelete: true }),
+        ...(args.versioned === true && { versioned: true })
       }
+      : await promptCollectionOptions(collectionName);
 
-      // Ask about activity logging
-      addActivityLogging = (await inquirer.prompt({
-        type: 'confirm',
-        name: 'addActivityLogging',
-        message: 'Add activity logging system?',
-        default: false
-      })).addActivityLogging;
+    await generateModel({ name: collectionName.trim(), fields, dataType: 'object', ...queryFields, ...collectionOptions });
+  } catch (error) {
+    console.error(chalk.red.bold('\n❌ Error adding collection:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Handles `totistack seed [--count 20 | --count users=50,products=10] [--seed 42] [--emulator]`,
+ * `totistack seed --out fixtures [--format ndjson]` and `totistack seed --dry-run` inside an
+ * existing project. The flags are forwarded to the project's seed.js.
+ * @param {string[]} [seedArgs] - Arguments for seed.js; defaults to the ones after `seed`.
+ */
+async function runSeedCommand(seedArgs = process.argv.slice(3)) {
+  const projectRoot = getProjectRoot();
+  if (!projectRoot) {
+    console.error(chalk.red.bold('❌ Not inside a totistack project. Run this command from your project directory.'));
+    process.exit(1);
+  }
+
+  process.chdir(projectRoot);
+  if (!(await runSeeder(seedArgs))) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Handles `totistack import [dir] [--emulator]`: loads fixture files written by
+ * `totistack seed --out <dir>` into Firestore, keeping their document IDs.
+ * @param {Object} args - Parsed command-line arguments.
+ */
+async function runImportCommand(args) {
+  const dir = args._[1] || 'fixtures';
+  await runSeedCommand(['--import', dir, ...(args.emulator ? ['--emulator'] : [])]);
+}
+
+/**
+ * Handles `totistack regenerate [--dry-run] [--config <file>]` inside an existing project.
+ * Re-runs the generators from the project schema; files edited by hand are merged
+ * instead of overwritten (see lib/manifest.js).
+ * @param {Object} args - Parsed command-line arguments.
+ */
+async function runRegenerateCommand(args) {
+  const projectRoot = getProjectRoot();
+  if (!projectRoot) {
+    console.error(chalk.red.bold('❌ Not inside a totistack project. Run this command from your project directory.'));
+    process.exit(1);
+  }
+
+  const configPath = path.resolve(typeof args.config === 'string' ? args.config : path.join(projectRoot, DEFAULT_CONFIG_FILE));
+  const dryRun = Boolean(args['dry-run']);
+
+  try {
+    const allAnswers = await loadProjectConfig(configPath);
+    process.chdir(projectRoot);
+    configureGeneration({ dryRun });
+
+    console.log(chalk.blue(`${dryRun ? 'Previewing regeneration' : 'Regenerating'} from ${configPath}`));
+    await runGenerators(allAnswers);
+
+    const results = printGenerationReport();
+    if (!dryRun && results.some(result => result.status === 'conflict')) {
+      process.exitCode = 1;
     }
+  } catch (error) {
+    console.error(chalk.red.bold('\n❌ Error during regeneration:'), error.message);
+    process.exit(1);
+  }
+}
 
-    // Generate the store with the structured collections data
-    await generateStore({ 
-      storeName: 'appStore',
-      collections: allAnswers.collections, // Pass the structured data
-      roles,
-      addActivityLogging
-    });
+async function init() {
+  const args = parseArgs(process.argv.slice(2));
 
-    // Generate Vue form components for each collection
-    await generateFormComponents(allAnswers.collections);
+  if (args._[0] === 'add') {
+    await runAddCommand(args);
+    return;
+  }
+  if (args._[0] === 'regenerate') {
+    await runRegenerateCommand(args);
+    return;
+  }
+  if (args._[0] === 'seed') {
+    await runSeedCommand();
+    return;
+  }
+  if (args._[0] === 'import') {
+    await runImportCommand(args);
+    return;
+  }
 
-    // Generate router, passing all answers including the structured collections
-    await generateRouter(allAnswers);
+  if (args.validator !== undefined && !VALIDATORS.includes(args.validator)) {
+    console.error(chalk.red.bold(`❌ --validator expects one of: ${VALIDATORS.join(', ')}`));
+    process.exit(1);
+  }
 
-    // Generate optional features
-    if (allAnswers.enableAuth) {
-      await generateAuth(allAnswers);
+  let allAnswers;
+  if (args.config) {
+    if (args.config === true) {
+      console.error(chalk.red.bold('❌ --config expects a file path, e.g. --config totistack.config.json'));
+      process.exit(1);
     }
-    if (allAnswers.enableAdmin) {
-      await generateAdmin(allAnswers);
+    try {
+      allAnswers = await loadProjectConfig(args.config);
+    } catch (error) {
+      console.error(chalk.red.bold(`❌ ${error.message}`));
+      process.exit(1);
     }
-    if (allAnswers.enableLanding) {
-      await generateLanding();
+    console.log(chalk.blue(`Using project config from ${path.resolve(args.config)}`));
+    if (args.typescript) {
+      allAnswers.typescript = true;
     }
-    if (allAnswers.enableLoading) {
-      await generateLoading(allAnswers);
+    if (args.validator) {
+      allAnswers.validator = args.validator;
     }
+  } else {
+    allAnswers = normalizeProjectConfig(await runWizard({ typescript: Boolean(args.typescript), validator: args.validator }));
+    await offerToSaveConfig(allAnswers, args['save-config']);
+  }
 
-    // Create environment template
-    await fs.writeFile('.env.example',
-      `VITE_FIREBASE_API_KEY=
-VITE_FIREBASE_AUTH_DOMAIN=
-VITE_FIREBASE_PROJECT_ID=
-VITE_FIREBASE_STORAGE_BUCKET=
-VITE_FIREBASE_MESSAGING_SENDER_ID=
-VITE_FIREBASE_APP_ID=
-VITE_FIREBASE_MEASUREMENT_ID=`
-    );
+  await scaffold(allAnswers);
+}
+
+/**
+ * Creates the project and runs every generator without prompting.
+ * @param {import('../lib/projectConfig.js').ProjectConfig} allAnswers - Normalized wizard answers or config file.
+ */
+async function scaffold(allAnswers) {
+  const projectPath = path.resolve(process.cwd(), allAnswers.projectName);
+
+  try {
+    const { typescript } = allAnswers;
+
+    // Create base project
+    await createApp(allAnswers.projectName, { typescript });
+    process.chdir(projectPath);
+
+    // Install dependencies
+    await installDependencies({ validator: allAnswers.validator });
+
+    // Setup Tailwind
+    await setupTailwind({ typescript });
+    if (typescript) {
+      await setupTypeScript();
+    }
+
+    // Generate the store, views, router and docs
+    await runGenerators(allAnswers);
 
-    // Create documentation
-    await createDocumentation(allAnswers);
+    // Keep the project schema next to the code so the project can be reproduced;
+    // it is tracked in the manifest so `add collection` can update it
+    writeGeneratedFile(DEFAULT_CONFIG_FILE, stringifyProjectConfig(DEFAULT_CONFIG_FILE, allAnswers));
 
     // Run seeder if requested
     if (allAnswers.runSeeder) {
@@ -271,6 +756,7 @@ VITE_FIREBASE_MEASUREMENT_ID=`
     console.log(`1. cd ${allAnswers.projectName}`);
     console.log('2. Create a .env file with your Firebase credentials');
     console.log('3. npm run dev');
+    console.log(chalk.gray('   or, fully offline: npm run emulators, then npm run dev:emulators'));
 
   } catch (error) {
     console.error(chalk.red.bold('\n❌ Error during setup:'), error);
@@ -278,6 +764,82 @@ VITE_FIREBASE_MEASUREMENT_ID=`
   }
 }
 
+/**
+ * Runs every generator that writes into the project directory (the current directory).
+ * Used for new projects and by `totistack regenerate`.
+ * @param {import('../lib/projectConfig.js').ProjectConfig} allAnswers - Normalized wizard answers or config file.
+ */
+async function runGenerators(allAnswers) {
+  const { roles, addActivityLogging } = allAnswers;
+
+  // Generate the store with the structured collections data
+  await generateStore({ 
+    storeName: 'appStore',
+    collections: allAnswers.collections, // Pass the structured data
+    roles,
+    permissions: hasPermissions(allAnswers) ? allAnswers.permissions : {},
+    addActivityLogging,
+    socialProviders: allAnswers.socialProviders,
+    enableEmailLink: allAnswers.enableEmailLink,
+    enableAnonymous: allAnswers.enableAnonymous,
+    typescript: allAnswers.typescript,
+    validator: allAnswers.validator
+  });
+
+  // Enforce the same access and validation rules in Firestore, and index the declared queries
+  await generateFirestoreRules(allAnswers);
+  await generateStorageRules(allAnswers);
+  await generateFirestoreIndexes(allAnswers);
+  await generateFirebaseConfig(allAnswers);
+  await generateFirebaseApp({ offline: allAnswers.offline });
+  // Roles are custom claims, set by a Cloud Function
+  await generateRoleFunctions(allAnswers);
+
+  // Schema-driven seeder (npm run seed)
+  generateSeeder();
+
+  // Generate Vue form components for each collection
+  await generateFormComponents(allAnswers.collections);
+
+  // Generate router, passing all answers including the structured collections
+  await generateRouter(allAnswers);
+
+  // Generate optional features
+  if (allAnswers.enableAuth) {
+    await generateAuth(allAnswers);
+  }
+  // Permissions matrix: usePermissions, v-can and the guard of meta.permissions
+  await generatePermissions(allAnswers);
+  if (allAnswers.enableAdmin) {
+    await generateAdmin(allAnswers);
+  }
+  if (allAnswers.enableLanding) {
+    await generateLanding();
+  }
+  if (allAnswers.enableLoading) {
+    await generateLoading(allAnswers);
+  }
+
+  // Create environment template
+  writeGeneratedFile('.env.example',
+    `VITE_FIREBASE_API_KEY=
+VITE_FIREBASE_AUTH_DOMAIN=
+VITE_FIREBASE_PROJECT_ID=
+VITE_FIREBASE_STORAGE_BUCKET=
+VITE_FIREBASE_MESSAGING_SENDER_ID=
+VITE_FIREBASE_APP_ID=
+VITE_FIREBASE_MEASUREMENT_ID=
+# Set to true to use the Local Emulator Suite (npm run emulators)
+VITE_FIREBASE_EMULATOR=false
+# Service account used by seed.js to write to the real project
+FIREBASE_ADMIN_CLIENT_EMAIL=
+FIREBASE_ADMIN_PRIVATE_KEY=`
+  );
+
+  // Create documentation
+  await createDocumentation(allAnswers);
+}
+
 async function createDocumentation(answers) {
   const docContent = `# ${answers.projectName} - Totistack Project
 
@@ -286,13 +848,19 @@ async function createDocumentation(answers) {
 - Views: Page components organized by feature
 - Layouts: Wrapper components for different page types
 - Utils: Firebase initialization and helpers
-- Validators: Modules for data validation
+- Validators: Collection schemas (\`src/validators/schemas\`, ${answers.validator === 'builtin' ? 'built-in validator' : answers.validator}) checked by the forms and by the store's add/update
 
 ## Available Scripts
 - \`npm run dev\`: Start development server
-- \`npm run build\`: Build for production
+- \`npm run build\`: Build for production${answers.typescript ? ' (type-checks with vue-tsc first)' : ''}
 - \`npm run serve\`: Preview production build
-
+- \`npm run emulators\`: Start the Firebase emulators, importing and exporting \`emulator-data/\`
+- \`npm run dev:emulators\`: Start the development server against the emulators
+- \`npm run test:rules\`: Test \`firestore.rules\` against the Firestore emulator
+- \`npm run seed\` / \`npm run seed:emulator\`: Fill the collections with fake data (\`--count\`, \`--seed\`)
+- \`npm run seed:fixtures\`: Write the same fake data to \`fixtures/<collection>.json\` instead of Firestore
+- \`npm run fixtures:import\` / \`npm run fixtures:import:emulator\`: Load \`fixtures/\` into Firestore
+${hasRoleFunctions(answers) ? '- \`npm run roles -- <email> admin\` / \`npm run roles:emulator\`: Set the roles (custom claims) of a user, e.g. the first admin\n' : ''}
 ## Configuration
 1. Create a .env file based on .env.example
 2. Add your Firebase configuration details
@@ -301,12 +869,15 @@ async function createDocumentation(answers) {
 ${answers.enableAuth ? '- Authentication system\n' : ''}\
 ${answers.enableAdmin ? '- Admin panel\n' : ''}\
 ${answers.enableLanding ? '- Landing page\n' : ''}\
-${answers.enableLoading ? '- Global loading indicators\n' : ''}
+${answers.enableLoading ? '- Global loading indicators\n' : ''}\
+${hasPermissions(answers) ? '- Permissions: matrix in src/stores/appStore/permissions.js, usePermissions().can(action, resource), v-can and route meta.permissions\n' : ''}\
+${answers.offline ? '- Offline mode: persistent Firestore cache, writes queued while offline (sync status in state.<collection>.sync)\n' : ''}\
+${answers.typescript ? '- TypeScript: document interfaces in src/stores/appStore/types.ts, typed state, actions and router meta\n' : ''}
 
 ## Generated Collections
-${answers.collections.map(c => `- **${c.name}**\n  Fields:\n${Object.entries(c.fields).map(([field, type]) => `    - ${field}: \`${type}\``).join('\n')}`).join('\n\n')}
+${answers.collections.map(c => `- **${c.name}**${describeCollectionOptions(c)}\n  Fields:\n${Object.entries(c.fields).map(([field, definition]) => `    - ${field}: ${describeField(definition)}`).join('\n')}`).join('\n\n')}
 `;
-  await fs.writeFile('STORE_GUIDE.md', docContent);
+  writeGeneratedFile('STORE_GUIDE.md', docContent);
 }
 
 init();
\ No newline at end of file
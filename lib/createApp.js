@@ -2,6 +2,7 @@
  * @file createApp.js
  * @description This module provides utility functions to scaffold a Vue 3 + Vite project with TailwindCSS, Pinia, Vue Router, and Firebase support.
  * It also injects default setup code into the main.js file and configures aliases in vite.config.js.
+ * TypeScript projects use main.ts and vite.config.ts instead.
  * Intended for use in the create-totistack CLI.
  */
 
@@ -9,17 +10,21 @@ import fs from "fs-extra";
 import path from "path";
 import { execa } from "execa";
 import chalk from "chalk";
+import { sourceExtension } from "./helper/helperF.js";
+import { VALIDATOR_DEPENDENCIES } from "./helper/generateSchemaModule.js";
 
 /**
  * Scaffolds a new Vue 3 project using Vite.
  * @param {string} projectName - The name of the new project.
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - Use the vue-ts template.
  * @returns {Promise<void>}
  */
-export async function createApp(projectName) {
+export async function createApp(projectName, { typescript = false } = {}) {
   console.log(chalk.blue("Creating Vite project..."));
   await execa(
     "npm",
-    ["create", "vite@latest", projectName, "--", "--template", "vue"],
+    ["create", "vite@latest", projectName, "--", "--template", typescript ? "vue-ts" : "vue"],
     {
       stdio: "inherit",
     }
@@ -29,9 +34,11 @@ export async function createApp(projectName) {
 /**
  * Installs necessary frontend dependencies for Totistack projects.
  * Includes Pinia (state management), Vue Router, Firebase SDK, and Tailwind CSS stack.
+ * @param {Object} [options]
+ * @param {'builtin'|'zod'|'yup'} [options.validator='builtin'] - Also installs the validation library of the collection schemas.
  * @returns {Promise<void>}
  */
-export async function installDependencies() {
+export async function installDependencies({ validator = "builtin" } = {}) {
   console.log(chalk.blue("Installing dependencies..."));
 
   const dependencies = [
@@ -45,19 +52,51 @@ export async function installDependencies() {
     "swiper",
     "swiper.js",
     "path",
+    ...Object.entries(VALIDATOR_DEPENDENCIES[validator]).map(([name, range]) => `${name}@${range}`),
   ];
 
   await execa("npm", ["install", ...dependencies], { stdio: "inherit" });
 }
 
+/**
+ * Patches the tsconfig.app.json of the vue-ts template: allowJs for the helpers that stay
+ * JavaScript and the @/ path alias. The template's unused-locals checks are turned off,
+ * since the generated modules import more than every project uses.
+ * @returns {Promise<void>}
+ */
+export async function setupTypeScript() {
+  const tsconfigPath = "tsconfig.app.json";
+  if (!(await fs.pathExists(tsconfigPath))) return;
+
+  // The template's tsconfig has comments, which JSON.parse rejects (strings are kept as-is)
+  const source = await fs.readFile(tsconfigPath, "utf8");
+  const tsconfig = JSON.parse(
+    source.replace(/("(?:\\.|[^"\\])*")|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, (match, string) => string || "")
+  );
+
+  tsconfig.compilerOptions = {
+    ...tsconfig.compilerOptions,
+    noUnusedLocals: false,
+    noUnusedParameters: false,
+    allowJs: true,
+    paths: { "@/*": ["./src/*"] },
+  };
+  tsconfig.include = [...new Set([...(tsconfig.include || []), "src/**/*.js"])];
+
+  await fs.writeFile(tsconfigPath, JSON.stringify(tsconfig, null, 2) + "\n");
+}
+
 /**
  * Sets up Tailwind CSS, adds alias config in vite.config.js, and modifies main.js to:
  * - import main.css
  * - import and register the router
  * - import and register Pinia
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - Patch vite.config.ts and main.ts instead.
  * @returns {Promise<void>}
  */
-export async function setupTailwind() {
+export async function setupTailwind({ typescript = false } = {}) {
+  const extension = sourceExtension(typescript);
   console.log(
     chalk.blue("Installing Tailwind CSS v4 and configuring for custom setup...")
   );
@@ -90,7 +129,7 @@ export async function setupTailwind() {
   await fs.writeFile(mainCssPath, cssContent);
 
   // Update vite.config.js to include TailwindCSS and path alias
-  const viteConfigPath = "vite.config.js";
+  const viteConfigPath = `vite.config.${extension}`;
   let viteConfig = await fs.readFile(viteConfigPath, "utf8");
 
   if (!viteConfig.includes("@tailwindcss/vite")) {
@@ -124,7 +163,7 @@ export async function setupTailwind() {
   await fs.writeFile(viteConfigPath, viteConfig);
 
   // Modify src/main.js to import CSS, router, and Pinia
-  const mainJsPath = path.resolve("src", "main.js");
+  const mainJsPath = path.resolve("src", `main.${extension}`);
   if (await fs.pathExists(mainJsPath)) {
     let mainJs = await fs.readFile(mainJsPath, "utf8");
 
@@ -144,9 +183,9 @@ export async function setupTailwind() {
     }
 
     // Replace the createApp(...).mount(...) line with the full setup including Pinia and Router
-    // This regex looks for createApp(App).mount('#app'); or similar variations.
+    // This regex looks for createApp(App).mount('#app'); or similar variations (the templates omit the semicolon).
     mainJs = mainJs.replace(
-      /createApp\((.*?)\)\s*\.mount\((.*?)\);/s,
+      /createApp\((.*?)\)\s*\.mount\((.*?)\);?/s,
       `const app = createApp($1);\nconst pinia = createPinia();\napp.use(pinia);\napp.use(router);\napp.mount($2);`
     );
 
@@ -159,7 +198,8 @@ export async function setupTailwind() {
     let appVueContent = await fs.readFile(appVuePath, "utf8");
 
     // Add import statement for PageSpinner if not already present
-    const scriptSetupRegex = /<script setup>([\s\S]*?)<\/script>/;
+    // The vue-ts template uses <script setup lang="ts">
+    const scriptSetupRegex = /<script setup( lang="ts")?>([\s\S]*?)<\/script>/;
     if (
       scriptSetupRegex.test(appVueContent) &&
       !appVueContent.includes(
@@ -168,7 +208,7 @@ export async function setupTailwind() {
     ) {
       appVueContent = appVueContent.replace(
         scriptSetupRegex,
-        `<script setup>\nimport PageSpinner from '@/components/PageSpinner.vue';\n$1</script>`
+        `<script setup$1>\nimport PageSpinner from '@/components/PageSpinner.vue';\n$2</script>`
       );
     } else if (!scriptSetupRegex.test(appVueContent)) {
       // If no script setup block, add a new one with the import
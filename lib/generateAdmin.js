@@ -1,16 +1,277 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { writeGeneratedFile } from './manifest.js';
 import chalk from 'chalk'; // Assuming chalk is used for console logging
+import { capitalize, toCamelCase } from './helper/helperF.js';
+import { isReferenceField, normalizeFields } from './helper/fields.js';
+import { isAuthCollection } from './generateStore.js';
+
+/** Number of fields shown as columns in a Trash view, besides the deletion date. */
+const TRASH_COLUMNS = 3;
+
+/** Number of profile fields shown as columns in the Users view, besides the roles. */
+const USER_COLUMNS = 2;
+
+/**
+ * Generates the admin Trash view of a soft-delete collection (src/views/admin/trash/<Name>TrashView.vue),
+ * listing the trashed documents with Restore and Delete forever buttons.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - A collection with `softDelete: true`.
+ * @param {Object} [options]
+ * @param {string} [options.appStore='appStore'] - Name of the store directory.
+ */
+export function generateTrashView(collectionConfig, { appStore = 'appStore' } = {}) {
+  const name = toCamelCase(collectionConfig.name);
+  const suffix = capitalize(name);
+  const columns = Object.values(normalizeFields(collectionConfig.fields))
+    .filter(field => !isReferenceField(field) && field.type !== 'object')
+    .slice(0, TRASH_COLUMNS)
+    .map(field => ({ key: field.name, label: field.label || capitalize(field.name) }));
+
+  const content = `<!--
+* @title ${suffix}TrashView
+* @description Trashed ${name} documents, which can be restored or deleted for good.
+* @author Generated by create-totistack
+* @created ${new Date().toISOString()}
+-->
+<script setup>
+import { computed, onMounted } from 'vue';
+import { useAppStore } from '@/stores/${appStore}';
+import { useNotification } from '@/composables/useNotification';
+
+const store = useAppStore();
+const notification = useNotification();
+
+const items = computed(() => store.${name}.trash || []);
+const columns = ${JSON.stringify(columns)};
+
+// deletedAt is a Firestore Timestamp, or null while the server has not set it yet
+const formatDate = (value) => (value?.toDate ? value.toDate().toLocaleString() : '—');
+
+const restore = async (item) => {
+  try {
+    await store.restore${suffix}(item.id);
+    notification.success('${suffix} restored.');
+  } catch (error) {
+    notification.error('Failed to restore ${suffix}. ' + error.message);
+  }
+};
+
+const purge = async (item) => {
+  if (!window.confirm('Delete this document for good? This cannot be undone.')) return;
+  try {
+    await store.purge${suffix}(item.id);
+    notification.success('${suffix} deleted.');
+  } catch (error) {
+    notification.error('Failed to delete ${suffix}. ' + error.message);
+  }
+};
+
+onMounted(async () => {
+  try {
+    await store.fetch${suffix}Trash();
+  } catch (error) {
+    notification.error('Failed to load the trash. ' + error.message);
+  }
+});
+</script>
+
+<template>
+  <div class="container mx-auto">
+    <h2 class="text-2xl font-bold text-gray-900 mb-6">${suffix} Trash</h2>
+
+    <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-100 overflow-x-auto">
+      <div v-if="store.loading && items.length === 0" class="text-center py-8 text-gray-600">
+        <span class="i-mdi-loading i-mdi-spin text-3xl mb-2"></span>
+        <p>Loading trash...</p>
+      </div>
+
+      <table v-else class="min-w-full divide-y divide-gray-200">
+        <thead class="bg-gray-50">
+          <tr>
+            <th v-for="col in columns" :key="col.key"
+              class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+              {{ col.label }}
+            </th>
+            <th class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Deleted</th>
+            <th class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Actions</th>
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          <tr v-for="item in items" :key="item.id" class="hover:bg-gray-50 transition duration-150">
+            <td v-for="col in columns" :key="col.key" class="px-6 py-4 whitespace-nowrap text-gray-800">
+              {{ item[col.key] }}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-gray-500 text-sm">{{ formatDate(item.deletedAt) }}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+              <button @click="restore(item)" class="text-primary hover:text-primary-dark mr-3 transition duration-150">
+                Restore
+              </button>
+              <button @click="purge(item)" class="text-red-600 hover:text-red-800 transition duration-150">
+                Delete forever
+              </button>
+            </td>
+          </tr>
+          <tr v-if="items.length === 0">
+            <td :colspan="columns.length + 2" class="px-6 py-4 text-center text-gray-500">The trash is empty.</td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  </div>
+</template>`;
+
+  writeGeneratedFile(path.join('src/views/admin/trash', `${suffix}TrashView.vue`), content);
+}
+
+/**
+ * Generates the admin Users view (src/views/admin/UsersView.vue) of a project with roles: the
+ * profiles of the auth collection with a toggle per role. Roles are custom claims, changed through
+ * assignRoles/revokeRoles (the setUserRoles Cloud Function), and shown from the copy on the profiles.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - The primary auth collection.
+ * @param {Object} options
+ * @param {string[]} options.roles - Roles of the project.
+ * @param {string} [options.appStore='appStore'] - Name of the store directory.
+ */
+export function generateUsersView(collectionConfig, { roles, appStore = 'appStore' }) {
+  const name = toCamelCase(collectionConfig.name);
+  const suffix = capitalize(name);
+  const columns = Object.values(normalizeFields(collectionConfig.fields))
+    .filter(field => !isReferenceField(field) && field.type !== 'object' && field.name !== 'roles')
+    .slice(0, USER_COLUMNS)
+    .map(field => ({ key: field.name, label: field.label || capitalize(field.name) }));
+
+  const content = `<!--
+* @title UsersView
+* @description Admin user management: the ${name} profiles and their roles.
+* @author Generated by create-totistack
+* @created ${new Date().toISOString()}
+-->
+<script setup>
+import { computed, onMounted, ref } from 'vue';
+import { useAppStore } from '@/stores/${appStore}';
+import { useNotification } from '@/composables/useNotification';
+
+const store = useAppStore();
+const notification = useNotification();
+
+// Roles are custom claims of the users' ID tokens; profiles keep a copy for this list
+const roles = ${JSON.stringify([...new Set(['admin', ...roles])])};
+const columns = ${JSON.stringify(columns)};
+
+const users = computed(() => store.${name}.items || []);
+// Role being changed, as "<user id>:<role>"
+const changing = ref(null);
+
+const hasRole = (user, role) => (user.roles || []).includes(role);
+
+// Admins cannot take their own admin role away; the setUserRoles function refuses it too
+const isLocked = (user, role) => role === 'admin' && user.id === store.currentUser?.uid;
+
+const toggleRole = async (user, role) => {
+  changing.value = \`\${user.id}:\${role}\`;
+  try {
+    if (hasRole(user, role)) {
+      await store.revoke${suffix}Roles(user.id, [role]);
+      notification.success(\`Role \${role} revoked.\`);
+    } else {
+      await store.assign${suffix}Roles(user.id, [role]);
+      notification.success(\`Role \${role} assigned.\`);
+    }
+  } catch (error) {
+    notification.error('Failed to change the roles. ' + error.message);
+  } finally {
+    changing.value = null;
+  }
+};
+
+const loadMore = async () => {
+  try {
+    await store.fetchNextPage${suffix}();
+  } catch (error) {
+    notification.error('Failed to load more users. ' + error.message);
+  }
+};
+
+onMounted(async () => {
+  try {
+    await store.fetchInitialPage${suffix}();
+  } catch (error) {
+    notification.error('Failed to load the users. ' + error.message);
+  }
+});
+</script>
+
+<template>
+  <div class="container mx-auto">
+    <div class="flex justify-between items-center mb-6">
+      <h2 class="text-2xl font-bold text-gray-900">User Management</h2>
+      <p class="text-sm text-gray-500">Role changes reach signed-in users within the hour.</p>
+    </div>
+
+    <div class="bg-white p-6 rounded-xl shadow-sm border border-gray-100 overflow-x-auto">
+      <div v-if="store.loading && users.length === 0" class="text-center py-8 text-gray-600">
+        <span class="i-mdi-loading i-mdi-spin text-3xl mb-2"></span>
+        <p>Loading users...</p>
+      </div>
+
+      <table v-else class="min-w-full divide-y divide-gray-200">
+        <thead class="bg-gray-50">
+          <tr>
+            <th v-for="col in columns" :key="col.key"
+              class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">
+              {{ col.label }}
+            </th>
+            <th class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Roles</th>
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          <tr v-for="user in users" :key="user.id" class="hover:bg-gray-50 transition duration-150">
+            <td v-for="col in columns" :key="col.key" class="px-6 py-4 whitespace-nowrap text-gray-800">
+              {{ user[col.key] }}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap">
+              <div class="flex flex-wrap gap-2">
+                <button v-for="role in roles" :key="role" type="button"
+                  :disabled="isLocked(user, role) || changing === \`\${user.id}:\${role}\`"
+                  :class="[
+                    'px-3 py-1 text-xs leading-5 font-semibold rounded-full transition duration-150 disabled:opacity-50',
+                    hasRole(user, role) ? 'bg-primary-light text-primary-dark' : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+                  ]"
+                  @click="toggleRole(user, role)">
+                  {{ role }}
+                </button>
+              </div>
+            </td>
+          </tr>
+          <tr v-if="users.length === 0">
+            <td :colspan="columns.length + 1" class="px-6 py-4 text-center text-gray-500">No users found.</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <div v-if="store.${name}.hasMore" class="text-center mt-4">
+        <button type="button" class="text-primary hover:text-primary-dark" :disabled="store.loading" @click="loadMore">
+          Load more
+        </button>
+      </div>
+    </div>
+  </div>
+</template>`;
+
+  writeGeneratedFile('src/views/admin/UsersView.vue', content);
+}
 
 /**
- * Generates the AdminLayout component and placeholder admin views (Dashboard, Users).
+ * Generates the AdminLayout component and placeholder admin views (Dashboard, Users), plus a
+ * Trash view per soft-delete collection. With roles and an auth collection, the Users view is
+ * the role management view of generateUsersView.
  * The layout includes a responsive top bar, desktop sidebar, and mobile sidebar
  * with slide-in/out functionality, inspired by a clean, modern aesthetic.
  *
  * @param {object} answers - An object containing user preferences, specifically to get the appStore name.
  */
 export default async function generateAdmin(answers) {
-  const { appStore = 'appStore' } = answers;
+  const { appStore = 'appStore', collections = [], roles = [] } = answers;
   const authStorePath = `@/stores/${appStore}`; // Dynamic path to the auth store
 
   const layoutsDir = 'src/layouts';
@@ -27,10 +288,11 @@ export default async function generateAdmin(answers) {
 <script setup>
 import { ref, watch } from 'vue';
 import { useAppStore } from '${authStorePath}';
-import { useRoute } from 'vue-router';
+import { useRoute, useRouter } from 'vue-router';
 
 const st = useAppStore();
 const route = useRoute();
+const router = useRouter();
 
 // State for sidebar visibility
 const isDesktopSidebarOpen = ref(true); // Desktop sidebar starts open
@@ -51,6 +313,10 @@ const navLinks = [
   // Add more admin links here as needed
   // { name: 'Products', path: '/admin/products', icon: 'i-mdi-package-variant-closed' },
   // { name: 'Orders', path: '/admin/orders', icon: 'i-mdi-cart-outline' },
+  // Trash views of the soft-delete collections (routes with meta.trash)
+  ...router.getRoutes()
+    .filter(r => r.meta.trash)
+    .map(r => ({ name: \`\${r.meta.trash} trash\`, path: r.path, icon: 'i-mdi-delete-restore' })),
 ];
 
 </script>
@@ -215,7 +481,7 @@ const navLinks = [
 </style>
 `;
 
-  await fs.writeFile(path.join(layoutsDir, 'AdminLayout.vue'), adminLayoutContent);
+  writeGeneratedFile(path.join(layoutsDir, 'AdminLayout.vue'), adminLayoutContent);
 
   // Create admin views
   const adminViewsDir = 'src/views/admin';
@@ -272,7 +538,7 @@ const navLinks = [
   </div>
 </template>`;
 
-  await fs.writeFile(path.join(adminViewsDir, 'DashboardView.vue'), dashboardContent);
+  writeGeneratedFile(path.join(adminViewsDir, 'DashboardView.vue'), dashboardContent);
 
   // UsersView.vue
   const usersContent = `<!--
@@ -378,5 +644,15 @@ const deleteUser = (user) => {
   </div>
 </template>`;
 
-  await fs.writeFile(path.join(adminViewsDir, 'UsersView.vue'), usersContent);
+  // With roles, the Users view manages the profiles of the auth collection instead
+  const authCollection = collections.find(isAuthCollection);
+  if (authCollection && roles.length > 0) {
+    generateUsersView(authCollection, { roles, appStore });
+  } else {
+    writeGeneratedFile(path.join(adminViewsDir, 'UsersView.vue'), usersContent);
+  }
+
+  for (const collectionConfig of collections.filter(c => c.softDelete)) {
+    generateTrashView(collectionConfig, { appStore });
+  }
 }
@@ -1,6 +1,8 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { writeGeneratedFile } from './manifest.js';
 import chalk from 'chalk';
+import { SOCIAL_PROVIDERS } from './helper/socialProviders.js';
 
 /**
  * Generates authentication-related files for a Vue.js application,
@@ -11,9 +13,12 @@ import chalk from 'chalk';
  * @param {string} [answers.appStore='appStore'] - The name of the authentication store file (e.g., 'authStore').
  * @param {boolean} [answers.enableRoles=false] - Whether to generate a role-based guard.
  * @param {boolean} [answers.enableAuthViews=true] - Whether to generate authentication view components.
+ * @param {string[]} [answers.socialProviders=[]] - Social sign-in providers shown on the Login and Register views.
+ * @param {boolean} [answers.enableEmailLink=false] - Whether to add email-link sign-in to the Login view and generate FinishSignInView.
+ * @param {boolean} [answers.enableAnonymous=false] - Whether to add the "Continue as guest" button, and let guests open the login and register pages to upgrade.
  */
 export default async function generateAuth(answers) {
-  const { appStore = 'appStore', enableRoles, enableAuthViews } = answers;
+  const { appStore = 'appStore', enableRoles, enableAuthViews, socialProviders = [], enableEmailLink = false, enableAnonymous = false } = answers;
   // Construct the path to the auth store, assuming it's in '@/stores/'
   const authStorePath = `@/stores/${appStore}`;
 
@@ -23,12 +28,13 @@ export default async function generateAuth(answers) {
   console.log(chalk.blue('Generating Auth pages...'));
 
   // Generate authGuard.js
-  await fs.writeFile(path.join(guardDir, 'authGuard.js'), `import { useAppStore } from '${authStorePath}';
+  writeGeneratedFile(path.join(guardDir, 'authGuard.js'), `import { useAppStore } from '${authStorePath}';
 
-export default (to, from, next) => {
+export default async (to, from, next) => {
   const st = useAppStore();
 
-   if (!st.authInitialized) {
+  // Restores the session (and completes redirect sign-ins) before the first navigation
+  if (!st.authInitialized) {
     await st.fetchUser();
   }
 
@@ -37,8 +43,9 @@ export default (to, from, next) => {
   if (to.meta.requiresAuth && !st.currentUser) {
     next('/login');
   }
-  // Redirect to homepage if a guest-only route is accessed by a logged-in user
-  else if (to.meta.guestOnly && st.currentUser) {
+  // Redirect to homepage if a guest-only route is accessed by a logged-in user${enableAnonymous ? `
+  // (anonymous guests may open them, to sign up or sign in and keep their data)` : ''}
+  else if (to.meta.guestOnly && st.currentUser${enableAnonymous ? ' && !st.currentUser.isAnonymous' : ''}) {
     next('/');
   }
   // Proceed to the route
@@ -49,12 +56,19 @@ export default (to, from, next) => {
 
   // Generate roleGuard.js if enableRoles is true
   if (enableRoles) {
-    await fs.writeFile(path.join(guardDir, 'roleGuard.js'), `import { useAppStore } from '${authStorePath}';
+    writeGeneratedFile(path.join(guardDir, 'roleGuard.js'), `import { useAppStore } from '${authStorePath}';
 
+// Runs after authGuard, so the session is restored. currentUser.roles holds the \`roles\` custom claim
+// of the ID token, which the security rules check too.
 export default (to, from, next) => {
-  const authStore = useAppStore();
+  const st = useAppStore();
+  const roles = st.currentUser?.roles || [];
   // Redirect to unauthorized page if a route requires admin and user is not admin
-  if (to.meta.requiresAdmin && authStore.user?.role !== 'admin') {
+  if (to.meta.requiresAdmin && !roles.includes('admin')) {
+    next('/unauthorized');
+  }
+  // Same when the route lists its roles (meta.roles) and the user has none of them
+  else if (to.meta.roles?.length && !to.meta.roles.some(role => roles.includes(role))) {
     next('/unauthorized');
   }
   // Proceed to the route
@@ -113,12 +127,8 @@ export default (to, from, next) => {
   const authViewsDir = 'src/views/auth';
   await fs.ensureDir(authViewsDir);
 
-  // Social providers configuration for login/register views
-  const socialProviders = [
-    { name: 'Google', icon: 'i-mdi-google', color: 'bg-red-600 hover:bg-red-700' }, // Slightly darker hover
-    { name: 'Facebook', icon: 'i-mdi-facebook', color: 'bg-blue-700 hover:bg-blue-800' }, // Slightly darker hover
-    { name: 'Twitter', icon: 'i-mdi-twitter', color: 'bg-sky-500 hover:bg-sky-600' } // Slightly darker hover
-  ];
+  // Buttons of the social providers chosen in the wizard, handled by the store's loginWithProvider
+  const socialButtons = socialProviders.map(name => ({ name, ...SOCIAL_PROVIDERS[name] }));
 
   // Iterate through each view to generate its .vue file
   for (const view of views) {
@@ -164,6 +174,31 @@ export default (to, from, next) => {
       </div>`;
     }
 
+    if (view.name === 'RegisterView' && enableAnonymous) {
+      extras += `
+      <p v-if="authStore.currentUser?.isAnonymous" class="mb-6 text-sm text-gray-600">
+        You are using a guest session. Signing up keeps everything you created.
+      </p>`;
+    }
+
+    // Passwordless and guest sign-in, below the Login form
+    let otherSignIn = '';
+    if (view.name === 'LoginView' && (enableEmailLink || enableAnonymous)) {
+      otherSignIn = `
+      <div class="mt-6 space-y-3 text-center">${enableEmailLink ? `
+        <button type="button" @click="sendSignInLink" :disabled="authStore.loading || !email"
+          class="w-full py-2.5 px-4 border border-blue-600 text-blue-600 hover:bg-blue-50 font-medium rounded-lg transition duration-200 ease-in-out disabled:opacity-50">
+          Email me a sign-in link instead
+        </button>
+        <p v-if="linkSent" class="text-sm text-green-700">Check your inbox: the link signs you in.</p>` : ''}${enableAnonymous ? `
+        <button type="button" @click="continueAsGuest" :disabled="authStore.loading"
+          class="text-sm text-gray-600 hover:text-blue-600 hover:underline">
+          Continue as guest
+        </button>` : ''}
+        <p v-if="otherSignInError" class="text-sm text-red-600">{{ otherSignInError }}</p>
+      </div>`;
+    }
+
     if (view.extras?.includes('terms')) {
       extras += `
       <div class="flex items-center mb-6">
@@ -176,7 +211,7 @@ export default (to, from, next) => {
 
     // Generate social login section for Login and Register views
     let socialLogin = '';
-    if (['LoginView', 'RegisterView'].includes(view.name)) {
+    if (['LoginView', 'RegisterView'].includes(view.name) && socialButtons.length > 0) {
       socialLogin = `
       <div class="relative my-8">
         <div class="absolute inset-0 flex items-center">
@@ -187,13 +222,14 @@ export default (to, from, next) => {
         </div>
       </div>
 
-      <div class="grid grid-cols-3 gap-3">
-        ${socialProviders.map(provider => `
-        <button type="button" @click="authStore.loginWithProvider('${provider.name.toLowerCase()}')"
-          class="${provider.color} text-white py-2.5 px-4 rounded-lg flex justify-center items-center transition duration-200 ease-in-out shadow-md hover:shadow-lg">
+      <div class="grid grid-cols-${Math.min(socialButtons.length, 3)} gap-3">
+        ${socialButtons.map(provider => `
+        <button type="button" @click="loginWithProvider('${provider.name}')" :disabled="authStore.loading" title="Continue with ${provider.label}"
+          class="${provider.color} text-white py-2.5 px-4 rounded-lg flex justify-center items-center transition duration-200 ease-in-out shadow-md hover:shadow-lg disabled:opacity-70">
           <span class="${provider.icon} text-xl"></span>
         </button>`).join('')}
-      </div>`;
+      </div>
+      <p v-if="socialError" class="mt-4 text-sm text-red-600 text-center">{{ socialError }}</p>`;
     }
 
     // Generate action button (e.g., Login, Register)
@@ -229,11 +265,13 @@ export default (to, from, next) => {
 
     // Generate <script setup> content for views with an action
     if (view.action) {
-      scriptSetup = `import { ref } from 'vue';
+      scriptSetup = `import { ref } from 'vue';${socialLogin || otherSignIn ? `
+import { useRouter } from 'vue-router';` : ''}
 import { useAppStore } from '${authStorePath}';
 import Skeleton from '@/components/Skeleton.vue'; // Assuming Skeleton component exists in this path
 
-const authStore = useAppStore();
+const authStore = useAppStore();${socialLogin || otherSignIn ? `
+const router = useRouter();` : ''}
 ${view.fields.map(f => `const ${f} = ref('');`).join('\n')}
 
 const handle${view.action.charAt(0).toUpperCase() + view.action.slice(1)} = async () => {
@@ -244,7 +282,45 @@ const handle${view.action.charAt(0).toUpperCase() + view.action.slice(1)} = asyn
   } catch (err) {
     console.error('${view.title} failed:', err);
   }
-};`;
+};${otherSignIn ? `
+
+// Set when the sign-in link or the guest session fails
+const otherSignInError = ref('');${enableEmailLink ? `
+const linkSent = ref(false);
+
+const sendSignInLink = async () => {
+  otherSignInError.value = '';
+  try {
+    await authStore.sendSignInLink(email.value);
+    linkSent.value = true;
+  } catch (err) {
+    otherSignInError.value = err.message;
+  }
+};` : ''}${enableAnonymous ? `
+
+const continueAsGuest = async () => {
+  otherSignInError.value = '';
+  try {
+    await authStore.loginAsGuest();
+    router.push('/');
+  } catch (err) {
+    otherSignInError.value = err.message;
+  }
+};` : ''}` : ''}${socialLogin ? `
+
+// Set when a social sign-in fails (cancelled popup, account linking needed...)
+const socialError = ref('');
+
+const loginWithProvider = async (name) => {
+  socialError.value = '';
+  try {
+    const { user } = await authStore.loginWithProvider(name);
+    // Without a user the browser is being redirected to the provider
+    if (user) router.push('/');
+  } catch (err) {
+    socialError.value = err.message;
+  }
+};` : ''}`;
     }
 
     // Generate the main template structure for each view
@@ -274,6 +350,7 @@ const handle${view.action.charAt(0).toUpperCase() + view.action.slice(1)} = asyn
             ${extras}
             ${buttonAction}
           </form>
+          ${otherSignIn}
           ${socialLogin}
           ${footerLinks}` :
           `
@@ -303,7 +380,71 @@ ${scriptSetup}
 ${template}`;
 
     // Write the .vue file
-    await fs.writeFile(path.join(authViewsDir, `${view.name}.vue`), fileContent);
+    writeGeneratedFile(path.join(authViewsDir, `${view.name}.vue`), fileContent);
+  }
+
+  // Generate FinishSignInView.vue, opened from the email-link sign-in emails
+  if (enableEmailLink) {
+    writeGeneratedFile(path.join(authViewsDir, 'FinishSignInView.vue'), `<!-- Finish Sign-In Page -->
+<script setup>
+import { ref, onMounted } from 'vue';
+import { useRouter } from 'vue-router';
+import { useAppStore } from '${authStorePath}';
+
+const authStore = useAppStore();
+const router = useRouter();
+const email = ref('');
+// Set when the link was opened in another browser, which does not know the address
+const needsEmail = ref(false);
+const error = ref('');
+
+const finishSignIn = async () => {
+  error.value = '';
+  try {
+    await authStore.finishSignInWithLink(email.value || null);
+    router.replace('/');
+  } catch (err) {
+    needsEmail.value = err.code === 'auth/missing-email' || err.code === 'auth/invalid-email';
+    error.value = err.message;
+  }
+};
+
+onMounted(finishSignIn);
+</script>
+
+<template>
+  <div class="min-h-screen flex items-center justify-center bg-gray-50 px-4 py-12 sm:px-6">
+    <div class="w-full max-w-md">
+      <div class="text-center mb-10">
+        <h2 class="text-3xl font-extrabold text-gray-900">Finishing sign-in</h2>
+      </div>
+
+      <div class="bg-white px-8 py-10 rounded-xl shadow-lg border border-gray-100">
+        <p v-if="authStore.loading" class="text-center text-gray-600">Signing you in...</p>
+        <form v-else-if="needsEmail" @submit.prevent="finishSignIn">
+          <div class="mb-5">
+            <label class="block text-sm font-medium text-gray-700 mb-1">Confirm the email address the link was sent to</label>
+            <input
+              v-model="email"
+              type="email"
+              required
+              placeholder="Enter your email"
+              class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition duration-200 ease-in-out" />
+          </div>
+          <p v-if="error" class="mb-4 text-sm text-red-600">{{ error }}</p>
+          <button type="submit"
+            class="w-full py-3.5 px-4 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg transition duration-200 ease-in-out shadow-md hover:shadow-lg">
+            Sign in
+          </button>
+        </form>
+        <div v-else-if="error" class="text-center">
+          <p class="text-red-600">{{ error }}</p>
+          <router-link to="/login" class="mt-6 inline-block text-sm font-medium text-blue-600 hover:underline">Back to sign in</router-link>
+        </div>
+      </div>
+    </div>
+  </div>
+</template>`);
   }
 
   // Create layouts directory
@@ -311,7 +452,7 @@ ${template}`;
   await fs.ensureDir(layoutsDir);
 
   // Generate AppLayout.vue (main authenticated layout)
-  await fs.writeFile(path.join(layoutsDir, 'AppLayout.vue'), `<script setup>
+  writeGeneratedFile(path.join(layoutsDir, 'AppLayout.vue'), `<script setup>
 import { useAppStore } from '${authStorePath}';
 const authStore = useAppStore();
 </script>
@@ -388,7 +529,7 @@ const authStore = useAppStore();
 </template>`);
 
   // Generate GuestLayout.vue (layout for unauthenticated pages)
-  await fs.writeFile(path.join(layoutsDir, 'GuestLayout.vue'), `<template>
+  writeGeneratedFile(path.join(layoutsDir, 'GuestLayout.vue'), `<template>
   <div class="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 font-sans antialiased">
     <router-view />
   </div>
@@ -0,0 +1,80 @@
+/**
+ * @file generateFirebaseApp.js
+ * @description Generates `src/firebase.js`, the Firebase initialization every generated module
+ * imports as `@/firebase`. When `VITE_FIREBASE_EMULATOR` is `true` the SDKs are connected to the
+ * Local Emulator Suite configured in firebase.json. In offline mode Firestore keeps a persistent
+ * local cache (IndexedDB), so documents stay readable and writes are queued without a connection.
+ */
+
+import chalk from 'chalk';
+import { writeGeneratedFile } from './manifest.js';
+import { EMULATOR_PORTS } from './generateFirebaseConfig.js';
+
+/**
+ * Generates `src/firebase.js`.
+ * @param {Object} [options]
+ * @param {boolean} [options.offline=false] - Initialize Firestore with a persistent local cache.
+ * @returns {Promise<void>}
+ */
+export default async function generateFirebaseApp({ offline = false } = {}) {
+  try {
+    const firestoreImports = offline
+      ? 'initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator'
+      : 'getFirestore, connectFirestoreEmulator';
+    const firestoreInit = offline
+      ? `// Offline mode: documents and pending writes are kept in IndexedDB, shared by the open tabs
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});`
+      : 'export const db = getFirestore(app);';
+
+    writeGeneratedFile('src/firebase.js', `/**
+ * Firebase initialization, generated by create-totistack.
+ * Credentials come from .env (see .env.example). Set VITE_FIREBASE_EMULATOR=true, or run
+ * \`npm run dev:emulators\`, to use the Local Emulator Suite started by \`npm run emulators\`.
+ */
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { ${firestoreImports} } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+import { getStorage, connectStorageEmulator } from 'firebase/storage';
+
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+  measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
+};
+
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+${firestoreInit}
+export const functions = getFunctions(app);
+export const storage = getStorage(app);
+
+/** Whether Firestore keeps a persistent local cache (offline mode). */
+export const offlineEnabled = ${offline};
+
+/** Whether the app talks to the Local Emulator Suite instead of the real project. */
+export const usingEmulators = import.meta.env.VITE_FIREBASE_EMULATOR === 'true';
+
+if (usingEmulators) {
+  const host = import.meta.env.VITE_FIREBASE_EMULATOR_HOST || 'localhost';
+  connectAuthEmulator(auth, \`http://\${host}:${EMULATOR_PORTS.auth}\`, { disableWarnings: true });
+  connectFirestoreEmulator(db, host, ${EMULATOR_PORTS.firestore});
+  connectFunctionsEmulator(functions, host, ${EMULATOR_PORTS.functions});
+  connectStorageEmulator(storage, host, ${EMULATOR_PORTS.storage});
+  console.info(\`[firebase] Using the emulators on \${host}\`);
+}
+
+export default app;
+`);
+
+    console.log(chalk.green('✅ Firebase initialization generated'));
+  } catch (error) {
+    throw new Error(`Error generating src/firebase.js: ${error.message}`);
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * @file generateFirebaseConfig.js
+ * @description Generates `firebase.json`, which points the Firebase CLI at the generated rules and
+ * indexes (see generateFirestoreRules and generateStorageRules) and configures the Local Emulator
+ * Suite, along with the files needed to develop fully offline: `.env.emulator`,
+ * `scripts/emulators.js` and the `emulators` npm scripts.
+ */
+
+import chalk from 'chalk';
+import { writeGeneratedFile } from './manifest.js';
+import { updatePackageJson } from './helper/utils.js';
+import { hasRoleFunctions } from './generateRoleFunctions.js';
+
+/** Ports of the Local Emulator Suite, shared with the generated `src/firebase.js`. */
+export const EMULATOR_PORTS = {
+  auth: 9099,
+  firestore: 8080,
+  functions: 5001,
+  storage: 9199,
+  ui: 4000
+};
+
+/** Directory the emulators import seed data from and export it to on exit. */
+export const EMULATOR_DATA_DIR = 'emulator-data';
+
+/**
+ * Builds the emulator project ID. IDs starting with `demo-` never reach real Firebase
+ * resources, so the emulators run without a login or network connection.
+ * @param {string} projectName - Name of the project.
+ * @returns {string} A `demo-` project ID.
+ */
+export const getEmulatorProjectId = (projectName = 'app') =>
+  `demo-${projectName.toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'app'}`;
+
+/**
+ * Builds `scripts/emulators.js`, which starts the emulators and imports the seed data when an
+ * export exists (`firebase emulators:start --import` fails on a missing export).
+ * @param {string} projectId - Emulator project ID.
+ * @returns {string} The script.
+ */
+const emulatorScriptContent = (projectId) => `/**
+ * Starts the Firebase Local Emulator Suite, generated by create-totistack.
+ * Data is imported from ./${EMULATOR_DATA_DIR} when an export exists and exported back on exit,
+ * so the seed data survives restarts and can be committed for the whole team.
+ */
+import { existsSync } from 'node:fs';
+import { spawn } from 'node:child_process';
+
+const DATA_DIR = './${EMULATOR_DATA_DIR}';
+
+const args = ['firebase', 'emulators:start', '--project', '${projectId}', \`--export-on-exit=\${DATA_DIR}\`];
+if (existsSync(\`\${DATA_DIR}/firebase-export-metadata.json\`)) {
+  args.push(\`--import=\${DATA_DIR}\`);
+}
+
+spawn('npx', args, { stdio: 'inherit', shell: process.platform === 'win32' })
+  .on('exit', code => process.exit(code ?? 0));
+`;
+
+/**
+ * Generates `firebase.json`, the emulator env file and script, and the emulator npm scripts.
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {Promise<void>}
+ */
+export default async function generateFirebaseConfig(answers) {
+  try {
+    const projectId = getEmulatorProjectId(answers.projectName);
+    const config = {
+      firestore: {
+        rules: 'firestore.rules',
+        indexes: 'firestore.indexes.json'
+      },
+      storage: {
+        rules: 'storage.rules'
+      },
+      // The setUserRoles function changing the roles custom claims (see generateRoleFunctions)
+      ...(hasRoleFunctions(answers) && {
+        functions: [{ source: 'functions', codebase: 'default' }]
+      }),
+      emulators: {
+        auth: { port: EMULATOR_PORTS.auth },
+        firestore: { port: EMULATOR_PORTS.firestore },
+        functions: { port: EMULATOR_PORTS.functions },
+        storage: { port: EMULATOR_PORTS.storage },
+        ui: { enabled: true, port: EMULATOR_PORTS.ui },
+        singleProjectMode: true
+      }
+    };
+
+    writeGeneratedFile('firebase.json', `${JSON.stringify(config, null, 2)}\n`);
+
+    // Loaded on top of .env by \`vite --mode emulator\`; no real credentials are needed
+    writeGeneratedFile('.env.emulator', `VITE_FIREBASE_EMULATOR=true
+VITE_FIREBASE_EMULATOR_HOST=localhost
+VITE_FIREBASE_API_KEY=demo-api-key
+VITE_FIREBASE_AUTH_DOMAIN=${projectId}.firebaseapp.com
+VITE_FIREBASE_PROJECT_ID=${projectId}
+VITE_FIREBASE_STORAGE_BUCKET=${projectId}.appspot.com
+`);
+
+    writeGeneratedFile('scripts/emulators.js', emulatorScriptContent(projectId));
+
+    updatePackageJson({
+      scripts: {
+        emulators: 'node scripts/emulators.js',
+        'emulators:export': `firebase emulators:export ./${EMULATOR_DATA_DIR} --project ${projectId}`,
+        'dev:emulators': 'vite --mode emulator'
+      },
+      devDependencies: {
+        'firebase-tools': '^15.0.0'
+      }
+    });
+
+    console.log(chalk.green('✅ firebase.json and emulator setup generated'));
+  } catch (error) {
+    throw new Error(`Error generating firebase.json: ${error.message}`);
+  }
+}
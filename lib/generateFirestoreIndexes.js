@@ -0,0 +1,64 @@
+/**
+ * @file generateFirestoreIndexes.js
+ * @description Generates `firestore.indexes.json` from the `filterable` and `sortable` fields the
+ * collections declare (and the `deletedAt` filter of soft-delete collections). The generated store only runs queries these indexes cover (see
+ * `assertQuerySupported` in useFirestoreCollectionActions), so missing indexes surface at
+ * generation time instead of as runtime errors.
+ */
+
+import chalk from 'chalk';
+import { writeGeneratedFile } from './manifest.js';
+import { toCamelCase } from './helper/helperF.js';
+
+/**
+ * Builds the composite indexes of a collection.
+ * Equality filters combined with an orderBy (or a search range) on another field need an index
+ * on (filter field, sort field). Firestore merges these indexes when several filters are active,
+ * so one index per filter/sort pair and direction is enough. The default `createdAt` sort counts
+ * as sortable. Soft-delete collections filter every list on `deletedAt == null`, so they also get
+ * an index on (deletedAt, sort field) for each sort.
+ * @param {{name: string, filterable?: string[], sortable?: string[], softDelete?: boolean}} collectionConfig - The collection configuration.
+ * @returns {Object[]} Index definitions in the firestore.indexes.json format.
+ */
+export function buildCompositeIndexes(collectionConfig) {
+  const { filterable = [], sortable = [] } = collectionConfig;
+  const indexes = [];
+  const sortFields = [...new Set([...sortable, 'createdAt'])];
+  const filterPairs = filterable.flatMap(filterField => sortFields.map(sortField => [filterField, sortField]));
+  const trashPairs = collectionConfig.softDelete ? sortFields.map(sortField => ['deletedAt', sortField]) : [];
+
+  for (const [filterField, sortField] of [...filterPairs, ...trashPairs]) {
+    if (filterField === sortField) continue;
+    for (const order of ['ASCENDING', 'DESCENDING']) {
+      indexes.push({
+        collectionGroup: collectionConfig.name,
+        queryScope: 'COLLECTION',
+        fields: [
+          { fieldPath: filterField, order: 'ASCENDING' },
+          { fieldPath: sortField, order }
+        ]
+      });
+    }
+  }
+
+  return indexes;
+}
+
+/**
+ * Generates `firestore.indexes.json`. Deploy it with `firebase deploy --only firestore:indexes`.
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {Promise<void>}
+ */
+export default async function generateFirestoreIndexes(answers) {
+  try {
+    const indexes = answers.collections
+      .map(c => ({ ...c, name: toCamelCase(c.name).trim() }))
+      .flatMap(buildCompositeIndexes);
+
+    writeGeneratedFile('firestore.indexes.json', `${JSON.stringify({ indexes, fieldOverrides: [] }, null, 2)}\n`);
+
+    console.log(chalk.green(`✅ Firestore indexes generated (${indexes.length} composite)`));
+  } catch (error) {
+    throw new Error(`Error generating Firestore indexes: ${error.message}`);
+  }
+}
@@ -0,0 +1,555 @@
+/**
+ * @file generateFirestoreRules.js
+ * @description Generates `firestore.rules` from the collection configs and roles, so the checks the
+ * generated store runs on the client (`_checkRole`, `assignRoles`, the validators) are also enforced
+ * by Firestore. Also emits a rules unit-test suite that runs against the local Firestore emulator.
+ */
+
+import chalk from 'chalk';
+import { writeGeneratedFile } from './manifest.js';
+import { isAuthCollection } from './generateStore.js';
+import { getEmulatorProjectId } from './generateFirebaseConfig.js';
+import { capitalize, toCamelCase } from './helper/helperF.js';
+import { normalizeFields, isTextField, getReferenceConfig, getSearchableFields } from './helper/fields.js';
+import { updatePackageJson } from './helper/utils.js';
+
+/** Collection written by the activity logger. */
+const ACTIVITY_COLLECTION = 'recentActivity';
+
+/** Role allowed to delete auth documents and change roles, as checked by `_checkRole('admin')` and the setUserRoles function. */
+const ADMIN_ROLE = 'admin';
+
+/** Audit fields stamped by the generated store, checked unless the schema declares them itself. */
+const AUDIT_FIELDS = { createdAt: 'timestamp', updatedAt: 'timestamp', createdBy: 'string', updatedBy: 'string' };
+
+/** Audit fields set on creation, which updates may not change. */
+const CREATION_FIELDS = ['createdAt', 'createdBy'];
+
+/** Types whose min/max constrain the number of items. */
+const LIST_TYPES = ['array', 'references', 'files'];
+
+/** Same email format the generated validators accept. */
+const EMAIL_PATTERN = '\\\\S+@\\\\S+\\\\.\\\\S+';
+
+/**
+ * Rules expressions checking the type of a value, mirroring the type checks of the schema modules (generateSchemaModule).
+ * @type {Object.<string, function(string): string>}
+ */
+const RULE_TYPE_CHECKS = {
+  string: (value) => `${value} is string`,
+  number: (value) => `${value} is number`,
+  boolean: (value) => `${value} is bool`,
+  array: (value) => `${value} is list`,
+  object: (value) => `${value} is map`,
+  timestamp: (value) => `(${value} is timestamp || ${value} is string)`,
+  email: (value) => `${value} is string && ${value}.matches('${EMAIL_PATTERN}')`,
+  tel: (value) => `${value} is string`,
+  reference: (value) => `${value} is string`,
+  references: (value) => `${value} is list`,
+  file: (value) => `${value} is map && ${value}.url is string && ${value}.path is string`,
+  image: (value) => `${value} is map && ${value}.url is string && ${value}.path is string`,
+  files: (value) => `${value} is list`
+};
+
+/**
+ * Builds the rules condition for a single field.
+ * Required fields must be present and non-empty; optional fields are only checked when filled in.
+ * Patterns are not enforced: Firestore's RE2 `matches()` differs from JavaScript regular expressions.
+ * @param {ReturnType<typeof normalizeFields>[string]} field - A normalized field.
+ * @returns {string} A rules expression over `data`.
+ */
+function buildFieldCondition(field) {
+  const value = `data.${field.name}`;
+  const checks = [RULE_TYPE_CHECKS[field.type](value)];
+
+  if (field.enum) checks.push(`${value} in ${JSON.stringify(field.enum)}`);
+
+  const measured = field.type === 'number'
+    ? value
+    : isTextField(field) || LIST_TYPES.includes(field.type) ? `${value}.size()` : null;
+  if (measured && field.min !== undefined) checks.push(`${measured} >= ${field.min}`);
+  if (measured && field.max !== undefined) checks.push(`${measured} <= ${field.max}`);
+
+  const isPresent = `'${field.name}' in data && ${value} != null && ${value} != ''`;
+  return field.required
+    ? `(${isPresent} && ${checks.join(' && ')})`
+    : `(!(${isPresent}) || (${checks.join(' && ')}))`;
+}
+
+/**
+ * Builds the `isValid<Collection>(data)` rules function of a collection.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - The collection configuration.
+ * @returns {string} The rules function.
+ */
+function buildValidationFunction(collectionConfig) {
+  const fields = normalizeFields(collectionConfig.fields);
+  const conditions = Object.values(fields).map(buildFieldCondition);
+  for (const [name, type] of Object.entries(AUDIT_FIELDS).filter(([name]) => !fields[name])) {
+    conditions.push(`(!('${name}' in data) || data.${name} == null || ${RULE_TYPE_CHECKS[type](`data.${name}`)})`);
+  }
+  if (getSearchableFields(collectionConfig).length > 0) {
+    // Keywords written by add() and update(), at most MAX_KEYWORDS of search.js
+    conditions.push(`(!('searchKeywords' in data) || (data.searchKeywords is list && data.searchKeywords.size() <= 500))`);
+  }
+  if (collectionConfig.softDelete) {
+    // Trash markers written by remove() and cleared by restore()
+    conditions.push(
+      `(!('deletedAt' in data) || data.deletedAt == null || data.deletedAt is timestamp)`,
+      `(!('deletedBy' in data) || data.deletedBy == null || data.deletedBy is string)`
+    );
+  }
+  return `    // Mirrors src/validators/schemas/${collectionConfig.name}.js
+    function isValid${capitalize(collectionConfig.name)}(data) {
+      return ${conditions.length > 0 ? conditions.join('\n        && ') : 'true'};
+    }`;
+}
+
+/** Rules expression rejecting updates that change the creation stamps. */
+const KEEPS_CREATION_FIELDS = `!request.resource.data.diff(resource.data).affectedKeys().hasAny([${CREATION_FIELDS.map(field => `'${field}'`).join(', ')}])`;
+
+/**
+ * Builds the rules of the `history` subcollection of a versioned collection. Whoever may update a
+ * document may add versions under it, stamped with their user ID and the request time as
+ * historyEntry() does; versions are never changed or removed. A version must pass the collection's
+ * validation and belong to an existing document, outside the trash in soft-delete collections.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - The versioned collection.
+ * @param {string} allowed - Rules expression of who may read and add versions.
+ * @param {string} docId - Name of the document ID wildcard of the enclosing match block.
+ * @param {boolean} hasAuth - Whether versions are stamped with the signed-in user (null without auth).
+ * @returns {string} The nested match block.
+ */
+function buildHistoryRules(collectionConfig, allowed, docId, hasAuth) {
+  const parent = `/databases/$(database)/documents/${collectionConfig.name}/$(${docId})`;
+  const conditions = [
+    allowed.includes('||') ? `(${allowed})` : allowed,
+    `exists(${parent})`,
+    ...(collectionConfig.softDelete ? [`get(${parent}).data.get('deletedAt', null) == null`] : []),
+    `isValid${capitalize(collectionConfig.name)}(request.resource.data)`,
+    'request.resource.data.versionedAt == request.time',
+    `request.resource.data.versionedBy == ${hasAuth ? 'request.auth.uid' : 'null'}`
+  ];
+  return `
+      // Earlier versions, added by update and revertTo
+      match /history/{versionId} {
+        allow read: if ${allowed};
+        allow create: if ${conditions.join('\n          && ')};
+      }`;
+}
+
+/**
+ * Lists the collections whose reference fields point at a collection.
+ * @param {string} name - Collection name.
+ * @param {import('./generateStore.js').CollectionConfig[]} collections - Collections with camelCase names.
+ * @returns {string[]} Names of the referencing collections.
+ */
+const referencingCollections = (name, collections) => collections
+  .filter(collectionConfig => Object.values(getReferenceConfig(collectionConfig.fields))
+    .some(reference => toCamelCase(reference.collection).trim() === name))
+  .map(collectionConfig => collectionConfig.name);
+
+/**
+ * Builds the rules for an auth collection: documents are keyed by user ID and only their owner may write them.
+ * Profiles are private to their owner (and admins), unless reference fields of other collections point
+ * at them: populate, the reference pickers and the validators' existence checks then need any
+ * signed-in user to read them.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - The collection configuration.
+ * @param {boolean} hasRoles - Whether role-based authorization is generated.
+ * @param {string[]} [referencedBy=[]] - Collections with reference fields to this collection.
+ * @returns {string} The match block.
+ */
+function buildAuthCollectionRules(collectionConfig, hasRoles, referencedBy = []) {
+  const { name } = collectionConfig;
+  const valid = `isValid${capitalize(name)}(request.resource.data)`;
+  const read = referencedBy.length > 0
+    ? `      // Referenced by ${referencedBy.join(', ')}: signed-in users resolve those references
+      allow read: if isSignedIn();`
+    : `      allow read: if ${hasRoles ? 'isOwner(userId) || isAdmin()' : 'isOwner(userId)'};`;
+  if (!hasRoles) {
+    return `    match /${name}/{userId} {
+${read}
+      allow create: if isOwner(userId) && ${valid};
+      allow update: if isOwner(userId) && ${valid} && ${KEEPS_CREATION_FIELDS};
+      allow delete: if isOwner(userId);${collectionConfig.versioned ? buildHistoryRules(collectionConfig, 'isOwner(userId)', 'userId', true) : ''}
+    }`;
+  }
+  return `    match /${name}/{userId} {
+${read}
+      // \`roles\` mirrors the custom claims and is only written by the setUserRoles function (Admin SDK)
+      allow create: if isOwner(userId) && ${valid}
+        && !request.resource.data.keys().hasAny(['roles']);
+      allow update: if ${valid} && ${KEEPS_CREATION_FIELDS}
+        && !request.resource.data.diff(resource.data).affectedKeys().hasAny(['roles'])
+        && (isOwner(userId) || isAdmin());
+      // Mirrors the admin check of remove() in useFirestoreCollectionActions
+      allow delete: if isAdmin();${collectionConfig.versioned ? buildHistoryRules(collectionConfig, 'isOwner(userId) || isAdmin()', 'userId', true) : ''}
+    }`;
+}
+
+/**
+ * Builds the rules for a regular collection. Soft-delete collections only let trashed documents
+ * be deleted, as purge() does.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - The collection configuration.
+ * @param {string} signedIn - Rules expression required for reads and writes.
+ * @param {boolean} hasAuth - Whether the project has an auth collection.
+ * @returns {string} The match block.
+ */
+function buildCollectionRules(collectionConfig, signedIn, hasAuth) {
+  const { name } = collectionConfig;
+  const valid = `isValid${capitalize(name)}(request.resource.data)`;
+  return `    match /${name}/{docId} {
+      allow read: if ${signedIn};
+      allow create: if ${signedIn} && ${valid};
+      allow update: if ${signedIn} && ${valid} && ${KEEPS_CREATION_FIELDS};
+      allow delete: if ${signedIn}${collectionConfig.softDelete ? ` && resource.data.get('deletedAt', null) != null` : ''};${collectionConfig.versioned ? buildHistoryRules(collectionConfig, signedIn, 'docId', hasAuth) : ''}
+    }`;
+}
+
+/**
+ * Builds the rules of the activity log. Entries may be appended but never changed or removed.
+ * @param {string} signedIn - Rules expression required for appending.
+ * @param {boolean} hasRoles - Whether admins may read every entry.
+ * @returns {string} The match block.
+ */
+function buildActivityRules(signedIn, hasRoles) {
+  const ownEntry = `(isSignedIn() && (resource.data.actorId == request.auth.uid || resource.data.targetId == request.auth.uid))`;
+  return `    // Activity log: append-only
+    match /${ACTIVITY_COLLECTION}/{activityId} {
+      allow read: if ${hasRoles ? `isAdmin() || ${ownEntry}` : ownEntry};
+      allow create: if ${signedIn} && request.resource.data.type is string && request.resource.data.timestamp is timestamp;
+      allow update, delete: if false;
+    }`;
+}
+
+/**
+ * Generates the content of `firestore.rules`.
+ * @param {Object} options
+ * @param {import('./generateStore.js').CollectionConfig[]} options.collections - Collections with camelCase names.
+ * @param {string[]} options.authCollections - Names of the auth collections.
+ * @param {boolean} options.hasRoles - Whether role-based authorization is generated.
+ * @param {boolean} options.addActivityLogging - Whether the activity log is generated.
+ * @returns {string} The rules file.
+ */
+export function buildFirestoreRules({ collections, authCollections, hasRoles, addActivityLogging }) {
+  const hasAuth = authCollections.length > 0;
+  const signedIn = hasAuth ? 'isSignedIn()' : 'true';
+
+  const helpers = [
+    `    function isSignedIn() {
+      return request.auth != null;
+    }`,
+    `    function isOwner(userId) {
+      return isSignedIn() && request.auth.uid == userId;
+    }`
+  ];
+  if (hasRoles && hasAuth) {
+    helpers.push(`    // Roles are the \`roles\` custom claim of the ID token, set by the setUserRoles function
+    // (functions/roles.js) and read by the store into state.currentUser.roles
+    function hasRole(role) {
+      return isSignedIn() && request.auth.token.get('roles', []).hasAny([role]);
+    }`, `    function isAdmin() {
+      return hasRole('${ADMIN_ROLE}');
+    }`);
+  }
+
+  const blocks = collections.map(collectionConfig => authCollections.includes(collectionConfig.name)
+    ? buildAuthCollectionRules(collectionConfig, hasRoles && hasAuth, referencingCollections(collectionConfig.name, collections))
+    : buildCollectionRules(collectionConfig, signedIn, hasAuth));
+  if (addActivityLogging) {
+    blocks.push(buildActivityRules(signedIn, hasRoles && hasAuth));
+  }
+
+  return `rules_version = '2';
+
+// Generated by create-totistack from the collections in totistack.config.json.
+// Run \`npm run test:rules\` after editing to check the rules against the Firestore emulator.${hasAuth ? '' : `
+// No auth collection is configured, so anyone can read and write. Add authentication before going to production.`}
+service cloud.firestore {
+  match /databases/{database}/documents {
+
+${helpers.join('\n\n')}
+
+${collections.map(buildValidationFunction).join('\n\n')}
+
+${blocks.join('\n\n')}
+
+    // Everything else is denied
+  }
+}
+`;
+}
+
+/**
+ * Picks a value that passes the generated rules for a field.
+ * @param {ReturnType<typeof normalizeFields>[string]} field - A normalized field.
+ * @returns {*} A sample value.
+ */
+function sampleValue(field) {
+  if (field.enum) return field.enum[0];
+
+  const fitLength = (text) => text.padEnd(field.min ?? 0, 'x').slice(0, field.max ?? undefined);
+  const fitList = (item) => Array.from({ length: Math.min(Math.max(field.min ?? 1, 1), field.max ?? Infinity) }, (_, i) => `${item}-${i + 1}`);
+  const storedFile = (name) => ({ url: `https://example.com/${name}`, path: `samples/${name}`, name, size: 1, contentType: 'image/png' });
+
+  switch (field.type) {
+    case 'number': return field.min ?? Math.min(1, field.max ?? 1);
+    case 'boolean': return true;
+    case 'array': return fitList('item');
+    case 'object': return {};
+    case 'timestamp': return '2024-01-01T00:00:00.000Z';
+    case 'email': return 'user@example.com';
+    case 'tel': return fitLength('+15555550100');
+    case 'reference': return 'sample-id';
+    case 'references': return fitList('sample-id');
+    case 'file':
+    case 'image': return storedFile('sample.png');
+    case 'files': return fitList('sample').map(name => storedFile(`${name}.png`));
+    default: return fitLength(`Sample ${field.label}`);
+  }
+}
+
+/**
+ * Picks a value of the wrong type for a field.
+ * @param {{type: string}} field - A normalized field.
+ * @returns {*} A value the rules reject.
+ */
+const invalidValue = (field) => (['string', 'email', 'tel', 'reference', 'timestamp'].includes(field.type) ? 42 : 'invalid');
+
+/**
+ * Generates the rules unit tests for a collection.
+ * @param {import('./generateStore.js').CollectionConfig} collectionConfig - The collection configuration.
+ * @param {Object} options
+ * @param {boolean} options.isAuth - Whether the collection is an auth collection.
+ * @param {boolean} options.hasAuth - Whether the project has any auth collection.
+ * @param {boolean} options.hasRoles - Whether role-based authorization is generated.
+ * @param {string[]} options.referencedBy - Collections with reference fields to this collection.
+ * @returns {string} A `describe` block.
+ */
+function buildCollectionTests(collectionConfig, { isAuth, hasAuth, hasRoles, referencedBy }) {
+  const { name } = collectionConfig;
+  const fields = Object.values(normalizeFields(collectionConfig.fields));
+  const sample = Object.fromEntries(fields.map(field => [field.name, sampleValue(field)]));
+  const typed = fields[0];
+  const required = fields.find(field => field.required);
+  const docPath = isAuth ? `${name}/alice` : `${name}/doc1`;
+  const tests = [];
+
+  if (isAuth) {
+    tests.push(`  it('lets users create their own profile', async () => {
+    await assertSucceeds(setDoc(doc(asUser('alice'), '${name}/alice'), valid));
+  });`);
+    tests.push(`  it('rejects writes to another user\\'s profile', async () => {
+    await assertFails(setDoc(doc(asUser('bob'), '${name}/alice'), valid));
+  });`);
+    if (referencedBy.length > 0) {
+      tests.push(`  it('lets signed-in users read the profiles ${referencedBy.join(', ')} refer to', async () => {
+    await seed('${name}/alice', valid);
+    await assertSucceeds(getDoc(doc(asUser('bob'), '${name}/alice')));
+    await assertFails(getDoc(doc(asGuest(), '${name}/alice')));
+  });`);
+    } else {
+      tests.push(`  it('hides profiles from other users', async () => {
+    await seed('${name}/alice', valid);
+    await assertFails(getDoc(doc(asUser('bob'), '${name}/alice')));
+    await assertFails(getDoc(doc(asGuest(), '${name}/alice')));
+  });`);
+    }
+    if (hasRoles) {
+      tests.push(`  it('does not let users grant themselves the ${ADMIN_ROLE} role', async () => {
+    await assertFails(setDoc(doc(asUser('alice'), '${name}/alice'), { ...valid, roles: ['${ADMIN_ROLE}'] }));
+    await seed('${name}/alice', valid);
+    await assertFails(updateDoc(doc(asUser('alice'), '${name}/alice'), { roles: ['${ADMIN_ROLE}'] }));
+  });`);
+      tests.push(`  it('leaves the roles to the setUserRoles function, even for admins', async () => {
+    await seed('${name}/alice', valid);
+    await assertFails(updateDoc(doc(asAdmin(), '${name}/alice'), { roles: ['${ADMIN_ROLE}'] }));
+  });`);
+      tests.push(`  it('only lets admins delete profiles', async () => {
+    await seed('${name}/alice', valid);
+    await assertFails(deleteDoc(doc(asUser('alice'), '${name}/alice')));
+    await assertSucceeds(deleteDoc(doc(asAdmin(), '${name}/alice')));
+  });`);
+    } else {
+      tests.push(`  it('lets users delete their own profile', async () => {
+    await seed('${name}/alice', valid);
+    await assertSucceeds(deleteDoc(doc(asUser('alice'), '${name}/alice')));
+  });`);
+    }
+  } else {
+    tests.push(`  it('accepts a valid document', async () => {
+    await assertSucceeds(setDoc(doc(${hasAuth ? `asUser('alice')` : 'asGuest()'}, '${docPath}'), valid));
+  });`);
+    if (hasAuth) {
+      tests.push(`  it('rejects reads and writes from signed-out users', async () => {
+    await seed('${docPath}', valid);
+    await assertFails(getDoc(doc(asGuest(), '${docPath}')));
+    await assertFails(setDoc(doc(asGuest(), '${docPath}'), valid));
+  });`);
+    }
+    tests.push(`  it('does not let updates change the creation stamps', async () => {
+    await seed('${docPath}', { ...valid, createdBy: 'alice' });
+    await assertFails(updateDoc(doc(${hasAuth ? `asUser('alice')` : 'asGuest()'}, '${docPath}'), { createdBy: 'bob' }));
+  });`);
+    if (collectionConfig.softDelete) {
+      const deleter = hasAuth ? `asUser('alice')` : 'asGuest()';
+      tests.push(`  it('only deletes documents that are in the trash', async () => {
+    await seed('${docPath}', { ...valid, deletedAt: null });
+    await assertFails(deleteDoc(doc(${deleter}, '${docPath}')));
+    await seed('${docPath}', { ...valid, deletedAt: Timestamp.now() });
+    await assertSucceeds(deleteDoc(doc(${deleter}, '${docPath}')));
+  });`);
+    }
+  }
+
+  const writer = isAuth || hasAuth ? `asUser('alice')` : 'asGuest()';
+  if (collectionConfig.versioned) {
+    const stamps = `versionedAt: serverTimestamp(), versionedBy: ${hasAuth ? "'alice'" : 'null'}`;
+    tests.push(`  it('lets versions be added but never changed', async () => {
+    await seed('${docPath}', valid);
+    const history = doc(${writer}, '${docPath}/history/v1');
+    await assertSucceeds(setDoc(history, { ...valid, ${stamps} }));
+    await assertFails(updateDoc(history, { versionedBy: 'bob' }));
+  });`);
+    tests.push(`  it('rejects forged versions', async () => {
+    const history = doc(${writer}, '${docPath}/history/v1');
+    // No document to version yet
+    await assertFails(setDoc(history, { ...valid, ${stamps} }));
+    await seed('${docPath}', valid);
+    await assertFails(setDoc(history, { ...valid, versionedAt: serverTimestamp(), versionedBy: 'mallory' }));
+    await assertFails(setDoc(history, { ...valid, versionedAt: Timestamp.fromMillis(0), versionedBy: ${hasAuth ? "'alice'" : 'null'} }));${typed ? `
+    await assertFails(setDoc(history, { ...valid, ${typed.name}: ${JSON.stringify(invalidValue(typed))}, ${stamps} }));` : ''}${collectionConfig.softDelete ? `
+    // Documents in the trash get no new versions
+    await seed('${docPath}', { ...valid, deletedAt: Timestamp.now() });
+    await assertFails(setDoc(history, { ...valid, ${stamps} }));` : ''}
+  });`);
+  }
+  if (typed) {
+    tests.push(`  it('rejects a ${typed.name} of the wrong type', async () => {
+    await assertFails(setDoc(doc(${writer}, '${docPath}'), { ...valid, ${typed.name}: ${JSON.stringify(invalidValue(typed))} }));
+  });`);
+  }
+  if (required) {
+    tests.push(`  it('rejects a document without the required ${required.name} field', async () => {
+    const { ${required.name}, ...incomplete } = valid;
+    await assertFails(setDoc(doc(${writer}, '${docPath}'), incomplete));
+  });`);
+  }
+
+  return `describe('${name}', () => {
+  const valid = ${JSON.stringify(sample, null, 2).replace(/\n/g, '\n  ')};
+
+${tests.join('\n\n')}
+});`;
+}
+
+/**
+ * Generates the content of the rules unit-test suite.
+ * @param {Object} options - Same options as buildFirestoreRules.
+ * @param {string} projectId - Emulator project ID, the same the `test:rules` script starts the emulator with.
+ * @returns {string} The test file.
+ */
+function buildRulesTests({ collections, authCollections, hasRoles, addActivityLogging }, projectId) {
+  const hasAuth = authCollections.length > 0;
+
+  const suites = collections.map(collectionConfig => buildCollectionTests(collectionConfig, {
+    isAuth: authCollections.includes(collectionConfig.name),
+    hasAuth,
+    hasRoles: hasRoles && hasAuth,
+    referencedBy: referencingCollections(collectionConfig.name, collections)
+  }));
+
+  if (addActivityLogging) {
+    const appender = hasAuth ? `asUser('alice')` : 'asGuest()';
+    suites.push(`describe('${ACTIVITY_COLLECTION}', () => {
+  const entry = { type: 'TEST_EVENT', description: 'Test', actorId: 'alice', timestamp: Timestamp.now() };
+
+  it('accepts new entries', async () => {
+    await assertSucceeds(setDoc(doc(${appender}, '${ACTIVITY_COLLECTION}/entry1'), entry));
+  });
+
+  it('never lets entries change or disappear', async () => {
+    await seed('${ACTIVITY_COLLECTION}/entry1', entry);
+    await assertFails(updateDoc(doc(${appender}, '${ACTIVITY_COLLECTION}/entry1'), { description: 'Changed' }));
+    await assertFails(deleteDoc(doc(${appender}, '${ACTIVITY_COLLECTION}/entry1')));
+  });
+});`);
+  }
+
+  return `/**
+ * Firestore security rules tests, generated by create-totistack.
+ * Run with \`npm run test:rules\`, which starts the Firestore emulator for the duration of the tests.
+ */
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc${addActivityLogging || collections.some(c => c.softDelete || c.versioned) ? ', Timestamp' : ''}${collections.some(c => c.versioned) ? ', serverTimestamp' : ''} } from 'firebase/firestore';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: '${projectId}',
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') }
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+/** Firestore instance of a signed-in user. */
+const asUser = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+/** Firestore instance of a signed-out visitor. */
+const asGuest = () => testEnv.unauthenticatedContext().firestore();
+
+/** Writes a document, bypassing the rules. */
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+${hasRoles && hasAuth ? `
+/** Firestore instance of the 'admin' user, whose ID token carries the ${ADMIN_ROLE} role claim. */
+const asAdmin = () => testEnv.authenticatedContext('admin', { roles: ['${ADMIN_ROLE}'] }).firestore();
+` : ''}
+${suites.join('\n\n')}
+`;
+}
+
+/**
+ * Generates `firestore.rules`, the rules test suite, and the `test:rules` npm script.
+ * The emulator the tests run against is configured in firebase.json (see generateFirebaseConfig).
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {Promise<void>}
+ */
+export default async function generateFirestoreRules(answers) {
+  try {
+    const collections = answers.collections.map(c => ({ ...c, name: toCamelCase(c.name).trim() }));
+    const options = {
+      collections,
+      authCollections: collections.filter(isAuthCollection).map(c => c.name),
+      hasRoles: (answers.roles || []).length > 0,
+      addActivityLogging: Boolean(answers.addActivityLogging)
+    };
+
+    writeGeneratedFile('firestore.rules', buildFirestoreRules(options));
+    // Same demo- project as the emulators, so the tests never reach a real project
+    const projectId = getEmulatorProjectId(answers.projectName);
+    writeGeneratedFile('tests/rules/firestore.rules.test.js', buildRulesTests(options, projectId));
+
+    updatePackageJson({
+      scripts: {
+        'test:rules': `firebase emulators:exec --only firestore --project ${projectId} "vitest run tests/rules"`
+      },
+      devDependencies: {
+        '@firebase/rules-unit-testing': '^5.0.0',
+        'firebase-tools': '^15.0.0',
+        vitest: '^5.0.0'
+      }
+    });
+
+    console.log(chalk.green('✅ Firestore security rules generated'));
+  } catch (error) {
+    throw new Error(`Error generating Firestore rules: ${error.message}`);
+  }
+}
@@ -1,5 +1,6 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { writeGeneratedFile } from './manifest.js';
 
 export default async function generateLanding() {
   const viewsDir = 'src/views';
@@ -298,5 +299,5 @@ const testimonials = ref([
 ]);
 </script>`;
   
-  await fs.writeFile(path.join(viewsDir, 'LandingPage.vue'), landingContent);
+  writeGeneratedFile(path.join(viewsDir, 'LandingPage.vue'), landingContent);
 }
\ No newline at end of file
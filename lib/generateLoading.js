@@ -1,5 +1,6 @@
 import fs from 'fs-extra';
 import path from 'path';
+import { writeGeneratedFile } from './manifest.js';
 
 /**
  * Generates authentication views, guards, layouts, and utility components like Skeleton, Toast, and Overlay.
@@ -9,29 +10,14 @@ import path from 'path';
 export default async function generateAuth() {
   const authStorePath = `@/stores/appStore`;
 
-  const guardDir = 'src/router/guards';
-  await fs.ensureDir(guardDir);
-
-  await fs.writeFile(path.join(guardDir, 'authGuard.js'), `import { useAppStore } from '${authStorePath}';
-
-export default (to, from, next) => {
-  const authStore = useAppStore();
-  if (to.meta.requiresAuth && !authStore.user) {
-    next('/login');
-  } else if (to.meta.guestOnly && authStore.user) {
-    next('/');
-  } else {
-    next();
-  }
-};`);
-
+  // authGuard.js is written by generateAuth, which knows the sign-in methods of the project
 
   const componentsDir = 'src/components';
   const composableDir = 'src/composables';
   await fs.ensureDir(componentsDir);
   await fs.ensureDir(composableDir);
 
-  await fs.writeFile(path.join(componentsDir, 'PageSpinner.vue'), `<template>
+  writeGeneratedFile(path.join(componentsDir, 'PageSpinner.vue'), `<template>
    <div v-if="isLoading" class="fixed inset-0 z-50 flex items-center justify-center bg-gray-50 bg-opacity-50">
      <div class="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-secondary"></div>
    </div>
@@ -50,7 +36,7 @@ export default (to, from, next) => {
 </style>
 `);
 
-  await fs.writeFile(path.join(componentsDir, 'Skeleton.vue'), `<template>
+  writeGeneratedFile(path.join(componentsDir, 'Skeleton.vue'), `<template>
   <div v-if="loading" :class="['auth-card', containerClass]">
     <div class="space-y-4">
       <div class="skeleton h-6 w-3/4 mx-auto rounded"></div>
@@ -83,7 +69,7 @@ defineProps({
 }
 </style>`);
 
-  await fs.writeFile(path.join(componentsDir, 'LoadingOverlay.vue'), `<script setup>
+  writeGeneratedFile(path.join(componentsDir, 'LoadingOverlay.vue'), `<script setup>
 import { ref } from 'vue';
 const isLoading = ref(false);
 const simulateLoading = () => {
@@ -103,7 +89,7 @@ const simulateLoading = () => {
   </div>
 </template>`);
 
-  await fs.writeFile(path.join(componentsDir, 'Loader.vue'), `<style scoped>
+  writeGeneratedFile(path.join(componentsDir, 'Loader.vue'), `<style scoped>
 
 @keyframes pulse {
 
@@ -144,7 +130,7 @@ defineProps({
 })
 </script>`);
 
-  await fs.writeFile(path.join(composableDir, 'useNotification.js'), `import { reactive } from 'vue'
+  writeGeneratedFile(path.join(composableDir, 'useNotification.js'), `import { reactive } from 'vue'
 const notification = reactive({ show: false, message: '' })
 export function useNotification() {
   function showNotification(message, duration = 3000) {
@@ -155,7 +141,7 @@ export function useNotification() {
   return { notification, showNotification }
 }`);
 
-  await fs.writeFile(path.join(componentsDir, 'toastNotification.vue'), `<template>
+  writeGeneratedFile(path.join(componentsDir, 'toastNotification.vue'), `<template>
   <div v-if="notification.show" class="fixed bottom-6 right-6 bg-green-600 text-white px-4 py-3 rounded-md shadow-lg">
     <div class="flex items-center">
       <i class="fas fa-check-circle mr-2"></i>
@@ -168,7 +154,7 @@ import { useNotification } from '@/composables/useNotification';
 const { notification } = useNotification();
 </script>`);
 
-  await fs.writeFile(path.join(composableDir, 'useAsyncActionGuard.js'), `import { ref, onBeforeUnmount } from 'vue';
+  writeGeneratedFile(path.join(composableDir, 'useAsyncActionGuard.js'), `import { ref, onBeforeUnmount } from 'vue';
 export function useAsyncActionGuard(unloadMessage = 'Changes in progress. Are you sure you want to leave?') {
   const isRunning = ref(false);
   const warnBeforeUnload = (e) => {
@@ -0,0 +1,159 @@
+/**
+ * @file generatePermissions.js
+ * @description Generates the app side of the permissions matrix: the `usePermissions()` composable,
+ * the `v-can` directive (registered in main.js) and the guard enforcing the routes' `meta.permissions`.
+ * The matrix itself is the store's permissions.js (helper/generatePermissionsModule.js), which the
+ * collection actions check too.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { isDryRun, writeGeneratedFile } from './manifest.js';
+import { hasRoleFunctions } from './generateRoleFunctions.js';
+import { buildPermissionGuard } from './generators/generateAuthGuard.js';
+import { findSourceFile } from './helper/helperF.js';
+
+/**
+ * Whether the project gets permission checks: a permissions matrix, on top of the roles custom claim.
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {boolean}
+ */
+export const hasPermissions = (answers) => Boolean(answers.enableRoles) && hasRoleFunctions(answers)
+  && Object.keys(answers.permissions || {}).length > 0;
+
+/**
+ * Builds `src/composables/usePermissions.js`.
+ * @param {string} appStore - Name of the store.
+ * @returns {string} The module.
+ */
+const composableContent = (appStore) => `import { computed } from 'vue';
+import { useAppStore } from '@/stores/${appStore}';
+import { can as userCan, hasPermission } from '@/stores/${appStore}/permissions';
+
+/**
+ * Permission checks for the current user, resolved from their roles by the permissions matrix
+ * (src/stores/${appStore}/permissions.js). Reactive: the checks follow sign-in and role changes.
+ * @example
+ * const { can } = usePermissions();
+ * can('create', 'products'); // or can('products.create')
+ */
+export function usePermissions() {
+  const store = useAppStore();
+
+  /** Roles of the current user (the \`roles\` custom claim) */
+  const roles = computed(() => store.currentUser?.roles || []);
+
+  /**
+   * Whether the current user may perform an action on a resource.
+   * @param {string} action - Action, or a whole \`<resource>.<action>\` permission
+   * @param {string} [resource] - Resource, when action is not a whole permission
+   * @returns {boolean}
+   */
+  const can = (action, resource) => (resource === undefined
+    ? hasPermission(store.currentUser, action)
+    : userCan(store.currentUser, action, resource));
+
+  /**
+   * The opposite of can.
+   * @param {string} action - Action, or a whole \`<resource>.<action>\` permission
+   * @param {string} [resource] - Resource
+   * @returns {boolean}
+   */
+  const cannot = (action, resource) => !can(action, resource);
+
+  return { roles, can, cannot };
+}
+`;
+
+/**
+ * Builds `src/directives/can.js`.
+ * @returns {string} The module.
+ */
+const directiveContent = () => `import { shallowRef, watchEffect } from 'vue';
+import { usePermissions } from '@/composables/usePermissions';
+
+/**
+ * v-can: hides an element (display: none) unless the current user has the permissions, and shows
+ * it again when they get them. Hiding is for the interface only: the store actions, the router
+ * guard and the security rules still check. Do not combine with v-show on the same element.
+ * @example
+ * <button v-can="'products.create'">New product</button>
+ * <button v-can:delete="'products'">Delete</button>
+ * <section v-can="['products.update', 'products.delete']">...</section> <!-- needs all of them -->
+ */
+
+// Binding and stop handle of each element the directive is on
+const bound = new WeakMap();
+
+/**
+ * Whether a binding's permissions are granted.
+ * @param {function(string, string=): boolean} can - From usePermissions
+ * @param {{arg?: string, value: string|string[]}} binding - Action as argument, resources or permissions as value
+ * @returns {boolean}
+ */
+const isAllowed = (can, { arg, value }) => [].concat(value ?? [])
+  .every(item => (arg ? can(arg, item) : can(item)));
+
+export const vCan = {
+  mounted(el, binding) {
+    const { can } = usePermissions();
+    const current = shallowRef({ arg: binding.arg, value: binding.value });
+    const display = el.style.display;
+    const stop = watchEffect(() => {
+      el.style.display = isAllowed(can, current.value) ? display : 'none';
+    });
+    bound.set(el, { current, stop });
+  },
+  updated(el, binding) {
+    const state = bound.get(el);
+    if (state) state.current.value = { arg: binding.arg, value: binding.value };
+  },
+  beforeUnmount(el) {
+    bound.get(el)?.stop();
+    bound.delete(el);
+  }
+};
+`;
+
+/**
+ * Registers v-can in `src/main.js` (or main.ts), which the project creation wrote. Runs on every
+ * generation and leaves a main file that already registers it alone.
+ * @returns {Promise<boolean>} Whether main registers v-can.
+ */
+async function registerDirective() {
+  const mainPath = findSourceFile(path.join('src', 'main'));
+  if (!(await fs.pathExists(mainPath))) return false;
+  let main = await fs.readFile(mainPath, 'utf8');
+  if (main.includes("app.directive('can'")) return true;
+  if (!/^app\.mount\(/m.test(main)) return false;
+  if (isDryRun()) return true;
+
+  main = `import { vCan } from '@/directives/can';\n${main}`
+    .replace(/^app\.mount\(/m, "app.directive('can', vCan);\napp.mount(");
+  await fs.writeFile(mainPath, main);
+  return true;
+}
+
+/**
+ * Generates usePermissions, v-can and permissionGuard, and registers v-can in main.
+ * The router uses the guard (see generateRouter).
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {Promise<void>}
+ */
+export default async function generatePermissions(answers) {
+  if (!hasPermissions(answers)) return;
+  try {
+    const appStore = answers.appStore || 'appStore';
+    writeGeneratedFile('src/composables/usePermissions.js', composableContent(appStore));
+    writeGeneratedFile('src/directives/can.js', directiveContent());
+    writeGeneratedFile('src/router/guards/permissionGuard.js', buildPermissionGuard({ appStore }));
+
+    if (!(await registerDirective())) {
+      console.log(chalk.yellow("  Register v-can in your main file if it is not: app.directive('can', vCan) (from '@/directives/can')."));
+    }
+    console.log(chalk.green('✅ Permissions generated (usePermissions, v-can, permissionGuard)'));
+  } catch (error) {
+    throw new Error(`Error generating permissions: ${error.message}`);
+  }
+}
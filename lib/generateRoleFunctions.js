@@ -0,0 +1,287 @@
+/**
+ * @file generateRoleFunctions.js
+ * @description Generates the Cloud Functions that own the roles: roles are Firebase Auth custom
+ * claims, which only the Admin SDK can set. The `setUserRoles` callable lets admins change them from
+ * the app (assignRoles/revokeRoles in the store), and `scripts/set-roles.js` grants the first admin.
+ */
+
+import chalk from 'chalk';
+import { writeGeneratedFile } from './manifest.js';
+import { isAuthCollection } from './generateStore.js';
+import { toCamelCase } from './helper/helperF.js';
+import { updatePackageJson } from './helper/utils.js';
+
+/** Role allowed to change roles, as checked by `_checkRole('admin')` and the security rules. */
+const ADMIN_ROLE = 'admin';
+
+/**
+ * Whether the project gets the role functions: it needs roles and an auth collection to keep them on.
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {boolean}
+ */
+export const hasRoleFunctions = (answers) => (answers.roles || []).length > 0 && answers.collections.some(isAuthCollection);
+
+/**
+ * Builds `functions/roles.js`, the `setUserRoles` callable function.
+ * @param {string[]} roles - Roles users may be given, the admin role included.
+ * @param {string} profileCollection - Auth collection whose profiles keep a copy of the roles.
+ * @returns {string} The module.
+ */
+const rolesModuleContent = (roles, profileCollection) => `/**
+ * Role management, generated by create-totistack from the roles in totistack.config.json.
+ * Roles are the \`roles\` custom claim of Firebase Auth users: the web app reads them from the ID
+ * token (getIdTokenResult) and the security rules from request.auth.token. Only admins may change
+ * them, through the setUserRoles callable function.
+ */
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { logger } = require("firebase-functions");
+const { getAuth } = require("firebase-admin/auth");
+const { getFirestore } = require("firebase-admin/firestore");
+
+/** Roles users may be given. */
+const ROLES = ${JSON.stringify(roles)};
+
+/** Role allowed to change roles. */
+const ADMIN_ROLE = "${ADMIN_ROLE}";
+
+/** Collection whose profiles keep a copy of the roles, for lists such as the admin Users view. */
+const PROFILE_COLLECTION = "${profileCollection}";
+
+/**
+ * Reads the roles of custom claims or of a decoded ID token.
+ * @param {Object} [claims]
+ * @return {string[]}
+ */
+const readRoles = (claims) => (Array.isArray(claims?.roles) ? claims.roles : []);
+
+/**
+ * Checks a list of roles sent by the client.
+ * @param {string} name - Name of the parameter, for the error message
+ * @param {*} [value=[]]
+ * @return {string[]}
+ */
+const parseRoles = (name, value = []) => {
+  if (!Array.isArray(value) || value.some((role) => typeof role !== "string")) {
+    throw new HttpsError("invalid-argument", \`\${name} must be an array of role names.\`);
+  }
+  const unknown = value.filter((role) => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new HttpsError("invalid-argument", \`Unknown roles: \${unknown.join(", ")}. Roles: \${ROLES.join(", ")}.\`);
+  }
+  return value;
+};
+
+/**
+ * Adds and removes roles of a user: updates the \`roles\` custom claim, keeping the other claims,
+ * then the copy on the user's profile when it exists.
+ * @param {string} uid
+ * @param {{add?: string[], remove?: string[]}} change
+ * @return {Promise<string[]>} The user's roles
+ */
+const updateRoles = async (uid, { add = [], remove = [] }) => {
+  const user = await getAuth().getUser(uid);
+  const roles = [...new Set([...readRoles(user.customClaims), ...add])].filter((role) => !remove.includes(role));
+  await getAuth().setCustomUserClaims(uid, { ...user.customClaims, roles });
+
+  const profile = getFirestore().collection(PROFILE_COLLECTION).doc(uid);
+  if ((await profile.get()).exists) {
+    await profile.update({ roles });
+  }
+  return roles;
+};
+
+/**
+ * Adds and removes roles of a user; admins only.
+ * Called by the store: \`httpsCallable(functions, "setUserRoles")({ uid, add: ["editor"], remove: [] })\`.
+ * The user gets the new roles with their next ID token: within the hour, or right away after
+ * \`getIdToken(true)\`.
+ */
+exports.setUserRoles = onCall(async (request) => {
+  if (!request.auth) {
+    throw new HttpsError("unauthenticated", "Sign in to change roles.");
+  }
+  if (!readRoles(request.auth.token).includes(ADMIN_ROLE)) {
+    throw new HttpsError("permission-denied", \`Only users with the \${ADMIN_ROLE} role may change roles.\`);
+  }
+
+  const { uid, add, remove } = request.data || {};
+  if (typeof uid !== "string" || !uid) {
+    throw new HttpsError("invalid-argument", "uid must be a user ID.");
+  }
+  const change = { add: parseRoles("add", add), remove: parseRoles("remove", remove) };
+  // Leaves at least one admin able to change roles
+  if (uid === request.auth.uid && change.remove.includes(ADMIN_ROLE)) {
+    throw new HttpsError("failed-precondition", \`You cannot remove your own \${ADMIN_ROLE} role.\`);
+  }
+
+  try {
+    const roles = await updateRoles(uid, change);
+    logger.info("Roles changed", { uid, roles, changedBy: request.auth.uid });
+    return { uid, roles };
+  } catch (error) {
+    if (error.code === "auth/user-not-found") {
+      throw new HttpsError("not-found", \`No user with the ID \${uid}.\`);
+    }
+    throw error;
+  }
+});
+
+exports.updateRoles = updateRoles;
+`;
+
+/**
+ * Builds `functions/index.js`. It keeps the markers the functions generator
+ * (lib/helper/generateFirebaseFunctions.js) appends its functions at.
+ * @returns {string} The module.
+ */
+const indexContent = () => `/**
+ * Cloud Functions of the project, generated by create-totistack.
+ */
+const admin = require("firebase-admin");
+
+// Initialize Firebase
+admin.initializeApp();
+
+const { setUserRoles } = require("./roles");
+
+// Export your functions below this line
+// Generated functions will be appended here
+
+module.exports = {
+  setUserRoles
+};
+`;
+
+/**
+ * Builds `scripts/set-roles.js`, which sets roles with the Admin SDK. Admins change roles in the
+ * app; the first admin is granted with this script.
+ * @param {string[]} roles - Roles users may be given, the admin role included.
+ * @param {string} profileCollection - Auth collection whose profiles keep a copy of the roles.
+ * @returns {string} The script.
+ */
+const setRolesScriptContent = (roles, profileCollection) => `/**
+ * Sets the roles of a user, generated by create-totistack. Admins change roles in the app (the
+ * setUserRoles Cloud Function); this script grants the first ${ADMIN_ROLE} role, which nobody can grant yet.
+ *
+ * Usage:
+ *   node scripts/set-roles.js <email or uid> [roles] [--emulator]
+ *
+ *   roles       Comma-separated roles replacing the user's roles (e.g. ${roles.slice(0, 2).join(',')}), or "none".
+ *               Without roles, prints the user's roles.
+ *   --emulator  Use the Local Emulator Suite (also enabled by VITE_FIREBASE_EMULATOR=true).
+ */
+import path from 'node:path';
+import dotenv from 'dotenv';
+import admin from 'firebase-admin';
+
+const ROLES = ${JSON.stringify(roles)};
+const PROFILE_COLLECTION = '${profileCollection}';
+
+const args = process.argv.slice(2);
+const useEmulator = args.includes('--emulator') || process.env.VITE_FIREBASE_EMULATOR === 'true';
+const [target, roleList] = args.filter(arg => !arg.startsWith('--'));
+
+/**
+ * Connects the Admin SDK, to the emulators when requested (same credentials as seed.js).
+ */
+function initialize() {
+  // .env.emulator wins when using the emulators
+  if (useEmulator) {
+    dotenv.config({ path: path.resolve(process.cwd(), '.env.emulator'), quiet: true });
+    process.env.FIREBASE_AUTH_EMULATOR_HOST ||= 'localhost:9099';
+    process.env.FIRESTORE_EMULATOR_HOST ||= 'localhost:8080';
+    admin.initializeApp({ projectId: process.env.VITE_FIREBASE_PROJECT_ID });
+    return;
+  }
+  dotenv.config({ path: path.resolve(process.cwd(), '.env'), quiet: true });
+  admin.initializeApp({
+    projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+    credential: admin.credential.cert({
+      projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_ADMIN_CLIENT_EMAIL,
+      privateKey: (process.env.FIREBASE_ADMIN_PRIVATE_KEY || '').replace(/\\\\n/g, '\\n')
+    })
+  });
+}
+
+async function setRoles() {
+  if (!target) {
+    throw new Error('Usage: node scripts/set-roles.js <email or uid> [roles] [--emulator]');
+  }
+  initialize();
+
+  const auth = admin.auth();
+  const user = target.includes('@') ? await auth.getUserByEmail(target) : await auth.getUser(target);
+  const name = user.email || user.uid;
+  if (roleList === undefined) {
+    const current = Array.isArray(user.customClaims?.roles) ? user.customClaims.roles : [];
+    console.log(\`\${name}: \${current.join(', ') || 'no roles'}\`);
+    return;
+  }
+
+  const roles = roleList === 'none' ? [] : [...new Set(roleList.split(',').map(role => role.trim()).filter(Boolean))];
+  const unknown = roles.filter(role => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(\`Unknown roles: \${unknown.join(', ')}. Roles: \${ROLES.join(', ')}.\`);
+  }
+
+  await auth.setCustomUserClaims(user.uid, { ...user.customClaims, roles });
+  // Same copy on the profile as the setUserRoles function keeps
+  const profile = admin.firestore().collection(PROFILE_COLLECTION).doc(user.uid);
+  if ((await profile.get()).exists) {
+    await profile.update({ roles });
+  }
+  console.log(\`✅ \${name}: \${roles.join(', ') || 'no roles'}. Signed-in sessions get the new roles within the hour, or when signing in again.\`);
+}
+
+setRoles().catch((error) => {
+  console.error(\`❌ \${error.message}\`);
+  process.exit(1);
+});
+`;
+
+/**
+ * Generates the `functions/` codebase with the `setUserRoles` callable, and `scripts/set-roles.js`
+ * with its npm scripts. firebase.json points at the codebase (see generateFirebaseConfig).
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {Promise<void>}
+ */
+export default async function generateRoleFunctions(answers) {
+  if (!hasRoleFunctions(answers)) return;
+  try {
+    const roles = [...new Set([ADMIN_ROLE, ...answers.roles])];
+    const profileCollection = toCamelCase(answers.collections.find(isAuthCollection).name).trim();
+
+    writeGeneratedFile('functions/package.json', `${JSON.stringify({
+      name: 'functions',
+      private: true,
+      main: 'index.js',
+      engines: { node: '22' },
+      scripts: {
+        deploy: 'firebase deploy --only functions'
+      },
+      dependencies: {
+        'firebase-admin': '^14.0.0',
+        'firebase-functions': '^7.0.0'
+      }
+    }, null, 2)}\n`);
+    writeGeneratedFile('functions/index.js', indexContent());
+    writeGeneratedFile('functions/roles.js', rolesModuleContent(roles, profileCollection));
+    writeGeneratedFile('scripts/set-roles.js', setRolesScriptContent(roles, profileCollection));
+
+    updatePackageJson({
+      scripts: {
+        roles: 'node scripts/set-roles.js',
+        'roles:emulator': 'node scripts/set-roles.js --emulator'
+      },
+      devDependencies: {
+        'firebase-admin': '^14.0.0',
+        dotenv: '^18.0.0'
+      }
+    });
+
+    console.log(chalk.green('✅ Role functions generated (functions/roles.js, scripts/set-roles.js)'));
+  } catch (error) {
+    throw new Error(`Error generating the role functions: ${error.message}`);
+  }
+}
@@ -1,28 +1,166 @@
 import fs from 'fs-extra';
 import path from 'path';
 import chalk from 'chalk'; // Assuming chalk is available and used for logging
-import { toPascalCase, toCamelCase } from './helper/helperF.js'; // Ensure these are correctly imported
+import { writeGeneratedFile } from './manifest.js';
+import { toPascalCase, toCamelCase, capitalize, sourceExtension, findSourceFile } from './helper/helperF.js'; // Ensure these are correctly imported
+import { hasPermissions } from './generatePermissions.js';
  
 /**
  * @typedef {Object} CollectionConfig
  * @property {string} name - The name of the Firestore collection.
  * @property {Object.<string, string>} fields - An object where keys are field names and values are their data types.
  * @property {string} [dataType='object'] - The overall data type of the documents in the collection.
+ * @property {boolean} [softDelete=false] - Whether the collection has a trash (and an admin Trash view).
  */
 
 /**
- * Generates the Vue Router configuration file (index.js) and associated view files.
+ * Builds the List, Create and Edit route records for a collection, plus the admin Trash route of
+ * soft-delete collections when the admin panel is enabled.
+ * @param {CollectionConfig} collectionConfig - The collection configuration.
+ * @param {Object} [options]
+ * @param {boolean} [options.enableAdmin=false] - Whether the admin panel exists.
+ * @param {boolean} [options.enableRoles=false] - Whether the Trash route is restricted to admins.
+ * @param {boolean} [options.enablePermissions=false] - Whether the routes list the permission they need
+ *   (read, create, update, and delete for the Trash) in meta.permissions, for permissionGuard.
+ * @returns {Object[]} Route records with lazy-load component strings.
+ */
+export function buildCollectionRoutes(collectionConfig, { enableAdmin = false, enableRoles = false, enablePermissions = false } = {}) {
+  const pascalCollectionName = toPascalCase(collectionConfig.name);
+  const camelCollectionName = toCamelCase(collectionConfig.name);
+  const permissions = (action) => (enablePermissions ? { permissions: [`${camelCollectionName}.${action}`] } : {});
+  const trashRoutes = collectionConfig.softDelete && enableAdmin
+    ? [{
+      path: `/admin/trash/${camelCollectionName}`,
+      name: `${pascalCollectionName}Trash`,
+      component: `() => import('@/views/admin/trash/${capitalize(camelCollectionName)}TrashView.vue')`,
+      // meta.trash lists the route in the AdminLayout sidebar
+      meta: { layout: 'AdminLayout', requiresAuth: true, requiresAdmin: enableRoles, trash: camelCollectionName, ...permissions('delete') }
+    }]
+    : [];
+
+  return [
+    {
+      path: `/${camelCollectionName}`,
+      name: `${pascalCollectionName}List`,
+      component: `() => import('@/views/${camelCollectionName}/List.vue')`,
+      meta: { layout: 'AppLayout', requiresAuth: true, ...permissions('read') }
+    },
+    {
+      path: `/${camelCollectionName}/create`,
+      name: `${pascalCollectionName}Create`,
+      component: `() => import('@/views/${camelCollectionName}/Create.vue')`,
+      meta: { layout: 'AppLayout', requiresAuth: true, ...permissions('create') } // Assuming these forms require auth
+    },
+    {
+      path: `/${camelCollectionName}/edit/:id`,
+      name: `${pascalCollectionName}Edit`,
+      component: `() => import('@/views/${camelCollectionName}/Edit.vue')`,
+      props: true, // Pass route params as props to the component
+      meta: { layout: 'AppLayout', requiresAuth: true, ...permissions('update') } // Assuming these forms require auth
+    },
+    ...trashRoutes
+  ];
+}
+
+/**
+ * Serializes route records to source code.
+ * Stringifies the routes and then replaces the quoted lazy-load function string
+ * with the actual function, removing the quotes added by JSON.stringify.
+ * This step is crucial because JSON.stringify will quote the function string.
+ * @param {Object|Object[]} routes - A route record or an array of route records.
+ * @returns {string} The routes as JavaScript source.
+ */
+export function stringifyRoutes(routes) {
+  return JSON.stringify(routes, null, 2)
+    .replace(/"component": "(\(\) => import\('[^']+'\))"/g, '"component": $1');
+}
+
+/**
+ * Inserts the routes of a collection into an existing src/router/index.js (or index.ts), just
+ * before the catch-all fallback route. Routes already present (matched by name) are skipped, so
+ * routes added in later versions can be inserted into older routers.
+ * @param {CollectionConfig} collectionConfig - The collection configuration.
+ * @param {Object} [options] - Admin options, see buildCollectionRoutes.
+ * @returns {Promise<boolean>} False if all the routes were already present.
+ * @throws {Error} If the router file cannot be updated automatically.
+ */
+export async function addCollectionRoutes(collectionConfig, options) {
+  const routerFilePath = findSourceFile(path.join('src/router', 'index'));
+  if (!(await fs.pathExists(routerFilePath))) {
+    throw new Error(`Router file not found: ${routerFilePath}`);
+  }
+
+  let content = await fs.readFile(routerFilePath, 'utf8');
+  const newRoutes = buildCollectionRoutes(collectionConfig, options)
+    .filter(route => !content.includes(`"name": "${route.name}"`));
+  if (newRoutes.length === 0) {
+    return false;
+  }
+
+  const fallbackMatch = content.match(/\n([ \t]*)\{\s*\n\s*"path": "\/:pathMatch\(\.\*\)\*"/);
+  if (!fallbackMatch) {
+    throw new Error(`Could not find the fallback route in ${routerFilePath}`);
+  }
+
+  const indent = fallbackMatch[1];
+  const routeSource = newRoutes
+    .map(route => stringifyRoutes(route).split('\n').map(line => indent + line).join('\n'))
+    .join(',\n');
+
+  const insertAt = fallbackMatch.index + 1;
+  content = content.slice(0, insertAt) + routeSource + ',\n' + content.slice(insertAt);
+  await fs.writeFile(routerFilePath, content);
+  return true;
+}
+
+/**
+ * Builds the RouteMeta augmentation of a TypeScript router, listing the meta keys the generated routes use.
+ * @param {Object} answers - The project answers.
+ * @param {boolean} answers.enableAdmin - Whether the admin layout exists.
+ * @param {boolean} [answers.enableAnonymous=false] - Whether guests (anonymous sessions) exist.
+ * @param {Object} [answers.permissions] - Permissions matrix; routes then have meta.permissions.
+ * @returns {string} The `declare module 'vue-router'` block.
+ */
+function buildRouteMetaTypes(answers) {
+  const { enableAdmin, enableAnonymous = false } = answers;
+  const layouts = ['AppLayout', 'GuestLayout', ...(enableAdmin ? ['AdminLayout'] : [])];
+  return `declare module 'vue-router' {
+  interface RouteMeta {
+    /** Layout component wrapping the view */
+    layout?: ${layouts.map(layout => `'${layout}'`).join(' | ')};
+    /** Only signed-in users may open the route */
+    requiresAuth?: boolean;
+    /** Only admins may open the route */
+    requiresAdmin?: boolean;
+    /** Only signed-out users${enableAnonymous ? ' and guests' : ''} may open the route (login, register, ...) */
+    guestOnly?: boolean;
+    /** Roles allowed to open the route (any of them), checked by roleGuard against the roles custom claim */
+    roles?: string[];${hasPermissions(answers) ? `
+    /** Permissions (\`<resource>.<action>\`) needed to open the route (all of them), checked by permissionGuard */
+    permissions?: string[];` : ''}${enableAdmin ? `
+    /** Collection whose admin Trash view the route shows (listed in the AdminLayout sidebar) */
+    trash?: string;` : ''}
+  }
+}`;
+}
+
+/**
+ * Generates the Vue Router configuration file (index.js, or index.ts with typed meta) and associated view files.
  *
  * @param {object} answers - An object containing user preferences for features and collections.
  * @param {boolean} answers.enableAuth - Whether authentication support is enabled.
  * @param {boolean} answers.enableRoles - Whether role-based authorization is enabled.
  * @param {boolean} answers.enableAuthViews - Whether authentication views (Login, Register) are enabled.
+ * @param {boolean} [answers.enableEmailLink=false] - Whether the /finish-sign-in route of email-link sign-in is added.
  * @param {boolean} answers.enableAdmin - Whether the admin panel is enabled.
  * @param {boolean} answers.enableLanding - Whether a landing page is enabled.
  * @param {CollectionConfig[]} answers.collections - Array of collection configurations.
+ * @param {boolean} [answers.typescript=false] - Whether to generate index.ts with typed routes and meta.
+ * @param {Object} [answers.permissions] - Permissions matrix; collection routes then list the permission they need, enforced by permissionGuard.
  */
 export default async function generateRouter(answers) {
-  const { enableAuth, enableRoles, enableAuthViews, enableAdmin, enableLanding, collections } = answers;
+  const { enableAuth, enableRoles, enableAuthViews, enableEmailLink = false, enableAdmin, enableLanding, collections, typescript = false } = answers;
+  const enablePermissions = hasPermissions(answers);
 
   const routerDir = 'src/router';
   await fs.ensureDir(routerDir);
@@ -84,6 +222,13 @@ export default async function generateRouter(answers) {
         component: getStandardComponentLazyImportPath('VerifyEmailView', 'auth'),
         meta: { layout: 'GuestLayout', guestOnly: true }
       },
+      ...(enableEmailLink ? [{
+        // Opened from the email-link sign-in emails; guests may open it too, to upgrade their session
+        path: '/finish-sign-in',
+        name: 'FinishSignIn',
+        component: getStandardComponentLazyImportPath('FinishSignInView', 'auth'),
+        meta: { layout: 'GuestLayout' }
+      }] : []),
       {
         path: '/unauthorized',
         name: 'Unauthorized',
@@ -131,27 +276,10 @@ export default async function generateRouter(answers) {
     );
   }
 
-  // NEW: Add routes for each collection's Create and Edit components
+  // List, Create and Edit routes of each collection
   if (collections && collections.length > 0) {
     for (const collectionConfig of collections) {
-      const pascalCollectionName = toPascalCase(collectionConfig.name);
-      const camelCollectionName = toCamelCase(collectionConfig.name);
-
-      routes.push(
-        {
-          path: `/${camelCollectionName}/create`,
-          name: `${pascalCollectionName}Create`,
-          component: `() => import('@/views/${camelCollectionName}/Create.vue')`,
-          meta: { layout: 'AppLayout', requiresAuth: true } // Assuming these forms require auth
-        },
-        {
-          path: `/${camelCollectionName}/edit/:id`,
-          name: `${pascalCollectionName}Edit`,
-          component: `() => import('@/views/${camelCollectionName}/Edit.vue')`,
-          props: true, // Pass route params as props to the component
-          meta: { layout: 'AppLayout', requiresAuth: true } // Assuming these forms require auth
-        }
-      );
+      routes.push(...buildCollectionRoutes(collectionConfig, { enableAdmin, enableRoles, enablePermissions }));
     }
   }
 
@@ -161,20 +289,16 @@ export default async function generateRouter(answers) {
     redirect: '/'
   });
 
-  // Stringify processedRoutes and then replace the quoted lazy-load function string
-  // with the actual function, removing the quotes added by JSON.stringify.
-  // This step is crucial because JSON.stringify will quote the function string.
-  const routesString = JSON.stringify(routes, null, 2)
-    .replace(/"component": "(\(\) => import\('[^']+'\))"/g, '"component": $1');
+  const routesString = stringifyRoutes(routes);
 
-  // Generate router/index.js content
+  // Generate router/index.js (or index.ts) content
   const content = `/**
  * @title Router Configuration
  * @description Vue Router setup with generated routes and loading indicator integration
  * @author Generated by create-totistack |XBEN SOMMO
  * @created ${new Date().toISOString()}
  */
-import { createRouter, createWebHistory } from 'vue-router';
+import { createRouter, createWebHistory } from 'vue-router';${typescript ? "\nimport type { RouteRecordRaw } from 'vue-router';" : ''}
 import { useAppStore } from '@/stores/appStore'; // Import the loading store
 
 // Import layouts (components will be lazy-loaded)
@@ -185,8 +309,9 @@ ${enableAdmin ? "import AdminLayout from '@/layouts/AdminLayout.vue';" : ''}
 // Import navigation guards (if enabled)
 ${enableAuth ? "import authGuard from '@/router/guards/authGuard';" : ''}
 ${enableRoles ? "import roleGuard from '@/router/guards/roleGuard';" : ''}
+${enablePermissions ? "import permissionGuard from '@/router/guards/permissionGuard';" : ''}
 
-const routes = ${routesString};
+${typescript ? `${buildRouteMetaTypes(answers)}\n\n` : ''}const routes${typescript ? ': RouteRecordRaw[]' : ''} = ${routesString};
 
 const router = createRouter({
   history: createWebHistory(import.meta.env.BASE_URL),
@@ -200,9 +325,12 @@ router.beforeEach((to, from, next) => {
   next();
 });
 
-router.afterEach(() => {
+router.afterEach((to, from) => {
   const appStore = useAppStore(); // Get the store instance inside afterEach
   appStore.hideLoading(); // Hide loading spinner after navigation
+  if (to.path !== from.path) {
+    appStore.unsubscribeAll({ routeScoped: true }); // Stop the real-time listeners of the page left
+  }
 });
 
 router.onError(() => {
@@ -212,11 +340,12 @@ router.onError(() => {
 
 ${enableAuth ? 'router.beforeEach(authGuard);' : ''}
 ${enableRoles ? 'router.beforeEach(roleGuard);' : ''}
+${enablePermissions ? 'router.beforeEach(permissionGuard);' : ''}
 
 export default router;`;
 
-  const routerFilePath = path.join(routerDir, 'index.js');
-  await fs.writeFile(routerFilePath, content);
+  const routerFilePath = path.join(routerDir, `index.${sourceExtension(typescript)}`);
+  writeGeneratedFile(routerFilePath, content);
   console.log(chalk.green(`  ✅ Router configuration generated at ${routerFilePath}`));
 
   // Create placeholder views if they don't exist
@@ -238,7 +367,7 @@ export default router;`;
     <p class="mt-4 text-gray-600">Start building your features here!</p>
   </div>
 </template>`;
-    await fs.writeFile(path.join(viewsDir, 'HomeView.vue'), homeContent);
+    writeGeneratedFile(path.join(viewsDir, 'HomeView.vue'), homeContent);
     console.log(`  📄 Generated ${path.join(viewsDir, 'HomeView.vue')}`);
   } else {
     const landingContent = `<!--
@@ -266,7 +395,7 @@ export default router;`;
     </div>
   </div>
 </template>`;
-    await fs.writeFile(path.join(viewsDir, 'LandingPage.vue'), landingContent);
+    writeGeneratedFile(path.join(viewsDir, 'LandingPage.vue'), landingContent);
     console.log(`  📄 Generated ${path.join(viewsDir, 'LandingPage.vue')}`);
   }
 
@@ -275,7 +404,8 @@ export default router;`;
     const authViewsDir = path.join(viewsDir, 'auth');
     await fs.ensureDir(authViewsDir);
 
-    const authViewNames = ['LoginView', 'RegisterView', 'ForgotPasswordView', 'ResetPasswordView', 'VerifyEmailView', 'UnauthorizedView'];
+    const authViewNames = ['LoginView', 'RegisterView', 'ForgotPasswordView', 'ResetPasswordView', 'VerifyEmailView', 'UnauthorizedView',
+      ...(enableEmailLink ? ['FinishSignInView'] : [])];
     for (const viewName of authViewNames) {
       const content = `<!--
 * @title ${viewName}
@@ -292,7 +422,7 @@ export default router;`;
     </div>
   </div>
 </template>`;
-      await fs.writeFile(path.join(authViewsDir, `${viewName}.vue`), content);
+      writeGeneratedFile(path.join(authViewsDir, `${viewName}.vue`), content);
       console.log(`  📄 Generated ${path.join(authViewsDir, `${viewName}.vue`)}`);
     }
 
@@ -312,7 +442,7 @@ export default router;`;
     </div>
   </div>
 </template>`;
-    await fs.writeFile(path.join(viewsDir, 'AccountView.vue'), accountViewContent);
+    writeGeneratedFile(path.join(viewsDir, 'AccountView.vue'), accountViewContent);
     console.log(`  📄 Generated ${path.join(viewsDir, 'AccountView.vue')}`);
 
     const settingsViewContent = `<!--
@@ -330,7 +460,7 @@ export default router;`;
     </div>
   </div>
 </template>`;
-    await fs.writeFile(path.join(viewsDir, 'SettingsView.vue'), settingsViewContent);
+    writeGeneratedFile(path.join(viewsDir, 'SettingsView.vue'), settingsViewContent);
     console.log(`  📄 Generated ${path.join(viewsDir, 'SettingsView.vue')}`);
   }
 
@@ -356,7 +486,7 @@ export default router;`;
     </div>
   </div>
 </template>`;
-      await fs.writeFile(path.join(adminViewsDir, `${viewName}.vue`), content);
+      writeGeneratedFile(path.join(adminViewsDir, `${viewName}.vue`), content);
       console.log(`  📄 Generated ${path.join(adminViewsDir, `${viewName}.vue`)}`);
     }
   }
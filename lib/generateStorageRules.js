@@ -0,0 +1,107 @@
+/**
+ * @file generateStorageRules.js
+ * @description Generates `storage.rules` from the file, image and files fields of the collections, so
+ * the size and type limits the generated FileUpload component checks are also enforced by Cloud Storage.
+ */
+
+import chalk from 'chalk';
+import { writeGeneratedFile } from './manifest.js';
+import { isAuthCollection } from './generateStore.js';
+import { toCamelCase } from './helper/helperF.js';
+import { normalizeFields, isFileField, getFileLimits } from './helper/fields.js';
+
+/**
+ * Turns MIME patterns into the RE2 expression matched against `request.resource.contentType`
+ * (['image/*', 'application/pdf'] -> 'image/.*|application/pdf').
+ * @param {string[]} accept - MIME types, `*` standing for any subtype.
+ * @returns {string} The expression, escaped for a single-quoted rules string.
+ */
+const contentTypePattern = (accept) => accept
+  .map(type => type.replace(/[.+]/g, '\\\\$&').replace('*', '.*'))
+  .join('|');
+
+/**
+ * Builds the match block of a file field. Files are uploaded to `<collection>/<field>/<file name>`.
+ * @param {string} collectionName - Collection name (camelCase).
+ * @param {ReturnType<typeof normalizeFields>[string]} field - A normalized file field.
+ * @param {string} signedIn - Rules expression required for reads and writes.
+ * @returns {string} The match block.
+ */
+function buildFieldRules(collectionName, field, signedIn) {
+  const { accept, maxSize } = getFileLimits(field);
+  const checks = [signedIn, `request.resource.size <= ${maxSize} * 1024 * 1024`];
+  if (accept.length > 0) checks.push(`request.resource.contentType.matches('${contentTypePattern(accept)}')`);
+
+  return `    // ${collectionName}.${field.name}: ${accept.length ? accept.join(', ') : 'any type'} up to ${maxSize} MB
+    match /${collectionName}/${field.name}/{fileName} {
+      allow read, delete: if ${signedIn};
+      allow create, update: if ${checks.join(' && ')};
+    }`;
+}
+
+/**
+ * Generates the content of `storage.rules`.
+ * @param {Object} options
+ * @param {import('./generateStore.js').CollectionConfig[]} options.collections - Collections with camelCase names.
+ * @param {boolean} options.hasAuth - Whether the project has an auth collection.
+ * @returns {string} The rules file.
+ */
+export function buildStorageRules({ collections, hasAuth }) {
+  const signedIn = hasAuth ? 'isSignedIn()' : 'true';
+  const blocks = collections.flatMap(collectionConfig => Object.values(normalizeFields(collectionConfig.fields))
+    .filter(isFileField)
+    .map(field => buildFieldRules(collectionConfig.name, field, signedIn)));
+
+  if (blocks.length === 0) {
+    // The Storage emulator refuses to start without rules
+    return `rules_version = '2';
+
+// Generated by create-totistack. No collection has file, image or files fields, so everything is denied.
+service firebase.storage {
+  match /b/{bucket}/o {
+    match /{allPaths=**} {
+      allow read, write: if false;
+    }
+  }
+}
+`;
+  }
+
+  return `rules_version = '2';
+
+// Generated by create-totistack from the file, image and files fields in totistack.config.json.
+// Mirrors the limits FileUpload.vue checks before uploading.${hasAuth ? '' : `
+// No auth collection is configured, so anyone can upload and delete. Add authentication before going to production.`}
+service firebase.storage {
+  match /b/{bucket}/o {
+${hasAuth ? `
+    function isSignedIn() {
+      return request.auth != null;
+    }
+` : ''}
+${blocks.join('\n\n')}
+
+    // Everything else is denied
+  }
+}
+`;
+}
+
+/**
+ * Generates `storage.rules`.
+ * @param {import('./projectConfig.js').ProjectConfig} answers - The project answers.
+ * @returns {Promise<void>}
+ */
+export default async function generateStorageRules(answers) {
+  try {
+    const collections = answers.collections.map(c => ({ ...c, name: toCamelCase(c.name).trim() }));
+    writeGeneratedFile('storage.rules', buildStorageRules({
+      collections,
+      hasAuth: collections.some(isAuthCollection)
+    }));
+
+    console.log(chalk.green('✅ Storage security rules generated'));
+  } catch (error) {
+    throw new Error(`Error generating Storage rules: ${error.message}`);
+  }
+}
@@ -3,24 +3,34 @@ import path from "path";
 import { generateIndexFile } from "./helper/generateIndexFile.js";
 import { generateStateFile } from "./helper/generateStateFile.js";
 import { generateActivityLogger } from "./helper/generateActivityLogger.js";
+import { generateSearchModule } from "./helper/generateSearchModule.js";
+import { generatePermissionsModule } from "./helper/generatePermissionsModule.js";
 import { generateDocumentation } from "./helper/generateDocumentation.js";
 import { generateCollectionActionModule } from "./helper/generateCollectionActionModule.js";
 import { generateFirestoreUtilFile } from "./helper/generateFirestoreUtilFile.js";
 import { toCamelCase } from "./helper/helperF.js";
 import { generateValidationModule } from "./helper/generateValidationModule.js";
+import { generateTypesFile } from "./helper/generateTypesFile.js";
 
 /**
  * Defines the structure for a collection, including its name, fields, and data type.
  * @typedef {Object} CollectionConfig
  * @property {string} name - The name of the Firestore collection.
- * @property {Object.<string, string>} fields - An object where keys are field names and values are their data types (e.g., 'string', 'number', 'boolean', 'timestamp', 'array', 'object').
+ * @property {Object.<string, import('./helper/fields.js').FieldDefinition>} fields - An object where keys are field names and values are their data types (e.g., 'string', 'number', 'boolean', 'timestamp', 'array', 'object') or field descriptors ({ type, required, default, enum, min, max, pattern, label, placeholder }).
  * @property {string} [dataType='object'] - The overall data type of the documents in the collection (e.g., 'object'). Defaults to 'object'.
+ * @property {string[]} [filterable] - Fields lists may be filtered by (equality). When declared, the store rejects other filters.
+ * @property {string[]} [sortable] - Fields lists may be sorted by. When declared, the store rejects other sort fields.
+ * @property {string[]} [searchable] - Fields search looks in and `searchKeywords` is built from. Defaults to the string, email and tel fields without an enum.
+ * @property {boolean} [realtime=false] - Generates subscribe/unsubscribe actions that keep the collection's items in sync through onSnapshot.
+ * @property {boolean} [softDelete=false] - remove() moves documents to a trash (deletedAt/deletedBy); generates restore, purge and fetchTrash actions.
+ * @property {boolean} [versioned=false] - update() keeps the replaced data in a `history` subcollection; generates getHistory and revertTo actions.
+ * @property {number} [seedCount] - Number of documents `npm run seed` creates (default 20).
  */
 
-// Shared auth collection detection
+// Shared auth collection detection, used by the wizard, the schema validation and every generator
 /**
  * Checks if a given collection configuration represents an authentication-related collection.
- * @param {CollectionConfig} collectionConfig - The configuration object for a collection.
+ * @param {{name: string}} collectionConfig - The configuration object for a collection.
  * @returns {boolean} True if the collection is considered an auth collection, false otherwise.
  */
 export const isAuthCollection = (collectionConfig) => {
@@ -38,7 +48,7 @@ export const isAuthCollection = (collectionConfig) => {
     "accounts",
     "account",
   ];
-  return authCollections.includes(collectionConfig.name.toLowerCase());
+  return authCollections.includes(String(collectionConfig.name).trim().toLowerCase());
 };
 
 /**
@@ -63,7 +73,13 @@ const ensureDir = (dirPath) => {
  * @param {string} [options.storeName='appStore'] - The name of the store.
  * @param {CollectionConfig[]} [options.collections=[]] - An array of collection configuration objects.
  * @param {string[]} [options.roles=[]] - An array of user roles for access control.
+ * @param {Object} [options.permissions={}] - Permissions matrix of the roles (see helper/permissions.js); the collection actions check it.
  * @param {boolean} [options.addActivityLogging=false] - Whether to add activity logging functionality.
+ * @param {string[]} [options.socialProviders=[]] - Social sign-in providers the auth actions support (see helper/socialProviders.js).
+ * @param {boolean} [options.enableEmailLink=false] - Whether to generate passwordless email-link sign-in.
+ * @param {boolean} [options.enableAnonymous=false] - Whether to generate anonymous guest sessions.
+ * @param {boolean} [options.typescript=false] - Whether to generate TypeScript modules (types.ts, typed state, actions and index).
+ * @param {'builtin'|'zod'|'yup'} [options.validator='builtin'] - Validation library of the collection schemas.
  * @throws {Error} If required options are missing or invalid.
  */
 export default async function generateStore(options) {
@@ -72,7 +88,13 @@ export default async function generateStore(options) {
       storeName = "appStore",
       collections = [],
       roles = [],
+      permissions = {},
       addActivityLogging = false,
+      socialProviders = [],
+      enableEmailLink = false,
+      enableAnonymous = false,
+      typescript = false,
+      validator = "builtin",
     } = options;
 
     // Validate inputs
@@ -101,6 +123,9 @@ export default async function generateStore(options) {
     // Identify authentication-related collections
     const authCollections = processedCollections.filter(isAuthCollection);
 
+    // Permissions build on the roles custom claim, which needs an auth collection
+    const withPermissions = roles.length > 0 && authCollections.length > 0 && Object.keys(permissions).length > 0;
+
     const baseDir = path.join("src", "stores", storeName);
     const actionsDir = path.join(baseDir, "actions");
 
@@ -108,18 +133,27 @@ export default async function generateStore(options) {
 
     // Generate files in correct order
     // Pass the full processedCollections and authCollections objects to helper functions
+    if (typescript) {
+      generateTypesFile(baseDir, processedCollections);
+    }
     generateStateFile(
       baseDir,
       processedCollections,
       authCollections,
-      addActivityLogging
+      addActivityLogging,
+      typescript
     );
     generateFirestoreUtilFile(
       baseDir,
       authCollections,
       roles,
-      addActivityLogging
+      addActivityLogging,
+      withPermissions
     );
+    generateSearchModule(baseDir);
+    if (withPermissions) {
+      generatePermissionsModule(baseDir, permissions, roles);
+    }
 
     // Generate collection action modules for each processed collection
     /* processedCollections.forEach((collectionConfig) => {
@@ -129,8 +163,8 @@ export default async function generateStore(options) {
     // Generate collection action modules AND validation modules
     // Use a for...of loop to correctly await asynchronous operations inside
     for (const collectionConfig of processedCollections) {
-      generateCollectionActionModule(baseDir, collectionConfig);
-      await generateValidationModule(baseDir, collectionConfig); // <--- AWAITING NEW VALIDATION MODULE GENERATION
+      generateCollectionActionModule(baseDir, collectionConfig, { typescript });
+      await generateValidationModule(baseDir, collectionConfig, { validator }); // <--- AWAITING NEW VALIDATION MODULE GENERATION
     }
 
     // For generateIndexFile, it might only need the names of the collections
@@ -139,7 +173,11 @@ export default async function generateStore(options) {
       baseDir,
       processedCollections.map((c) => c.name), // Pass only names
       authCollections.map((c) => c.name), // Pass only names
-      addActivityLogging
+      addActivityLogging,
+      typescript,
+      { socialProviders, emailLink: enableEmailLink, anonymous: enableAnonymous },
+      roles,
+      authCollections[0]?.fields
     );
 
     if (addActivityLogging) {
@@ -153,7 +191,8 @@ export default async function generateStore(options) {
       processedCollections,
       authCollections,
       roles,
-      addActivityLogging
+      addActivityLogging,
+      { socialProviders, emailLink: enableEmailLink, anonymous: enableAnonymous }
     );
 
     console.log(`✅ Store ${storeName} generated successfully.`);
@@ -45,7 +45,7 @@ export async function ${guardName}Guard(to, from, next) {
     // Example 1: Basic authentication check
     // If the user is not authenticated, redirect them to the login page.
     if (!appStore.isAuthenticated) {
-        console.warn(chalk.yellow('🔒 Navigation blocked: User not authenticated.'));
+        console.warn('🔒 Navigation blocked: User not authenticated.');
         next({ name: 'login' }); // Assuming a 'login' route name
         return;
     }
@@ -54,17 +54,17 @@ export async function ${guardName}Guard(to, from, next) {
     // If your route meta requires a specific role (e.g., meta: { requiresRole: 'admin' })
     // and the current user doesn't have that role, redirect to an unauthorized page.
     if (to.meta.requiresRole && (!appStore.currentUser || !appStore.currentUser.roles.includes(to.meta.requiresRole))) {
-        console.warn(chalk.yellow(\`⛔ Navigation blocked: User does not have '\${to.meta.requiresRole}' role.\`));
+        console.warn(\`⛔ Navigation blocked: User does not have '\${to.meta.requiresRole}' role.\`);
         next({ name: 'unauthorized' }); // Assuming an 'unauthorized' route name
         return;
     }
 
     // Example 3: Permission-based authorization check
-    // If your route meta requires a specific permission (e.g., meta: { requiresPermission: 'manage_products' })
-    // and the current user doesn't have that permission.
-    // This assumes your user object has a 'permissions' array.
-    // if (to.meta.requiresPermission && (!appStore.currentUser || !appStore.currentUser.permissions.includes(to.meta.requiresPermission))) {
-    //     console.warn(chalk.yellow(\`⛔ Navigation blocked: User does not have '\${to.meta.requiresPermission}' permission.\`));
+    // With a permissions matrix in totistack.config.json, permissionGuard already enforces
+    // meta.permissions (e.g. meta: { permissions: ['products.update'] }). For other checks, use the
+    // same resolution (import { hasPermission } from '@/stores/appStore/permissions'):
+    // if (!hasPermission(appStore.currentUser, 'reports.export')) {
+    //     console.warn('⛔ Navigation blocked: User does not have the reports.export permission.');
     //     next({ name: 'unauthorized' });
     //     return;
     // }
@@ -124,4 +124,32 @@ const routes = [
         console.error(chalk.red.bold(`❌ Error generating Auth Guard '${guardName}Guard.js':`), error.message);
         process.exit(1);
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Builds `src/router/guards/permissionGuard.js`, which enforces the `meta.permissions` of the routes
+ * with the permissions matrix of the store (permissions.js). Written by generatePermissions.
+ * @param {Object} [options]
+ * @param {string} [options.appStore='appStore'] - Name of the store holding the current user and permissions.js.
+ * @returns {string} The guard module.
+ */
+export function buildPermissionGuard({ appStore = 'appStore' } = {}) {
+    return `import { useAppStore } from '@/stores/${appStore}';
+import { hasPermission } from '@/stores/${appStore}/permissions';
+
+// Runs after authGuard, so the session is restored. meta.permissions lists the \`<resource>.<action>\`
+// permissions a route needs (all of them), granted by the roles of currentUser through the
+// permissions matrix (e.g. meta: { permissions: ['products.update'] }).
+export default (to, from, next) => {
+  const st = useAppStore();
+  const missing = (to.meta.permissions || []).filter(permission => !hasPermission(st.currentUser, permission));
+  // Redirect to unauthorized page if the user lacks one of them
+  if (missing.length > 0) {
+    next('/unauthorized');
+  }
+  // Proceed to the route
+  else {
+    next();
+  }
+};`;
+}
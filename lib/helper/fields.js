@@ -0,0 +1,350 @@
+// helper/fields.js
+
+/** Field types a collection field may declare. */
+export const FIELD_TYPES = ['string', 'number', 'boolean', 'tel', 'array', 'object', 'timestamp', 'email', 'reference', 'references', 'file', 'image', 'files'];
+
+/** Types holding document IDs of another collection. */
+export const REFERENCE_TYPES = ['reference', 'references'];
+
+/** Types holding files uploaded to Cloud Storage ({ url, path, name, size, contentType }, or a list for 'files'). */
+export const FILE_TYPES = ['file', 'image', 'files'];
+
+/** Upload limits of file fields that do not declare `accept` and `maxSize` (in MB). */
+export const FILE_DEFAULTS = {
+  file: { accept: [], maxSize: 10 },
+  image: { accept: ['image/*'], maxSize: 5 },
+  files: { accept: [], maxSize: 10 }
+};
+
+/** Types whose min/max/pattern apply to the text length and content. */
+const TEXT_TYPES = ['string', 'email', 'tel'];
+
+/** Types that may declare an `enum` of allowed values. */
+const ENUM_TYPES = ['string', 'number'];
+
+/** Types that can be used in orderBy (and range queries). */
+export const SORTABLE_TYPES = ['string', 'number', 'boolean', 'timestamp', 'email', 'tel', 'reference'];
+
+/** Types whose values can be split into search keywords. */
+export const SEARCHABLE_TYPES = [...TEXT_TYPES, 'array'];
+
+/** Collection keys listing the fields lists may be filtered, sorted and searched by. */
+export const QUERY_KEYS = ['filterable', 'sortable', 'searchable'];
+
+/** Keys accepted in a field descriptor. */
+const DESCRIPTOR_KEYS = ['type', 'required', 'default', 'enum', 'min', 'max', 'pattern', 'label', 'placeholder', 'collection', 'displayField', 'accept', 'maxSize'];
+
+/** Field names tried, in order, when a reference does not set `displayField`. */
+const DISPLAY_FIELD_CANDIDATES = ['name', 'title', 'displayName', 'label', 'email'];
+
+/**
+ * @typedef {Object} FieldDescriptor
+ * @property {string} type - One of FIELD_TYPES.
+ * @property {boolean} [required=true] - Whether the field must be filled in.
+ * @property {*} [default] - Initial value of the field in Create forms.
+ * @property {Array<string|number>} [enum] - Allowed values (string and number fields). Rendered as a select.
+ * @property {number} [min] - Minimum value (number), length (string, email, tel) or item count (array, references, files).
+ * @property {number} [max] - Maximum value (number), length (string, email, tel) or item count (array, references, files).
+ * @property {string} [pattern] - Regular expression source the value must match (string, email, tel).
+ * @property {string} [label] - Form label and name used in error messages. Defaults to the field name.
+ * @property {string} [placeholder] - Input placeholder.
+ * @property {string} [collection] - Target collection of a reference/references field.
+ * @property {string} [displayField] - Field of the target documents shown in pickers. Guessed when omitted.
+ * @property {string[]} [accept] - MIME types a file/image/files field accepts, e.g. ['application/pdf', 'image/*']. Any type when empty.
+ * @property {number} [maxSize] - Largest file a file/image/files field accepts, in MB.
+ */
+
+/**
+ * A field is either a type name (shorthand for a required field of that type) or a FieldDescriptor.
+ * @typedef {string|FieldDescriptor} FieldDefinition
+ */
+
+/**
+ * Expands a field definition into a full descriptor with defaults applied.
+ * @param {string} fieldName - Name of the field.
+ * @param {FieldDefinition} definition - Type name or descriptor.
+ * @returns {FieldDescriptor & {name: string, label: string, required: boolean}} The normalized descriptor.
+ */
+export function normalizeField(fieldName, definition) {
+  const descriptor = typeof definition === 'string' ? { type: definition } : { ...definition };
+  return {
+    ...descriptor,
+    name: fieldName,
+    type: descriptor.type || 'string',
+    required: descriptor.required ?? true,
+    label: descriptor.label || fieldName
+  };
+}
+
+/**
+ * Expands every field of a collection.
+ * @param {Object.<string, FieldDefinition>} fields - Field names mapped to their definitions.
+ * @returns {Object.<string, ReturnType<typeof normalizeField>>} Field names mapped to normalized descriptors.
+ */
+export function normalizeFields(fields = {}) {
+  return Object.fromEntries(
+    Object.entries(fields).map(([fieldName, definition]) => [fieldName, normalizeField(fieldName, definition)])
+  );
+}
+
+/**
+ * Whether the field holds document IDs of another collection.
+ * @param {{type: string}} field - A normalized field.
+ * @returns {boolean}
+ */
+export const isReferenceField = (field) => REFERENCE_TYPES.includes(field.type);
+
+/**
+ * Picks the field of the referenced collection to show in pickers and lists.
+ * Uses `displayField` when set, otherwise the first common name-like field, otherwise the
+ * first string field of the target collection, otherwise the document ID.
+ * @param {{collection: string, displayField?: string}} field - A normalized reference field.
+ * @param {Array<{name: string, fields: Object}>} collections - All collections of the project.
+ * @returns {string} A field name, or 'id'.
+ */
+export function resolveDisplayField(field, collections = []) {
+  if (field.displayField) return field.displayField;
+  const target = collections.find(collection => collection.name === field.collection);
+  if (!target) return 'id';
+  const targetFields = normalizeFields(target.fields);
+  return DISPLAY_FIELD_CANDIDATES.find(name => targetFields[name])
+    || Object.keys(targetFields).find(name => isTextField(targetFields[name]))
+    || 'id';
+}
+
+/**
+ * Whether the field holds files uploaded to Cloud Storage.
+ * @param {{type: string}} field - A normalized field.
+ * @returns {boolean}
+ */
+export const isFileField = (field) => FILE_TYPES.includes(field.type);
+
+/**
+ * Upload limits of a file field: its declared `accept` and `maxSize`, or the defaults of its type.
+ * @param {{type: string, accept?: string[], maxSize?: number}} field - A normalized file field.
+ * @returns {{accept: string[], maxSize: number}} MIME patterns (empty for any) and the size limit in MB.
+ */
+export const getFileLimits = (field) => ({
+  accept: field.accept || FILE_DEFAULTS[field.type].accept,
+  maxSize: field.maxSize ?? FILE_DEFAULTS[field.type].maxSize
+});
+
+/**
+ * Names of the file fields of a collection, whose blobs the store deletes with their document.
+ * @param {Object.<string, FieldDefinition>} fields - Field names mapped to their definitions.
+ * @returns {string[]} Field names, possibly empty.
+ */
+export function getFileFields(fields) {
+  return Object.values(normalizeFields(fields)).filter(isFileField).map(field => field.name);
+}
+
+/**
+ * Collects the reference fields of a collection in the shape the store expects.
+ * @param {Object.<string, FieldDefinition>} fields - Field names mapped to their definitions.
+ * @returns {Object.<string, {collection: string, many: boolean}>} Reference field names mapped to their target.
+ */
+export function getReferenceConfig(fields) {
+  return Object.fromEntries(
+    Object.values(normalizeFields(fields))
+      .filter(isReferenceField)
+      .map(field => [field.name, { collection: field.collection, many: field.type === 'references' }])
+  );
+}
+
+/**
+ * Whether min/max/pattern constrain the length and content of the field's text.
+ * @param {{type: string}} field - A normalized field.
+ * @returns {boolean}
+ */
+export const isTextField = (field) => TEXT_TYPES.includes(field.type);
+
+/**
+ * Validates a single field definition from a project schema.
+ * @param {FieldDefinition} definition - Type name or descriptor.
+ * @param {string} where - Location used as the prefix of error messages.
+ * @returns {string[]} A list of human-readable problems. Empty when the definition is valid.
+ */
+export function validateFieldDefinition(definition, where) {
+  const unknownType = (type) => `${where} has unknown type "${type}". Expected one of: ${FIELD_TYPES.join(', ')}.`;
+
+  if (typeof definition === 'string') {
+    if (REFERENCE_TYPES.includes(definition)) {
+      return [`${where} must be a descriptor naming the target collection, e.g. { type: '${definition}', collection: 'users' }.`];
+    }
+    return FIELD_TYPES.includes(definition) ? [] : [unknownType(definition)];
+  }
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return [`${where} must be a type name or a field descriptor object.`];
+  }
+
+  const errors = [];
+  const { type } = definition;
+
+  for (const key of Object.keys(definition)) {
+    if (!DESCRIPTOR_KEYS.includes(key)) errors.push(`${where} has unknown option "${key}".`);
+  }
+  if (!FIELD_TYPES.includes(type)) errors.push(unknownType(type));
+  if (definition.required !== undefined && typeof definition.required !== 'boolean') {
+    errors.push(`${where}.required must be true or false.`);
+  }
+  for (const key of ['label', 'placeholder']) {
+    if (definition[key] !== undefined && typeof definition[key] !== 'string') {
+      errors.push(`${where}.${key} must be a string.`);
+    }
+  }
+  for (const key of ['min', 'max']) {
+    if (definition[key] !== undefined && !Number.isFinite(definition[key])) {
+      errors.push(`${where}.${key} must be a number.`);
+    }
+  }
+  if (Number.isFinite(definition.min) && Number.isFinite(definition.max) && definition.min > definition.max) {
+    errors.push(`${where}.min must not be greater than max.`);
+  }
+  if ((definition.min !== undefined || definition.max !== undefined) && !['number', 'array', 'references', 'files', ...TEXT_TYPES].includes(type)) {
+    errors.push(`${where}.min/max are not supported for "${type}" fields.`);
+  }
+  if (definition.pattern !== undefined) {
+    if (!TEXT_TYPES.includes(type)) {
+      errors.push(`${where}.pattern is only supported for ${TEXT_TYPES.join(', ')} fields.`);
+    } else {
+      try {
+        new RegExp(definition.pattern);
+      } catch (error) {
+        errors.push(`${where}.pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+  if (REFERENCE_TYPES.includes(type)) {
+    if (typeof definition.collection !== 'string' || !definition.collection.trim()) {
+      errors.push(`${where}.collection must name the referenced collection.`);
+    }
+    if (definition.displayField !== undefined && typeof definition.displayField !== 'string') {
+      errors.push(`${where}.displayField must be a string.`);
+    }
+  } else if (definition.collection !== undefined || definition.displayField !== undefined) {
+    errors.push(`${where}.collection/displayField are only supported for ${REFERENCE_TYPES.join(' and ')} fields.`);
+  }
+  if (FILE_TYPES.includes(type)) {
+    if (definition.accept !== undefined && (!Array.isArray(definition.accept)
+      || definition.accept.some(value => typeof value !== 'string' || !/^[\w.+-]+\/([\w.+-]+|\*)$/.test(value)))) {
+      errors.push(`${where}.accept must be an array of MIME types, e.g. ['image/png', 'application/pdf'] or ['image/*'].`);
+    }
+    if (definition.maxSize !== undefined && !(Number.isFinite(definition.maxSize) && definition.maxSize > 0)) {
+      errors.push(`${where}.maxSize must be a positive number of MB.`);
+    }
+    if (definition.default !== undefined) {
+      errors.push(`${where}.default is not supported for ${type} fields.`);
+    }
+  } else if (definition.accept !== undefined || definition.maxSize !== undefined) {
+    errors.push(`${where}.accept/maxSize are only supported for ${FILE_TYPES.join(', ')} fields.`);
+  }
+  if (definition.enum !== undefined) {
+    const valueType = type === 'number' ? 'number' : 'string';
+    if (!ENUM_TYPES.includes(type)) {
+      errors.push(`${where}.enum is only supported for ${ENUM_TYPES.join(' and ')} fields.`);
+    } else if (!Array.isArray(definition.enum) || definition.enum.length === 0 || definition.enum.some(value => typeof value !== valueType)) {
+      errors.push(`${where}.enum must be a non-empty array of ${valueType}s.`);
+    } else if (definition.default !== undefined && !definition.enum.includes(definition.default)) {
+      errors.push(`${where}.default must be one of the enum values.`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Collects the query fields a collection declares, in the shape the store expects.
+ * Keys the collection does not declare are left out, which keeps queries unrestricted.
+ * @param {{filterable?: string[], sortable?: string[], searchable?: string[]}} collectionConfig - The collection configuration.
+ * @returns {{filterable?: string[], sortable?: string[], searchable?: string[]}}
+ */
+export function getQueryConfig(collectionConfig) {
+  return Object.fromEntries(
+    QUERY_KEYS.filter(key => Array.isArray(collectionConfig[key])).map(key => [key, [...collectionConfig[key]]])
+  );
+}
+
+/**
+ * Fields the store builds search keywords from: the declared `searchable` list, or every
+ * string, email and tel field without an `enum` when the collection does not declare one.
+ * @param {{fields: Object.<string, FieldDefinition>, searchable?: string[]}} collectionConfig - The collection configuration.
+ * @returns {string[]} Field names, possibly empty.
+ */
+export function getSearchableFields(collectionConfig) {
+  if (Array.isArray(collectionConfig.searchable)) return [...collectionConfig.searchable];
+  return Object.values(normalizeFields(collectionConfig.fields)).filter(field => isTextField(field) && !field.enum).map(field => field.name);
+}
+
+/**
+ * Validates the `filterable`, `sortable` and `searchable` lists of a collection from a project schema.
+ * @param {{fields: Object.<string, FieldDefinition>, filterable?: *, sortable?: *, searchable?: *}} collectionConfig - The collection configuration.
+ * @param {string} where - Location used as the prefix of error messages.
+ * @returns {string[]} A list of human-readable problems. Empty when the lists are valid.
+ */
+export function validateQueryFields(collectionConfig, where) {
+  const errors = [];
+  const fields = normalizeFields(collectionConfig.fields);
+
+  for (const key of QUERY_KEYS) {
+    const names = collectionConfig[key];
+    if (names === undefined) continue;
+    if (!Array.isArray(names) || names.some(name => typeof name !== 'string')) {
+      errors.push(`${where}.${key} must be an array of field names.`);
+      continue;
+    }
+    for (const name of names) {
+      if (!fields[name]) {
+        errors.push(`${where}.${key} lists unknown field "${name}".`);
+      } else if (key === 'sortable' && !SORTABLE_TYPES.includes(fields[name].type)) {
+        errors.push(`${where}.sortable cannot include "${name}": ${fields[name].type} fields cannot be sorted.`);
+      } else if (key === 'searchable' && !SEARCHABLE_TYPES.includes(fields[name].type)) {
+        errors.push(`${where}.searchable cannot include "${name}": only ${SEARCHABLE_TYPES.join(', ')} fields can be searched.`);
+      }
+    }
+    if (new Set(names).size !== names.length) {
+      errors.push(`${where}.${key} lists a field more than once.`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Describes a field for the generated Markdown docs, e.g. "`number`, optional, min 0, default `1`".
+ * @param {FieldDefinition} definition - Type name or descriptor.
+ * @returns {string} A short Markdown description.
+ */
+export function describeField(definition) {
+  const field = normalizeField('', definition);
+  const parts = [`\`${field.type}\``];
+
+  if (field.collection) parts.push(`to \`${field.collection}\``);
+  if (!field.required) parts.push('optional');
+  if (field.enum) parts.push(`one of ${field.enum.map(value => `\`${value}\``).join(', ')}`);
+  if (field.min !== undefined) parts.push(`min ${field.min}`);
+  if (field.max !== undefined) parts.push(`max ${field.max}`);
+  if (field.pattern) parts.push(`pattern \`${field.pattern}\``);
+  if (isFileField(field)) {
+    const { accept, maxSize } = getFileLimits(field);
+    parts.push(`${accept.length ? accept.map(value => `\`${value}\``).join(', ') : 'any type'} up to ${maxSize} MB`);
+  }
+  if (field.default !== undefined) parts.push(`default \`${JSON.stringify(field.default)}\``);
+  if (typeof definition === 'object' && definition.label) parts.push(`label "${definition.label}"`);
+
+  return parts.join(', ');
+}
+
+/**
+ * Describes the optional store features of a collection for generated docs.
+ * @param {{realtime?: boolean, softDelete?: boolean, versioned?: boolean}} collection - Collection config.
+ * @returns {string} A parenthesised Markdown note, or an empty string when no option is enabled.
+ */
+export function describeCollectionOptions(collection) {
+  const notes = [];
+
+  if (collection.realtime) notes.push('real time: `subscribe`/`unsubscribe` actions');
+  if (collection.softDelete) notes.push('soft delete: `restore`/`purge`/`fetchTrash` actions');
+  if (collection.versioned) notes.push('versioned: `getHistory`/`revertTo` actions');
+
+  return notes.length ? ` (${notes.join('; ')})` : '';
+}
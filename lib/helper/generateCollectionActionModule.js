@@ -1,13 +1,17 @@
 import path from 'path';
 import { mkdirSync, existsSync } from 'fs';
-import { writeFile, capitalize } from './helperF.js';
+import { writeFile, capitalize, sourceExtension } from './helperF.js';
+import { getFileFields, getQueryConfig, getReferenceConfig, getSearchableFields } from './fields.js';
+import { collectionTypeNames } from './generateTypesFile.js';
 
+// Descriptors with \`requires\` are only generated for collections enabling that option (e.g. \`realtime: true\`)
 const actionDescriptors = [
   {
     key: 'fetchInitialPage',
     exportName: (suffix) => `fetchInitialPage${suffix}`,
     jsdoc: (name) => `/**
  * Fetches the first page of ${name} with optional filters and sorting.
+ * Pass \`{ populate: true }\` to resolve reference fields into \`item.populated\`.
  * @function
  * @param {...any} args - Arguments forwarded to fetchInitialPage
  * @returns {Promise<void>}
@@ -48,6 +52,7 @@ const actionDescriptors = [
     exportName: (suffix) => `add${suffix}`,
     jsdoc: (name) => `/**
  * Adds a new ${name} document to the collection.
+ * Rejects with a ValidationError when the data does not match the schema.
  * @function
  * @param {...any} args - Arguments forwarded to add
  * @returns {Promise<void>}
@@ -58,6 +63,7 @@ const actionDescriptors = [
     exportName: (suffix) => `get${suffix}`,
     jsdoc: (name) => `/**
  * Gets a document from the collection.
+ * Pass \`{ populate: true }\` as second argument to resolve reference fields.
  * @function
  * @param {...any} args - Arguments forwarded to get
  * @returns {Promise<void>}
@@ -78,6 +84,7 @@ const actionDescriptors = [
     exportName: (suffix) => `update${suffix}`,
     jsdoc: (name) => `/**
  * Updates an existing ${name} document.
+ * Rejects with a ValidationError when the data does not match the schema.
  * @function
  * @param {...any} args - Arguments forwarded to update
  * @returns {Promise<void>}
@@ -87,7 +94,7 @@ const actionDescriptors = [
     key: 'search',
     exportName: (suffix) => `search${suffix}`,
     jsdoc: (name) => `/**
- * Searches ${name} documents by a term and optional field.
+ * Searches ${name} documents by a term, in the searchable fields or the ones given.
  * @function
  * @param {...any} args - Arguments forwarded to search
  * @returns {Promise<void>}
@@ -101,16 +108,146 @@ const actionDescriptors = [
  * @function
  * @param {...any} args - Arguments forwarded to clearSearch
  * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'clearValidationErrors',
+    exportName: (suffix) => `clear${suffix}ValidationErrors`,
+    jsdoc: (name) => `/**
+ * Clears the field errors of the last ${name} add/update (state.<collection>.validationErrors).
+ * @function
+ * @param {...any} args - Arguments forwarded to clearValidationErrors
+ * @returns {void}
+ */`
+  },
+  {
+    key: 'subscribe',
+    exportName: (suffix) => `subscribe${suffix}`,
+    requires: 'realtime',
+    jsdoc: (name) => `/**
+ * Keeps the ${name} items in state in sync with a query (onSnapshot) until unsubscribed,
+ * logout, or a route change unless \`{ keepAlive: true }\` is passed.
+ * @function
+ * @param {...any} args - Arguments forwarded to subscribe
+ * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'unsubscribe',
+    exportName: (suffix) => `unsubscribe${suffix}`,
+    requires: 'realtime',
+    jsdoc: (name) => `/**
+ * Stops the ${name} real-time listener.
+ * @function
+ * @param {...any} args - Arguments forwarded to unsubscribe
+ * @returns {void}
  */`
   },
   {
     key: 'remove',
     exportName: (suffix) => `delete${suffix}`,
     jsdoc: (name) => `/**
- * Deletes a ${name} document by ID.
+ * Deletes a ${name} document by ID (moves it to the trash in soft-delete collections).
  * @function
  * @param {...any} args - Arguments forwarded to remove
  * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'addMany',
+    exportName: (suffix) => `addMany${suffix}`,
+    jsdoc: (name) => `/**
+ * Adds several ${name} documents in batches of up to 500 writes.
+ * Rejects with a ValidationError (\`error.index\`) before writing if a document does not match the schema.
+ * @function
+ * @param {...any} args - Arguments forwarded to addMany
+ * @returns {Promise<string[]>}
+ */`
+  },
+  {
+    key: 'updateMany',
+    exportName: (suffix) => `updateMany${suffix}`,
+    jsdoc: (name) => `/**
+ * Updates several ${name} documents in batches of up to 500 writes (\`[{ id, data }]\`).
+ * Rejects with a ValidationError (\`error.index\`) before writing if a change does not match the schema.
+ * @function
+ * @param {...any} args - Arguments forwarded to updateMany
+ * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'removeMany',
+    exportName: (suffix) => `deleteMany${suffix}`,
+    jsdoc: (name) => `/**
+ * Deletes several ${name} documents by ID in batches of up to 500 writes.
+ * @function
+ * @param {...any} args - Arguments forwarded to removeMany
+ * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'transaction',
+    exportName: (suffix) => `run${suffix}Transaction`,
+    jsdoc: (name) => `/**
+ * Runs a Firestore transaction; the callback receives the transaction and a ${name} document reference helper.
+ * @function
+ * @param {...any} args - Arguments forwarded to transaction
+ * @returns {Promise<any>}
+ */`
+  },
+  {
+    key: 'fetchTrash',
+    exportName: (suffix) => `fetch${suffix}Trash`,
+    requires: 'softDelete',
+    jsdoc: (name) => `/**
+ * Fetches the trashed ${name} documents into state, most recently deleted first.
+ * @function
+ * @param {...any} args - Arguments forwarded to fetchTrash
+ * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'restore',
+    exportName: (suffix) => `restore${suffix}`,
+    requires: 'softDelete',
+    jsdoc: (name) => `/**
+ * Takes a ${name} document out of the trash.
+ * @function
+ * @param {...any} args - Arguments forwarded to restore
+ * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'purge',
+    exportName: (suffix) => `purge${suffix}`,
+    requires: 'softDelete',
+    jsdoc: (name) => `/**
+ * Deletes a trashed ${name} document for good.
+ * @function
+ * @param {...any} args - Arguments forwarded to purge
+ * @returns {Promise<void>}
+ */`
+  },
+  {
+    key: 'getHistory',
+    exportName: (suffix) => `get${suffix}History`,
+    requires: 'versioned',
+    jsdoc: (name) => `/**
+ * Lists the earlier versions of a ${name} document, newest first.
+ * @function
+ * @param {...any} args - Arguments forwarded to getHistory
+ * @returns {Promise<Array<Object>>}
+ */`
+  },
+  {
+    key: 'revertTo',
+    exportName: (suffix) => `revert${suffix}`,
+    requires: 'versioned',
+    jsdoc: (name) => `/**
+ * Restores a ${name} document to one of its versions (\`revert(id, versionId)\`).
+ * @function
+ * @param {...any} args - Arguments forwarded to revertTo
+ * @returns {Promise<void>}
  */`
   },
   {
@@ -120,7 +257,7 @@ const actionDescriptors = [
  * Assigns roles to a ${name.toLowerCase()} user.
  * @function
  * @param {...any} args - Arguments forwarded to assignRoles
- * @returns {Promise<void>}
+ * @returns {Promise<string[]>} The user's roles
  */`
   },
   {
@@ -130,12 +267,20 @@ const actionDescriptors = [
  * Revokes roles from a ${name.toLowerCase()} user.
  * @function
  * @param {...any} args - Arguments forwarded to revokeRoles
- * @returns {Promise<void>}
+ * @returns {Promise<string[]>} The user's roles
  */`
   }
 ];
 
-export const generateCollectionActionModule = (baseDir, collectionName) => {
+/**
+ * Generates the action module of a collection (actions/<name>.js, or .ts with typed actions).
+ * @param {string} baseDir - Base directory path of the store
+ * @param {{name: string, fields: Object, realtime?: boolean, softDelete?: boolean, versioned?: boolean}} collectionName - Collection configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.typescript=false] - Generate a typed TypeScript module
+ * @returns {{success: boolean, path: string}} The written file
+ */
+export const generateCollectionActionModule = (baseDir, collectionName, { typescript = false } = {}) => {
   try {
     if (!/^[a-z][a-z0-9_-]{0,63}$/i.test(collectionName.name)) {
       throw new Error(`Invalid Firestore collection name: ${collectionName.name}`);
@@ -148,9 +293,51 @@ export const generateCollectionActionModule = (baseDir, collectionName) => {
       mkdirSync(actionsDir, { recursive: true });
     }
 
-    const filePath = path.join(actionsDir, `${collectionName.name}.js`);
+    const filePath = path.join(actionsDir, `${collectionName.name}.${sourceExtension(typescript)}`);
+    const { document, input } = collectionTypeNames(collectionName.name);
+    const actionsType = `CollectionActions<${document}, ${input}>`;
+    const validate = `validate${suffix}`;
+    const descriptors = actionDescriptors.filter(descriptor => !descriptor.requires || collectionName[descriptor.requires]);
+
+    const collectionOptions = {
+      references: getReferenceConfig(collectionName.fields),
+      ...getQueryConfig(collectionName),
+      searchable: getSearchableFields(collectionName),
+      ...(getFileFields(collectionName.fields).length > 0 && { files: getFileFields(collectionName.fields) }),
+      ...(collectionName.realtime && { realtime: true }),
+      ...(collectionName.softDelete && { softDelete: true }),
+      ...(collectionName.versioned && { versioned: true })
+    };
+
+    let content = `import { useFirestoreCollectionActions } from '../useFirestoreCollectionActions.js';\n`;
+    content += `import { ${validate} } from '@/validators/${validate}';\n`;
+    if (typescript) {
+      content += `import type { StoreState } from '../state';\n`;
+      content += `import type { CollectionActions, ${document}, ${input} } from '../types';\n`;
+    }
+    content += `\n`;
 
-    let content = `import { useFirestoreCollectionActions } from '../useFirestoreCollectionActions.js';\n\n`;
+    content += `/**\n`;
+    content += ` * Options generated from the project schema (totistack.config.json).\n`;
+    content += ` * references: reference fields mapped to the collection they point at (used by \`populate\`).\n`;
+    if (collectionOptions.filterable || collectionOptions.sortable) content += ` * filterable/sortable: the only fields lists may be filtered and sorted by, besides the createdAt sort (see firestore.indexes.json).\n`;
+    if (collectionOptions.searchable.length > 0) content += ` * searchable: the fields search looks in by default and searchKeywords is built from (see ../search.js).\n`;
+    if (collectionOptions.files) content += ` * files: file, image and files fields; their Cloud Storage files are deleted with the document${collectionOptions.softDelete ? ' (by purge)' : ''}.\n`;
+    if (collectionOptions.realtime) content += ` * realtime: adds subscribe/unsubscribe, which keep state.${collectionName.name}.items in sync through onSnapshot.\n`;
+    if (collectionOptions.softDelete) content += ` * softDelete: remove moves documents to the trash (deletedAt/deletedBy); adds fetchTrash, restore and purge.\n`;
+    if (collectionOptions.versioned) content += ` * versioned: update keeps the replaced data in ${collectionName.name}/{id}/history; adds getHistory and revertTo.\n`;
+    content += ` * validate: the collection's validator, run by add and update before writing (errors land in state.${collectionName.name}.validationErrors).\n`;
+    content += ` */\n`;
+    content += `const collectionOptions = ${JSON.stringify({ ...collectionOptions, validate }, null, 2).replace(`"${validate}"`, validate)};\n\n`;
+
+    if (typescript) {
+      content += `/** Actions of the \`${collectionName.name}\` collection, named after it. */\n`;
+      content += `export interface ${suffix}Actions {\n`;
+      descriptors.forEach(({ key, exportName }) => {
+        content += `  ${exportName(suffix)}: ${actionsType}['${key}'];\n`;
+      });
+      content += `}\n\n`;
+    }
 
     content += `/**\n`;
     content += ` * Generates a set of Firestore actions scoped to the \`${collectionName.name}\` collection.\n`;
@@ -158,21 +345,23 @@ export const generateCollectionActionModule = (baseDir, collectionName) => {
     content += ` * @param {Object} state - Pinia store state\n`;
     content += ` * @returns {Object} ${collectionName.name}Actions - A set of methods to interact with the ${collectionName.name} Firestore collection\n`;
     content += ` */\n`;
-    content += `export function use${suffix}Actions(state) {\n`;
-    content += `  let actionsInstance = null;\n\n`;
+    content += typescript
+      ? `export function use${suffix}Actions(state: StoreState): ${suffix}Actions {\n`
+      : `export function use${suffix}Actions(state) {\n`;
+    content += `  let actionsInstance${typescript ? `: ${actionsType} | null` : ''} = null;\n\n`;
     content += `  /**\n`;
     content += `   * Lazily initializes and retrieves the ${collectionName.name} collection actions.\n`;
     content += `   * @returns {Object} Firestore collection methods for '${collectionName.name}'\n`;
     content += `   */\n`;
     content += `  const getActions = () => {\n`;
     content += `    if (!actionsInstance) {\n`;
-    content += `      actionsInstance = useFirestoreCollectionActions('${collectionName.name}', state);\n`;
+    content += `      actionsInstance = useFirestoreCollectionActions('${collectionName.name}', state, collectionOptions)${typescript ? ` as ${actionsType}` : ''};\n`;
     content += `    }\n`;
     content += `    return actionsInstance;\n`;
     content += `  };\n\n`;
     content += `  return {\n`;
 
-    actionDescriptors.forEach(({ key, exportName, jsdoc }) => {
+    descriptors.forEach(({ key, exportName, jsdoc }) => {
       const funcName = exportName(suffix);
       content += `    ${jsdoc(suffix).replace(/\n/g, '\n    ')}\n`;
       content += `    ${funcName}(...args) {\n`;
@@ -1,10 +1,11 @@
 import path from 'path';
 import { capitalize, writeFile } from './helperF.js'; // Assuming helperF.js contains capitalize and writeFile
+import { describeField, getFileFields, getSearchableFields } from './fields.js';
 
 /**
  * @typedef {Object} CollectionConfig
  * @property {string} name - The name of the Firestore collection.
- * @property {Object.<string, string>} fields - An object where keys are field names and values are their data types.
+ * @property {Object.<string, import('./fields.js').FieldDefinition>} fields - An object where keys are field names and values are their data types or field descriptors.
  * @property {string} [dataType='object'] - The overall data type of the documents in the collection.
  */
 
@@ -16,8 +17,10 @@ import { capitalize, writeFile } from './helperF.js'; // Assuming helperF.js con
  * @param {CollectionConfig[]} authCollections - Array of authentication-related collection configuration objects.
  * @param {string[]} roles - Array of defined user roles.
  * @param {boolean} addActivityLogging - Whether activity logging is enabled.
+ * @param {Object} [authMethods={}] - Sign-in methods offered besides email and password, see generateIndexFile.
  */
-export const generateDocumentation = (storeName, baseDir, collections, authCollections, roles, addActivityLogging) => {
+export const generateDocumentation = (storeName, baseDir, collections, authCollections, roles, addActivityLogging, authMethods = {}) => {
+  const { socialProviders = [], emailLink = false, anonymous = false } = authMethods;
   try {
     const pascalStoreName = capitalize(storeName);
     const storeDocPath = path.join(baseDir, 'STORE_GUIDE.md');
@@ -35,9 +38,26 @@ export const generateDocumentation = (storeName, baseDir, collections, authColle
       const pascalColName = capitalize(colConfig.name); // Access .name property
       // Check if this specific collection is one of the authentication collections
       const isAuth = authCollections.some(authCol => authCol.name === colConfig.name); 
+      const searchable = getSearchableFields(colConfig);
+      const fileFields = getFileFields(colConfig.fields);
       
       return `### ${pascalColName} Collection
 
+**Fields:**
+${Object.entries(colConfig.fields || {}).map(([field, definition]) => `- \`${field}\`: ${describeField(definition)}`).join('\n')}
+${colConfig.filterable || colConfig.sortable ? `
+**Queries:** filterable by ${(colConfig.filterable || []).map(f => `\`${f}\``).join(', ') || 'nothing'}; sortable by ${(colConfig.sortable || []).map(f => `\`${f}\``).join(', ') || 'nothing'}. Other filters and sorts are rejected by the store (see \`firestore.indexes.json\`).
+` : ''}${searchable.length > 0 ? `
+**Search:** looks in ${searchable.map(f => `\`${f}\``).join(', ')}, ignoring case and accents; documents carry their \`searchKeywords\`.
+` : ''}${fileFields.length > 0 ? `
+**Files:** ${fileFields.map(f => `\`${f}\``).join(', ')} are uploaded to Cloud Storage under \`${colConfig.name}/<field>/\` by \`FileUpload.vue\` and store \`{ url, path, name, size, contentType }\`. ${colConfig.softDelete ? `\`purge${pascalColName}(id)\`` : `\`delete${pascalColName}(id)\``} deletes the files with the document; \`storage.rules\` enforces the size and type limits.
+` : ''}${colConfig.realtime ? `
+**Real time:** \`subscribe${pascalColName}(query)\` keeps \`${colConfig.name}.items\` in sync through \`onSnapshot\` until \`unsubscribe${pascalColName}()\`, logout, or a route change (pass \`{ keepAlive: true }\` to keep it across routes).
+` : ''}${colConfig.softDelete ? `
+**Soft delete:** \`delete${pascalColName}(id)\` moves documents to the trash (\`deletedAt\`/\`deletedBy\`), which lists and search skip. \`fetch${pascalColName}Trash()\` loads \`${colConfig.name}.trash\`; \`restore${pascalColName}(id)\` takes a document out of it and \`purge${pascalColName}(id)\` deletes it for good.
+` : ''}${colConfig.versioned ? `
+**Versioning:** every update keeps the replaced data in \`${colConfig.name}/{id}/history\`. \`get${pascalColName}History(id)\` lists the versions (newest first, with \`versionedAt\`/\`versionedBy\`) and \`revert${pascalColName}(id, versionId)\` restores one. Updates run in a transaction, so they need a connection.
+` : ''}
 **Firestore Fundamentals:**
 - \`collection()\`: References a Firestore collection
 - \`doc()\`: References a specific document
@@ -60,9 +80,9 @@ ${colConfig.name}: { // Use .name property here
     direction: 'desc'
   },
   pageSize: 10,       // Firestore limit()
-  search: {           // Firestore text search
+  search: {           // search() results
     term: '',
-    field: 'name',
+    fields: [${searchable.map(f => `'${f}'`).join(', ')}],
     results: [],
     isActive: false
   }
@@ -74,13 +94,13 @@ ${colConfig.name}: { // Use .name property here
 - \`fetchNextPage${pascalColName}()\`: Pagination (uses \`startAfter()\`)
 - \`apply${pascalColName}Filters(filters)\`: Converts to Firestore \`where()\` clauses
 - \`change${pascalColName}Sorting(field, direction)\`: Updates \`orderBy()\`
-- \`search${pascalColName}(term, field)\`: Implements Firestore text search
+- \`search${pascalColName}(term, { fields, limit })\`: Searches through the store's search adapter (see \`search.js\`)
 - \`add${pascalColName}(data)\`: Uses Firestore \`addDoc()\`
 - \`update${pascalColName}(id, data)\`: Uses Firestore \`updateDoc()\`
 - \`delete${pascalColName}(id)\`: Uses Firestore \`deleteDoc()\`${
   isAuth && roles.length > 0 ? `
-- \`assign${pascalColName}Roles(userId, roles)\`: Updates custom claims
-- \`revoke${pascalColName}Roles(userId, roles)\`: Modifies custom claims` : ''}
+- \`assign${pascalColName}Roles(userId, roles)\`: Adds roles to the user's custom claims through the \`setUserRoles\` Cloud Function
+- \`revoke${pascalColName}Roles(userId, roles)\`: Removes roles from the user's custom claims through the \`setUserRoles\` Cloud Function` : ''}
 
 **Example Usage:**
 \`\`\`javascript
@@ -91,14 +111,13 @@ await store.fetchInitialPage${pascalColName}({
   orderBy: { field: 'name', direction: 'asc' }  // → orderBy('name', 'asc')
 });
 
-// Add new document (Firestore addDoc)
+// Add new document; createdAt/updatedAt (server time) and createdBy/updatedBy are stamped automatically
 await store.add${pascalColName}({
-  name: 'New Item',
-  createdAt: serverTimestamp()  // Use Firestore timestamps
+  name: 'New Item'
 });
 
-// Text search (Firestore query constraints)
-await store.search${pascalColName}('premium', 'category');
+// Search: every word must match a searchable field, the last one may be unfinished ("blue sh")
+await store.search${pascalColName}('premium');
 \`\`\`
 `;
     }).join('\n\n');
@@ -116,17 +135,23 @@ await store.search${pascalColName}('premium', 'category');
 
 **Methods:**
 - \`login(email, password)\`: Uses \`signInWithEmailAndPassword()\`
-- \`signUp(email, password, profileData)\`: Uses \`createUserWithEmailAndPassword()\`
+- \`signUp(email, password, profileData)\`: Validates the profile, then uses \`createUserWithEmailAndPassword()\`
 - \`sendPasswordReset(email)\`: Uses \`sendPasswordResetEmail()\`
 - \`updateProfile(profileData)\`: Uses \`updateProfile()\`: Uses \`updateProfile()\`
 - \`changePassword(newPassword)\`: Uses \`reauthenticateWithCredential()\`
-
+${socialProviders.length > 0 ? `- \`loginWithProvider(name, { redirect })\`: Uses \`signInWithPopup()\` or \`signInWithRedirect()\` (${socialProviders.map(name => `\`${name}\``).join(', ')}), creates the profile on the first sign-in and links accounts sharing an email with \`linkWithCredential()\`
+` : ''}${emailLink ? `- \`sendSignInLink(email)\`: Uses \`sendSignInLinkToEmail()\`; the link opens \`/finish-sign-in\`
+- \`finishSignInWithLink(email?)\`: Uses \`signInWithEmailLink()\`${anonymous ? ', or upgrades a guest with \`linkWithCredential()\`' : ''}
+` : ''}${anonymous ? `- \`loginAsGuest()\`: Uses \`signInAnonymously()\`; \`signUp\`${emailLink ? ', \`finishSignInWithLink\`' : ''}${socialProviders.length > 0 ? ', \`loginWithProvider\`' : ''} upgrade the guest, who keeps their uid and data
+` : ''}${roles.length > 0 ? `- \`refreshRoles()\`: Uses \`getIdTokenResult(user, true)\` to read role changes right away; roles otherwise come with the hourly token refresh
+- \`hasRole(role)\`: Checks the \`roles\` custom claim, like the router guard and the security rules
+` : ''}
 **Security Example:**
 \`\`\`javascript
 // Firebase Security Rules
 match /users/{userId} {
   allow read: if request.auth != null;
-  allow write: if request.auth.token.admin == true;
+  allow write: if 'admin' in request.auth.token.get('roles', []);
 }
 \`\`\`
 ` : '';
@@ -226,7 +251,7 @@ activities/
 // Example role-based access
 match /orders/{orderId} {
   allow read: if request.auth != null;
-  allow create: if request.auth.token.roles.has('orderManager');
+  allow create: if 'orderManager' in request.auth.token.get('roles', []);
   allow update: if resource.data.userId == request.auth.uid;
   allow delete: if false;  // Disable deletes
 }
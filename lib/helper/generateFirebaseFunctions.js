@@ -1,6 +1,9 @@
 import fs from 'fs/promises';
 import path from 'path';
 import readline from 'readline';
+import { buildSchemaModule, schemaExportNames, VALIDATOR_DEPENDENCIES } from './generateSchemaModule.js';
+import { normalizeFields } from './fields.js';
+import { toCamelCase } from './helperF.js';
 
 // Create readline interface
 const rl = readline.createInterface({
@@ -119,17 +122,21 @@ const createAuthUser = async (email, password, name) => {
 const validateRequiredFields = (body, fields) => {
   return fields.filter((field) => !body[field]);
 };
-  /**
-  * Set custom claims for user
-  * @param {string} uid 
-  * @param {string} role for user
-  */
-  const setCustomClaims = async (uid, role) {
+/**
+ * Sets the roles of a user in the \`roles\` custom claim, the claim the web app, the security rules
+ * and the setUserRoles function (functions/roles.js) read. The other claims are kept.
+ * @param {string} uid
+ * @param {string[]} roles - Roles of the user
+ * @param {Object} [claims={}] - Other claims to set, e.g. { forcePasswordReset: true }
+ */
+const setCustomClaims = async (uid, roles, claims = {}) => {
+  const { customClaims } = await admin.auth().getUser(uid);
   await admin.auth().setCustomUserClaims(uid, {
-    forcePasswordReset: true,
-    initialRole: role,
+    ...customClaims,
+    ...claims,
+    roles,
   });
-}
+};
 
   /**
  * Insert the new user in the admin collection
@@ -451,6 +458,34 @@ module.exports = {};`;
   await ensureFile(indexPath, content);
 };
 
+/**
+ * Writes the CommonJS copy of a collection schema to functions/schemas/<name>.js, so request
+ * bodies are checked against the same rules as the forms and the store, and adds the
+ * validation library to functions/package.json.
+ * @param {string} functionsDir - Functions directory path
+ * @param {{name: string, fields: Object}} collectionConfig - Collection from totistack.config.json
+ * @param {string} [validator='builtin'] - Validation library of the project
+ * @returns {Promise<string>} The require path of the schema module
+ */
+const generateSchemaFile = async (functionsDir, collectionConfig, validator = 'builtin') => {
+  await ensureDir(path.join(functionsDir, 'schemas'));
+  await fs.writeFile(
+    path.join(functionsDir, 'schemas', `${collectionConfig.name}.js`),
+    buildSchemaModule(collectionConfig, { validator, format: 'cjs' })
+  );
+
+  const packagePath = path.join(functionsDir, 'package.json');
+  try {
+    const pkg = JSON.parse(await fs.readFile(packagePath, 'utf8'));
+    pkg.dependencies = { ...VALIDATOR_DEPENDENCIES[validator], ...pkg.dependencies };
+    await fs.writeFile(packagePath, JSON.stringify(pkg, null, 2) + '\n');
+  } catch {
+    // No functions/package.json yet (firebase init functions creates it)
+  }
+
+  return `./schemas/${collectionConfig.name}`;
+};
+
 /**
  * Generates function content
  * @param {Object} options - Function options
@@ -465,7 +500,8 @@ const generateFunctionContent = (options) => {
     subject,
     isPublic,
     isEmail,
-    isAdminNotification
+    isAdminNotification,
+    schema
   } = options;
 
   const handlerType = isPublic ? 'withPublicHandler' : 'withAuthHandler';
@@ -512,7 +548,16 @@ const generateFunctionContent = (options) => {
  * @param {Object} res - HTTP response object
  */
 exports.${functionName} = ${handlerType}(async ${params} => {
-  const requiredFields = [${requiredFields.map(f => `"${f}"`).join(', ')}];
+${schema ? `  // Same rules as the ${schema.collectionName} forms and store (see ./schemas/${schema.collectionName}.js)
+  const errors = ${schema.check}(req.body);
+
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({
+      error: "Invalid request body",
+      errors,
+      message: Object.values(errors).join(" "),
+    });
+  }` : `  const requiredFields = [${requiredFields.map(f => `"${f}"`).join(', ')}];
   const missingFields = validateRequiredFields(req.body, requiredFields);
 
   if (missingFields.length > 0) {
@@ -521,7 +566,7 @@ exports.${functionName} = ${handlerType}(async ${params} => {
       missingFields,
       message: \`Please provide: \${missingFields.join(", ")}\`,
     });
-  }
+  }`}
   ${bodyContent}
 
   return res.status(200).json({
@@ -566,14 +611,33 @@ async function generateFirebaseFunction() {
     const isAdminNotification = isEmail && 
       (await ask('Send admin notification? (y/n) [n]: ') || 'n').toLowerCase() === 'y';
     
-    const requiredFieldsInput = await ask('Enter required fields (comma-separated): ');
-    const requiredFields = requiredFieldsInput
-      .split(',')
-      .map(f => f.trim())
-      .filter(Boolean);
-    
-    if (requiredFields.length === 0) {
-      throw new Error('At least one required field is needed');
+    // Request bodies can be checked against a collection schema of totistack.config.json
+    let schema = null;
+    let requiredFields = [];
+    const projectConfig = await fs.readFile('totistack.config.json', 'utf8').then(JSON.parse, () => null);
+    if (projectConfig) {
+      const collectionName = await ask(`Validate the request body against a collection schema? (${projectConfig.collections.map(c => c.name).join(', ')}, leave blank to skip): `);
+      const found = projectConfig.collections.find(c => c.name === collectionName);
+      if (collectionName && !found) throw new Error(`Unknown collection: ${collectionName}`);
+      if (found) {
+        // Named like the store's schema modules (camelCase)
+        const collectionConfig = { ...found, name: toCamelCase(found.name) };
+        const requirePath = await generateSchemaFile(projectDir, collectionConfig, projectConfig.validator);
+        schema = { collectionName: collectionConfig.name, requirePath, check: schemaExportNames(collectionConfig.name).check };
+        requiredFields = Object.values(normalizeFields(collectionConfig.fields)).filter(f => f.required).map(f => f.name);
+      }
+    }
+
+    if (!schema) {
+      const requiredFieldsInput = await ask('Enter required fields (comma-separated): ');
+      requiredFields = requiredFieldsInput
+        .split(',')
+        .map(f => f.trim())
+        .filter(Boolean);
+
+      if (requiredFields.length === 0) {
+        throw new Error('At least one required field is needed');
+      }
     }
 
     // Generate function code
@@ -585,12 +649,19 @@ async function generateFirebaseFunction() {
       subject,
       isPublic,
       isEmail,
-      isAdminNotification
+      isAdminNotification,
+      schema
     });
     
     // Append to index.js
     const indexPath = path.join(projectDir, 'index.js');
-    const indexContent = await fs.readFile(indexPath, 'utf8');
+    let indexContent = await fs.readFile(indexPath, 'utf8');
+
+    // Require the schema check once, next to the other imports
+    const schemaImport = schema ? `const { ${schema.check} } = require("${schema.requirePath}");\n` : '';
+    if (schemaImport && !indexContent.includes(schemaImport)) {
+      indexContent = indexContent.replace('// Initialize Firebase', `${schemaImport}\n// Initialize Firebase`);
+    }
     
     // Find where to insert the function
     const insertionPoint = indexContent.indexOf('// Export your functions below this line');
@@ -4,19 +4,24 @@ import { writeFile } from './helperF.js';
 /**
  * Generates the Firestore utility file
  * @param {string} baseDir - Base directory path
- * @param {string[]} authC - Authentication collections
+ * @param {Object[]} authC - Authentication collection configs
  * @param {string[]} roles - User roles for authorization
  * @param {boolean} addActivityLogging - Whether to add activity logging
+ * @param {boolean} [withPermissions=false] - Whether the actions check the permissions matrix (permissions.js)
  */
-export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogging) => {
+export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogging, withPermissions = false) => {
   try {
     // Stringify authCollections once to embed it directly into the generated file
     const authCollectionsString = JSON.stringify(authC);
 
+    // Roles are Firebase Auth custom claims, changed by the setUserRoles Cloud Function (functions/roles.js)
+    const withRoles = roles.length > 0 && authC.length > 0;
+
     // Role-based authorization check (remains inside the function where 'state' is available)
     const roleCheck = roles.length > 0 ? `
     /**
-     * Checks if user has required role
+     * Checks if user has required role. \`state.currentUser.value.roles\` holds the \`roles\` custom
+     * claim of the user's ID token, which the security rules check too.
      * @param {string} requiredRole - Required role
      * @throws {Error} If user doesn't have required role
      */
@@ -30,30 +35,78 @@ export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogg
       }
     },` : '';
 
-    // Auth role actions (now entirely conditional based on authCollections.includes(collectionName) within the function)
-    const authRoleActions = roles.length > 0 ? `
-    , ...(authCollections.includes(collectionName) ? {
+    // Calls setUserRoles and applies the result to the store, declared in the factory with the other helpers
+    const roleSetup = withRoles ? `
+
+  /**
+   * Changes the roles of a user through the setUserRoles Cloud Function, which checks that the
+   * caller is an admin, updates the \`roles\` custom claim and mirrors it on the user's profile.
+   * Claims reach a user with their next ID token, so the current user's token is refreshed right
+   * away; other signed-in users get theirs within the hour (or when they sign in again).
+   * @param {string} userId - User ID
+   * @param {{add?: string[], remove?: string[]}} change - Roles to add and remove
+   * @returns {Promise<string[]>} The user's roles
+   */
+  const changeRoles = async (userId, change) => {
+    const { data } = await setUserRoles({ uid: userId, ...change });
+    const auth = getAuth();
+    if (auth.currentUser?.uid === userId) {
+      await auth.currentUser.getIdToken(true);
+      state.currentUser.value = { ...state.currentUser.value, roles: data.roles };
+    }
+    // Loaded profiles show the mirrored roles
+    const withNewRoles = (list) => list.map(item => (item.id === userId ? { ...item, roles: data.roles } : item));
+    state[collectionName].value.items = withNewRoles(state[collectionName].value.items);
+    state[collectionName].value.specificItems = withNewRoles(state[collectionName].value.specificItems);
+    return data.roles;
+  };` : '';
+
+    // Wraps the actions with their permission check, declared in the factory with the other helpers
+    const permissionSetup = withPermissions ? `
+
+  /**
+   * Checks the permission of each action (ACTION_PERMISSIONS) against the current user's roles
+   * before running it. Denied actions reject with a PermissionError, also kept in \`state.error\`.
+   * @param {Object} actions - Collection actions
+   * @returns {Object} The same actions, checked
+   */
+  const withPermissionChecks = (actions) => Object.fromEntries(Object.entries(actions).map(([name, action]) => {
+    const permission = ACTION_PERMISSIONS[name];
+    if (!permission) return [name, action];
+    return [name, function (...args) {
+      try {
+        assertCan(state.currentUser?.value, permission, collectionName);
+      } catch (error) {
+        state.error.value = error.message;
+        return Promise.reject(error);
+      }
+      return action.apply(this, args);
+    }];
+  }));` : '';
+
+    // Auth role actions, only added for auth collections
+    const authRoleActions = withRoles ? `
+    , ...(isAuthCollection(collectionName) ? {
       /**
-       * Assigns roles to a user
+       * Assigns roles to a user, keeping the roles they already have
        * @async
        * @function
        * @param {string} userId - User ID
-       * @param {string[]} roles - Roles to assign
-       * @returns {Promise<void>}
+       * @param {string|string[]} roles - Roles to assign
+       * @returns {Promise<string[]>} The user's roles
        */
       async assignRoles(userId, roles) {
         state.loading.value = true;
         try {
           this._checkRole('admin');
-          await updateDoc(doc(db, collectionName, userId), {
-            roles: Array.isArray(roles) ? roles : [roles]
-          });
+          const assigned = Array.isArray(roles) ? roles : [roles];
+          const newRoles = await changeRoles(userId, { add: assigned });
           if (${addActivityLogging}) {
             const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);
             await logActivity(
               {
                 type: \`\${collectionName.toUpperCase()}_ROLES_ASSIGNED\`,
-                description: \`\${actorName} assigned roles to user \${userId} in \${collectionName}. New roles: \${Array.isArray(roles) ? roles.join(', ') : roles}\`,
+                description: \`\${actorName} assigned roles to user \${userId} in \${collectionName}. New roles: \${assigned.join(', ')}\`,
                 targetId: userId,
                 targetType: collectionName,
                 actorId, actorEmail, actorName, actorType, isAdminAction
@@ -61,6 +114,7 @@ export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogg
               state
             );
           }
+          return newRoles;
         } catch (error) {
           state.error.value = error.message;
           throw error;
@@ -74,35 +128,29 @@ export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogg
        * @async
        * @function
        * @param {string} userId - User ID
-       * @param {string[]} roles - Roles to revoke
-       * @returns {Promise<void>}
+       * @param {string|string[]} roles - Roles to revoke
+       * @returns {Promise<string[]>} The user's roles
        */
       async revokeRoles(userId, roles) {
         state.loading.value = true;
         try {
           this._checkRole('admin');
-          const userRef = doc(db, collectionName, userId);
-          const userDoc = await getDoc(userRef);
-          
-          if (userDoc.exists()) {
-            const currentRoles = userDoc.data().roles || [];
-            const newRoles = currentRoles.filter(role => !roles.includes(role));
-            
-            await updateDoc(userRef, { roles: newRoles });
-            if (${addActivityLogging}) {
-              const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);
-              await logActivity(
-                {
-                  type: \`\${collectionName.toUpperCase()}_ROLES_REVOKED\`,
-                  description: \`\${actorName} revoked roles from user \${userId} in \${collectionName}. Revoked roles: \${Array.isArray(roles) ? roles.join(', ') : roles}\`,
-                  targetId: userId,
-                  targetType: collectionName,
-                  actorId, actorEmail, actorName, actorType, isAdminAction
-                },
-                state
-              );
-            }
+          const revoked = Array.isArray(roles) ? roles : [roles];
+          const newRoles = await changeRoles(userId, { remove: revoked });
+          if (${addActivityLogging}) {
+            const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);
+            await logActivity(
+              {
+                type: \`\${collectionName.toUpperCase()}_ROLES_REVOKED\`,
+                description: \`\${actorName} revoked roles from user \${userId} in \${collectionName}. Revoked roles: \${revoked.join(', ')}\`,
+                targetId: userId,
+                targetType: collectionName,
+                actorId, actorEmail, actorName, actorType, isAdminAction
+              },
+              state
+            );
           }
+          return newRoles;
         } catch (error) {
           state.error.value = error.message;
           throw error;
@@ -115,17 +163,334 @@ export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogg
     // Conditionally generate admin check for remove method (now inside the function)
     const adminCheckInRemove = roles.length > 0 ? `
       // Require admin role for auth collections
-      if (authCollections.includes(collectionName)) {
+      if (isAuthCollection(collectionName)) {
         this._checkRole('admin');
       }
     ` : '';
 
+    // Real-time actions, added to the collections generated with \`realtime: true\`
+    const realtimeActions = `
+    , ...(options.realtime ? {
+      /**
+       * Keeps \`state.<collection>.items\` in sync with a query through onSnapshot: added, modified and
+       * removed documents are applied from each snapshot's docChanges. A running listener of the
+       * collection is stopped first, and the new one is kept in \`state.listeners\`.
+       * @async
+       * @function
+       * @param {Object} [queryOptions] - Query options
+       * @param {number} [queryOptions.pageSize] - Number of documents to listen to (state pageSize by default); subscribe again with a larger one to show more
+       * @param {Object} [queryOptions.filters] - Filters to apply
+       * @param {Object} [queryOptions.orderBy] - Sorting configuration
+       * @param {boolean|string[]} [queryOptions.populate=false] - Resolve reference fields of the received documents into \`item.populated\`
+       * @param {boolean} [queryOptions.keepAlive=false] - Keep listening when the route changes (logout still stops it)
+       * @returns {Promise<void>} Resolves once the first snapshot is in state
+       */
+      async subscribe(queryOptions = {}) {
+        stopListener();
+
+        const filters = queryOptions.filters || state[collectionName].value.filters;
+        const sortConfig = queryOptions.orderBy || state[collectionName].value.orderBy;
+        const pageSize = queryOptions.pageSize || state[collectionName].value.pageSize;
+        const populate = queryOptions.populate ?? false;
+        assertQuerySupported(filters, sortConfig);
+
+        const constraints = [...notDeleted()];
+        for (const [field, value] of Object.entries(filters || {})) {
+          if (value !== undefined && value !== null && value !== '') {
+            constraints.push(where(field, '==', value));
+          }
+        }
+        if (sortConfig && sortConfig.field) {
+          constraints.push(orderBy(sortConfig.field, sortConfig.direction || 'asc'));
+        }
+        constraints.push(limit(pageSize));
+
+        // Without lastVisible, fetchNextPage leaves the listened items alone
+        state[collectionName].value = {
+          ...state[collectionName].value,
+          items: [],
+          lastVisible: null,
+          hasMore: false,
+          filters: filters || {},
+          orderBy: sortConfig,
+          pageSize
+        };
+
+        state.loading.value = true;
+        await new Promise((resolve, reject) => {
+          let active = true;
+          let settled = false;
+          // Snapshots are applied one at a time, since resolving references is async
+          let applying = Promise.resolve();
+
+          const settle = (error) => {
+            if (settled) return;
+            settled = true;
+            state.loading.value = false;
+            error ? reject(error) : resolve();
+          };
+
+          // Metadata changes keep \`sync\` current when pending writes reach the server
+          const listenOptions = { includeMetadataChanges: true };
+          const stopSnapshots = onSnapshot(query(collection(db, collectionName), ...constraints), listenOptions, (snapshot) => {
+            applying = applying.then(async () => {
+              const changes = snapshot.docChanges();
+              const received = await populateReferences(changes
+                .filter(change => change.type !== 'removed')
+                .map(change => ({ id: change.doc.id, ...change.doc.data() })), populate);
+              if (!active) return;
+
+              // oldIndex/newIndex refer to the list as each change is applied in order
+              const byId = new Map(received.map(item => [item.id, item]));
+              const items = [...state[collectionName].value.items];
+              for (const change of changes) {
+                if (change.type !== 'added') items.splice(change.oldIndex, 1);
+                if (change.type !== 'removed') items.splice(change.newIndex, 0, byId.get(change.doc.id));
+              }
+
+              state[collectionName].value = {
+                ...state[collectionName].value,
+                items,
+                hasMore: snapshot.size === pageSize
+              };
+              trackSync(snapshot.docs);
+              settle();
+            }).catch((error) => {
+              state.error.value = error.message;
+              settle(error);
+            });
+          }, (error) => {
+            // Firestore ends the listener after an error (e.g. permission denied)
+            state.error.value = error.message;
+            settle(error);
+            if (active) stopListener();
+          });
+
+          state.listeners.value[collectionName] = {
+            unsubscribe: () => {
+              active = false;
+              stopSnapshots();
+              settle();
+            },
+            keepAlive: Boolean(queryOptions.keepAlive)
+          };
+        });
+      },
+
+      /**
+       * Stops the collection's real-time listener. The items received so far stay in state.
+       * @function
+       */
+      unsubscribe() {
+        stopListener();
+      }
+    } : {})`;
+
+    // Trash actions, added to the collections generated with \`softDelete: true\`
+    const softDeleteActions = `
+    , ...(options.softDelete ? {
+      /**
+       * Fetches the trashed documents, most recently deleted first, into \`state.<collection>.trash\`.
+       * @async
+       * @function
+       * @returns {Promise<void>}
+       */
+      async fetchTrash() {
+        state.loading.value = true;
+        try {
+          const q = query(collection(db, collectionName), where('deletedAt', '!=', null), orderBy('deletedAt', 'desc'));
+          const snapshot = await getDocs(q);
+          trackSync(snapshot.docs);
+          state[collectionName].value.trash = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        } catch (error) {
+          state.error.value = error.message;
+          throw error;
+        } finally {
+          state.loading.value = false;
+        }
+      },
+
+      /**
+       * Takes a document out of the trash. It leaves \`trash\` right away (put back if Firestore rejects
+       * the write) and shows up in the lists again on the next fetch, or right away when subscribed.
+       * @async
+       * @function
+       * @param {string} id - ID of the trashed document
+       * @returns {Promise<void>}
+       */
+      async restore(id) {
+        state.loading.value = true;
+        try {
+          ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
+          const trash = state[collectionName].value.trash;
+          const trashed = trash.find(item => item.id === id);
+          state[collectionName].value.trash = trash.filter(item => item.id !== id);
+          await commitWrite(updateDoc(doc(db, collectionName, id), { deletedAt: null, deletedBy: null, ...auditFields(false) }), {
+            confirm: () => {},
+            rollback: () => { state[collectionName].value.trash = trash; }
+          });
+          if (trashed) await syncSearchIndex('index', [{ ...trashed, deletedAt: null, deletedBy: null }]);
+
+          if (${addActivityLogging}) {
+            // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+            logActivity(
+              {
+                type: \`\${collectionName.toUpperCase()}_RESTORED\`,
+                description: \`\${actorName} restored a \${collectionName} document (\${id}).\`,
+                targetId: id,
+                targetType: collectionName,
+                targetName: trashed?.name || trashed?.title || id,
+                actorId, actorEmail, actorName, actorType, isAdminAction,
+              },
+              state
+            );
+          }
+        } catch (error) {
+          state.error.value = error.message;
+          throw error;
+        } finally {
+          state.loading.value = false;
+        }
+      },
+
+      /**
+       * Deletes a trashed document for good, with its Cloud Storage files. It leaves \`trash\` right
+       * away and is put back if Firestore rejects the delete.
+       * @async
+       * @function
+       * @param {string} id - ID of the trashed document
+       * @returns {Promise<void>}
+       */
+      async purge(id) {
+        state.loading.value = true;
+        try {
+          ${adminCheckInRemove}
+          ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
+          const owners = await loadFileOwners([id]);
+          const trash = state[collectionName].value.trash;
+          const trashed = trash.find(item => item.id === id);
+          state[collectionName].value.trash = trash.filter(item => item.id !== id);
+          await commitWrite(deleteDoc(doc(db, collectionName, id)), {
+            confirm: () => {},
+            rollback: () => { state[collectionName].value.trash = trash; }
+          });
+          await deleteFiles(owners);
+
+          if (${addActivityLogging}) {
+            // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+            logActivity(
+              {
+                type: \`\${collectionName.toUpperCase()}_PURGED\`,
+                description: \`\${actorName} permanently deleted a \${collectionName} document (\${id}).\`,
+                targetId: id,
+                targetType: collectionName,
+                targetName: trashed?.name || trashed?.title || id,
+                actorId, actorEmail, actorName, actorType, isAdminAction,
+              },
+              state
+            );
+          }
+        } catch (error) {
+          state.error.value = error.message;
+          throw error;
+        } finally {
+          state.loading.value = false;
+        }
+      }
+    } : {})`;
+
+    // History actions, added to the collections generated with \`versioned: true\`
+    const versionedActions = `
+    , ...(options.versioned ? {
+      /**
+       * Lists the earlier versions of a document, newest first. Each one holds the document's data
+       * as it was before an update or revert, plus \`versionedAt\` and \`versionedBy\`.
+       * @async
+       * @function
+       * @param {string} id - Document ID
+       * @returns {Promise<Array<Object>>} The versions, with their history entry ID as \`id\`
+       */
+      async getHistory(id) {
+        state.loading.value = true;
+        try {
+          const q = query(collection(db, collectionName, id, 'history'), orderBy('versionedAt', 'desc'));
+          const snapshot = await getDocs(q);
+          return snapshot.docs.map(version => ({ id: version.id, ...version.data() }));
+        } catch (error) {
+          state.error.value = error.message;
+          throw error;
+        } finally {
+          state.loading.value = false;
+        }
+      },
+
+      /**
+       * Replaces a document with the data of one of its versions (see getHistory). The current data
+       * is added to the history first, so a revert can be reverted too. Like every write of a
+       * versioned collection, this runs in a transaction and needs a connection.
+       * @async
+       * @function
+       * @param {string} id - Document ID
+       * @param {string} versionId - ID of the history entry to restore
+       * @returns {Promise<void>}
+       * @throws {Error} If the version does not exist
+       */
+      async revertTo(id, versionId) {
+        state.loading.value = true;
+        try {
+          ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
+          const docRef = doc(db, collectionName, id);
+          const reverted = await runTransaction(db, async (transaction) => {
+            const [current, version] = await Promise.all([
+              transaction.get(docRef),
+              transaction.get(doc(db, collectionName, id, 'history', versionId))
+            ]);
+            if (!version.exists()) {
+              throw new Error(\`Version \${versionId} of \${collectionName}/\${id} not found\`);
+            }
+            // Keywords are rebuilt, since the version may predate them
+            const { versionedAt, versionedBy, ...versionData } = version.data();
+            const data = withSearchKeywords(versionData);
+            if (current.exists()) transaction.set(historyRef(id), historyEntry(current));
+            transaction.set(docRef, { ...data, ...auditFields(false) });
+            return data;
+          });
+          await syncSearchIndex('index', [{ id, ...reverted }]);
+
+          // Real-time collections receive the change from their listener
+          if (!state.listeners.value[collectionName]) {
+            state[collectionName].value.items = state[collectionName].value.items
+              .map(item => (item.id === id ? { id, ...reverted, ...auditFields(false, new Date()) } : item));
+          }
+
+          if (${addActivityLogging}) {
+            // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+            logActivity(
+              {
+                type: \`\${collectionName.toUpperCase()}_REVERTED\`,
+                description: \`\${actorName} reverted a \${collectionName} document (\${id}) to version \${versionId}.\`,
+                targetId: id,
+                targetType: collectionName,
+                targetName: reverted.name || reverted.title || id,
+                actorId, actorEmail, actorName, actorType, isAdminAction,
+              },
+              state
+            );
+          }
+        } catch (error) {
+          state.error.value = error.message;
+          throw error;
+        } finally {
+          state.loading.value = false;
+        }
+      }
+    } : {})`;
+
     writeFile(
       path.join(baseDir, 'useFirestoreCollectionActions.js'),
       `import { 
   collection, 
   getDocs, 
-  addDoc, 
   setDoc,
   updateDoc, 
   deleteDoc, 
@@ -136,24 +501,484 @@ export const generateFirestoreUtilFile = (baseDir, authC, roles, addActivityLogg
   limit, 
   startAfter,
   getCountFromServer,
-  getDoc
+  getDoc,
+  documentId,
+  onSnapshot,
+  serverTimestamp,
+  writeBatch,
+  runTransaction
 } from 'firebase/firestore';
-import { db } from '@/firebase';
-import {ref} from 'vue'
-${addActivityLogging ? `import { logActivity, _getActorContext } from './activityLogger';` : ''} // Adjust path if activityLogger is elsewhere
+import { ref as storageRef, deleteObject } from 'firebase/storage';
+import { db, storage } from '@/firebase';
+import { buildSearchKeywords, getSearchAdapter } from './search.js';
+${withPermissions ? `import { assertCan } from './permissions.js';
+` : ''}${addActivityLogging ? `import { logActivity, _getActorContext } from './activityLogger';` : ''} // Adjust path if activityLogger is elsewhere
 ${authC.length > 0 ? `import { getAuth } from 'firebase/auth';` : ''}
+${withRoles ? `import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/firebase';` : ''}
 
 // Auth collections configuration is defined once here
 const authCollections = ${authCollectionsString};
 
+/**
+ * Whether a collection is an auth collection (user profiles keyed by user ID)
+ * @param {string} collectionName - Collection name
+ * @returns {boolean}
+ */
+const isAuthCollection = (collectionName) => authCollections.some(authCollection => authCollection.name === collectionName);
+
+// Firestore accepts at most 30 values in an 'in' query
+const IN_QUERY_LIMIT = 30;
+
+// Firestore accepts at most 500 writes in a batch
+const BATCH_LIMIT = 500;
+
+// Hits kept by search unless it is given a limit
+const SEARCH_LIMIT = 50;
+${withRoles ? `
+// Roles are custom claims, which only this Cloud Function (functions/roles.js) may change
+const setUserRoles = httpsCallable(functions, 'setUserRoles');
+` : ''}${withPermissions ? `
+// Permission each action needs on its collection (\`<collection>.<action>\` in permissions.js).
+// Trash actions need the delete permission; transaction and the role actions are not checked here.
+const ACTION_PERMISSIONS = {
+  fetchInitialPage: 'read', fetchNextPage: 'read', applyFilters: 'read', changeSorting: 'read',
+  get: 'read', getWhere: 'read', search: 'read', subscribe: 'read', getHistory: 'read',
+  add: 'create', addMany: 'create',
+  update: 'update', updateMany: 'update', revertTo: 'update',
+  remove: 'delete', removeMany: 'delete', fetchTrash: 'delete', restore: 'delete', purge: 'delete'
+};
+` : ''}
+/**
+ * Whether the browser reports no connection. Firestore keeps writes made offline pending until it
+ * reconnects, so the store does not wait for them (see commitWrite).
+ * @returns {boolean}
+ */
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Rejection of add/update when the data does not match the collection schema.
+ * The same errors are kept in \`state.<collection>.validationErrors\` for the forms.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} collectionName - Collection the data was written to
+   * @param {Object.<string, string>} errors - Field names mapped to their error message
+   * @param {number} [index] - Position of the invalid document in a bulk write (addMany/updateMany)
+   */
+  constructor(collectionName, errors, index) {
+    super(\`Invalid \${collectionName} data\${index === undefined ? '' : \` at index \${index}\`}: \${Object.values(errors).join(' ')}\`);
+    this.name = 'ValidationError';
+    this.collection = collectionName;
+    this.errors = errors;
+    this.index = index;
+  }
+}
+
 /**
  * Firestore Collection Actions Factory
  * @param {string} collectionName - Name of Firestore collection
  * @param {Object} state - Pinia store state (assumes state has .loading and .error refs, and .currentUser)
+ * @param {Object} [options] - Collection options generated from the project schema
+ * @param {Object.<string, {collection: string, many: boolean}>} [options.references] - Reference fields mapped to their target collection
+ * @param {string[]} [options.filterable] - Fields lists may be filtered by. Declaring it (or sortable) restricts queries
+ * @param {string[]} [options.sortable] - Fields lists may be sorted by
+ * @param {string[]} [options.searchable] - Fields search looks in and \`searchKeywords\` is built from
+ * @param {string[]} [options.files] - File, image and files fields, whose Cloud Storage files are deleted with their document
+ * @param {function(Object, Object=): Promise<Object.<string, string>>} [options.validate] - Validator run by add and update (see src/validators)
+ * @param {boolean} [options.realtime=false] - Adds subscribe/unsubscribe, which keep the items in sync through onSnapshot
+ * @param {boolean} [options.softDelete=false] - remove/removeMany move documents to the trash; adds fetchTrash, restore and purge
+ * @param {boolean} [options.versioned=false] - update keeps each replaced version in \`<collection>/{id}/history\`; adds getHistory and revertTo
  * @returns {Object} Collection CRUD actions
  */
-export function useFirestoreCollectionActions(collectionName, state) {
-  return {${roleCheck}
+export function useFirestoreCollectionActions(collectionName, state, options = {}) {
+  const references = options.references || {};
+
+  // Populate setting of the last fetchInitialPage, reused by fetchNextPage
+  let activePopulate = false;
+
+  // Collections declaring filterable/sortable fields only accept queries firestore.indexes.json covers
+  const restrictQueries = Boolean(options.filterable || options.sortable);
+  const filterable = options.filterable || [];
+  // createdAt, stamped on every document, is the default sort and is always indexed
+  const sortable = [...new Set([...(options.sortable || []), 'createdAt'])];
+  const searchable = options.searchable || [];
+  const fileFields = options.files || [];
+
+  /**
+   * Rejects filters and sorting the collection did not declare, before Firestore fails
+   * at runtime with a missing composite index.
+   * @param {Object} [filters] - Equality filters (field -> value); empty values are ignored
+   * @param {Object} [sortConfig] - Sorting configuration ({ field, direction })
+   * @throws {Error} If a filter or sort field is not declared for the collection
+   */
+  const assertQuerySupported = (filters, sortConfig) => {
+    if (!restrictQueries) return;
+
+    const undeclared = Object.entries(filters || {})
+      .filter(([field, value]) => value !== undefined && value !== null && value !== '' && !filterable.includes(field))
+      .map(([field]) => field);
+    if (undeclared.length > 0) {
+      throw new Error(\`Cannot filter \${collectionName} by \${undeclared.join(', ')}. Filterable fields: \${filterable.join(', ') || 'none'}. Add the field to "filterable" in totistack.config.json and regenerate.\`);
+    }
+    if (sortConfig && sortConfig.field && !sortable.includes(sortConfig.field)) {
+      throw new Error(\`Cannot sort \${collectionName} by \${sortConfig.field}. Sortable fields: \${sortable.join(', ') || 'none'}. Add the field to "sortable" in totistack.config.json and regenerate.\`);
+    }
+  };
+
+  /**
+   * Runs the collection's validator before data is written, keeping its field errors in
+   * \`state.<collection>.validationErrors\`.
+   * @param {Object} data - Document data
+   * @param {Object} [validateOptions] - Forwarded to the validator ({ partial: true } for updates)
+   * @throws {ValidationError} If the data does not match the schema
+   */
+  const assertValid = async (data, validateOptions) => {
+    if (!options.validate) return;
+    const errors = await options.validate(data, validateOptions);
+    state[collectionName].value.validationErrors = errors;
+    if (Object.keys(errors).length > 0) {
+      throw new ValidationError(collectionName, errors);
+    }
+  };
+
+  /**
+   * Runs the collection's validator on every document of a bulk write, before anything is written.
+   * @param {Object[]} list - Documents, or the changed fields with \`{ partial: true }\`
+   * @param {Object} [validateOptions] - Forwarded to the validator
+   * @throws {ValidationError} For the first invalid document, with its position in \`error.index\`
+   */
+  const assertAllValid = async (list, validateOptions) => {
+    if (!options.validate) return;
+    for (const [index, data] of list.entries()) {
+      const errors = await options.validate(data, validateOptions);
+      if (Object.keys(errors).length > 0) {
+        state[collectionName].value.validationErrors = errors;
+        throw new ValidationError(collectionName, errors, index);
+      }
+    }
+    state[collectionName].value.validationErrors = {};
+  };
+
+  /**
+   * Records the sync status of documents in \`state.<collection>.sync\` (document ID -> status).
+   * @param {Array<{id: string, metadata: {hasPendingWrites: boolean, fromCache: boolean}}>} docs - Document snapshots
+   */
+  const trackSync = (docs) => {
+    const sync = { ...state[collectionName].value.sync };
+    for (const d of docs) {
+      sync[d.id] = { hasPendingWrites: d.metadata.hasPendingWrites, fromCache: d.metadata.fromCache };
+    }
+    state[collectionName].value.sync = sync;
+  };
+
+  /**
+   * Applies a write to \`state.<collection>.items\` before Firestore confirms it, marking the
+   * document as pending. A running real-time listener already shows local writes, so the items
+   * are left to it.
+   * @param {string} id - ID of the written document
+   * @param {function(Object[]): Object[]} apply - Returns the items with the write applied
+   * @param {function(Object[]): Object[]} undo - Returns the items with the write undone
+   * @param {boolean} [removing=false] - Whether the document is deleted (its status is dropped once confirmed)
+   * @returns {{confirm: function(): void, rollback: function(): void}} Handlers for the outcome of the write
+   */
+  const applyOptimistic = (id, apply, undo, removing = false) => {
+    const listening = Boolean(state.listeners.value[collectionName]);
+    const previousSync = state[collectionName].value.sync?.[id];
+    const setSync = (status) => {
+      const { [id]: _, ...sync } = state[collectionName].value.sync || {};
+      state[collectionName].value.sync = status ? { ...sync, [id]: status } : sync;
+    };
+
+    if (!listening) state[collectionName].value.items = apply(state[collectionName].value.items);
+    setSync({ hasPendingWrites: true, fromCache: true });
+
+    return {
+      confirm: () => setSync(removing ? null : { hasPendingWrites: false, fromCache: false }),
+      rollback: () => {
+        if (!listening) state[collectionName].value.items = undo(state[collectionName].value.items);
+        setSync(previousSync);
+      }
+    };
+  };
+
+  /**
+   * Waits for a write to reach the server, or only until it is queued in the local cache when the
+   * browser is offline. A write the server rejects is rolled back and reported in \`state.error\`.
+   * @param {Promise} write - The pending Firestore write
+   * @param {{confirm: function(): void, rollback: function(): void}} [optimistic] - Returned by applyOptimistic
+   * @returns {Promise<void>}
+   * @throws {Error} If the server rejects the write while online
+   */
+  const commitWrite = async (write, optimistic) => {
+    const committed = write.then(
+      () => optimistic?.confirm(),
+      (error) => {
+        optimistic?.rollback();
+        state.error.value = error.message;
+        throw error;
+      }
+    );
+    if (isOffline()) {
+      committed.catch(() => {}); // Already rolled back and reported
+      return;
+    }
+    await committed;
+  };
+
+  /**
+   * Reference of a new document. Auth collections are keyed by user ID (\`data.uid\`), so security
+   * rules can match a profile to its owner; other IDs are generated locally, so the document can
+   * be shown before Firestore confirms it.
+   * @param {Object} data - Data of the new document
+   * @returns {import('firebase/firestore').DocumentReference}
+   * @throws {Error} If an auth collection document has no uid
+   */
+  const newDocRef = (data) => {
+    if (!isAuthCollection(collectionName)) return doc(collection(db, collectionName));
+    if (!data.uid) throw new Error(\`\${collectionName} documents are keyed by user ID: data.uid is required\`);
+    return doc(db, collectionName, data.uid);
+  };
+
+  /**
+   * Commits writes in atomic batches of up to BATCH_LIMIT operations, applying each one to the
+   * items optimistically (see applyOptimistic). A failed batch is rolled back on its own: the
+   * batches committed before it stay, and the ones after it are not sent.
+   * @param {Array<{id: string, write: function(import('firebase/firestore').WriteBatch): void, apply: function(Object[]): Object[], undo: function(Object[]): Object[], removing?: boolean}>} writes - One entry per document
+   * @param {Object} [batchOptions]
+   * @param {number} [batchOptions.size=BATCH_LIMIT] - Documents per batch
+   * @param {function(Object[]): Promise<void>} [batchOptions.commit] - Commits a chunk of writes; by default a writeBatch of their \`write\`s
+   * @returns {Promise<void>}
+   */
+  const commitBatches = async (writes, { size = BATCH_LIMIT, commit } = {}) => {
+    for (let i = 0; i < writes.length; i += size) {
+      const chunk = writes.slice(i, i + size);
+      let committed;
+      if (commit) {
+        committed = commit(chunk);
+      } else {
+        const batch = writeBatch(db);
+        chunk.forEach(({ write }) => write(batch));
+        committed = batch.commit();
+      }
+      const optimistic = chunk.map(({ id, apply, undo, removing }) => applyOptimistic(id, apply, undo, removing));
+      await commitWrite(committed, {
+        confirm: () => optimistic.forEach(change => change.confirm()),
+        rollback: () => [...optimistic].reverse().forEach(change => change.rollback())
+      });
+    }
+  };
+
+  /**
+   * Constraint keeping trashed documents out of the lists of soft-delete collections. Their
+   * documents are written with \`deletedAt: null\`, since queries cannot match a missing field.
+   * @returns {Array} Query constraints to prepend (none without softDelete)
+   */
+  const notDeleted = () => (options.softDelete ? [where('deletedAt', '==', null)] : []);
+
+  /**
+   * ID of the signed-in user, or null (always null in projects without an auth collection).${authC.length > 0 ? `
+   * Read from Firebase Auth while a sign-in completes, before state.currentUser is set.` : ''}
+   * @returns {string|null}
+   */
+  const currentUserId = () => state.currentUser?.value?.uid || ${authC.length > 0 ? 'getAuth().currentUser?.uid || ' : ''}null;
+
+  /**
+   * Audit fields stamped on every add and update: when the write happened and who made it.
+   * @param {boolean} creating - Also set createdAt/createdBy (add)
+   * @param {*} [time] - The server's timestamp by default; a local Date for the optimistic copy in \`items\`
+   * @returns {{createdAt?: *, createdBy?: (string|null), updatedAt: *, updatedBy: (string|null)}}
+   */
+  const auditFields = (creating, time = serverTimestamp()) => ({
+    ...(creating && { createdAt: time, createdBy: currentUserId() }),
+    updatedAt: time,
+    updatedBy: currentUserId()
+  });
+
+  /**
+   * Fields marking a document as trashed by the current user.
+   * @returns {{deletedAt: import('firebase/firestore').FieldValue, deletedBy: (string|null)}}
+   */
+  const trashedFields = () => ({ deletedAt: serverTimestamp(), deletedBy: currentUserId() });
+
+  /**
+   * A new entry of a document's \`history\` subcollection (versioned collections).
+   * @param {string} id - Document ID
+   * @returns {import('firebase/firestore').DocumentReference}
+   */
+  const historyRef = (id) => doc(collection(db, collectionName, id, 'history'));
+
+  /**
+   * The history entry of a document's current data: the data itself plus when and by whom it was replaced.
+   * @param {import('firebase/firestore').DocumentSnapshot} snapshot - The document before the write
+   * @returns {Object}
+   */
+  const historyEntry = (snapshot) => ({ ...snapshot.data(), versionedAt: serverTimestamp(), versionedBy: currentUserId() });
+
+  /**
+   * Updates documents of a versioned collection in one transaction, copying the current data of
+   * each one to its history first, so concurrent edits cannot lose a version.
+   * @param {Array<{id: string, data: Object}>} updates - Document IDs with the fields to write
+   * @returns {Promise<void>}
+   */
+  const versionedUpdate = (updates) => runTransaction(db, async (transaction) => {
+    const refs = updates.map(({ id }) => doc(db, collectionName, id));
+    // Transactions read everything before writing
+    const snapshots = await Promise.all(refs.map(ref => transaction.get(ref)));
+    snapshots.forEach((snapshot, i) => {
+      if (snapshot.exists()) transaction.set(historyRef(updates[i].id), historyEntry(snapshot));
+      transaction.update(refs[i], updates[i].data);
+    });
+  });
+
+  /**
+   * Adds the \`searchKeywords\` of the searchable fields to the data of a new document.
+   * @param {Object} data - Document data
+   * @returns {Object} The data, with its keywords when the collection has searchable fields
+   */
+  const withSearchKeywords = (data) => (searchable.length > 0
+    ? { ...data, searchKeywords: buildSearchKeywords(data, searchable) }
+    : data);
+
+  /**
+   * Rebuilds the \`searchKeywords\` of a document when an update changes searchable fields. The
+   * fields left unchanged are taken from the loaded copy of the document, or read from Firestore.
+   * @param {string} id - Document ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} The fields to update, with the new keywords if needed
+   */
+  const withUpdatedSearchKeywords = async (id, data) => {
+    if (!searchable.some(field => field in data)) return data;
+    const { items, specificItems } = state[collectionName].value;
+    let current = [...items, ...specificItems].find(item => item.id === id);
+    if (!current) {
+      const snapshot = await getDoc(doc(db, collectionName, id));
+      current = snapshot.exists() ? snapshot.data() : {};
+    }
+    return { ...data, searchKeywords: buildSearchKeywords({ ...current, ...data }, searchable) };
+  };
+
+  /**
+   * Forwards confirmed writes to the collection's search adapter, for engines keeping their own
+   * index (see search.js). The write already succeeded, so a failure is only reported.
+   * @param {'index'|'remove'} method - Adapter method
+   * @param {Array} payload - Written documents (index) or document IDs (remove)
+   * @returns {Promise<void>}
+   */
+  const syncSearchIndex = async (method, payload) => {
+    const adapter = getSearchAdapter(collectionName);
+    if (typeof adapter[method] !== 'function') return;
+    try {
+      await adapter[method](collectionName, payload);
+    } catch (error) {
+      console.error(\`[Search] Failed to \${method} \${collectionName} documents:\`, error);
+    }
+  };
+
+  /**
+   * Loads documents of a collection by ID, in batched 'in' queries.
+   * @param {string} target - Collection name
+   * @param {string[]} ids - Document IDs
+   * @returns {Promise<Map<string, Object>>} The documents that exist, by ID
+   */
+  const loadByIds = async (target, ids) => {
+    const loaded = new Map();
+    for (let i = 0; i < ids.length; i += IN_QUERY_LIMIT) {
+      const batch = query(collection(db, target), where(documentId(), 'in', ids.slice(i, i + IN_QUERY_LIMIT)));
+      const snapshot = await getDocs(batch);
+      snapshot.docs.forEach(d => loaded.set(d.id, { id: d.id, ...d.data() }));
+    }
+    return loaded;
+  };
+
+  /**
+   * Loads the documents whose Cloud Storage files a delete removes, before deleting them: the copies
+   * in state, or Firestore's.
+   * @param {string[]} ids - IDs of the documents about to be deleted
+   * @returns {Promise<Object[]>} The documents found (none when the collection has no file fields)
+   */
+  const loadFileOwners = async (ids) => {
+    if (fileFields.length === 0) return [];
+    const { items, specificItems, trash = [] } = state[collectionName].value;
+    const found = new Map([...items, ...specificItems, ...trash].filter(item => ids.includes(item.id)).map(item => [item.id, item]));
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) (await loadByIds(collectionName, missing)).forEach((item, id) => found.set(id, item));
+    return [...found.values()];
+  };
+
+  /**
+   * Deletes the Cloud Storage files of deleted documents. The documents are already gone, so a
+   * failure is only reported; files that no longer exist are skipped.
+   * @param {Object[]} documents - The deleted documents, from loadFileOwners
+   * @returns {Promise<void>}
+   */
+  const deleteFiles = async (documents) => {
+    const paths = new Set(documents
+      .flatMap(document => fileFields.flatMap(field => [].concat(document[field] || [])))
+      .map(file => file?.path)
+      .filter(Boolean));
+    await Promise.all([...paths].map(async (filePath) => {
+      try {
+        await deleteObject(storageRef(storage, filePath));
+      } catch (error) {
+        if (error.code !== 'storage/object-not-found') console.error(\`[Storage] Failed to delete \${filePath}:\`, error);
+      }
+    }));
+  };
+
+  /**
+   * Stops the collection's real-time listener, if one is running (see subscribe).
+   */
+  const stopListener = () => {
+    const listener = state.listeners.value[collectionName];
+    if (listener) {
+      listener.unsubscribe();
+      delete state.listeners.value[collectionName];
+    }
+  };
+
+  /**
+   * Resolves reference fields of the given documents into \`populated.<field>\`.
+   * Referenced documents are loaded in batched 'in' queries, once per target collection.
+   * @param {Object[]} items - Documents holding IDs in their reference fields
+   * @param {boolean|string[]} populate - true for every reference field, or a list of field names
+   * @returns {Promise<Object[]>} The documents, with a \`populated\` object when anything was resolved
+   */
+  const populateReferences = async (items, populate) => {
+    const fields = populate === true
+      ? Object.keys(references)
+      : (Array.isArray(populate) ? populate : []).filter(field => references[field]);
+    if (fields.length === 0 || items.length === 0) return items;
+
+    // Collect the IDs to load per target collection
+    const idsByCollection = {};
+    for (const field of fields) {
+      const target = references[field].collection;
+      idsByCollection[target] = idsByCollection[target] || new Set();
+      for (const item of items) {
+        const value = item[field];
+        (Array.isArray(value) ? value : [value]).filter(Boolean).forEach(id => idsByCollection[target].add(id));
+      }
+    }
+
+    const loaded = {};
+    await Promise.all(Object.entries(idsByCollection).map(async ([target, ids]) => {
+      loaded[target] = await loadByIds(target, [...ids]);
+    }));
+
+    return items.map(item => ({
+      ...item,
+      populated: Object.fromEntries(fields.map(field => {
+        const { collection: target, many } = references[field];
+        const value = item[field];
+        return [field, many
+          ? (Array.isArray(value) ? value : []).map(id => loaded[target].get(id)).filter(Boolean)
+          : loaded[target].get(value) || null];
+      }))
+    }));
+  };${roleSetup}${permissionSetup}
+
+  return ${withPermissions ? 'withPermissionChecks(' : ''}{${roleCheck}
     /**
      * Fetches initial page of documents from the collection
      * @async
@@ -162,6 +987,7 @@ export function useFirestoreCollectionActions(collectionName, state) {
      * @param {number} [options.pageSize=10] - Number of items per page
      * @param {Object} [options.filters] - Filters to apply
      * @param {Object} [options.orderBy] - Sorting configuration
+     * @param {boolean|string[]} [options.populate=false] - Resolve reference fields (all with true, or the listed ones) into \`item.populated\`
      * @returns {Promise<void>}
      */
     async fetchInitialPage(options = {}) {
@@ -171,10 +997,11 @@ export function useFirestoreCollectionActions(collectionName, state) {
         const colRef = collection(db, collectionName);
         
         // Build query constraints
-        const constraints = [];
+        const constraints = [...notDeleted()];
         
         // Apply filters if provided
         const filters = options.filters || state[collectionName].value.filters;
+        assertQuerySupported(filters, options.orderBy || state[collectionName].value.orderBy);
         if (filters && Object.keys(filters).length > 0) {
           for (const [field, value] of Object.entries(filters)) {
             if (value !== undefined && value !== null && value !== '') {
@@ -196,11 +1023,16 @@ export function useFirestoreCollectionActions(collectionName, state) {
         // Execute query
         const q = query(colRef, ...constraints);
         const snapshot = await getDocs(q);
+        trackSync(snapshot.docs);
+
+        // Resolve reference fields if requested
+        activePopulate = options.populate ?? false;
+        const items = await populateReferences(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })), activePopulate);
         
         // Update state
         state[collectionName].value = {
           ...state[collectionName].value,
-          items: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })),
+          items,
           lastVisible: snapshot.docs[snapshot.docs.length - 1] || null,
           hasMore: snapshot.docs.length === pageSize,
           filters: filters || {},
@@ -209,9 +1041,12 @@ export function useFirestoreCollectionActions(collectionName, state) {
         };
         
         // Get total count (for UI display)
-        const countQuery = query(colRef, ...constraints.filter(c => !(c.type === 'limit' || c.type === 'startAfter')));
-        const countSnapshot = await getCountFromServer(countQuery);
-        state[collectionName].value.total = countSnapshot.data().count;
+        // Counting needs the server; offline the previous total is kept
+        if (!isOffline()) {
+          const countQuery = query(colRef, ...constraints.filter(c => !(c.type === 'limit' || c.type === 'startAfter')));
+          const countSnapshot = await getCountFromServer(countQuery);
+          state[collectionName].value.total = countSnapshot.data().count;
+        }
       } catch (error) {
         state.error.value = error.message;
         throw error;
@@ -235,7 +1070,7 @@ export function useFirestoreCollectionActions(collectionName, state) {
         const colRef = collection(db, collectionName);
         
         // Build query constraints
-        const constraints = [];
+        const constraints = [...notDeleted()];
         
         // Apply existing filters
         const filters = state[collectionName].value.filters;
@@ -260,14 +1095,18 @@ export function useFirestoreCollectionActions(collectionName, state) {
         // Execute query
         const q = query(colRef, ...constraints);
         const snapshot = await getDocs(q);
+        trackSync(snapshot.docs);
+
+        // Resolve reference fields the same way fetchInitialPage did
+        const nextItems = await populateReferences(snapshot.docs.map(doc => ({ 
+          id: doc.id, 
+          ...doc.data() 
+        })), activePopulate);
         
         // Update state
         state[collectionName].value = {
           ...state[collectionName].value,
-          items: [...state[collectionName].value.items, ...snapshot.docs.map(doc => ({ 
-            id: doc.id, 
-            ...doc.data() 
-          }))],
+          items: [...state[collectionName].value.items, ...nextItems],
           lastVisible: snapshot.docs[snapshot.docs.length - 1] || null,
           hasMore: snapshot.docs.length === state[collectionName].value.pageSize
         };
@@ -284,9 +1123,11 @@ export function useFirestoreCollectionActions(collectionName, state) {
     * @async
     * @function
     * @param {string} id - Document ID to retrieve
+    * @param {Object} [options] - Read options
+    * @param {boolean|string[]} [options.populate=false] - Resolve reference fields (all with true, or the listed ones) into \`populated\`
     * @returns {Promise<Object|null>} The retrieved document data with ID, or null if not found.
     */
-    async get(id) {
+    async get(id, { populate = false } = {}) {
       state.loading.value = true;
       try {
         // Create document reference
@@ -294,17 +1135,19 @@ export function useFirestoreCollectionActions(collectionName, state) {
         
         // Fetch document snapshot
         const docSnap = await getDoc(docRef);
+        trackSync([docSnap]);
         
         // Check if document exists
         if (!docSnap.exists()) {
           return null; // Return null if not found, don't throw
         }
         
-        // Return document data with ID
-        return { 
+        // Return document data with ID, resolving references if requested
+        const [item] = await populateReferences([{ 
           id: docSnap.id, 
           ...docSnap.data() 
-        };
+        }], populate);
+        return item;
       } catch (error) {
         state.error.value = error.message;
         throw error;
@@ -326,8 +1169,9 @@ export function useFirestoreCollectionActions(collectionName, state) {
       state.loading.value = true;
       try {
         const colRef = collection(db, collectionName);
-        const q = query(colRef, where(field, operator, value));
+        const q = query(colRef, ...notDeleted(), where(field, operator, value));
         const snapshot = await getDocs(q);
+        trackSync(snapshot.docs);
 
          // Update store with new items and pagination info
         store[collectionName].value = {
@@ -351,12 +1195,13 @@ export function useFirestoreCollectionActions(collectionName, state) {
      * @returns {Promise<void>}
      */
     async applyFilters(filters) {
-      store.loading.value = true;
+      state.loading.value = true;
       try {
-        store[collectionName].value.filters = filters; // Update filters in store state
+        assertQuerySupported(filters, state[collectionName].value.orderBy);
+        state[collectionName].value.filters = filters; // Update filters in store state
 
         const colRef = collection(db, collectionName);
-        const constraints = [];
+        const constraints = [...notDeleted()];
 
         // Apply filters from the new 'filters' parameter
         if (filters && Object.keys(filters).length > 0) {
@@ -368,7 +1213,7 @@ export function useFirestoreCollectionActions(collectionName, state) {
         }
 
         // Apply current sorting from store state
-        const sortConfig = store[collectionName].value.orderBy;
+        const sortConfig = state[collectionName].value.orderBy;
         if (sortConfig && sortConfig.field) {
           constraints.push(
             orderBy(sortConfig.field, sortConfig.direction || "asc")
@@ -376,16 +1221,19 @@ export function useFirestoreCollectionActions(collectionName, state) {
         }
 
         // Apply current page size from store state
-        const pageSize = store[collectionName].value.pageSize;
+        const pageSize = state[collectionName].value.pageSize;
         constraints.push(limit(pageSize));
 
         const q = query(colRef, ...constraints);
         const snapshot = await getDocs(q);
+        trackSync(snapshot.docs);
+        // Resolve reference fields the same way fetchInitialPage did
+        const items = await populateReferences(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), activePopulate);
 
         // Update store with new items and pagination info
-        store[collectionName].value = {
-          ...store[collectionName].value, // Keep existing properties
-          items: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+        state[collectionName].value = {
+          ...state[collectionName].value, // Keep existing properties
+          items,
           lastVisible: snapshot.docs[snapshot.docs.length - 1] || null,
           hasMore: snapshot.docs.length === pageSize,
           filters: filters, // Use the newly applied filters
@@ -394,15 +1242,18 @@ export function useFirestoreCollectionActions(collectionName, state) {
         };
 
         // Get total count based on *applied filters* (excluding limit/startAfter)
-        const countQuery = query(colRef, ...constraints.filter(c => !(c.type === 'limit' || c.type === 'startAfter')));
-        const countSnapshot = await getCountFromServer(countQuery);
-        store[collectionName].value.total = countSnapshot.data().count;
+        // Counting needs the server; offline the previous total is kept
+        if (!isOffline()) {
+          const countQuery = query(colRef, ...constraints.filter(c => !(c.type === 'limit' || c.type === 'startAfter')));
+          const countSnapshot = await getCountFromServer(countQuery);
+          state[collectionName].value.total = countSnapshot.data().count;
+        }
 
       } catch (error) {
-        store.error.value = error.message;
+        state.error.value = error.message;
         throw error;
       } finally {
-        store.loading.value = false;
+        state.loading.value = false;
       }
     },
 
@@ -415,15 +1266,16 @@ export function useFirestoreCollectionActions(collectionName, state) {
      * @returns {Promise<void>}
      */
     async changeSorting(field, direction = "asc") {
-      store.loading.value = true;
+      state.loading.value = true;
       try {
-        store[collectionName].value.orderBy = { field, direction }; // Update sorting in store state
+        assertQuerySupported(state[collectionName].value.filters, { field });
+        state[collectionName].value.orderBy = { field, direction }; // Update sorting in store state
 
         const colRef = collection(db, collectionName);
-        const constraints = [];
+        const constraints = [...notDeleted()];
 
         // Apply current filters from store state
-        const filters = store[collectionName].value.filters;
+        const filters = state[collectionName].value.filters;
         if (filters && Object.keys(filters).length > 0) {
           for (const [fField, fValue] of Object.entries(filters)) {
             if (fValue !== undefined && fValue !== null && fValue !== "") {
@@ -438,16 +1290,19 @@ export function useFirestoreCollectionActions(collectionName, state) {
 
 
         // Apply current page size from store state
-        const pageSize = store[collectionName].value.pageSize;
+        const pageSize = state[collectionName].value.pageSize;
         constraints.push(limit(pageSize));
 
         const q = query(colRef, ...constraints);
         const snapshot = await getDocs(q);
+        trackSync(snapshot.docs);
+        // Resolve reference fields the same way fetchInitialPage did
+        const items = await populateReferences(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), activePopulate);
 
         // Update store with new items and pagination info
-        store[collectionName].value = {
-          ...store[collectionName].value, // Keep existing properties
-          items: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+        state[collectionName].value = {
+          ...state[collectionName].value, // Keep existing properties
+          items,
           lastVisible: snapshot.docs[snapshot.docs.length - 1] || null,
           hasMore: snapshot.docs.length === pageSize,
           // filters remain as they were, as applyFilters handles them
@@ -456,42 +1311,55 @@ export function useFirestoreCollectionActions(collectionName, state) {
         };
 
         // Get total count based on *applied filters and sorting* (excluding limit/startAfter)
-        const countQuery = query(colRef, ...constraints.filter(c => !(c.type === 'limit' || c.type === 'startAfter')));
-        const countSnapshot = await getCountFromServer(countQuery);
-        store[collectionName].value.total = countSnapshot.data().count;
+        // Counting needs the server; offline the previous total is kept
+        if (!isOffline()) {
+          const countQuery = query(colRef, ...constraints.filter(c => !(c.type === 'limit' || c.type === 'startAfter')));
+          const countSnapshot = await getCountFromServer(countQuery);
+          state[collectionName].value.total = countSnapshot.data().count;
+        }
 
       } catch (error) {
-        store.error.value = error.message;
+        state.error.value = error.message;
         throw error;
       } finally {
-        store.loading.value = false;
+        state.loading.value = false;
       }
     },
     
     /**
-     * Adds a new document to the collection
+     * Adds a new document to the collection, after running the collection's validator, stamped
+     * with createdAt/updatedAt (server time) and createdBy/updatedBy (the signed-in user), and
+     * with the \`searchKeywords\` of its searchable fields.
+     * The document is added to \`items\` right away and removed again if Firestore rejects it.
      * @async
      * @function
      * @param {Object} data - Document data to add
-     * @returns {Promise<string>} The ID of the newly added document.
+     * @returns {Promise<string>} The ID of the newly added document (resolves once queued when offline).
+     * @throws {ValidationError} If the data does not match the schema (see state.<collection>.validationErrors)
      */
     async add(data) {
       state.loading.value = true;
       try {
+        // Resolved references (see populate) are never written back, and the keywords are derived from the data
+        const { populated, searchKeywords, ...payload } = data;
+        data = payload;
+        await assertValid(data);
+        data = withSearchKeywords(data);
+        if (options.softDelete) data.deletedAt = null;
         ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
-        const d = ref(null);
-           // For auth collections, add current user ID
-        if (authCollections.includes(collectionName)) {
-           if (state.currentUser.value && state.currentUser.value.uid) {
-            data.createdBy = state.currentUser.value.uid;
-          }
-          d.value = await setDoc(doc(db, collectionName, data.uid), data);
-        } else {
-          d.value = await addDoc(collection(db, collectionName), data);
-        }
+        const docRef = newDocRef(data);
+
+        const optimistic = applyOptimistic(
+          docRef.id,
+          items => [{ id: docRef.id, ...data, ...auditFields(true, new Date()) }, ...items.filter(item => item.id !== docRef.id)],
+          items => items.filter(item => item.id !== docRef.id)
+        );
+        await commitWrite(setDoc(docRef, { ...data, ...auditFields(true) }), optimistic);
+        await syncSearchIndex('index', [{ id: docRef.id, ...data }]);
 
         if (${addActivityLogging}) {
-          await logActivity(
+          // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+          logActivity(
             {
               type: \`\${collectionName.toUpperCase()}_CREATED\`, // e.g., 'PRODUCTS_CREATED', 'USERS_CREATED'
               description: \`\${actorName} created a new \${collectionName} document.\`,
@@ -504,9 +1372,10 @@ export function useFirestoreCollectionActions(collectionName, state) {
             state
           );
         }
-        return d.value.id;
+        return docRef.id;
       } catch (error) {
-        state.error.value = error.message;
+        // Field errors are in state.<collection>.validationErrors, not the global error
+        if (!(error instanceof ValidationError)) state.error.value = error.message;
         throw error;
       } finally {
         state.loading.value = false;
@@ -514,29 +1383,41 @@ export function useFirestoreCollectionActions(collectionName, state) {
     },
     
     /**
-     * Updates an existing document
+     * Updates an existing document, after running the collection's validator on the given fields,
+     * and stamps updatedAt/updatedBy. Changing a searchable field rebuilds \`searchKeywords\`. In versioned collections the replaced data is kept in the
+     * document's history, in the same transaction (which needs a connection).
+     * The change is applied to \`items\` right away and reverted if Firestore rejects it.
      * @async
      * @function
      * @param {string} id - Document ID
      * @param {Object} data - Partial document data to update
      * @returns {Promise<void>}
+     * @throws {ValidationError} If the data does not match the schema (see state.<collection>.validationErrors)
      */
     async update(id, data) {
       state.loading.value = true;
       try {
+        // Resolved references (see populate) are never written back, the creation stamps never change
+        // and the keywords are derived from the data
+        const { populated, createdAt, createdBy, searchKeywords, ...payload } = data;
+        data = payload;
+        await assertValid(data, { partial: true });
+        data = await withUpdatedSearchKeywords(id, data);
         ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
 
-        // For auth collections, add current user ID
-        if (authCollections.includes(collectionName)) {
-          if (state.currentUser.value && state.currentUser.value.uid) {
-            data.updatedBy = state.currentUser.value.uid;
-          }
-        }
-        
-        await updateDoc(doc(db, collectionName, id), data);
+        const previous = state[collectionName].value.items.find(item => item.id === id);
+        const optimistic = applyOptimistic(
+          id,
+          items => items.map(item => (item.id === id ? { ...item, ...data, ...auditFields(false, new Date()) } : item)),
+          items => items.map(item => (item.id === id && previous ? previous : item))
+        );
+        const changes = { ...data, ...auditFields(false) };
+        await commitWrite(options.versioned ? versionedUpdate([{ id, data: changes }]) : updateDoc(doc(db, collectionName, id), changes), optimistic);
+        await syncSearchIndex('index', [{ id, ...data }]);
 
         if (${addActivityLogging}) {
-          await logActivity(
+          // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+          logActivity(
             {
               type: \`\${collectionName.toUpperCase()}_UPDATED\`,
               description: \`\${actorName} updated a \${collectionName} document (\${id}).\`,
@@ -549,7 +1430,8 @@ export function useFirestoreCollectionActions(collectionName, state) {
           );
         }
       } catch (error) {
-        state.error.value = error.message;
+        // Field errors are in state.<collection>.validationErrors, not the global error
+        if (!(error instanceof ValidationError)) state.error.value = error.message;
         throw error;
       } finally {
         state.loading.value = false;
@@ -557,51 +1439,62 @@ export function useFirestoreCollectionActions(collectionName, state) {
     },
 
     /**
-     * Search documents in the collection
+     * Searches the collection through its search adapter (see search.js): by default among the
+     * fetched items, matching every word of the term in any searchable field, ignoring case and
+     * accents. Hits land in \`state.<collection>.search.results\`, best first.
      * @async
      * @function
-     * @param {string} term - Search term
-     * @param {string} [field='name'] - Field to search in
+     * @param {string} term - Search term; an empty term clears the search
+     * @param {Object|string} [searchOptions] - Search options, or a single field to search
+     * @param {string[]} [searchOptions.fields] - Fields to look in (the collection's searchable fields by default)
+     * @param {number} [searchOptions.limit=50] - Maximum number of results
      * @returns {Promise<void>}
+     * @throws {Error} If the collection has no searchable fields and none are given
      */
-    async search(term, field = 'name') {
+    async search(term, searchOptions = {}) {
+      // search(term, field) searches a single field
+      const { fields = searchable, limit: max = SEARCH_LIMIT } = typeof searchOptions === 'string'
+        ? { fields: [searchOptions] }
+        : searchOptions;
+      if (!term || !term.trim()) {
+        state[collectionName].value.search = { term: '', fields, results: [], isActive: false };
+        return;
+      }
       state.loading.value = true;
       try {
-        // Store search parameters
-        state[collectionName].value.search = {
-          term,
-          field,
-          isActive: true
-        };
-        
-        const colRef = collection(db, collectionName);
-        const constraints = [];
-        
-        // Add search constraint
-        constraints.push(
-          where(field, '>=', term.toLowerCase()),
-          where(field, '<=', term.toLowerCase() + '\\uf8ff') // Escaped \\uf8ff for template literal
-        );
-        
-        // Apply existing filters
+        if (fields.length === 0) {
+          throw new Error(\`\${collectionName} has no searchable fields. Add "searchable" to the collection in totistack.config.json and regenerate, or pass the fields to search.\`);
+        }
+        state[collectionName].value.search = { term, fields, results: [], isActive: true };
+
+        // Adapters searching Firestore keep to the current list: trash and active filters
         const filters = state[collectionName].value.filters;
-        if (filters && Object.keys(filters).length > 0) {
-          for (const [f, value] of Object.entries(filters)) {
-            if (value !== undefined && value !== null && value !== '') {
-              constraints.push(where(f, '==', value));
-            }
+        assertQuerySupported(filters);
+        const constraints = [...notDeleted()];
+        for (const [field, value] of Object.entries(filters || {})) {
+          if (value !== undefined && value !== null && value !== '') {
+            constraints.push(where(field, '==', value));
           }
         }
-        
-        // Execute query
-        const q = query(colRef, ...constraints);
-        const snapshot = await getDocs(q);
-        
-        // Update search results
-        state[collectionName].value.search.results = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+
+        const hits = await getSearchAdapter(collectionName).search(collectionName, term, {
+          fields,
+          limit: max,
+          documents: state[collectionName].value.items,
+          constraints
+        });
+
+        // Adapters may return IDs only: the documents are taken from state, or loaded
+        const { items, specificItems } = state[collectionName].value;
+        const known = new Map([...specificItems, ...items].map(item => [item.id, item]));
+        const missing = hits.filter(hit => !hit.document && !known.has(hit.id)).map(hit => hit.id);
+        (await loadByIds(collectionName, missing)).forEach((document, id) => known.set(id, document));
+
+        // A newer search replaced this one meanwhile
+        if (state[collectionName].value.search.term !== term) return;
+        state[collectionName].value.search.results = hits
+          .map(hit => hit.document || known.get(hit.id))
+          .filter(document => document && !(options.softDelete && document.deletedAt));
       } catch (error) {
         state.error.value = error.message;
         throw error;
@@ -610,6 +1503,14 @@ export function useFirestoreCollectionActions(collectionName, state) {
       }
     },
     
+    /**
+     * Clears the field errors of the last add/update (e.g. when a form is opened)
+     * @function
+     */
+    clearValidationErrors() {
+      state[collectionName].value.validationErrors = {};
+    },
+
     /**
      * Clears search results
      * @function
@@ -617,14 +1518,16 @@ export function useFirestoreCollectionActions(collectionName, state) {
     clearSearch() {
       state[collectionName].value.search = {
         term: '',
-        field: 'name',
+        fields: searchable,
         results: [],
         isActive: false
       };
     },
 
     /**
-     * Deletes a document from the collection
+     * Deletes a document from the collection, or moves it to the trash in soft-delete collections.
+     * The document leaves \`items\` right away and is put back if Firestore rejects the write. Its
+     * Cloud Storage files (file, image and files fields) are deleted once the document is.
      * @async
      * @function
      * @param {string} id - Document ID to delete
@@ -636,13 +1539,27 @@ export function useFirestoreCollectionActions(collectionName, state) {
         ${adminCheckInRemove}
         ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
 
-        await deleteDoc(doc(db, collectionName, id));
+        // Trashed documents keep their files until purge
+        const owners = options.softDelete ? [] : await loadFileOwners([id]);
+        const index = state[collectionName].value.items.findIndex(item => item.id === id);
+        const removed = state[collectionName].value.items[index];
+        const optimistic = applyOptimistic(
+          id,
+          items => items.filter(item => item.id !== id),
+          items => (removed ? [...items.slice(0, index), removed, ...items.slice(index)] : items),
+          true
+        );
+        const docRef = doc(db, collectionName, id);
+        await commitWrite(options.softDelete ? updateDoc(docRef, trashedFields()) : deleteDoc(docRef), optimistic);
+        await syncSearchIndex('remove', [id]);
+        await deleteFiles(owners);
 
         if (${addActivityLogging}) {
-          await logActivity(
+          // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+          logActivity(
             {
-              type: \`\${collectionName.toUpperCase()}_DELETED\`,
-              description: \`\${actorName} deleted a \${collectionName} document (\${id}).\`,
+              type: \`\${collectionName.toUpperCase()}_\${options.softDelete ? 'TRASHED' : 'DELETED'}\`,
+              description: \`\${actorName} \${options.softDelete ? 'moved to the trash' : 'deleted'} a \${collectionName} document (\${id}).\`,
               targetId: id,
               targetType: collectionName,
               targetName: id, // Name might not be available after deletion
@@ -657,8 +1574,214 @@ export function useFirestoreCollectionActions(collectionName, state) {
       } finally {
         state.loading.value = false;
       }
-    }${authRoleActions}
-  };
+    },
+
+    /**
+     * Adds several documents in atomic batches of up to 500 writes, after validating all of them.
+     * Like add, the documents are shown in \`items\` right away and removed again if their batch fails.
+     * @async
+     * @function
+     * @param {Object[]} list - Documents to add
+     * @returns {Promise<string[]>} The IDs of the new documents, in order
+     * @throws {ValidationError} If a document does not match the schema (\`error.index\` tells which); nothing is written then
+     */
+    async addMany(list) {
+      state.loading.value = true;
+      try {
+        // Resolved references (see populate) are never written back, and the keywords are derived from the data
+        const entries = list.map(({ populated, searchKeywords, ...data }) => data);
+        await assertAllValid(entries);
+        ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
+
+        const writes = entries.map((entry) => {
+          const data = withSearchKeywords(entry);
+          if (options.softDelete) data.deletedAt = null;
+          const docRef = newDocRef(data);
+          return {
+            id: docRef.id,
+            data,
+            write: batch => batch.set(docRef, { ...data, ...auditFields(true) }),
+            apply: items => [{ id: docRef.id, ...data, ...auditFields(true, new Date()) }, ...items.filter(item => item.id !== docRef.id)],
+            undo: items => items.filter(item => item.id !== docRef.id)
+          };
+        });
+        await commitBatches(writes);
+        await syncSearchIndex('index', writes.map(({ id, data }) => ({ id, ...data })));
+
+        const ids = writes.map(({ id }) => id);
+        if (${addActivityLogging}) {
+          // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+          logActivity(
+            {
+              type: \`\${collectionName.toUpperCase()}_BULK_CREATED\`,
+              description: \`\${actorName} created \${ids.length} \${collectionName} documents.\`,
+              targetId: ids.join(','),
+              targetType: collectionName,
+              targetName: \`\${ids.length} documents\`,
+              actorId, actorEmail, actorName, actorType, isAdminAction,
+            },
+            state
+          );
+        }
+        return ids;
+      } catch (error) {
+        // Field errors are in state.<collection>.validationErrors, not the global error
+        if (!(error instanceof ValidationError)) state.error.value = error.message;
+        throw error;
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
+    /**
+     * Updates several documents in atomic batches of up to 500 writes, after validating all the changes.
+     * Like update, the changes are applied to \`items\` right away and reverted if their batch fails.
+     * @async
+     * @function
+     * @param {Array<{id: string, data: Object}>} updates - Document IDs with the fields to change
+     * @returns {Promise<void>}
+     * @throws {ValidationError} If a change does not match the schema (\`error.index\` tells which); nothing is written then
+     */
+    async updateMany(updates) {
+      state.loading.value = true;
+      try {
+        // Resolved references (see populate) are never written back, the creation stamps never change
+        // and the keywords are derived from the data
+        const validated = updates.map(({ id, data: { populated, createdAt, createdBy, searchKeywords, ...data } }) => ({ id, data }));
+        await assertAllValid(validated.map(({ data }) => data), { partial: true });
+        const entries = await Promise.all(validated.map(async ({ id, data }) => ({ id, data: await withUpdatedSearchKeywords(id, data) })));
+        ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
+
+        const writes = entries.map(({ id, data }) => {
+          const changes = { ...data, ...auditFields(false) };
+          let previous;
+          return {
+            id,
+            data,
+            changes,
+            write: batch => batch.update(doc(db, collectionName, id), changes),
+            apply: (items) => {
+              previous = items.find(item => item.id === id);
+              return items.map(item => (item.id === id ? { ...item, ...data, ...auditFields(false, new Date()) } : item));
+            },
+            undo: items => items.map(item => (item.id === id && previous ? previous : item))
+          };
+        });
+        // Versioned collections also write a history entry per document, in transactions
+        await commitBatches(writes, options.versioned
+          ? { size: BATCH_LIMIT / 2, commit: chunk => versionedUpdate(chunk.map(({ id, changes }) => ({ id, data: changes }))) }
+          : {});
+        await syncSearchIndex('index', writes.map(({ id, data }) => ({ id, ...data })));
+
+        if (${addActivityLogging}) {
+          // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+          logActivity(
+            {
+              type: \`\${collectionName.toUpperCase()}_BULK_UPDATED\`,
+              description: \`\${actorName} updated \${writes.length} \${collectionName} documents.\`,
+              targetId: writes.map(({ id }) => id).join(','),
+              targetType: collectionName,
+              targetName: \`\${writes.length} documents\`,
+              actorId, actorEmail, actorName, actorType, isAdminAction,
+            },
+            state
+          );
+        }
+      } catch (error) {
+        // Field errors are in state.<collection>.validationErrors, not the global error
+        if (!(error instanceof ValidationError)) state.error.value = error.message;
+        throw error;
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
+    /**
+     * Deletes several documents (moves them to the trash in soft-delete collections) in atomic batches of up to 500 writes.
+     * Like remove, the documents leave \`items\` right away and are put back if their batch fails, and
+     * their Cloud Storage files are deleted once they are.
+     * @async
+     * @function
+     * @param {string[]} ids - IDs of the documents to delete
+     * @returns {Promise<void>}
+     */
+    async removeMany(ids) {
+      state.loading.value = true;
+      try {
+        ${adminCheckInRemove}
+        ${addActivityLogging ? `const { actorId, actorEmail, actorName, actorType, isAdminAction } = _getActorContext(state);` : ''}
+
+        const owners = options.softDelete ? [] : await loadFileOwners(ids);
+        const writes = ids.map((id) => {
+          let index = -1;
+          let removed;
+          return {
+            id,
+            removing: true,
+            write: batch => (options.softDelete
+              ? batch.update(doc(db, collectionName, id), trashedFields())
+              : batch.delete(doc(db, collectionName, id))),
+            apply: (items) => {
+              index = items.findIndex(item => item.id === id);
+              removed = items[index];
+              return items.filter(item => item.id !== id);
+            },
+            undo: items => (removed ? [...items.slice(0, index), removed, ...items.slice(index)] : items)
+          };
+        });
+        await commitBatches(writes);
+        await syncSearchIndex('remove', ids);
+        await deleteFiles(owners);
+
+        if (${addActivityLogging}) {
+          // Not awaited: an offline log entry stays pending until reconnect, and logActivity reports its own errors
+          logActivity(
+            {
+              type: \`\${collectionName.toUpperCase()}_BULK_\${options.softDelete ? 'TRASHED' : 'DELETED'}\`,
+              description: \`\${actorName} \${options.softDelete ? 'moved to the trash' : 'deleted'} \${ids.length} \${collectionName} documents.\`,
+              targetId: ids.join(','),
+              targetType: collectionName,
+              targetName: \`\${ids.length} documents\`,
+              actorId, actorEmail, actorName, actorType, isAdminAction,
+            },
+            state
+          );
+        }
+      } catch (error) {
+        state.error.value = error.message;
+        throw error;
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
+    /**
+     * Runs reads and writes atomically in a Firestore transaction (retried by Firestore when the
+     * documents change meanwhile). Transactions need a connection, and the items in state are not
+     * changed: refetch, or subscribe in realtime collections, to show the result.
+     * @async
+     * @function
+     * @param {function(import('firebase/firestore').Transaction, function(string=): import('firebase/firestore').DocumentReference): Promise<*>} fn - Receives the transaction and a function returning a reference to a document of the collection (a new ID without argument)
+     * @returns {Promise<*>} The value fn resolves with
+     * @example
+     * await store.runProductsTransaction(async (transaction, ref) => {
+     *   const product = await transaction.get(ref(id));
+     *   transaction.update(ref(id), { stock: product.data().stock - 1 });
+     * });
+     */
+    async transaction(fn) {
+      state.loading.value = true;
+      try {
+        const ref = (id) => (id ? doc(db, collectionName, id) : doc(collection(db, collectionName)));
+        return await runTransaction(db, (transaction) => fn(transaction, ref));
+      } catch (error) {
+        state.error.value = error.message;
+        throw error;
+      } finally {
+        state.loading.value = false;
+      }
+    }${realtimeActions}${softDeleteActions}${versionedActions}${authRoleActions}
+  }${withPermissions ? ')' : ''};
 }`
     );
   } catch (error) {
@@ -1,49 +1,451 @@
 // helper/generateFormComponents.js
 import fs from "fs-extra";
 import path from "path";
+import { writeGeneratedFile } from "../manifest.js";
 import { toPascalCase, toCamelCase } from "./helperF.js"; // Assuming helperF.js has these utilities
+import { normalizeFields, isTextField, isReferenceField, isFileField, getFileLimits, resolveDisplayField, SORTABLE_TYPES } from "./fields.js";
+
+/** Number of fields shown as columns in List.vue, besides the creation date. */
+const LIST_COLUMNS = 5;
+
+/** Field types the List.vue filter bar cannot filter by (equality on them is rarely useful). */
+const UNFILTERABLE_TYPES = ["array", "object", "references", "timestamp", "file", "image", "files"];
 
 /**
  * @typedef {Object} CollectionConfig
  * @property {string} name - The name of the Firestore collection.
- * @property {Object.<string, string>} fields - An object where keys are field names and values are their data types.
+ * @property {Object.<string, import('./fields.js').FieldDefinition>} fields - An object where keys are field names and values are their data types or field descriptors.
  * @property {string} [dataType='object'] - The overall data type of the documents in the collection.
+ * @property {string[]} [filterable] - Fields lists may be filtered by; the List.vue filter bar offers these.
+ * @property {string[]} [sortable] - Fields lists may be sorted by; only these List.vue columns sort.
+ * @property {boolean} [softDelete=false] - Whether deleting moves documents to the trash.
+ */
+
+/**
+ * Content of src/components/ReferencePicker.vue, a searchable picker over another collection.
+ * Used by Create/Edit forms for 'reference' (single ID) and 'references' (list of IDs) fields.
+ */
+const referencePickerContent = `<script setup>
+import { ref, computed, watch, onMounted } from 'vue';
+import { collection, query, where, limit, getDocs, getDoc, doc } from 'firebase/firestore';
+import { db } from '@/firebase';
+
+const props = defineProps({
+  modelValue: { type: [String, Array], default: null },
+  collection: { type: String, required: true },
+  displayField: { type: String, default: 'id' },
+  multiple: { type: Boolean, default: false },
+  placeholder: { type: String, default: 'Search...' },
+  id: { type: String, default: undefined }
+});
+const emit = defineEmits(['update:modelValue']);
+
+const PAGE_SIZE = 20;
+const term = ref('');
+const options = ref([]);
+const labels = ref({}); // Document ID -> label, for the selected chips
+const isOpen = ref(false);
+const isSearching = ref(false);
+let debounceTimer = null;
+
+const selectedIds = computed(() => {
+  if (props.multiple) return Array.isArray(props.modelValue) ? props.modelValue : [];
+  return props.modelValue ? [props.modelValue] : [];
+});
+
+const labelOf = (item) => (props.displayField === 'id' ? item.id : item[props.displayField] ?? item.id);
+
+// Prefix search on the display field (Firestore has no full-text search)
+const search = async () => {
+  isSearching.value = true;
+  try {
+    const colRef = collection(db, props.collection);
+    const text = term.value.trim();
+    const q = text && props.displayField !== 'id'
+      ? query(colRef, where(props.displayField, '>=', text), where(props.displayField, '<=', text + '\\uf8ff'), limit(PAGE_SIZE))
+      : query(colRef, limit(PAGE_SIZE));
+    const snapshot = await getDocs(q);
+    options.value = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+  } catch (error) {
+    console.error('Error searching ' + props.collection + ':', error);
+  } finally {
+    isSearching.value = false;
+  }
+};
+
+const onInput = () => {
+  isOpen.value = true;
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(search, 250);
+};
+
+const select = (item) => {
+  labels.value[item.id] = labelOf(item);
+  if (props.multiple) {
+    if (!selectedIds.value.includes(item.id)) emit('update:modelValue', [...selectedIds.value, item.id]);
+  } else {
+    emit('update:modelValue', item.id);
+    isOpen.value = false;
+  }
+  term.value = '';
+};
+
+const unselect = (selectedId) => {
+  emit('update:modelValue', props.multiple ? selectedIds.value.filter(v => v !== selectedId) : '');
+};
+
+// Load labels of preselected documents (e.g. in Edit forms)
+watch(selectedIds, async (ids) => {
+  const missing = ids.filter(selectedId => !(selectedId in labels.value));
+  await Promise.all(missing.map(async (selectedId) => {
+    try {
+      const snapshot = await getDoc(doc(db, props.collection, selectedId));
+      labels.value[selectedId] = snapshot.exists() ? labelOf({ id: snapshot.id, ...snapshot.data() }) : selectedId + ' (missing)';
+    } catch (error) {
+      labels.value[selectedId] = selectedId;
+    }
+  }));
+}, { immediate: true });
+
+onMounted(search);
+</script>
+
+<template>
+  <div class="relative">
+    <div v-if="selectedIds.length" class="flex flex-wrap gap-1 mt-1">
+      <span v-for="selectedId in selectedIds" :key="selectedId" class="inline-flex items-center rounded bg-indigo-100 px-2 py-1 text-xs text-indigo-800">
+        {{ labels[selectedId] || selectedId }}
+        <button type="button" class="ml-1 text-indigo-500 hover:text-indigo-700" aria-label="Remove" @click="unselect(selectedId)">&times;</button>
+      </span>
+    </div>
+    <input
+      :id="id"
+      v-model="term"
+      type="text"
+      autocomplete="off"
+      :placeholder="placeholder"
+      class="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm p-2"
+      @input="onInput"
+      @focus="isOpen = true"
+      @blur="isOpen = false"
+    />
+    <ul v-if="isOpen" class="absolute z-10 mt-1 max-h-60 w-full overflow-auto rounded-md border border-gray-200 bg-white shadow-lg">
+      <li v-if="isSearching" class="px-3 py-2 text-sm text-gray-500">Searching...</li>
+      <li v-else-if="!options.length" class="px-3 py-2 text-sm text-gray-500">No matches</li>
+      <template v-else>
+        <li
+          v-for="item in options"
+          :key="item.id"
+          class="cursor-pointer px-3 py-2 text-sm hover:bg-indigo-50"
+          :class="{ 'font-semibold': selectedIds.includes(item.id) }"
+          @mousedown.prevent="select(item)"
+        >
+          {{ labelOf(item) }}
+        </li>
+      </template>
+    </ul>
+  </div>
+</template>
+`;
+
+/**
+ * Content of src/components/FileUpload.vue, which uploads files to Cloud Storage with a progress bar.
+ * Used by Create/Edit forms for 'file', 'image' (a single file) and 'files' (a list of files) fields;
+ * the value is { url, path, name, size, contentType }, or a list of them.
+ */
+const fileUploadContent = `<script setup>
+import { ref, computed, onBeforeUnmount } from 'vue';
+import { ref as storageRef, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { storage } from '@/firebase';
+
+const props = defineProps({
+  modelValue: { type: [Object, Array], default: null },
+  // Folder of the uploads, <collection>/<field>, matched by storage.rules
+  path: { type: String, required: true },
+  accept: { type: Array, default: () => [] },
+  maxSize: { type: Number, default: 10 }, // MB
+  multiple: { type: Boolean, default: false },
+  max: { type: Number, default: null }, // Number of files, with multiple
+  id: { type: String, default: undefined }
+});
+const emit = defineEmits(['update:modelValue']);
+
+const uploads = ref([]); // Running uploads: { path, name, progress, preview }
+const error = ref('');
+// Files uploaded here and not saved yet; removing one deletes it (saved files go with their document)
+const unsaved = new Set();
+const tasks = new Set();
+
+const files = computed(() => {
+  if (props.multiple) return Array.isArray(props.modelValue) ? props.modelValue : [];
+  return props.modelValue ? [props.modelValue] : [];
+});
+const canAdd = computed(() => !props.multiple || !props.max || files.value.length + uploads.value.length < props.max);
+const hint = computed(() => (props.accept.length ? props.accept.join(', ') : 'Any file type') + ', up to ' + props.maxSize + ' MB'
+  + (props.multiple && props.max ? ' each, ' + props.max + ' files at most' : ''));
+
+const isImage = (file) => (file.contentType || '').startsWith('image/');
+const formatSize = (bytes) => (bytes < 1024 * 1024 ? Math.ceil(bytes / 1024) + ' KB' : (bytes / 1024 / 1024).toFixed(1) + ' MB');
+const isAccepted = (file) => props.accept.length === 0
+  || props.accept.some(type => (type.endsWith('/*') ? file.type.startsWith(type.slice(0, -1)) : file.type === type));
+// Keeps storage paths readable: no accents, spaces or special characters
+const safeName = (name) => name.normalize('NFD').replace(/[\\u0300-\\u036f]/g, '').replace(/[^\\w.-]+/g, '-').slice(-100);
+
+// Same checks as storage.rules, so the user learns why before uploading
+const checkFile = (file) => {
+  if (!isAccepted(file)) return file.name + ' is not an accepted file type.';
+  if (file.size > props.maxSize * 1024 * 1024) return file.name + ' is larger than ' + props.maxSize + ' MB.';
+  return '';
+};
+
+const deleteUnsaved = async (file) => {
+  if (!unsaved.delete(file.path)) return;
+  try {
+    await deleteObject(storageRef(storage, file.path));
+  } catch (deleteError) {
+    console.error('Error deleting ' + file.path + ':', deleteError);
+  }
+};
+
+const upload = (file) => {
+  const filePath = props.path + '/' + Date.now() + '-' + Math.random().toString(36).slice(2, 8) + '-' + safeName(file.name);
+  const contentType = file.type || 'application/octet-stream';
+  const task = uploadBytesResumable(storageRef(storage, filePath), file, { contentType });
+  tasks.add(task);
+  uploads.value.push({ path: filePath, name: file.name, progress: 0, preview: file.type.startsWith('image/') ? URL.createObjectURL(file) : null });
+  const entry = uploads.value[uploads.value.length - 1];
+
+  return new Promise((resolve, reject) => {
+    task.on(
+      'state_changed',
+      (snapshot) => { entry.progress = Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100); },
+      reject,
+      async () => {
+        try {
+          resolve({ url: await getDownloadURL(task.snapshot.ref), path: filePath, name: file.name, size: file.size, contentType });
+        } catch (urlError) {
+          reject(urlError);
+        }
+      }
+    );
+  }).finally(() => {
+    tasks.delete(task);
+    if (entry.preview) URL.revokeObjectURL(entry.preview);
+    uploads.value = uploads.value.filter(item => item.path !== filePath);
+  });
+};
+
+const onSelect = async (event) => {
+  const selected = [...event.target.files];
+  event.target.value = ''; // Choosing the same file again still fires change
+  error.value = '';
+  if (props.multiple && props.max && files.value.length + uploads.value.length + selected.length > props.max) {
+    error.value = 'At most ' + props.max + ' files can be attached.';
+    return;
+  }
+  error.value = selected.map(checkFile).find(Boolean) || '';
+  if (error.value || selected.length === 0) return;
+
+  const results = await Promise.allSettled(selected.map(upload));
+  const stored = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const failed = results.find(result => result.status === 'rejected' && result.reason?.code !== 'storage/canceled');
+  if (failed) error.value = 'Upload failed: ' + failed.reason.message;
+  if (stored.length === 0) return;
+
+  stored.forEach(file => unsaved.add(file.path));
+  if (props.multiple) {
+    emit('update:modelValue', [...files.value, ...stored]);
+  } else {
+    if (props.modelValue) deleteUnsaved(props.modelValue);
+    emit('update:modelValue', stored[0]);
+  }
+};
+
+const remove = (file) => {
+  emit('update:modelValue', props.multiple ? files.value.filter(item => item.path !== file.path) : null);
+  deleteUnsaved(file);
+};
+
+onBeforeUnmount(() => tasks.forEach(task => task.cancel()));
+</script>
+
+<template>
+  <div>
+    <ul v-if="files.length || uploads.length" class="mt-1 space-y-2">
+      <li v-for="file in files" :key="file.path" class="flex items-center gap-3 rounded-md border border-gray-200 p-2">
+        <img v-if="isImage(file)" :src="file.url" :alt="file.name" class="h-12 w-12 rounded object-cover" />
+        <a :href="file.url" target="_blank" rel="noopener" class="flex-1 truncate text-sm text-indigo-600 hover:underline">{{ file.name }}</a>
+        <span class="text-xs text-gray-500">{{ formatSize(file.size) }}</span>
+        <button type="button" class="text-gray-400 hover:text-red-600" aria-label="Remove" @click="remove(file)">&times;</button>
+      </li>
+      <li v-for="item in uploads" :key="item.path" class="flex items-center gap-3 rounded-md border border-dashed border-gray-300 p-2">
+        <img v-if="item.preview" :src="item.preview" alt="" class="h-12 w-12 rounded object-cover opacity-60" />
+        <div class="flex-1 min-w-0">
+          <p class="truncate text-sm text-gray-700">{{ item.name }}</p>
+          <div class="mt-1 h-1.5 rounded bg-gray-200">
+            <div class="h-1.5 rounded bg-indigo-600 transition-all" :style="{ width: item.progress + '%' }"></div>
+          </div>
+        </div>
+        <span class="text-xs text-gray-500">{{ item.progress }}%</span>
+      </li>
+    </ul>
+    <input
+      v-if="canAdd"
+      :id="id"
+      type="file"
+      :accept="accept.join(',')"
+      :multiple="multiple"
+      :disabled="!multiple && uploads.length > 0"
+      class="mt-1 block w-full text-sm text-gray-700 file:mr-3 file:rounded-md file:border-0 file:bg-indigo-50 file:px-3 file:py-2 file:text-indigo-700 hover:file:bg-indigo-100"
+      @change="onSelect"
+    />
+    <p class="mt-1 text-xs text-gray-500">{{ hint }}</p>
+    <p v-if="error" class="mt-1 text-sm text-red-600">{{ error }}</p>
+  </div>
+</template>
+`;
+
+/**
+ * Normalizes the fields of a collection for form generation, resolving the display
+ * field of every reference field against the project's collections.
+ * @param {CollectionConfig} collectionConfig - The configuration for the collection.
+ * @param {CollectionConfig[]} allCollections - All collections of the project.
+ * @returns {Object.<string, Object>} Field names mapped to normalized descriptors.
  */
+function getFormFields(collectionConfig, allCollections) {
+  const fields = normalizeFields(collectionConfig.fields);
+  for (const field of Object.values(fields)) {
+    if (isReferenceField(field)) {
+      field.displayField = resolveDisplayField(field, allCollections);
+    }
+    if (isFileField(field)) {
+      field.storagePath = `${toCamelCase(collectionConfig.name)}/${field.name}`;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Import line for the reference picker, if the form has reference fields.
+ * @param {Object.<string, Object>} fields - Normalized fields.
+ * @returns {string} The import statement followed by a newline, or an empty string.
+ */
+const getPickerImport = (fields) =>
+  Object.values(fields).some(isReferenceField) ? "import ReferencePicker from '@/components/ReferencePicker.vue';\n" : "";
+
+/**
+ * Import line for the file upload, if the form has file fields.
+ * @param {Object.<string, Object>} fields - Normalized fields.
+ * @returns {string} The import statement followed by a newline, or an empty string.
+ */
+const getUploadImport = (fields) =>
+  Object.values(fields).some(isFileField) ? "import FileUpload from '@/components/FileUpload.vue';\n" : "";
+
+/**
+ * Escapes a value for use inside a double-quoted HTML attribute.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped value.
+ */
+const escapeAttr = (value) => String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+/**
+ * Builds the extra input attributes (placeholder, min/max, length, pattern) declared on a field.
+ * @param {ReturnType<typeof import('./fields.js').normalizeField>} field - The normalized field.
+ * @returns {string} Attributes prefixed with a space, or an empty string.
+ */
+function getInputAttributes(field) {
+  const attributes = [];
+  if (field.placeholder) attributes.push(`placeholder="${escapeAttr(field.placeholder)}"`);
+  if (field.type === "number") {
+    if (field.min !== undefined) attributes.push(`min="${field.min}"`);
+    if (field.max !== undefined) attributes.push(`max="${field.max}"`);
+  }
+  if (isTextField(field)) {
+    if (field.min !== undefined) attributes.push(`minlength="${field.min}"`);
+    if (field.max !== undefined) attributes.push(`maxlength="${field.max}"`);
+    if (field.pattern) attributes.push(`pattern="${escapeAttr(field.pattern)}"`);
+  }
+  return attributes.length ? ` ${attributes.join(" ")}` : "";
+}
 
 /**
- * Generates the HTML for a form input based on field type.
- * @param {string} fieldName - The name of the field.
- * @param {string} fieldType - The data type of the field.
+ * Generates the HTML for a form input based on the field descriptor.
+ * Enum fields render as a select; other fields by type.
+ * @param {ReturnType<typeof import('./fields.js').normalizeField>} field - The normalized field.
  * @returns {string} The HTML string for the input element.
  */
-function generateInputFieldHtml(fieldName, fieldType) {
+function generateInputFieldHtml(field) {
+  const { name: fieldName, type: fieldType } = field;
   const commonClasses =
     "mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm p-2";
-  const labelHtml = `<label for="${fieldName}" class="block text-sm font-medium text-gray-700 capitalize">${fieldName}</label>`;
+  const requiredMark = field.required ? ' <span class="text-red-500">*</span>' : "";
+  const labelHtml = `<label for="${fieldName}" class="block text-sm font-medium text-gray-700 capitalize">${field.label}${requiredMark}</label>`;
+  const attributes = getInputAttributes(field);
+
+  if (isReferenceField(field)) {
+    return `
+        <div>
+          ${labelHtml}
+          <ReferencePicker id="${fieldName}" v-model="form.${fieldName}" collection="${field.collection}" display-field="${field.displayField || "id"}" placeholder="${escapeAttr(field.placeholder || `Search ${field.collection}...`)}"${field.type === "references" ? " multiple" : ""} />
+        </div>
+      `;
+  }
+
+  if (isFileField(field)) {
+    const { accept, maxSize } = getFileLimits(field);
+    const limits = [
+      ...(accept.length ? [`:accept="[${accept.map((type) => `'${type}'`).join(", ")}]"`] : []),
+      `:max-size="${maxSize}"`,
+      ...(field.type === "files" ? ["multiple", ...(field.max !== undefined ? [`:max="${field.max}"`] : [])] : [])
+    ];
+    return `
+        <div>
+          ${labelHtml}
+          <FileUpload id="${fieldName}" v-model="form.${fieldName}" path="${field.storagePath}" ${limits.join(" ")} />
+        </div>
+      `;
+  }
+
+  if (field.enum) {
+    const modifier = fieldType === "number" ? ".number" : "";
+    const options = field.enum
+      .map((value) => `<option value="${escapeAttr(value)}">${value}</option>`)
+      .join("\n            ");
+    return `
+        <div>
+          ${labelHtml}
+          <select id="${fieldName}" v-model${modifier}="form.${fieldName}" class="${commonClasses}">
+            <option disabled value="">${escapeAttr(field.placeholder || `Select ${field.label}`)}</option>
+            ${options}
+          </select>
+        </div>
+      `;
+  }
 
   switch (fieldType) {
     case "string":
     case "email":
+    case "tel":
       return `
         <div>
           ${labelHtml}
           <input type="${
-            fieldType === "email" ? "email" : "text"
-          }" id="${fieldName}" v-model="form.${fieldName}" class="${commonClasses}" />
+            fieldType === "string" ? "text" : fieldType
+          }" id="${fieldName}" v-model="form.${fieldName}" class="${commonClasses}"${attributes} />
         </div>
       `;
     case "number":
       return `
         <div>
           ${labelHtml}
-          <input type="number" id="${fieldName}" v-model.number="form.${fieldName}" class="${commonClasses}" />
+          <input type="number" id="${fieldName}" v-model.number="form.${fieldName}" class="${commonClasses}"${attributes} />
         </div>
       `;
     case "boolean":
       return `
         <div class="flex items-center mt-4">
           <input type="checkbox" id="${fieldName}" v-model="form.${fieldName}" class="h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500" />
-          <label for="${fieldName}" class="ml-2 block text-sm text-gray-900 capitalize">${fieldName}</label>
+          <label for="${fieldName}" class="ml-2 block text-sm text-gray-900 capitalize">${field.label}</label>
         </div>
       `;
     case "timestamp":
@@ -57,7 +459,7 @@ function generateInputFieldHtml(fieldName, fieldType) {
       return `
         <div>
           ${labelHtml}
-          <textarea id="${fieldName}" v-model="form.${fieldName}String" class="${commonClasses} h-20" placeholder="Enter comma-separated values"></textarea>
+          <textarea id="${fieldName}" v-model="form.${fieldName}String" class="${commonClasses} h-20" placeholder="${escapeAttr(field.placeholder || "Enter comma-separated values")}"></textarea>
           <p class="mt-1 text-xs text-gray-500">Enter comma-separated values (e.g., item1, item2)</p>
         </div>
       `;
@@ -65,7 +467,7 @@ function generateInputFieldHtml(fieldName, fieldType) {
       return `
         <div>
           ${labelHtml}
-          <textarea id="${fieldName}" v-model="form.${fieldName}Json" class="${commonClasses} h-32" placeholder="Enter JSON object"></textarea>
+          <textarea id="${fieldName}" v-model="form.${fieldName}Json" class="${commonClasses} h-32" placeholder="${escapeAttr(field.placeholder || "Enter JSON object")}"></textarea>
           <p class="mt-1 text-xs text-gray-500">Enter a valid JSON object (e.g., {"key": "value"})</p>
         </div>
       `;
@@ -73,7 +475,7 @@ function generateInputFieldHtml(fieldName, fieldType) {
       return `
         <div>
           ${labelHtml}
-          <input type="text" id="${fieldName}" v-model="form.${fieldName}" class="${commonClasses}" />
+          <input type="text" id="${fieldName}" v-model="form.${fieldName}" class="${commonClasses}"${attributes} />
           <p class="mt-1 text-xs text-gray-500">Note: Unknown field type '${fieldType}'. Defaulting to text input.</p>
         </div>
       `;
@@ -81,15 +483,39 @@ function generateInputFieldHtml(fieldName, fieldType) {
 }
 
 /**
- * Generates the default value for a form field based on its type.
- * @param {string} fieldType - The data type of the field.
- * @returns {any} The default value.
+ * Adds the field-level error message under a generated input.
+ * @param {string} inputHtml - HTML of the input, wrapped in a div.
+ * @param {string} fieldName - Name of the field.
+ * @returns {string} The HTML with the error message before the closing div.
  */
-function getDefaultFieldValue(fieldType) {
-  switch (fieldType) {
+function withFieldError(inputHtml, fieldName) {
+  const closing = inputHtml.lastIndexOf("</div>");
+  return `${inputHtml.slice(0, closing)}  <p v-if="errors.${fieldName}" class="mt-1 text-sm text-red-600">{{ errors.${fieldName} }}</p>
+        ${inputHtml.slice(closing)}`;
+}
+
+/**
+ * Generates the default value for a form field.
+ * Uses the descriptor's `default` when set, otherwise a value based on the type.
+ * @param {ReturnType<typeof import('./fields.js').normalizeField>} field - The normalized field.
+ * @returns {string} The default value as source code.
+ */
+function getDefaultFieldValue(field) {
+  if (field.default !== undefined) {
+    return JSON.stringify(field.default);
+  }
+  if (field.enum) {
+    return "''"; // Selects the disabled "Select ..." option
+  }
+  if (field.type === "references" || field.type === "files") {
+    return "[]";
+  }
+  switch (field.type) {
     case "string":
     case "email":
+    case "tel":
     case "timestamp":
+    case "reference":
       return "''";
     case "number":
       return "0";
@@ -99,6 +525,9 @@ function getDefaultFieldValue(fieldType) {
       return "[]"; // Will be handled via string input
     case "object":
       return "{}"; // Will be handled via string input
+    case "file":
+    case "image":
+      return "null"; // Set by FileUpload once uploaded
     default:
       return "''";
   }
@@ -107,46 +536,49 @@ function getDefaultFieldValue(fieldType) {
 /**
  * Generates the content for a Create.vue component.
  * @param {CollectionConfig} collectionConfig - The configuration for the collection.
+ * @param {CollectionConfig[]} [allCollections] - All collections of the project, used to label reference pickers.
  * @returns {string} The content of the Create.vue file.
  */
-function generateCreateComponentContent(collectionConfig) {
+function generateCreateComponentContent(collectionConfig, allCollections = [collectionConfig]) {
   const pascalCollectionName = toPascalCase(collectionConfig.name);
   const camelCollectionName = toCamelCase(collectionConfig.name);
 
-  const formFieldsInit = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) => {
-      if (fieldType === "array") {
+  const fields = getFormFields(collectionConfig, allCollections);
+
+  const formFieldsInit = Object.entries(fields)
+    .map(([fieldName, field]) => {
+      if (field.type === "array") {
+        const initialText = Array.isArray(field.default) ? field.default.join(", ") : "";
         return `  ${fieldName}: ${getDefaultFieldValue(
-          fieldType
+          field
         )}, // Array will be parsed from ${fieldName}String
-  ${fieldName}String: ''`;
+  ${fieldName}String: ${JSON.stringify(initialText)}`;
       }
-      if (fieldType === "object") {
+      if (field.type === "object") {
+        const initialJson = field.default !== undefined ? JSON.stringify(field.default) : "";
         return `  ${fieldName}: ${getDefaultFieldValue(
-          fieldType
+          field
         )}, // Object will be parsed from ${fieldName}Json
-  ${fieldName}Json: ''`;
+  ${fieldName}Json: ${JSON.stringify(initialJson)}`;
       }
-      return `  ${fieldName}: ${getDefaultFieldValue(fieldType)}`;
+      return `  ${fieldName}: ${getDefaultFieldValue(field)}`;
     })
     .join(",\n");
 
-  const inputHtml = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) =>
-      generateInputFieldHtml(fieldName, fieldType)
-    )
+  const inputHtml = Object.values(fields)
+    .map((field) => withFieldError(generateInputFieldHtml(field), field.name))
     .join("\n\n");
 
-  const arrayObjectParsing = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) => {
-      if (fieldType === "array") {
+  const arrayObjectParsing = Object.entries(fields)
+    .map(([fieldName, field]) => {
+      if (field.type === "array") {
         return `    if (form.value.${fieldName}String) {
       form.value.${fieldName} = form.value.${fieldName}String.split(',').map(s => s.trim());
     } else {
       form.value.${fieldName} = [];
     }`;
       }
-      if (fieldType === "object") {
+      if (field.type === "object") {
         return `    if (form.value.${fieldName}Json) {
       try {
         form.value.${fieldName} = JSON.parse(form.value.${fieldName}Json);
@@ -165,46 +597,48 @@ function generateCreateComponentContent(collectionConfig) {
 
   return `
 <script setup>
-import { ref } from 'vue';
+import { ref, computed, onMounted } from 'vue';
 import { useRouter } from 'vue-router';
-import { useStore } from '@/stores/appStore'; // Adjust if storeName is dynamic
+import { useAppStore } from '@/stores/appStore'; // Adjust if storeName is dynamic
+import { ValidationError } from '@/stores/appStore/useFirestoreCollectionActions';
 import { useNotification } from '@/composables/useNotification';
-import { validate${pascalCollectionName} } from '@/validators/validate${pascalCollectionName}';
 import Skeleton from '@/components/Skeleton.vue';
-
+${getPickerImport(fields)}${getUploadImport(fields)}
 const router = useRouter();
-const store = useStore();
+const store = useAppStore();
 const notification = useNotification();
 
 const isLoading = ref(false);
-const errors = ref([]);
+// Field name -> error message, set by the store's validator on add/update
+const errors = computed(() => store.${camelCollectionName}.validationErrors || {});
 
 const form = ref({
 ${formFieldsInit}
 });
 
+// Errors of an earlier submit (e.g. in the Edit form) do not belong to this one
+onMounted(() => store.clear${pascalCollectionName}ValidationErrors());
+
 const handleSubmit = async () => {
   isLoading.value = true;
-  errors.value = [];
 
   // Parse array and object fields from string/JSON input
 ${arrayObjectParsing}
 
-  const validationErrors = await validate${pascalCollectionName}(form.value);
-  if (validationErrors.length > 0) {
-    errors.value = validationErrors;
-    validationErrors.forEach(err => notification.error(err));
-    isLoading.value = false;
-    return;
-  }
-
   try {
-    await store.add${pascalCollectionName}(form.value);
-    notification.success('${pascalCollectionName} created successfully!');
+    const newId = await store.add${pascalCollectionName}(form.value);
+    // Offline, the document is saved on this device and synced once back online
+    notification.success(store.${camelCollectionName}.sync?.[newId]?.hasPendingWrites
+      ? '${pascalCollectionName} saved offline; it will sync when you are back online.'
+      : '${pascalCollectionName} created successfully!');
     router.push('/${camelCollectionName}'); // Redirect to collection list or dashboard
   } catch (error) {
-    console.error('Error creating ${camelCollectionName}:', error);
-    notification.error('Failed to create ${pascalCollectionName}. ' + error.message);
+    if (error instanceof ValidationError) {
+      notification.error('Please correct the highlighted fields.');
+    } else {
+      console.error('Error creating ${camelCollectionName}:', error);
+      notification.error('Failed to create ${pascalCollectionName}. ' + error.message);
+    }
   } finally {
     isLoading.value = false;
   }
@@ -221,11 +655,9 @@ ${arrayObjectParsing}
       <form v-else @submit.prevent="handleSubmit" class="space-y-4">
         ${inputHtml}
 
-        <div v-if="errors.length" class="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+        <div v-if="Object.keys(errors).length" class="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
           <strong class="font-bold">Validation Errors:</strong>
-          <ul class="mt-2 list-disc list-inside">
-            <li v-for="(error, index) in errors" :key="index">{{ error }}</li>
-          </ul>
+          <span class="ml-1">Please correct the highlighted fields.</span>
         </div>
 
         <button type="submit" class="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition duration-150 ease-in-out">
@@ -241,38 +673,42 @@ ${arrayObjectParsing}
 /**
  * Generates the content for an Edit.vue component.
  * @param {CollectionConfig} collectionConfig - The configuration for the collection.
+ * @param {CollectionConfig[]} [allCollections] - All collections of the project, used to label reference pickers.
  * @returns {string} The content of the Edit.vue file.
  */
-function generateEditComponentContent(collectionConfig) {
+function generateEditComponentContent(collectionConfig, allCollections = [collectionConfig]) {
   const pascalCollectionName = toPascalCase(collectionConfig.name);
   const camelCollectionName = toCamelCase(collectionConfig.name);
 
-  const formFieldsInit = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) => {
-      if (fieldType === "array") {
+  const fields = getFormFields(collectionConfig, allCollections);
+
+  const formFieldsInit = Object.entries(fields)
+    .map(([fieldName, field]) => {
+      if (field.type === "array") {
         return `  ${fieldName}: [], // Array will be parsed from ${fieldName}String
   ${fieldName}String: ''`;
       }
-      if (fieldType === "object") {
+      if (field.type === "object") {
         return `  ${fieldName}: {}, // Object will be parsed from ${fieldName}Json
   ${fieldName}Json: ''`;
       }
+      if (field.type === "references" || field.type === "files") {
+        return `  ${fieldName}: []`;
+      }
       return `  ${fieldName}: null`; // Initialize with null for edit form
     })
     .join(",\n");
 
-  const inputHtml = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) =>
-      generateInputFieldHtml(fieldName, fieldType)
-    )
+  const inputHtml = Object.values(fields)
+    .map((field) => withFieldError(generateInputFieldHtml(field), field.name))
     .join("\n\n");
 
-  const arrayObjectParsingOnLoad = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) => {
-      if (fieldType === "array") {
+  const arrayObjectParsingOnLoad = Object.entries(fields)
+    .map(([fieldName, field]) => {
+      if (field.type === "array") {
         return `    form.value.${fieldName}String = fetchedData.${fieldName} ? fetchedData.${fieldName}.join(', ') : '';`;
       }
-      if (fieldType === "object") {
+      if (field.type === "object") {
         return `    form.value.${fieldName}Json = fetchedData.${fieldName} ? JSON.stringify(fetchedData.${fieldName}, null, 2) : '';`;
       }
       return "";
@@ -280,16 +716,16 @@ function generateEditComponentContent(collectionConfig) {
     .filter(Boolean)
     .join("\n");
 
-  const arrayObjectParsingOnSubmit = Object.entries(collectionConfig.fields)
-    .map(([fieldName, fieldType]) => {
-      if (fieldType === "array") {
+  const arrayObjectParsingOnSubmit = Object.entries(fields)
+    .map(([fieldName, field]) => {
+      if (field.type === "array") {
         return `    if (form.value.${fieldName}String) {
       form.value.${fieldName} = form.value.${fieldName}String.split(',').map(s => s.trim());
     } else {
       form.value.${fieldName} = [];
     }`;
       }
-      if (fieldType === "object") {
+      if (field.type === "object") {
         return `    if (form.value.${fieldName}Json) {
       try {
         form.value.${fieldName} = JSON.parse(form.value.${fieldName}Json);
@@ -308,21 +744,24 @@ function generateEditComponentContent(collectionConfig) {
 
   return `
 <script setup>
-import { ref, onMounted } from 'vue';
+import { ref, computed, onMounted } from 'vue';
 import { useRoute, useRouter } from 'vue-router';
-import { useStore } from '@/stores/appStore'; // Adjust if storeName is dynamic
+import { useAppStore } from '@/stores/appStore'; // Adjust if storeName is dynamic
+import { ValidationError } from '@/stores/appStore/useFirestoreCollectionActions';
 import { useNotification } from '@/composables/useNotification';
-import { validate${pascalCollectionName} } from '@/validators/validate${pascalCollectionName}';
 import Skeleton from '@/components/Skeleton.vue';
-
+${getPickerImport(fields)}${getUploadImport(fields)}
 const route = useRoute();
 const router = useRouter();
-const store = useStore();
+const store = useAppStore();
 const notification = useNotification();
 
 const isLoading = ref(true);
-const errors = ref([]);
+// Field name -> error message, set by the store's validator on add/update
+const errors = computed(() => store.${camelCollectionName}.validationErrors || {});
 const id = route.params.id;
+// { hasPendingWrites, fromCache } of the edited document
+const syncStatus = computed(() => store.${camelCollectionName}.sync?.[id]);
 
 const form = ref({
   id: id, // Include ID for update
@@ -330,6 +769,8 @@ ${formFieldsInit}
 });
 
 onMounted(async () => {
+  store.clear${pascalCollectionName}ValidationErrors();
+
   if (!id) {
     notification.error('No ID provided for editing.');
     router.push('/${camelCollectionName}'); // Redirect if no ID
@@ -337,7 +778,7 @@ onMounted(async () => {
   }
 
   try {
-    const fetchedData = await store.fetch${pascalCollectionName}(id);
+    const fetchedData = await store.get${pascalCollectionName}(id);
     if (fetchedData) {
       // Assign fetched data to form, handling array/object strings
       Object.assign(form.value, fetchedData);
@@ -356,26 +797,24 @@ ${arrayObjectParsingOnLoad}
 
 const handleSubmit = async () => {
   isLoading.value = true;
-  errors.value = [];
 
   // Parse array and object fields from string/JSON input
 ${arrayObjectParsingOnSubmit}
 
-  const validationErrors = await validate${pascalCollectionName}(form.value);
-  if (validationErrors.length > 0) {
-    errors.value = validationErrors;
-    validationErrors.forEach(err => notification.error(err));
-    isLoading.value = false;
-    return;
-  }
-
   try {
     await store.update${pascalCollectionName}(id, form.value);
-    notification.success('${pascalCollectionName} updated successfully!');
+    // Offline, the changes are saved on this device and synced once back online
+    notification.success(syncStatus.value?.hasPendingWrites
+      ? 'Changes saved offline; they will sync when you are back online.'
+      : '${pascalCollectionName} updated successfully!');
     router.push('/${camelCollectionName}'); // Redirect to collection list or dashboard
   } catch (error) {
-    console.error('Error updating ${camelCollectionName}:', error);
-    notification.error('Failed to update ${pascalCollectionName}. ' + error.message);
+    if (error instanceof ValidationError) {
+      notification.error('Please correct the highlighted fields.');
+    } else {
+      console.error('Error updating ${camelCollectionName}:', error);
+      notification.error('Failed to update ${pascalCollectionName}. ' + error.message);
+    }
   } finally {
     isLoading.value = false;
   }
@@ -386,17 +825,17 @@ ${arrayObjectParsingOnSubmit}
   <div class="min-h-screen bg-gray-100 flex flex-col items-center justify-center p-4">
     <div class="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
       <h1 class="text-2xl font-bold text-gray-800 mb-6 text-center">Edit ${pascalCollectionName}</h1>
+      <p v-if="syncStatus?.hasPendingWrites" class="-mt-4 mb-4 text-sm text-center text-amber-600">Changes saved on this device, waiting to sync.</p>
+      <p v-else-if="syncStatus?.fromCache" class="-mt-4 mb-4 text-sm text-center text-gray-500">Offline copy; it may be out of date.</p>
 
       <Skeleton v-if="isLoading" class="h-64 w-full" />
 
       <form v-else @submit.prevent="handleSubmit" class="space-y-4">
         ${inputHtml}
 
-        <div v-if="errors.length" class="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
+        <div v-if="Object.keys(errors).length" class="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative" role="alert">
           <strong class="font-bold">Validation Errors:</strong>
-          <ul class="mt-2 list-disc list-inside">
-            <li v-for="(error, index) in errors" :key="index">{{ error }}</li>
-          </ul>
+          <span class="ml-1">Please correct the highlighted fields.</span>
         </div>
 
         <button type="submit" class="w-full bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-offset-2 transition duration-150 ease-in-out">
@@ -410,12 +849,275 @@ ${arrayObjectParsingOnSubmit}
 }
 
 /**
- * Generates Create.vue and Edit.vue components for each collection.
+ * Builds the filter bar control of a field in List.vue, bound to `filters.<field>`.
+ * @param {ReturnType<typeof import('./fields.js').normalizeField>} field - The normalized field.
+ * @returns {string} The control HTML, wrapped in a div with its label.
+ */
+function generateFilterControlHtml(field) {
+  const fieldName = field.name;
+  const id = `filter-${fieldName}`;
+  const classes = "block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+  let control;
+
+  if (field.enum) {
+    const options = field.enum
+      .map((value) => {
+        const literal = typeof value === "string" ? `'${value.replace(/['\\]/g, "\\$&")}'` : value;
+        return `<option :value="${escapeAttr(literal)}">${value}</option>`;
+      })
+      .join("\n          ");
+    control = `<select id="${id}" v-model="filters.${fieldName}" class="${classes}">
+          <option value="">Any</option>
+          ${options}
+        </select>`;
+  } else if (field.type === "boolean") {
+    control = `<select id="${id}" v-model="filters.${fieldName}" class="${classes}">
+          <option value="">Any</option>
+          <option :value="true">Yes</option>
+          <option :value="false">No</option>
+        </select>`;
+  } else if (field.type === "reference") {
+    control = `<ReferencePicker id="${id}" v-model="filters.${fieldName}" collection="${field.collection}" display-field="${field.displayField || "id"}" placeholder="Any" />`;
+  } else if (field.type === "number") {
+    control = `<input type="number" id="${id}" v-model.number="filters.${fieldName}" class="${classes}" />`;
+  } else {
+    control = `<input type="text" id="${id}" v-model.trim="filters.${fieldName}" class="${classes}" />`;
+  }
+
+  return `<div class="min-w-40">
+        <label for="${id}" class="block text-xs font-medium text-gray-600 mb-1">${field.label}</label>
+        ${control}
+      </div>`;
+}
+
+/**
+ * Generates the content for a List.vue component: a table of the collection's documents with a
+ * filter bar (applyFilters), sortable columns (changeSorting), a page size selector and a
+ * "Load more" button (fetchNextPage), and Edit/Delete actions per row.
+ * Only the filters and sorts the collection declares are offered, since the store rejects others.
+ * @param {CollectionConfig} collectionConfig - The configuration for the collection.
+ * @param {CollectionConfig[]} [allCollections] - All collections of the project, used to label references.
+ * @returns {string} The content of the List.vue file.
+ */
+function generateListComponentContent(collectionConfig, allCollections = [collectionConfig]) {
+  const pascalCollectionName = toPascalCase(collectionConfig.name);
+  const camelCollectionName = toCamelCase(collectionConfig.name);
+
+  const fields = getFormFields(collectionConfig, allCollections);
+  const fieldList = Object.values(fields);
+  // Collections declaring filterable/sortable only accept those; the others accept any field
+  const restricted = Boolean(collectionConfig.filterable || collectionConfig.sortable);
+  const canSort = (field) => (restricted
+    ? (collectionConfig.sortable || []).includes(field.name)
+    : SORTABLE_TYPES.includes(field.type));
+  const filterFields = (collectionConfig.filterable
+    ? collectionConfig.filterable.map((name) => fields[name]).filter(Boolean)
+    : fieldList.filter((field) => field.enum || field.type === "boolean" || field.type === "reference"))
+    .filter((field) => !UNFILTERABLE_TYPES.includes(field.type));
+  const hasReferences = fieldList.some(isReferenceField);
+
+  const columns = [
+    ...fieldList
+      .filter((field) => field.type !== "object")
+      .slice(0, LIST_COLUMNS)
+      .map((field) => ({
+        key: field.name,
+        label: field.label,
+        type: field.type,
+        sortable: canSort(field),
+        ...(field.displayField && { displayField: field.displayField })
+      })),
+    // Stamped on every document; the default sort, always allowed
+    { key: "createdAt", label: "Created", type: "timestamp", sortable: true }
+  ];
+  const emptyFilters = filterFields.map((field) => `  ${field.name}: ''`).join(",\n");
+  const filterHtml = filterFields.map(generateFilterControlHtml).join("\n      ");
+  const deleteLabel = collectionConfig.softDelete ? "Move to trash" : "Delete";
+
+  return `
+<script setup>
+import { ref, computed, onMounted } from 'vue';
+import { useAppStore } from '@/stores/appStore'; // Adjust if storeName is dynamic
+import { useNotification } from '@/composables/useNotification';
+${filterFields.some(isReferenceField) ? "import ReferencePicker from '@/components/ReferencePicker.vue';\n" : ""}
+const store = useAppStore();
+const notification = useNotification();
+
+const PAGE_SIZES = [10, 15, 25, 50];
+const columns = [
+${columns.map((column) => `  ${JSON.stringify(column)}`).join(",\n")}
+];
+
+const list = computed(() => store.${camelCollectionName});
+const pageSize = ref(list.value.pageSize);
+${filterFields.length ? `// Filter values being edited; an empty value means any
+const emptyFilters = () => ({
+${emptyFilters}
+});
+const filters = ref({ ...emptyFilters(), ...list.value.filters });
+` : ""}
+// Runs a store action, reporting failures (e.g. an undeclared filter or sort) as a notification
+const run = async (action, failure) => {
+  try {
+    await action();
+  } catch (error) {
+    notification.error(failure + ' ' + error.message);
+  }
+};
+
+const load = () => run(
+  () => store.fetchInitialPage${pascalCollectionName}({ pageSize: pageSize.value${hasReferences ? ", populate: true" : ""} }),
+  'Failed to load ${pascalCollectionName}.'
+);
+const loadMore = () => run(() => store.fetchNextPage${pascalCollectionName}(), 'Failed to load more ${pascalCollectionName}.');
+${filterFields.length ? `
+const applyFilters = () => run(() => store.apply${pascalCollectionName}Filters({ ...filters.value }), 'Failed to filter ${pascalCollectionName}.');
+const resetFilters = () => {
+  filters.value = emptyFilters();
+  applyFilters();
+};
+` : ""}
+// Clicking the sorted column again flips the direction
+const sortBy = (column) => {
+  if (!column.sortable) return;
+  const { field, direction } = list.value.orderBy;
+  const next = field === column.key && direction === 'asc' ? 'desc' : 'asc';
+  run(() => store.change${pascalCollectionName}Sorting(column.key, next), 'Failed to sort ${pascalCollectionName}.');
+};
+
+const sortIndicator = (column) => {
+  const { field, direction } = list.value.orderBy;
+  return field === column.key ? (direction === 'asc' ? '▲' : '▼') : '';
+};
+
+const remove = async (item) => {
+  if (!window.confirm('${collectionConfig.softDelete ? "Move this document to the trash?" : "Delete this document? This cannot be undone."}')) return;
+  await run(() => store.delete${pascalCollectionName}(item.id), 'Failed to delete ${pascalCollectionName}.');
+};
+
+// Cell text of a column; references show the display field of the populated documents
+const formatCell = (item, column) => {
+  const value = item[column.key];
+  if (value === undefined || value === null || value === '') return '—';
+  switch (column.type) {
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    case 'timestamp':
+      return (value.toDate ? value.toDate() : new Date(value)).toLocaleString();
+    case 'array':
+      return value.join(', ');
+    case 'reference':
+      return item.populated?.[column.key]?.[column.displayField] ?? value;
+    case 'references':
+      return (item.populated?.[column.key] || []).map(doc => doc[column.displayField] ?? doc.id).join(', ') || value.join(', ');
+    case 'file':
+    case 'image':
+      return value.name;
+    case 'files':
+      return value.map(file => file.name).join(', ') || '—';
+    default:
+      return value;
+  }
+};
+
+onMounted(load);
+</script>
+
+<template>
+  <div class="container mx-auto">
+    <div class="flex items-center justify-between mb-6">
+      <div>
+        <h1 class="text-2xl font-bold text-gray-900">${pascalCollectionName}</h1>
+        <p class="text-sm text-gray-500">{{ list.items.length }} of {{ list.total }} shown</p>
+      </div>
+      <router-link :to="{ name: '${pascalCollectionName}Create' }" class="bg-indigo-600 text-white py-2 px-4 rounded-md hover:bg-indigo-700 transition duration-150">
+        New ${pascalCollectionName}
+      </router-link>
+    </div>
+${filterFields.length ? `
+    <form @submit.prevent="applyFilters" class="bg-white p-4 mb-4 rounded-xl shadow-sm border border-gray-100 flex flex-wrap items-end gap-4">
+      ${filterHtml}
+      <div class="flex gap-2">
+        <button type="submit" class="bg-indigo-600 text-white py-2 px-4 rounded-md text-sm hover:bg-indigo-700">Apply</button>
+        <button type="button" @click="resetFilters" class="py-2 px-4 rounded-md text-sm text-gray-700 border border-gray-300 hover:bg-gray-50">Reset</button>
+      </div>
+    </form>
+` : ""}
+    <div class="bg-white rounded-xl shadow-sm border border-gray-100 overflow-x-auto">
+      <table class="min-w-full divide-y divide-gray-200">
+        <thead class="bg-gray-50">
+          <tr>
+            <th v-for="column in columns" :key="column.key"
+              class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider"
+              :class="{ 'cursor-pointer select-none hover:text-indigo-600': column.sortable }"
+              :aria-sort="list.orderBy.field === column.key ? (list.orderBy.direction === 'asc' ? 'ascending' : 'descending') : undefined"
+              @click="sortBy(column)">
+              {{ column.label }} <span class="text-indigo-600">{{ sortIndicator(column) }}</span>
+            </th>
+            <th class="px-6 py-3 text-left text-xs font-semibold text-gray-700 uppercase tracking-wider">Actions</th>
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">
+          <tr v-for="item in list.items" :key="item.id" class="hover:bg-gray-50 transition duration-150">
+            <td v-for="column in columns" :key="column.key" class="px-6 py-4 whitespace-nowrap text-gray-800">
+              {{ formatCell(item, column) }}
+            </td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm font-medium">
+              <span v-if="list.sync?.[item.id]?.hasPendingWrites" class="mr-3 text-xs text-amber-600">Not synced yet</span>
+              <router-link :to="{ name: '${pascalCollectionName}Edit', params: { id: item.id } }" class="text-indigo-600 hover:text-indigo-800 mr-3">
+                Edit
+              </router-link>
+              <button @click="remove(item)" class="text-red-600 hover:text-red-800">${deleteLabel}</button>
+            </td>
+          </tr>
+          <tr v-if="list.items.length === 0">
+            <td :colspan="columns.length + 1" class="px-6 py-4 text-center text-gray-500">
+              {{ store.loading ? 'Loading...' : 'No ${camelCollectionName} found.' }}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+
+    <div class="flex items-center justify-between mt-4">
+      <label class="text-sm text-gray-600">
+        Per page
+        <select v-model.number="pageSize" @change="load" class="ml-2 px-2 py-1 border border-gray-300 rounded-md text-sm">
+          <option v-for="size in PAGE_SIZES" :key="size" :value="size">{{ size }}</option>
+        </select>
+      </label>
+      <button v-if="list.hasMore" @click="loadMore" :disabled="store.loading"
+        class="py-2 px-4 rounded-md text-sm text-indigo-600 border border-indigo-600 hover:bg-indigo-50 disabled:opacity-50">
+        {{ store.loading ? 'Loading...' : 'Load more' }}
+      </button>
+    </div>
+  </div>
+</template>
+`;
+}
+
+/**
+ * Generates List.vue, Create.vue and Edit.vue components for each collection, plus the shared
+ * ReferencePicker and FileUpload components when any collection has reference or file fields.
  * @param {CollectionConfig[]} collections - Array of collection configurations.
+ * @param {Object} [options]
+ * @param {CollectionConfig[]} [options.allCollections=collections] - Every collection of the project, when only some are generated.
  */
-export async function generateFormComponents(collections) {
+export async function generateFormComponents(collections, { allCollections = collections } = {}) {
   const viewsDir = path.join("src", "views");
 
+  if (collections.some((c) => Object.values(normalizeFields(c.fields)).some(isReferenceField))) {
+    const pickerPath = path.join("src", "components", "ReferencePicker.vue");
+    writeGeneratedFile(pickerPath, referencePickerContent);
+    console.log(`  📄 Generated ${pickerPath}`);
+  }
+
+  if (collections.some((c) => Object.values(normalizeFields(c.fields)).some(isFileField))) {
+    const uploadPath = path.join("src", "components", "FileUpload.vue");
+    writeGeneratedFile(uploadPath, fileUploadContent);
+    console.log(`  📄 Generated ${uploadPath}`);
+  }
+
   for (const collectionConfig of collections) {
     const pascalCollectionName = toPascalCase(collectionConfig.name);
     const camelCollectionName = toCamelCase(collectionConfig.name);
@@ -423,16 +1125,22 @@ export async function generateFormComponents(collections) {
 
     await fs.ensureDir(collectionViewsDir);
 
+    // Generate List.vue
+    const listComponentPath = path.join(collectionViewsDir, "List.vue");
+    const listContent = generateListComponentContent(collectionConfig, allCollections);
+    writeGeneratedFile(listComponentPath, listContent);
+    console.log(`  📄 Generated ${listComponentPath}`);
+
     // Generate Create.vue
     const createComponentPath = path.join(collectionViewsDir, "Create.vue");
-    const createContent = generateCreateComponentContent(collectionConfig);
-    await fs.writeFile(createComponentPath, createContent);
+    const createContent = generateCreateComponentContent(collectionConfig, allCollections);
+    writeGeneratedFile(createComponentPath, createContent);
     console.log(`  📄 Generated ${createComponentPath}`);
 
     // Generate Edit.vue
     const editComponentPath = path.join(collectionViewsDir, "Edit.vue");
-    const editContent = generateEditComponentContent(collectionConfig);
-    await fs.writeFile(editComponentPath, editContent);
+    const editContent = generateEditComponentContent(collectionConfig, allCollections);
+    writeGeneratedFile(editComponentPath, editContent);
     console.log(`  📄 Generated ${editComponentPath}`);
   }
 }
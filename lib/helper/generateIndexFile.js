@@ -1,25 +1,293 @@
+import fs from 'fs';
 import path from 'path';
-import { writeFile, toCamel, capitalize } from './helperF.js'; // Assuming helperF.js provides these utilities
+import chalk from 'chalk';
+import { writeFile, toCamel, capitalize, sourceExtension, findSourceFile } from './helperF.js'; // Assuming helperF.js provides these utilities
+import { collectionTypeNames } from './generateTypesFile.js';
+import { SOCIAL_PROVIDERS, providerConstructor } from './socialProviders.js';
+import { normalizeFields } from './fields.js';
+
+// Profile fields a Firebase Auth account has a value for, by field name
+const NAME_FIELDS = ['displayName', 'name', 'fullName', 'username'];
+const PHOTO_FIELDS = ['photoURL', 'photoUrl', 'avatar', 'avatarUrl', 'picture'];
+
+/**
+ * Maps the fields of the auth collection onto the Firebase Auth account, for the profile created
+ * on a first sign-in without signUp: the email, the name (the email's local part when the account
+ * has none), the photo, the phone number, and the declared defaults.
+ * @param {Object.<string, import('./fields.js').FieldDefinition>} fields - Fields of the auth collection
+ * @returns {{values: Array<[string, string]>, missing: string[]}} Field names with the expression
+ * of their value in the generated code, and the required fields the account cannot fill
+ */
+const mapProfileFields = (fields) => {
+  const values = [];
+  const missing = [];
+  for (const field of Object.values(normalizeFields(fields))) {
+    if (field.name === 'uid') continue;
+    let value = null;
+    if (field.type === 'email' || (field.type === 'string' && field.name === 'email')) {
+      value = 'firebaseUser.email';
+    } else if (field.type === 'string' && NAME_FIELDS.includes(field.name)) {
+      value = "firebaseUser.displayName || firebaseUser.email?.split('@')[0]";
+    } else if (field.type === 'string' && PHOTO_FIELDS.includes(field.name)) {
+      value = 'firebaseUser.photoURL';
+    } else if (field.type === 'tel') {
+      value = 'firebaseUser.phoneNumber';
+    } else if (field.type === 'boolean' && field.name === 'emailVerified') {
+      value = 'firebaseUser.emailVerified';
+    } else if (field.default !== undefined) {
+      value = JSON.stringify(field.default);
+    }
+    if (value !== null) values.push([field.name, value]);
+    else if (field.required) missing.push(field.name);
+  }
+  return { values, missing };
+};
 
 /**
  * Generates the main Pinia store index file with enterprise-grade authentication and Firestore collection integration.
  * @param {string} storeName - Name of the Pinia store (e.g., 'app').
- * @param {string} baseDir - Base directory path where the 'index.js' file will be created.
+ * @param {string} baseDir - Base directory path where the 'index.js' (or 'index.ts') file will be created.
  * @param {string[]} collections - Array of all collection names to integrate (e.g., ['products', 'orders']).
  * @param {string[]} authCollections - Array of collection names specifically designated as authentication collections (e.g., ['users']).
  * @param {boolean} addActivityLogging - Whether to enable activity logging for all operations (including authentication).
+ * @param {boolean} [typescript=false] - Whether to generate index.ts with typed auth actions.
+ * @param {Object} [authMethods={}] - Sign-in methods offered besides email and password.
+ * @param {string[]} [authMethods.socialProviders=[]] - Social sign-in providers loginWithProvider supports (keys of SOCIAL_PROVIDERS).
+ * @param {boolean} [authMethods.emailLink=false] - Whether to generate passwordless email-link sign-in (sendSignInLink, finishSignInWithLink).
+ * @param {boolean} [authMethods.anonymous=false] - Whether to generate anonymous guest sessions (loginAsGuest), upgraded by the other sign-in methods.
+ * @param {string[]} [roles=[]] - Roles of the project, read from the custom claims of the ID token.
+ * @param {Object.<string, import('./fields.js').FieldDefinition>} [authFields={}] - Fields of the primary auth collection, filled from the account on a first sign-in without signUp.
  */
-export const generateIndexFile = (storeName, baseDir, collections, authCollections, addActivityLogging) => {
+export const generateIndexFile = (storeName, baseDir, collections, authCollections, addActivityLogging, typescript = false, authMethods = {}, roles = [], authFields = {}) => {
   try {
     const storeNameCamel = toCamel(storeName);
     const pascalStoreName = capitalize(storeNameCamel);
     const primaryAuthCollection = authCollections.length > 0 ? authCollections[0] : null;
+    // Type annotation, emitted for TypeScript output only
+    const t = (type) => (typescript ? `: ${type}` : '');
+    // Profile data may hold fields the schema does not declare, so it is cast to the collection input
+    const asProfileInput = (partial) => (typescript
+      ? ` as unknown as ${partial ? `Partial<${collectionTypeNames(primaryAuthCollection).input}>` : collectionTypeNames(primaryAuthCollection).input}`
+      : '');
+    const { socialProviders = [], emailLink = false, anonymous = false } = authMethods;
+    // The other sign-in methods are only generated with an auth collection to keep the profiles in
+    const social = authCollections.length > 0 && socialProviders.length > 0;
+    const withEmailLink = authCollections.length > 0 && emailLink;
+    const withGuests = authCollections.length > 0 && anonymous;
+    const withRoles = authCollections.length > 0 && roles.length > 0;
+    const providerClasses = [...new Set(socialProviders.map(name => SOCIAL_PROVIDERS[name].providerClass))];
+    const providerList = socialProviders.map(name => `'${name}'`).join(', ');
+
+    // Roles live in the custom claims of the ID token, set by the setUserRoles Cloud Function (functions/roles.js)
+    const rolesSetup = withRoles ? `
+
+  /**
+   * Reads the roles of a user from the \`roles\` custom claim of their ID token. They replace the
+   * copy mirrored on the profile, which users cannot change but which may lag behind.
+   * @param {import('firebase/auth').User} firebaseUser - The signed-in user
+   * @param {boolean} [forceRefresh=false] - Fetch a new ID token instead of the cached one
+   * @returns {Promise<string[]>}
+   */
+  const readRoles = async (firebaseUser${t('User')}, forceRefresh = false)${t('Promise<string[]>')} => {
+    const { claims } = await getIdTokenResult(firebaseUser, forceRefresh);
+    return Array.isArray(claims.roles) ? claims.roles : [];
+  };` : '';
+
+    // Profiles of sign-ins without signUp are filled from the account; the security rules reject
+    // profiles missing a required field, so those sign-ins would end up without one
+    const profileFields = mapProfileFields(authFields);
+    if ((social || withEmailLink || withGuests) && profileFields.missing.length > 0) {
+      const missing = profileFields.missing.map(name => `${primaryAuthCollection}.${name}`).join(', ');
+      console.warn(chalk.yellow(`  ${missing} cannot be filled from the Firebase Auth account: users signing in without signUp will get no profile. Make ${profileFields.missing.length > 1 ? 'these fields' : 'it'} optional or give ${profileFields.missing.length > 1 ? 'them' : 'it'} a default.`));
+    }
+
+    // Store internals of the other sign-in methods, declared next to unsubscribeAll
+    const signInSetup = social || withEmailLink || withGuests ? `
+
+  /**
+   * The ${primaryAuthCollection} profile of a first sign-in without signUp, filled from the Firebase Auth
+   * account (see the ${primaryAuthCollection} schema). Values the account does not have are left out.
+   * @param {import('firebase/auth').User} firebaseUser - The signed-in user
+   * @returns {Object}
+   */
+  const profileFromAuth = (firebaseUser${t('User')})${t('Record<string, unknown>')} => {
+    const profile = {
+      uid: firebaseUser.uid${profileFields.values.map(([name, value]) => `,
+      ${name}: ${value}`).join('')}
+    };
+    return Object.fromEntries(Object.entries(profile).filter(([, value]) => value !== null && value !== undefined));
+  };
+
+  /**
+   * Creates the ${primaryAuthCollection} profile of a first sign-in, keyed by the user's uid as the security
+   * rules expect. A profile the schema rejects does not block the sign-in.
+   * @param {import('firebase/auth').User} firebaseUser - The signed-in user
+   * @returns {Promise<Object|null>} The new profile, or null when it was not created
+   */
+  const createProfile = async (firebaseUser${t('User')})${t('Promise<Record<string, unknown> | null>')} => {
+    const profile = profileFromAuth(firebaseUser);
+    try {
+      await ${primaryAuthCollection}Actions.add${capitalize(primaryAuthCollection)}(profile${asProfileInput(false)});
+      return profile;
+    } catch (error${t('any')}) {
+      console.warn('Creating the ${primaryAuthCollection} profile failed:', error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Finishes a sign-in made without signUp:${social ? ' links the pending credential,' : ''} creates the ${primaryAuthCollection} profile on
+   * the first sign-in${withGuests ? ' (guests get none until they upgrade)' : ''} and stores the signed-in user.
+   * @param {import('firebase/auth').User} firebaseUser - The signed-in user
+   * @returns {Promise<Object>} The signed-in user, merged with the profile
+   */
+  const completeSignIn = async (firebaseUser${t('User')})${t('Promise<AuthUser>')} => {${social ? `
+    await linkPendingCredential(firebaseUser);
+` : ''}
+    const authData = {
+      uid: firebaseUser.uid,
+      email: firebaseUser.email,
+      emailVerified: firebaseUser.emailVerified,
+      displayName: firebaseUser.displayName,
+      photoURL: firebaseUser.photoURL${withGuests ? `,
+      isAnonymous: firebaseUser.isAnonymous` : ''}
+    };
+    const profile = await ${primaryAuthCollection}Actions.get${capitalize(primaryAuthCollection)}(firebaseUser.uid)
+      || ${withGuests ? '(firebaseUser.isAnonymous ? null : await createProfile(firebaseUser))' : 'await createProfile(firebaseUser)'};
+
+    const user${t('AuthUser')} = {
+      ...authData,
+      metadata: {
+        creationTime: firebaseUser.metadata.creationTime,
+        lastSignInTime: firebaseUser.metadata.lastSignInTime
+      },
+      ...profile${withRoles ? `, // Merge Firestore data
+      roles: await readRoles(firebaseUser)` : ' // Merge Firestore data'}
+    };
+    state.currentUser.value = user;
+    return user;
+  };` : '';
+
+    const socialSetup = social ? `
+
+  /**
+   * Social sign-in providers of the project (socialProviders in totistack.config.json). Each one must
+   * also be enabled under Authentication > Sign-in method in the Firebase console.
+   */
+  const socialProviders${t('Record<string, { label: string; providerId: string; create: () => AuthProvider; credentialFromError: (error: any) => AuthCredential | null }>')} = {
+    ${socialProviders.map(name => `${name}: {
+      label: '${SOCIAL_PROVIDERS[name].label}',
+      providerId: '${SOCIAL_PROVIDERS[name].providerId}',
+      create: () => ${providerConstructor(name)},
+      credentialFromError: (error) => ${SOCIAL_PROVIDERS[name].providerClass}.credentialFromError(error)
+    }`).join(',\n    ')}
+  };
+
+  // Remembers the provider of a redirect sign-in while the browser visits the provider
+  const REDIRECT_PROVIDER_KEY = '${storeName}:signInProvider';
+
+  // Credential of a social sign-in refused because its email belongs to an account using another
+  // sign-in method. It is linked to that account once the user signs in to it.
+  let pendingCredential${t('{ credential: AuthCredential; email: string | null } | null')} = null;
+
+  /**
+   * Links the pending credential to the account that just signed in, so both sign-in methods
+   * open it from now on.
+   * @param {import('firebase/auth').User} firebaseUser - The signed-in user
+   */
+  const linkPendingCredential = async (firebaseUser${t('User')}) => {
+    if (!pendingCredential) return;
+    const { credential, email } = pendingCredential;
+    pendingCredential = null;
+    // Another account signed in: the credential was not meant for it
+    if (email && firebaseUser.email !== email) return;
+    try {
+      await linkWithCredential(firebaseUser, credential);
+    } catch (error${t('any')}) {
+      console.warn('Linking the new sign-in method failed:', error.message);
+    }
+  };
+
+  /**
+   * Handles auth/account-exists-with-different-credential: the email of the social account belongs
+   * to an account using another sign-in method. The refused credential becomes the pending one.
+   * When the existing method is an enabled provider and a popup may open, the user signs in with it
+   * right away; otherwise the thrown error says which method to use.
+   * @param {Object} error - The Firebase Auth error
+   * @param {string} providerName - The refused provider
+   * @param {boolean} allowPopup - False after a redirect, where browsers block popups not opened by a click
+   * @returns {Promise<import('firebase/auth').UserCredential>} The sign-in to the existing account
+   * @throws {StoreError} When the user has to sign in with the existing method first
+   */
+  const resolveAccountConflict = async (error${t('any')}, providerName${t('string')}, allowPopup${t('boolean')})${t('Promise<UserCredential>')} => {
+    const email = error.customData?.email || null;
+    const credential = socialProviders[providerName]?.credentialFromError(error);
+    if (credential) pendingCredential = { credential, email };
+
+    // Always empty when email enumeration protection is on (the default for new Firebase projects)
+    const methods = email ? await fetchSignInMethodsForEmail(auth, email).catch(() => []) : [];
+    const existing = Object.values(socialProviders).find(provider => methods.includes(provider.providerId));
+    if (existing && allowPopup) {
+      return signInWithPopup(auth, existing.create());
+    }
+
+    let message = 'An account already exists with this email. Sign in the way you did before to add this sign-in method.';
+    if (existing) {
+      message = \`This email belongs to your \${existing.label} account. Sign in with \${existing.label} to add this sign-in method.\`;
+    } else if (methods.includes('password')) {
+      message = 'This email is already registered. Sign in with your password to add this sign-in method.';
+    }
+    throw { code: error.code, message, originalError: error };
+  };
+
+  /**
+   * Completes a sign-in started by loginWithProvider with \`redirect: true\` once the provider sends
+   * the user back. Called by fetchUser before the auth listener starts.
+   */
+  const completeRedirectSignIn = async () => {
+    const providerName = sessionStorage.getItem(REDIRECT_PROVIDER_KEY);
+    if (!providerName) return;
+    sessionStorage.removeItem(REDIRECT_PROVIDER_KEY);
+    try {
+      const result = await getRedirectResult(auth);
+      if (result) await completeSignIn(result.user);
+    } catch (error${t('any')}) {
+      // No popup can open here, so resolveAccountConflict throws the message to show
+      const failure = error.code === 'auth/account-exists-with-different-credential'
+        ? await resolveAccountConflict(error, providerName, false).catch((conflict) => conflict)
+        : error;
+      console.error('Social sign-in failed:', failure);
+      state.error.value = failure.message;
+    }
+  };` : '';
+
+    const emailLinkSetup = withEmailLink ? `
+
+  // Remembers the address a sign-in link was sent to, so opening the link in the same browser
+  // does not ask for it again
+  const EMAIL_FOR_SIGN_IN_KEY = '${storeName}:emailForSignIn';` : '';
 
     // Generate imports for collection-specific actions
     const actionImports = collections.map(col =>
       `import { use${capitalize(col)}Actions } from './actions/${col}.js';`
     ).join('\n');
 
+    // Firebase Auth functions and types of the other sign-in methods
+    const extraAuthImports = [
+      ...(social ? ['signInWithPopup', 'signInWithRedirect', 'getRedirectResult', 'fetchSignInMethodsForEmail'] : []),
+      ...(social && withGuests ? ['linkWithPopup', 'linkWithRedirect', 'signInWithCredential'] : []),
+      ...(withEmailLink ? ['sendSignInLinkToEmail', 'isSignInWithEmailLink', 'signInWithEmailLink'] : []),
+      ...(withGuests ? ['signInAnonymously'] : []),
+      ...(withRoles ? ['getIdTokenResult', 'onIdTokenChanged'] : []),
+      ...(social || withGuests ? ['linkWithCredential'] : []),
+      ...providerClasses
+    ];
+    const authTypeImports = [
+      ...(social ? ['AuthCredential', 'AuthProvider'] : []),
+      ...(social || withEmailLink || withGuests || withRoles ? ['User'] : []),
+      ...(social ? ['UserCredential'] : [])
+    ];
+
     // Generate auth imports with all necessary Firebase Auth functions
     const authImports = authCollections.length > 0 ? `
 import {
@@ -34,10 +302,15 @@ import {
   browserSessionPersistence,
   browserLocalPersistence,
   reauthenticateWithCredential,
-  EmailAuthProvider,
+  EmailAuthProvider,${extraAuthImports.map(name => `
+  ${name},`).join('')}
   onAuthStateChanged // New: For real-time auth state listening
-} from 'firebase/auth';
-import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Auth instance` : '';
+} from 'firebase/auth';${typescript && authTypeImports.length > 0 ? `
+import type { ${authTypeImports.join(', ')} } from 'firebase/auth';` : ''}
+import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Auth instance
+import { ValidationError } from './useFirestoreCollectionActions.js';
+import { validate${capitalize(primaryAuthCollection)} } from '@/validators/validate${capitalize(primaryAuthCollection)}';${typescript ? `
+import type { AuthResponse, AuthUser, ${collectionTypeNames(primaryAuthCollection).input} } from './types';` : ''}` : '';
 
     // Generate initialization of Firestore collection actions
     // Note: The `state` object is passed to each action factory.
@@ -54,14 +327,8 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
     // Conditional Auth Actions block
     let authActions = '';
     if (authCollections.length > 0) {
-      // Initialize the primary auth collection actions first, as auth actions will depend on it.
-      const primaryAuthCollectionInit = primaryAuthCollection ?
-        `const ${primaryAuthCollection}Actions = useFirestoreCollectionActions('${primaryAuthCollection}', state);` : '';
-
+      // Profiles are managed through the primary auth collection's actions (initialized with the other collections)
       authActions = `
-    // Initialize primary authentication collection actions for profile management
-    ${primaryAuthCollectionInit}
-
     /**
      * Authenticates a user with email and password.
      * @async
@@ -78,14 +345,16 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * console.error('Login failed:', error.message);
      * }
      */
-    async login(email, password) {
+    async login(email${t('string')}, password${t('string')})${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
           // Set Firebase persistence based on user choice
         await setPersistence(auth, browserLocalPersistence);
         const userCredential = await signInWithEmailAndPassword(auth, email, password);
-        let user = {
+${social ? `        // Adds the social provider refused earlier for this email (see loginWithProvider)
+        await linkPendingCredential(userCredential.user);
+` : ''}        let user${t('AuthUser')} = {
           uid: userCredential.user.uid,
           email: userCredential.user.email,
           emailVerified: userCredential.user.emailVerified,
@@ -104,16 +373,17 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
             if (userProfile) {
               user = { ...user, ...userProfile }; // Merge Firestore data
             }
-          } catch (profileError) {
+          } catch (profileError${t('any')}) {
             console.warn('User profile fetch failed during login:', profileError.message);
             // Do not block login if profile fetch fails
           }
-        }
+        }${withRoles ? `
+        user.roles = await readRoles(userCredential.user);` : ''}
 
         state.currentUser.value = user;
         
         return { success: true, user: state.currentUser.value };
-      } catch (error) {
+      } catch (error${t('any')}) {
         let errorMessage = 'Authentication failed';
         switch (error.code) {
           case 'auth/user-not-found':
@@ -142,15 +412,236 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
       }
     },
 
+    ${social ? `/**
+     * Signs in with a social provider in a popup, or with \`redirect: true\` by leaving the app for the
+     * provider's page (better on mobile); fetchUser then completes the sign-in when the app loads again.
+     * Blocked popups fall back to the redirect. The ${primaryAuthCollection} profile is created on the first
+     * sign-in. When the email already belongs to an account using another method, the user signs in to
+     * that account and the provider is linked to it.
+     * @async
+     * @param {string} name - Provider name: ${providerList}.
+     * @param {Object} [options]
+     * @param {boolean} [options.redirect=false] - Use a full-page redirect instead of a popup.
+     * @returns {Promise<Object>} Authentication response; \`user\` is null when redirecting.
+     * @throws {StoreError} If the sign-in fails or is cancelled.
+     *
+     * @example
+     * await store.loginWithProvider(${providerList.split(', ')[0]});
+     * await store.loginWithProvider(${providerList.split(', ')[0]}, { redirect: true });
+     */
+    async loginWithProvider(name${t('string')}, { redirect = false }${t('{ redirect?: boolean }')} = {})${t('Promise<AuthResponse>')} {
+      state.loading.value = true;
+      state.error.value = null;
+      try {
+        const provider = socialProviders[name];
+        if (!provider) {
+          throw { code: 'auth/invalid-provider-id', message: \`Unknown sign-in provider "\${name}". Available: \${Object.keys(socialProviders).join(', ')}.\` };
+        }
+        await setPersistence(auth, browserLocalPersistence);${withGuests ? `
+        // A guest keeps their uid, and with it their data: the provider is linked to the guest account
+        const guest = auth.currentUser?.isAnonymous ? auth.currentUser : null;` : ''}
+
+        if (!redirect) {
+          const userCredential = await ${withGuests ? '(guest ? linkWithPopup(guest, provider.create()) : signInWithPopup(auth, provider.create()))' : 'signInWithPopup(auth, provider.create())'}.catch((error${t('any')}) => {
+            if (error.code === 'auth/account-exists-with-different-credential') {
+              return resolveAccountConflict(error, name, true);
+            }${withGuests ? `
+            // The provider account already exists: sign in to it, the guest data stays with the guest
+            const existingCredential = guest && error.code === 'auth/credential-already-in-use' ? provider.credentialFromError(error) : null;
+            if (existingCredential) return signInWithCredential(auth, existingCredential);` : ''}
+            if (error.code === 'auth/popup-blocked') return null;
+            throw error;
+          });
+          if (userCredential) {
+            return { success: true, user: await completeSignIn(userCredential.user) };
+          }
+        }
+
+        // The page unloads; completeRedirectSignIn picks the result up when the app starts again
+        sessionStorage.setItem(REDIRECT_PROVIDER_KEY, name);
+        await ${withGuests ? '(guest ? linkWithRedirect(guest, provider.create()) : signInWithRedirect(auth, provider.create()))' : 'signInWithRedirect(auth, provider.create())'};
+        return { success: true, user: null };
+      } catch (error${t('any')}) {
+        let errorMessage = 'Social sign-in failed';
+        switch (error.code) {
+          case 'auth/account-exists-with-different-credential':
+            errorMessage = error.message; // Written by resolveAccountConflict
+            break;
+          case 'auth/popup-closed-by-user':
+          case 'auth/cancelled-popup-request':
+            errorMessage = 'Sign-in was cancelled.';
+            break;
+          case 'auth/operation-not-allowed':
+            errorMessage = 'This sign-in provider is not enabled in the Firebase console.';
+            break;
+          case 'auth/unauthorized-domain':
+            errorMessage = 'This domain is not authorized for sign-in. Add it under Authentication > Settings in the Firebase console.';
+            break;
+          default:
+            errorMessage = error.message || 'An unknown sign-in error occurred.';
+        }
+        state.error.value = errorMessage;
+
+        throw { code: error.code, message: errorMessage, originalError: error.originalError || error };
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
+    ` : ''}${withGuests ? `/**
+     * Starts an anonymous guest session, so the app can be used without an account. Guests get no
+     * ${primaryAuthCollection} profile; signUp${withEmailLink ? ', finishSignInWithLink' : ''}${social ? ' and loginWithProvider' : ''} later link their new
+     * credential to the guest account, which keeps its uid and therefore its Firestore data.
+     * Signing out a guest loses the account for good.
+     * @async
+     * @returns {Promise<Object>} Authentication response with the guest user (\`isAnonymous: true\`).
+     * @throws {StoreError} If anonymous sign-in fails.
+     *
+     * @example
+     * await store.loginAsGuest();
+     * // ...later, keeping everything the guest created:
+     * await store.signUp('guest@example.com', 'SecurePassword123!');
+     */
+    async loginAsGuest()${t('Promise<AuthResponse>')} {
+      state.loading.value = true;
+      state.error.value = null;
+      try {
+        await setPersistence(auth, browserLocalPersistence);
+        const userCredential = await signInAnonymously(auth);
+        return { success: true, user: await completeSignIn(userCredential.user) };
+      } catch (error${t('any')}) {
+        let errorMessage = 'Guest sign-in failed';
+        switch (error.code) {
+          case 'auth/operation-not-allowed':
+            errorMessage = 'Anonymous sign-in is not enabled in the Firebase console.';
+            break;
+          default:
+            errorMessage = error.message || 'An unknown sign-in error occurred.';
+        }
+        state.error.value = errorMessage;
+
+        throw { code: error.code, message: errorMessage, originalError: error };
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
+    ` : ''}${withEmailLink ? `/**
+     * Emails a passwordless sign-in link. The link opens the /finish-sign-in route, whose view calls
+     * finishSignInWithLink. The address is remembered in this browser, so opening the link here does
+     * not ask for it again.
+     * @async
+     * @param {string} email - Address to send the link to.
+     * @param {Object} [options]
+     * @param {string} [options.url] - Page the link opens. Defaults to /finish-sign-in on this origin, which must be an authorized domain.
+     * @returns {Promise<{success: boolean}>} Sending status.
+     * @throws {StoreError} If the link cannot be sent.
+     *
+     * @example
+     * await store.sendSignInLink('user@example.com');
+     */
+    async sendSignInLink(email${t('string')}, { url = \`\${window.location.origin}/finish-sign-in\` }${t('{ url?: string }')} = {})${t('Promise<AuthResponse>')} {
+      state.loading.value = true;
+      state.error.value = null;
+      try {
+        await sendSignInLinkToEmail(auth, email, { url, handleCodeInApp: true });
+        window.localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+
+        return { success: true };
+      } catch (error${t('any')}) {
+        let errorMessage = 'Sending the sign-in link failed';
+        switch (error.code) {
+          case 'auth/invalid-email':
+            errorMessage = 'The email address is not valid.';
+            break;
+          case 'auth/operation-not-allowed':
+            errorMessage = 'Email link sign-in is not enabled in the Firebase console.';
+            break;
+          case 'auth/unauthorized-continue-uri':
+            errorMessage = 'The sign-in link points to a domain that is not authorized in the Firebase console.';
+            break;
+          default:
+            errorMessage = error.message || 'An unknown error occurred while sending the sign-in link.';
+        }
+        state.error.value = errorMessage;
+
+        throw { code: error.code, message: errorMessage, originalError: error };
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
     /**
+     * Completes an email-link sign-in from the link the user opened. The ${primaryAuthCollection} profile is
+     * created on the first sign-in.${withGuests ? ' A guest is upgraded instead: the email credential is linked to the guest account, which keeps its data.' : ''}
+     * @async
+     * @param {string|null} [email=null] - Address the link was sent to. Only needed when the link is opened in another browser (the error code is then \`auth/missing-email\`).
+     * @param {string} [link=window.location.href] - The sign-in link.
+     * @returns {Promise<Object>} Authentication response with user data.
+     * @throws {StoreError} If the link is invalid or expired, or the email is missing or wrong.
+     *
+     * @example
+     * try {
+     * await store.finishSignInWithLink();
+     * } catch (error) {
+     * if (error.code === 'auth/missing-email') await store.finishSignInWithLink(promptedEmail);
+     * }
+     */
+    async finishSignInWithLink(email${t('string | null')} = null, link = window.location.href)${t('Promise<AuthResponse>')} {
+      state.loading.value = true;
+      state.error.value = null;
+      try {
+        if (!isSignInWithEmailLink(auth, link)) {
+          throw { code: 'auth/invalid-action-code' };
+        }
+        const address = email || window.localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+        if (!address) {
+          throw { code: 'auth/missing-email', message: 'Enter the email address the sign-in link was sent to.' };
+        }
+
+        ${withGuests ? `// A guest keeps their uid, and with it their data
+        const userCredential = auth.currentUser?.isAnonymous
+          ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(address, link))
+          : await signInWithEmailLink(auth, address, link);` : `const userCredential = await signInWithEmailLink(auth, address, link);`}
+        window.localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+
+        return { success: true, user: await completeSignIn(userCredential.user) };
+      } catch (error${t('any')}) {
+        let errorMessage = 'Email link sign-in failed';
+        switch (error.code) {
+          case 'auth/invalid-action-code':
+          case 'auth/expired-action-code':
+            errorMessage = 'This sign-in link is invalid, expired or already used. Request a new one.';
+            break;
+          case 'auth/invalid-email':
+            errorMessage = 'This email address does not match the sign-in link.';
+            break;${withGuests ? `
+          case 'auth/email-already-in-use':
+          case 'auth/credential-already-in-use':
+            errorMessage = 'This email already has an account. Sign out of the guest session, then sign in with it.';
+            break;` : ''}
+          default:
+            errorMessage = error.message || 'An unknown sign-in error occurred.';
+        }
+        state.error.value = errorMessage;
+
+        throw { code: error.code, message: errorMessage, originalError: error.originalError || error };
+      } finally {
+        state.loading.value = false;
+      }
+    },
+
+    ` : ''}/**
      * Creates a new user account with comprehensive registration.
      * Automatically sends email verification if enabled.
      * @async
      * @param {string} email - User email.
      * @param {string} password - User password.
-     * @param {Object} [profileData={}] - Additional user profile data to store in Firestore (e.g., { displayName: 'John Doe', roles: ['customer'] }).
+     * @param {Object} [profileData={}] - Additional user profile data to store in Firestore (e.g., { displayName: 'John Doe' }).${withRoles ? `
+     * Roles cannot be set here: they are custom claims, granted by an admin through assignRoles.` : ''}
      * @param {boolean} [sendVerification=true] - Whether to send email verification after registration.
      * @returns {Promise<Object>} Registration response with user data.
+     * @throws {ValidationError} If the profile does not match the ${primaryAuthCollection} schema; no account is created then.
      * @throws {Error} If registration fails.
      *
      * @example
@@ -158,7 +649,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * const result = await store.signUp(
      * 'newuser@example.com',
      * 'SecurePassword123!',
-     * { displayName: 'John Doe', role: 'customer' },
+     * { displayName: 'John Doe' },
      * true
      * );
      * console.log('User created:', result.user);
@@ -166,12 +657,22 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * console.error('Registration failed:', error.message);
      * }
      */
-    async signUp(email, password, profileData = {}, sendVerification = true) {
+    async signUp(email${t('string')}, password${t('string')}, profileData${t('Partial<AuthUser>')} = {}, sendVerification = true)${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
-        // Create user account with Firebase Auth
-        const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+        // Check the profile before creating the account, so invalid data never leaves an account without a profile
+        const validationErrors = await validate${capitalize(primaryAuthCollection)}({ email, ...profileData });
+        state.${primaryAuthCollection}.value.validationErrors = validationErrors;
+        if (Object.keys(validationErrors).length > 0) {
+          throw new ValidationError('${primaryAuthCollection}', validationErrors);
+        }
+
+${withGuests ? `        // A guest signing up keeps their uid, and with it their data
+        const userCredential = auth.currentUser?.isAnonymous
+          ? await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))
+          : await createUserWithEmailAndPassword(auth, email, password);` : `        // Create user account with Firebase Auth
+        const userCredential = await createUserWithEmailAndPassword(auth, email, password);`}
         const firebaseUser = userCredential.user;
 
         // Update Firebase Auth profile (displayName, photoURL)
@@ -183,7 +684,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
         }
 
         // Prepare user data for Firestore profile
-        const userFirestoreData = {
+        const userFirestoreData${t('AuthUser')} = {
           uid: firebaseUser.uid,
           email: firebaseUser.email,
           emailVerified: firebaseUser.emailVerified,
@@ -196,7 +697,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
 
         // Save user profile to Firestore if primaryAuthCollection is defined
         if (${primaryAuthCollection ? primaryAuthCollection + 'Actions' : 'null'}) {
-          await ${primaryAuthCollection}Actions.add${capitalize(primaryAuthCollection)}(userFirestoreData);
+          await ${primaryAuthCollection}Actions.add${capitalize(primaryAuthCollection)}(userFirestoreData${asProfileInput(false)});
         }
 
         // Send verification email if requested
@@ -205,10 +706,13 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
           state.emailVerificationSent.value = true;
         }
 
-        state.currentUser.value = userFirestoreData; // Update local state with full profile
+        state.currentUser.value = ${withRoles ? '{ ...userFirestoreData, roles: await readRoles(firebaseUser) }' : 'userFirestoreData'}; // Update local state with full profile
        
         return { success: true, user: state.currentUser.value };
-      } catch (error) {
+      } catch (error${t('any')}) {
+        // Field errors are in state.${primaryAuthCollection}.validationErrors, as for add/update
+        if (error instanceof ValidationError) throw error;
+
         let errorMessage = 'Registration failed';
         switch (error.code) {
           case 'auth/email-already-in-use':
@@ -243,17 +747,19 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * await store.logout();
      * console.log('User signed out');
      */
-    async logout() {
+    async logout()${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
         const uid = state.currentUser.value?.uid;
+        // Listeners on protected data would fail with permission-denied once signed out
+        unsubscribeAll();
         await signOut(auth);
         state.currentUser.value = null;
         state.emailVerificationSent.value = false;
         
         return { success: true };
-      } catch (error) {
+      } catch (error${t('any')}) {
         state.error.value = error.message;
         
         throw { code: 'auth/logout-failed', message: 'Logout failed', originalError: error };
@@ -276,14 +782,14 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * console.error('Reset failed:', error.message);
      * }
      */
-    async sendPasswordReset(email) {
+    async sendPasswordReset(email${t('string')})${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
         await sendPasswordResetEmail(auth, email);
        
         return { success: true };
-      } catch (error) {
+      } catch (error${t('any')}) {
         let errorMessage = 'Password reset failed';
         switch (error.code) {
           case 'auth/user-not-found':
@@ -313,7 +819,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * @example
      * await store.updateProfile({ displayName: 'New Name', photoURL: 'https://...' });
      */
-    async updateProfile(profileData) {
+    async updateProfile(profileData${t('{ displayName?: string | null; photoURL?: string | null }')})${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
@@ -326,15 +832,17 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
         // Update local state with Firebase Auth changes
         state.currentUser.value = {
           ...state.currentUser.value,
+          uid: auth.currentUser.uid,
+          email: auth.currentUser.email,
           displayName: auth.currentUser.displayName,
           photoURL: auth.currentUser.photoURL
         };
 
         // Update Firestore profile if we have a primary auth collection
         if (state.currentUser.value?.uid && ${primaryAuthCollection ? primaryAuthCollection + 'Actions' : 'null'}) {
-          await ${primaryAuthCollection}Actions.update(
+          await ${primaryAuthCollection}Actions.update${capitalize(primaryAuthCollection)}(
             state.currentUser.value.uid,
-            { ...profileData, updatedAt: new Date().toISOString() } // Add a timestamp for Firestore
+            { ...profileData, updatedAt: new Date().toISOString() }${asProfileInput(true)} // Add a timestamp for Firestore
           );
           // Re-fetch the full user profile from Firestore to ensure local state is in sync
           const updatedProfile = await ${primaryAuthCollection}Actions.get${capitalize(primaryAuthCollection)}(state.currentUser.value.uid);
@@ -348,7 +856,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
           success: true,
           user: state.currentUser.value
         };
-      } catch (error) {
+      } catch (error${t('any')}) {
         state.error.value = error.message;
        
         throw { code: 'auth/profile-update-failed', message: 'Profile update failed', originalError: error };
@@ -373,7 +881,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * console.error('Password change failed:', error.message);
      * }
      */
-    async changePassword(currentPassword, newPassword) {
+    async changePassword(currentPassword${t('string')}, newPassword${t('string')})${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
@@ -393,7 +901,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
 
        
         return { success: true };
-      } catch (error) {
+      } catch (error${t('any')}) {
         let errorMessage = 'Password change failed';
         switch (error.code) {
           case 'auth/wrong-password':
@@ -429,8 +937,10 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
      * await appStore.fetchUser();
      * console.log('Auth initialized. Current user:', appStore.currentUser.value);
      */
-    async fetchUser() {
-      return new Promise((resolve) => {
+    async fetchUser()${t('Promise<AuthUser | null>')} {
+${social ? `      // Sign-ins started with loginWithProvider(name, { redirect: true }) come back here
+      if (!state.authInitialized.value) await completeRedirectSignIn();
+` : ''}      return new Promise${typescript ? '<AuthUser | null>' : ''}((resolve) => {
         // Only set up the listener once
         if (!state.authInitialized.value) {
           onAuthStateChanged(auth, async (firebaseUser) => {
@@ -444,14 +954,16 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
                       email: firebaseUser.email,
                       emailVerified: firebaseUser.emailVerified,
                       displayName: firebaseUser.displayName,
-                      photoURL: firebaseUser.photoURL,
+                      photoURL: firebaseUser.photoURL,${withGuests ? `
+                      isAnonymous: firebaseUser.isAnonymous,` : ''}
                       metadata: {
                         creationTime: firebaseUser.metadata.creationTime,
                         lastSignInTime: firebaseUser.metadata.lastSignInTime
                       },
-                      ...userProfile // Merge Firestore data
+                      ...userProfile${withRoles ? `, // Merge Firestore data
+                      roles: await readRoles(firebaseUser)` : ' // Merge Firestore data'}
                     };
-                  } catch (profileError) {
+                  } catch (profileError${t('any')}) {
                     console.error('Error fetching user profile from Firestore:', profileError);
                     // Fallback to basic auth info if profile fetch fails
                     state.currentUser.value = {
@@ -459,7 +971,8 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
                       email: firebaseUser.email,
                       emailVerified: firebaseUser.emailVerified,
                       displayName: firebaseUser.displayName,
-                      photoURL: firebaseUser.photoURL,
+                      photoURL: firebaseUser.photoURL,${withGuests ? `
+                      isAnonymous: firebaseUser.isAnonymous,` : ''}
                       metadata: {
                         creationTime: firebaseUser.metadata.creationTime,
                         lastSignInTime: firebaseUser.metadata.lastSignInTime
@@ -467,9 +980,10 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
                     };
                   }
               } else {
+                unsubscribeAll(); // Signed out, possibly in another tab
                 state.currentUser.value = null; // No user logged in
               }
-            } catch (error) {
+            } catch (error${t('any')}) {
               console.error('Error processing auth state change:', error);
               state.currentUser.value = null;
               state.error.value = error.message;
@@ -478,7 +992,16 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
               state.authInitialized.value = true;
               resolve(state.currentUser.value);
             }
-          });
+          });${withRoles ? `
+          // ID tokens are refreshed every hour, and by refreshRoles: roles an admin changed arrive with them
+          onIdTokenChanged(auth, async (firebaseUser) => {
+            if (!firebaseUser || state.currentUser.value?.uid !== firebaseUser.uid) return;
+            try {
+              state.currentUser.value = { ...state.currentUser.value, roles: await readRoles(firebaseUser) };
+            } catch (error${t('any')}) {
+              console.warn('Reading the roles of the refreshed token failed:', error.message);
+            }
+          });` : ''}
         } else {
           // If listener already exists, just resolve with current user state
           resolve(state.currentUser.value);
@@ -486,13 +1009,38 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
       });
     },
 
+    ${withRoles ? `/**
+     * Fetches a new ID token so role changes apply right away, instead of at the next hourly token
+     * refresh. assignRoles and revokeRoles already do it when they change the current user's roles.
+     * @async
+     * @returns {Promise<string[]>} The current user's roles.
+     */
+    async refreshRoles()${t('Promise<string[]>')} {
+      if (!auth.currentUser) return [];
+      const roles = await readRoles(auth.currentUser, true);
+      if (state.currentUser.value) {
+        state.currentUser.value = { ...state.currentUser.value, roles };
+      }
+      return roles;
+    },
+
     /**
+     * Whether the signed-in user has a role, according to the custom claims of their ID token
+     * (the claims the router guard and the security rules check).
+     * @param {string} role - Role name.
+     * @returns {boolean}
+     */
+    hasRole(role${t('string')})${t('boolean')} {
+      return state.currentUser.value?.roles?.includes(role) ?? false;
+    },
+
+    ` : ''}/**
      * Resends email verification to the current user.
      * @async
      * @returns {Promise<{success: boolean}>} Verification email status.
      * @throws {Error} If no user is authenticated or sending fails.
      */
-    async resendVerificationEmail() {
+    async resendVerificationEmail()${t('Promise<AuthResponse>')} {
       state.loading.value = true;
       state.error.value = null;
       try {
@@ -503,7 +1051,7 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
         state.emailVerificationSent.value = true;
         
         return { success: true };
-      } catch (error) {
+      } catch (error${t('any')}) {
         let errorMessage = 'Failed to send verification email.';
         switch (error.code) {
           case 'auth/too-many-requests':
@@ -523,9 +1071,8 @@ import { auth } from '@/firebase'; // Assumed to be your initialized Firebase Au
     }
 
     writeFile(
-      path.join(baseDir, 'index.js'),
+      path.join(baseDir, `index.${sourceExtension(typescript)}`),
       `import { defineStore } from 'pinia';
-import { ref } from 'vue'; // New: Import ref for internal state management
 import use${pascalStoreName}State from './state.js'; // Assuming this defines initial reactive state
 ${authImports}
 import { useFirestoreCollectionActions } from './useFirestoreCollectionActions'; // Import the main Firestore utility
@@ -549,13 +1096,23 @@ export const use${pascalStoreName} = defineStore('${storeName}', () => {
   // Use the state defined in a separate file (e.g., src/stores/state.js)
   const state = use${pascalStoreName}State();
 
-  // Internal state for managing auth listener unsubscribe
-  const _authListenerUnsubscribe = ref(null);
-  state._authListenerUnsubscribe = _authListenerUnsubscribe; // Expose to state for fetchUser to manage
-
   // Initialize all collection-specific actions
   ${actionInits}
 
+  /**
+   * Stops the real-time listeners of the realtime collections (see subscribe).
+   * Called on logout, and with routeScoped by the router when the route changes.
+   * @param {Object} [options]
+   * @param {boolean} [options.routeScoped=false] - Keep the listeners started with keepAlive
+   */
+  const unsubscribeAll = ({ routeScoped = false }${t('{ routeScoped?: boolean }')} = {}) => {
+    for (const [name, listener] of Object.entries(state.listeners.value)) {
+      if (routeScoped && listener.keepAlive) continue;
+      listener.unsubscribe();
+      delete state.listeners.value[name];
+    }
+  };${rolesSetup}${signInSetup}${socialSetup}${emailLinkSetup}
+
   return {
     showLoading() {
       state.isLoading.value = true;
@@ -563,6 +1120,7 @@ export const use${pascalStoreName} = defineStore('${storeName}', () => {
     hideLoading() {
       state.isLoading.value = false;
     },
+    unsubscribeAll,
     ...state, // Spread all reactive state properties from use${pascalStoreName}State()
     ${authActions} // Conditional Firebase Auth actions
     ${actionSpreads} // Spread all collection-specific actions
@@ -573,3 +1131,53 @@ export const use${pascalStoreName} = defineStore('${storeName}', () => {
     throw new Error(`Error generating index file: ${error.message}`);
   }
 };
+
+/**
+ * Registers a new collection in an existing store index.js (or index.ts) file:
+ * imports its action module, initializes it and spreads its actions into the store.
+ * @param {string} baseDir - Base directory path of the store (e.g., 'src/stores/appStore').
+ * @param {string} collection - Name of the collection to register.
+ * @returns {boolean} False if the collection was already registered.
+ * @throws {Error} If the index file cannot be updated automatically.
+ */
+export const registerCollectionInIndexFile = (baseDir, collection) => {
+  const indexPath = findSourceFile(path.join(baseDir, 'index'));
+  if (!fs.existsSync(indexPath)) {
+    throw new Error(`Store index file not found: ${indexPath}`);
+  }
+
+  const factoryName = `use${capitalize(collection)}Actions`;
+  let content = fs.readFileSync(indexPath, 'utf8');
+  if (content.includes(`import { ${factoryName} }`)) {
+    return false;
+  }
+
+  const importLine = `import { ${factoryName} } from './actions/${collection}.js';`;
+  const initLine = `const ${collection}Actions = ${factoryName}(state);`;
+  const spreadMarker = ' // Spread all collection-specific actions';
+
+  // Imports go after the last collection action import (or the Firestore utility import)
+  const importAnchors = [...content.matchAll(/^import \{ use\w+Actions \} from '\.\/actions\/[^']+';$/gm)];
+  const importAnchor = importAnchors.length > 0
+    ? importAnchors[importAnchors.length - 1]
+    : content.match(/^import \{ useFirestoreCollectionActions \} from .*$/m);
+
+  // Initializations go after the last collection action initialization
+  const initAnchors = [...content.matchAll(/^(\s*)const \w+Actions = use\w+Actions\(state\);$/gm)];
+
+  if (!importAnchor || initAnchors.length === 0 || !content.includes(spreadMarker)) {
+    throw new Error(`Could not find the collection registration points in ${indexPath}`);
+  }
+
+  const lastInit = initAnchors[initAnchors.length - 1];
+  const initEnd = lastInit.index + lastInit[0].length;
+  content = content.slice(0, initEnd) + `\n${lastInit[1].replace(/^\n+/, '')}${initLine}` + content.slice(initEnd);
+
+  const importEnd = importAnchor.index + importAnchor[0].length;
+  content = content.slice(0, importEnd) + `\n${importLine}` + content.slice(importEnd);
+
+  content = content.replace(spreadMarker, `,\n    ...${collection}Actions${spreadMarker}`);
+
+  writeFile(indexPath, content);
+  return true;
+};
@@ -0,0 +1,130 @@
+// generatePermissionsModule.js
+import path from 'path';
+import { writeFile } from './helperF.js';
+import { resolvePermissions, protectedResources } from './permissions.js';
+
+/**
+ * Generates permissions.js, the permissions matrix of the store: the permissions of each role
+ * (inherited ones resolved), and the checks the collection actions, usePermissions, v-can and the
+ * permission guard share.
+ * @param {string} baseDir - Base directory path
+ * @param {Object.<string, import('./permissions.js').RolePermissions>} permissions - Normalized matrix of the project schema
+ * @param {string[]} roles - Roles of the project
+ */
+export const generatePermissionsModule = (baseDir, permissions, roles) => {
+  try {
+    const resolved = resolvePermissions(permissions, roles);
+    writeFile(
+      path.join(baseDir, 'permissions.js'),
+      `/**
+ * Permissions of the roles.
+ * @module permissions
+ * @description Generated from \`permissions\` in totistack.config.json, inheritance resolved. A
+ * permission is \`<resource>.<action>\`: collections use the read, create, update and delete actions,
+ * and any other name works for your own checks. \`*\` stands for any resource or action. Roles are
+ * the \`roles\` custom claim of the user (\`currentUser.roles\`); the admin role has every permission.
+ * Only the resources the matrix names are checked; the others are left to the security rules.
+ * Firestore rules do not read this matrix: mirror the permissions that matter there with hasRole().
+ */
+
+/** Permissions of every signed-in user, whatever their roles */
+export const SIGNED_IN_PERMISSIONS = ${JSON.stringify(resolved.signedIn)};
+
+/** Permissions of each role, inherited ones included */
+export const ROLE_PERMISSIONS = {
+${Object.entries(resolved.roles).map(([role, granted]) => `  ${JSON.stringify(role)}: ${JSON.stringify(granted)}`).join(',\n')}
+};
+
+/** Resources the matrix names, whose actions are checked */
+export const PROTECTED_RESOURCES = ${JSON.stringify(protectedResources(permissions))};
+
+/**
+ * Rejection of an action the current user's roles do not allow.
+ */
+export class PermissionError extends Error {
+  /**
+   * @param {string} action - Denied action
+   * @param {string} resource - Resource it was denied on
+   */
+  constructor(action, resource) {
+    super(\`Permission denied: \${resource}.\${action}\`);
+    this.name = 'PermissionError';
+    this.code = 'permission-denied';
+    this.action = action;
+    this.resource = resource;
+  }
+}
+
+/**
+ * Splits a permission into its resource and action ('products.create' -> { resource: 'products', action: 'create' }).
+ * @param {string} permission - \`<resource>.<action>\`
+ * @returns {{resource: string, action: string}}
+ */
+export const parsePermission = (permission) => {
+  const dot = permission.lastIndexOf('.');
+  return dot === -1
+    ? { resource: permission, action: '*' }
+    : { resource: permission.slice(0, dot), action: permission.slice(dot + 1) };
+};
+
+/**
+ * Whether a granted permission covers an action on a resource, wildcards included.
+ * @param {string} granted - A permission of the matrix
+ * @param {string} action - Action
+ * @param {string} resource - Resource
+ * @returns {boolean}
+ */
+const covers = (granted, action, resource) => {
+  if (granted === '*') return true;
+  const permission = parsePermission(granted);
+  return (permission.resource === '*' || permission.resource === resource)
+    && (permission.action === '*' || permission.action === action);
+};
+
+/**
+ * Permissions of a user: those of every signed-in user and those of their roles.
+ * @param {{roles?: string[]}|null} user - The current user, null when signed out
+ * @returns {string[]}
+ */
+export const permissionsOf = (user) => (user
+  ? [...new Set([...SIGNED_IN_PERMISSIONS, ...(user.roles || []).flatMap(role => ROLE_PERMISSIONS[role] || [])])]
+  : []);
+
+/**
+ * Whether a user may perform an action on a resource.
+ * @param {{roles?: string[]}|null} user - The current user, null when signed out
+ * @param {string} action - Action, e.g. 'create'
+ * @param {string} resource - Resource, e.g. 'products'
+ * @returns {boolean}
+ * @example
+ * can(store.currentUser, 'update', 'products');
+ */
+export const can = (user, action, resource) => !PROTECTED_RESOURCES.includes(resource)
+  || permissionsOf(user).some(granted => covers(granted, action, resource));
+
+/**
+ * Whether a user has a permission.
+ * @param {{roles?: string[]}|null} user - The current user, null when signed out
+ * @param {string} permission - \`<resource>.<action>\`, e.g. 'products.update'
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  const { action, resource } = parsePermission(permission);
+  return can(user, action, resource);
+};
+
+/**
+ * Throws unless a user may perform an action on a resource.
+ * @param {{roles?: string[]}|null} user - The current user, null when signed out
+ * @param {string} action - Action
+ * @param {string} resource - Resource
+ * @throws {PermissionError}
+ */
+export const assertCan = (user, action, resource) => {
+  if (!can(user, action, resource)) throw new PermissionError(action, resource);
+};`
+    );
+  } catch (error) {
+    throw new Error(`[Permissions] Generation failed: ${error.message}`);
+  }
+};
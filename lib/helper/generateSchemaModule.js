@@ -0,0 +1,314 @@
+// helper/generateSchemaModule.js
+import path from 'path';
+import { writeGeneratedFile } from '../manifest.js';
+import { updatePackageJson } from './utils.js';
+import { capitalize } from './helperF.js';
+import { normalizeFields, isTextField, isFileField } from './fields.js';
+
+/** Validation libraries the schema modules can be generated for. */
+export const VALIDATORS = ['builtin', 'zod', 'yup'];
+
+/** npm packages (with version ranges) each validator needs at runtime. */
+export const VALIDATOR_DEPENDENCIES = {
+  builtin: {},
+  zod: { zod: '^4.1.0' },
+  yup: { yup: '^1.7.0' }
+};
+
+/** Email format, shared by every validator (and the Create/Edit inputs). */
+const EMAIL_PATTERN = '/^\\S+@\\S+\\.\\S+$/';
+
+/**
+ * Names exported by the schema module of a collection (e.g. products -> productsSchema, checkProducts).
+ * @param {string} collectionName - Collection name (camelCase).
+ * @returns {{schema: string, check: string}} The export names.
+ */
+export const schemaExportNames = (collectionName) => ({
+  schema: `${collectionName}Schema`,
+  check: `check${capitalize(collectionName)}`
+});
+
+/**
+ * Quotes a value as a single-quoted JavaScript string.
+ * @param {string} value - The text.
+ * @returns {string} The string literal.
+ */
+const quote = (value) => `'${String(value).replace(/['\\]/g, '\\$&')}'`;
+
+/**
+ * Error messages of a field, the same for every validator.
+ * @param {ReturnType<typeof import('./fields.js').normalizeField>} field - The normalized field.
+ * @returns {Object.<string, string>} Messages keyed by rule.
+ */
+function getMessages(field) {
+  const { label, type } = field;
+  const unit = type === 'number' ? '' : isTextField(field) ? ' characters' : ' items';
+  return {
+    required: `${label} is required.`,
+    type: {
+      string: `${label} must be a string.`,
+      tel: `${label} must be a string.`,
+      email: `${label} must be a valid email format.`,
+      number: `${label} must be a number.`,
+      boolean: `${label} must be a boolean.`,
+      array: `${label} must be an array.`,
+      object: `${label} must be an object.`,
+      timestamp: `${label} must be a valid date or timestamp string.`,
+      reference: `${label} must be a document ID.`,
+      references: `${label} must be a list of document IDs.`,
+      file: `${label} must be an uploaded file.`,
+      image: `${label} must be an uploaded image.`,
+      files: `${label} must be a list of uploaded files.`
+    }[type] || `${label} is invalid.`,
+    enum: `${label} must be one of: ${(field.enum || []).join(', ')}.`,
+    min: `${label} must be at least ${field.min}${unit}.`,
+    max: `${label} must be at most ${field.max}${unit}.`,
+    pattern: `${label} has an invalid format.`
+  };
+}
+
+/**
+ * Whether min/max apply to the field (value, text length or item count).
+ * @param {Object} field - The normalized field.
+ * @returns {boolean} True for number, text, array, references and files fields.
+ */
+const isMeasured = (field) => field.type === 'number' || isTextField(field) || ['array', 'references', 'files'].includes(field.type);
+
+/**
+ * Builds the Zod schema expression of a field.
+ * @param {Object} field - The normalized field.
+ * @returns {string} Source of the field schema.
+ */
+function buildZodField(field) {
+  const messages = getMessages(field);
+  const typeError = `typeError(${quote(field.label)}, ${quote(messages.type.slice(field.label.length + 1))})`;
+  let expression = {
+    string: `z.string(${typeError})`,
+    tel: `z.string(${typeError})`,
+    email: `z.string(${typeError}).regex(EMAIL_PATTERN, { error: ${quote(messages.type)} })`,
+    number: `z.number(${typeError})`,
+    boolean: `z.boolean(${typeError})`,
+    array: `z.array(z.unknown(), ${typeError})`,
+    object: `z.record(z.string(), z.unknown(), ${typeError})`,
+    timestamp: `z.custom(isDateLike, ${typeError})`,
+    reference: `z.string(${typeError})`,
+    references: `z.array(z.string({ error: ${quote(messages.type)} }), ${typeError})`,
+    file: `z.custom(isStoredFile, ${typeError})`,
+    image: `z.custom(isStoredFile, ${typeError})`,
+    files: `z.array(z.custom(isStoredFile, { error: ${quote(messages.type)} }), ${typeError})`
+  }[field.type] || `z.unknown()`;
+
+  if (field.enum) expression += `.refine(value => ${JSON.stringify(field.enum)}.includes(value), { error: ${quote(messages.enum)} })`;
+  if (isMeasured(field) && field.min !== undefined) expression += `.min(${field.min}, { error: ${quote(messages.min)} })`;
+  if (isMeasured(field) && field.max !== undefined) expression += `.max(${field.max}, { error: ${quote(messages.max)} })`;
+  if (field.pattern && isTextField(field)) expression += `.regex(new RegExp(${quote(field.pattern)}), { error: ${quote(messages.pattern)} })`;
+  return field.required ? expression : `${expression}.optional()`;
+}
+
+/**
+ * Builds the Yup schema expression of a field.
+ * @param {Object} field - The normalized field.
+ * @returns {string} Source of the field schema.
+ */
+function buildYupField(field) {
+  const messages = getMessages(field);
+  const typeError = `.typeError(${quote(messages.type)})`;
+  let expression = {
+    string: `yup.string()${typeError}`,
+    tel: `yup.string()${typeError}`,
+    email: `yup.string()${typeError}.matches(EMAIL_PATTERN, ${quote(messages.type)})`,
+    number: `yup.number()${typeError}`,
+    boolean: `yup.boolean()${typeError}`,
+    array: `yup.array()${typeError}`,
+    object: `yup.object()${typeError}`,
+    timestamp: `yup.mixed().test('timestamp', ${quote(messages.type)}, value => value === undefined || isDateLike(value))`,
+    reference: `yup.string()${typeError}`,
+    references: `yup.array().of(yup.string()${typeError})${typeError}`,
+    file: `yup.mixed().test('file', ${quote(messages.type)}, value => value === undefined || isStoredFile(value))`,
+    image: `yup.mixed().test('file', ${quote(messages.type)}, value => value === undefined || isStoredFile(value))`,
+    files: `yup.array().of(yup.mixed().test('file', ${quote(messages.type)}, isStoredFile))${typeError}`
+  }[field.type] || `yup.mixed()`;
+
+  if (field.enum) expression += `.oneOf(${JSON.stringify(field.enum)}, ${quote(messages.enum)})`;
+  if (isMeasured(field) && field.min !== undefined) expression += `.min(${field.min}, ${quote(messages.min)})`;
+  if (isMeasured(field) && field.max !== undefined) expression += `.max(${field.max}, ${quote(messages.max)})`;
+  if (field.pattern && isTextField(field)) expression += `.matches(new RegExp(${quote(field.pattern)}), ${quote(messages.pattern)})`;
+  return field.required ? `${expression}.required(${quote(messages.required)})` : expression;
+}
+
+/**
+ * Builds the checks of a field for the built-in validator: an if/else-if chain that
+ * records the first failing rule.
+ * @param {Object} field - The normalized field.
+ * @returns {string} Source of the checks.
+ */
+function buildBuiltinChecks(field) {
+  const messages = getMessages(field);
+  const value = `data.${field.name}`;
+  const length = isTextField(field) ? `String(${value}).length` : `${value}.length`;
+  const measured = field.type === 'number' ? value : length;
+
+  const rules = [[{
+    string: `typeof ${value} !== 'string'`,
+    tel: `typeof ${value} !== 'string'`,
+    email: `typeof ${value} !== 'string' || !EMAIL_PATTERN.test(${value})`,
+    number: `typeof ${value} !== 'number' || isNaN(${value})`,
+    boolean: `typeof ${value} !== 'boolean'`,
+    array: `!Array.isArray(${value})`,
+    object: `typeof ${value} !== 'object' || Array.isArray(${value})`,
+    timestamp: `!isDateLike(${value})`,
+    reference: `typeof ${value} !== 'string'`,
+    references: `!Array.isArray(${value}) || ${value}.some(id => typeof id !== 'string')`,
+    file: `!isStoredFile(${value})`,
+    image: `!isStoredFile(${value})`,
+    files: `!Array.isArray(${value}) || !${value}.every(isStoredFile)`
+  }[field.type], messages.type]];
+  if (field.enum) rules.push([`!${JSON.stringify(field.enum)}.includes(${value})`, messages.enum]);
+  if (isMeasured(field) && field.min !== undefined) rules.push([`${measured} < ${field.min}`, messages.min]);
+  if (isMeasured(field) && field.max !== undefined) rules.push([`${measured} > ${field.max}`, messages.max]);
+  if (field.pattern && isTextField(field)) rules.push([`!new RegExp(${quote(field.pattern)}).test(${value})`, messages.pattern]);
+
+  const chain = rules
+    .filter(([condition]) => condition)
+    .map(([condition, message]) => ` else if (${condition}) {
+    errors.${field.name} = ${quote(message)};
+  }`)
+    .join('');
+
+  return field.required
+    ? `  if (isBlank(${value})) {
+    if (!partial || '${field.name}' in data) errors.${field.name} = ${quote(messages.required)};
+  }${chain}`
+    : `  if (isBlank(${value})) {
+    // Optional
+  }${chain}`;
+}
+
+/**
+ * Builds the source of a collection's schema module. Every validator exports the same
+ * `check<Name>(data, { partial })` function returning field-keyed error messages; zod and yup
+ * modules also export the schema itself.
+ * @param {{name: string, fields: Object}} collectionConfig - Collection configuration (camelCase name).
+ * @param {Object} [options]
+ * @param {'builtin'|'zod'|'yup'} [options.validator='builtin'] - Validation library.
+ * @param {'esm'|'cjs'} [options.format='esm'] - Module format; Cloud Functions use CommonJS.
+ * @returns {string} The module source.
+ */
+export function buildSchemaModule(collectionConfig, { validator = 'builtin', format = 'esm' } = {}) {
+  const fields = Object.values(normalizeFields(collectionConfig.fields));
+  const { schema, check } = schemaExportNames(collectionConfig.name);
+  const exportKeyword = format === 'esm' ? 'export ' : '';
+  const usesDates = fields.some(field => field.type === 'timestamp');
+  const usesFiles = fields.some(isFileField);
+
+  const imports = {
+    builtin: '',
+    zod: format === 'esm' ? `import { z } from 'zod';\n\n` : `const { z } = require('zod');\n\n`,
+    yup: format === 'esm' ? `import * as yup from 'yup';\n\n` : `const yup = require('yup');\n\n`
+  }[validator];
+
+  const helpers = `${imports}const EMAIL_PATTERN = ${EMAIL_PATTERN};
+
+/** Empty form values ('', whitespace, null) count as missing. */
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+${usesDates ? `
+/** Dates, date strings and Firestore Timestamps are accepted for timestamp fields. */
+const isDateLike = (value) => typeof value?.toDate === 'function' ||
+  ((typeof value === 'string' || value instanceof Date) && !isNaN(new Date(value).getTime()));
+` : ''}${usesFiles ? `
+/** Files are stored as { url, path, name, size, contentType } once uploaded to Cloud Storage. */
+const isStoredFile = (value) => typeof value === 'object' && value !== null &&
+  typeof value.url === 'string' && typeof value.path === 'string';
+` : ''}`;
+
+  const checkDoc = `/**
+ * Checks data against the ${collectionConfig.name} schema.
+ * @param {Object} data - Document data
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check the fields present in data (updates)
+ * @returns {Object.<string, string>} Field names mapped to their first error message; empty when valid
+ */`;
+
+  let body;
+  if (validator === 'zod') {
+    body = `/** Type error of a field: "is required" when the value is missing. */
+const typeError = (label, message) => ({
+  error: (issue) => (issue.input === undefined ? \`\${label} is required.\` : \`\${label} \${message}\`)
+});
+
+/** Zod schema of a ${collectionConfig.name} document. */
+${exportKeyword}const ${schema} = z.object({
+${fields.map(field => `  ${field.name}: ${buildZodField(field)}`).join(',\n')}
+});
+
+${checkDoc}
+${exportKeyword}function ${check}(data, { partial = false } = {}) {
+  const values = Object.fromEntries(Object.entries(data || {}).map(([field, value]) => [field, isBlank(value) ? undefined : value]));
+  const fields = partial ? Object.keys(values).filter(field => field in ${schema}.shape) : null;
+  const result = (fields ? ${schema}.pick(Object.fromEntries(fields.map(field => [field, true]))) : ${schema}).safeParse(values);
+  const errors = {};
+  if (!result.success) {
+    for (const issue of result.error.issues) {
+      const field = String(issue.path[0] ?? '_form');
+      if (!(field in errors)) errors[field] = issue.message;
+    }
+  }
+  return errors;
+}`;
+  } else if (validator === 'yup') {
+    body = `/** Yup schema of a ${collectionConfig.name} document. */
+${exportKeyword}const ${schema} = yup.object({
+${fields.map(field => `  ${field.name}: ${buildYupField(field)}`).join(',\n')}
+});
+
+${checkDoc}
+${exportKeyword}function ${check}(data, { partial = false } = {}) {
+  const values = Object.fromEntries(Object.entries(data || {}).map(([field, value]) => [field, isBlank(value) ? undefined : value]));
+  const fields = partial ? Object.keys(values).filter(field => field in ${schema}.fields) : null;
+  const errors = {};
+  try {
+    (fields ? ${schema}.pick(fields) : ${schema}).validateSync(values, { abortEarly: false, strict: true });
+  } catch (error) {
+    if (!(error instanceof yup.ValidationError)) throw error;
+    for (const issue of error.inner.length > 0 ? error.inner : [error]) {
+      const field = (issue.path || '_form').split(/[.[]/)[0];
+      if (!(field in errors)) errors[field] = issue.message;
+    }
+  }
+  return errors;
+}`;
+  } else {
+    body = `${checkDoc}
+${exportKeyword}function ${check}(data, { partial = false } = {}) {
+  const errors = {};
+  data = data || {};
+
+${fields.map(buildBuiltinChecks).join('\n\n')}
+
+  return errors;
+}`;
+  }
+
+  const exported = validator === 'builtin' ? [check] : [schema, check];
+  return `/**
+ * @file Validation schema of the ${collectionConfig.name} collection (${validator === 'builtin' ? 'built-in validator' : validator}), generated from totistack.config.json.
+ * Shared by the Create/Edit forms, the store's add/update and Cloud Functions.
+ */
+${helpers}
+${body}
+${format === 'cjs' ? `\nmodule.exports = { ${exported.join(', ')} };\n` : ''}`;
+}
+
+/**
+ * Writes the schema module of a collection to src/validators/schemas/<name>.js and records
+ * the validator's package in package.json.
+ * @param {{name: string, fields: Object}} collectionConfig - Collection configuration (camelCase name).
+ * @param {'builtin'|'zod'|'yup'} [validator='builtin'] - Validation library.
+ * @returns {string} The written path.
+ */
+export function generateSchemaModule(collectionConfig, validator = 'builtin') {
+  const targetPath = path.join('src', 'validators', 'schemas', `${collectionConfig.name}.js`);
+  writeGeneratedFile(targetPath, buildSchemaModule(collectionConfig, { validator }));
+  updatePackageJson({ dependencies: VALIDATOR_DEPENDENCIES[validator] });
+  return targetPath;
+}
@@ -0,0 +1,270 @@
+// generateSearchModule.js
+import path from 'path';
+import { writeFile } from './helperF.js';
+
+/**
+ * Generates search.js, the pluggable search layer of the store: keyword extraction, a client-side
+ * index and the adapters the collection actions search through.
+ * @param {string} baseDir - Base directory path
+ */
+export const generateSearchModule = (baseDir) => {
+  try {
+    writeFile(
+      path.join(baseDir, 'search.js'),
+      `import { collection, query, where, limit, getDocs } from 'firebase/firestore';
+import { db } from '@/firebase';
+
+/**
+ * Search layer of the store.
+ * @module search
+ * @description \`search<Collection>(term)\` asks the collection's adapter for hits. The default adapter
+ * indexes the items already fetched, in the browser. Documents also carry a \`searchKeywords\` array
+ * (every prefix of every word of their searchable fields), which add and update keep up to date, so
+ * the keywords adapter can search the whole collection in Firestore. Any other engine (Algolia,
+ * Typesense, Meilisearch...) plugs in through setSearchAdapter.
+ */
+
+/**
+ * @typedef {Object} SearchHit
+ * @property {string} id - Document ID
+ * @property {number} score - Relevance; higher is better
+ * @property {Object} [document] - The document, when the adapter has it (otherwise the store loads it)
+ */
+
+/**
+ * @typedef {Object} SearchContext
+ * @property {string[]} fields - Fields to look in
+ * @property {number} limit - Maximum number of hits
+ * @property {Object[]} documents - The collection's fetched items
+ * @property {Array} constraints - Firestore constraints of the current list (trash and active filters)
+ */
+
+/**
+ * An adapter only needs \`search\`. Engines keeping their own index also implement \`index\` and
+ * \`remove\`, which the store calls after its writes succeed.
+ * @typedef {Object} SearchAdapter
+ * @property {function(string, string, SearchContext): Promise<SearchHit[]>} search - Receives the collection name, the term and the context
+ * @property {function(string, Object[]): (Promise<void>|void)} [index] - Receives written documents (only the changed fields for updates), each with its \`id\`
+ * @property {function(string, string[]): (Promise<void>|void)} [remove] - Receives the IDs of deleted or trashed documents
+ */
+
+// Longest prefix kept in searchKeywords; longer words still match through their first characters
+export const MAX_KEYWORD_LENGTH = 20;
+
+// Keeps searchKeywords well below Firestore's 1 MiB document limit
+const MAX_KEYWORDS = 500;
+
+// Candidates the keywords adapter loads before ranking them
+const KEYWORD_CANDIDATES = 100;
+
+/**
+ * Splits a value into lowercase words without accents ("Crème Brûlée" -> ['creme', 'brulee']).
+ * Arrays are split item by item; other objects have no words.
+ * @param {*} value - Field value
+ * @returns {string[]}
+ */
+export const tokenize = (value) => {
+  if (Array.isArray(value)) return value.flatMap(tokenize);
+  if (value === undefined || value === null || typeof value === 'object') return [];
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\\u0300-\\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\\p{L}\\p{N}]+/u)
+    .filter(Boolean);
+};
+
+/**
+ * Builds the \`searchKeywords\` of a document: every prefix of every word of the given fields, so an
+ * \`array-contains\` query matches words as they are typed.
+ * @param {Object} data - Document data
+ * @param {string[]} fields - Searchable fields
+ * @returns {string[]}
+ */
+export const buildSearchKeywords = (data, fields) => {
+  const keywords = new Set();
+  for (const word of fields.flatMap(field => tokenize(data[field]))) {
+    for (let length = 1; length <= Math.min(word.length, MAX_KEYWORD_LENGTH); length++) {
+      keywords.add(word.slice(0, length));
+    }
+    if (keywords.size >= MAX_KEYWORDS) break;
+  }
+  return [...keywords].slice(0, MAX_KEYWORDS);
+};
+
+/**
+ * Position of the first entry of a sorted list that is not less than value.
+ * @param {string[]} sorted - Sorted list
+ * @param {string} value - Searched value
+ * @returns {number}
+ */
+const lowerBound = (sorted, value) => {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < value) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * Builds an inverted index of documents: each word mapped to the documents containing it.
+ * @param {Object[]} documents - Documents with their \`id\`
+ * @param {string[]} fields - Fields to index
+ * @returns {{postings: Map<string, Map<string, number>>, words: string[], documents: Map<string, Object>}}
+ */
+export const buildIndex = (documents, fields) => {
+  const postings = new Map();
+  for (const document of documents) {
+    for (const word of fields.flatMap(field => tokenize(document[field]))) {
+      if (!postings.has(word)) postings.set(word, new Map());
+      const counts = postings.get(word);
+      counts.set(document.id, (counts.get(document.id) || 0) + 1);
+    }
+  }
+  return {
+    postings,
+    words: [...postings.keys()].sort(),
+    documents: new Map(documents.map(document => [document.id, document]))
+  };
+};
+
+/**
+ * Finds the documents of an index containing every word of a term, the last ones possibly
+ * unfinished: "blue sh" matches "Blue Shirt". Whole-word matches score twice as much as prefixes.
+ * @param {ReturnType<typeof buildIndex>} index - Built by buildIndex
+ * @param {string} term - Search term
+ * @param {number} [max=Infinity] - Maximum number of hits
+ * @returns {SearchHit[]} Hits with their document, best first
+ */
+export const searchIndex = (index, term, max = Infinity) => {
+  const terms = [...new Set(tokenize(term))];
+  if (terms.length === 0) return [];
+
+  let scores = null;
+  for (const part of terms) {
+    const partScores = new Map();
+    // Words are sorted, so the ones starting with part follow each other
+    for (let i = lowerBound(index.words, part); i < index.words.length && index.words[i].startsWith(part); i++) {
+      const weight = index.words[i] === part ? 2 : 1;
+      for (const [id, count] of index.postings.get(index.words[i])) {
+        partScores.set(id, (partScores.get(id) || 0) + weight * count);
+      }
+    }
+    // Every part of the term must match
+    scores = scores === null
+      ? partScores
+      : new Map([...scores].filter(([id]) => partScores.has(id)).map(([id, score]) => [id, score + partScores.get(id)]));
+    if (scores.size === 0) return [];
+  }
+
+  return [...scores]
+    .map(([id, score]) => ({ id, score, document: index.documents.get(id) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, max);
+};
+
+/**
+ * The default adapter: searches the items already fetched (fetchInitialPage, fetchNextPage,
+ * subscribe), with an index rebuilt whenever the list or the searched fields change.
+ * @returns {SearchAdapter}
+ */
+export const createLocalSearchAdapter = () => {
+  const indexes = new WeakMap();
+  return {
+    async search(collectionName, term, { fields, limit: max, documents }) {
+      const key = fields.join();
+      let cached = indexes.get(documents);
+      if (!cached || cached.key !== key) {
+        cached = { key, index: buildIndex(documents, fields) };
+        indexes.set(documents, cached);
+      }
+      return searchIndex(cached.index, term, max);
+    }
+  };
+};
+
+/**
+ * Searches the whole collection in Firestore through \`searchKeywords\`: documents containing the
+ * longest word of the term are loaded (together with the list's constraints), then ranked like the
+ * local index does. Firestore merges the single-field indexes for these queries, so no composite
+ * index is needed.
+ * @param {Object} [adapterOptions]
+ * @param {number} [adapterOptions.candidates=100] - Documents loaded before ranking
+ * @returns {SearchAdapter}
+ */
+export const createKeywordsSearchAdapter = ({ candidates = KEYWORD_CANDIDATES } = {}) => ({
+  async search(collectionName, term, { fields, limit: max, constraints = [] }) {
+    const words = tokenize(term).map(word => word.slice(0, MAX_KEYWORD_LENGTH));
+    if (words.length === 0) return [];
+    // Firestore allows one array-contains per query; the longest word narrows the most
+    const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+    const snapshot = await getDocs(query(
+      collection(db, collectionName),
+      ...constraints,
+      where('searchKeywords', 'array-contains', longest),
+      limit(candidates)
+    ));
+    const documents = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    return searchIndex(buildIndex(documents, fields), term, max);
+  }
+});
+
+/**
+ * An in-memory stand-in for an external engine, for tests and offline development: it only
+ * knows the documents the store wrote through it (index/remove), like a hosted index would.
+ * @returns {SearchAdapter & {documents: Map<string, Map<string, Object>>}}
+ */
+export const createMemorySearchAdapter = () => {
+  const documents = new Map();
+  const collectionDocuments = (collectionName) => {
+    if (!documents.has(collectionName)) documents.set(collectionName, new Map());
+    return documents.get(collectionName);
+  };
+  return {
+    documents,
+    index(collectionName, written) {
+      const stored = collectionDocuments(collectionName);
+      written.forEach(document => stored.set(document.id, { ...stored.get(document.id), ...document }));
+    },
+    remove(collectionName, ids) {
+      const stored = collectionDocuments(collectionName);
+      ids.forEach(id => stored.delete(id));
+    },
+    async search(collectionName, term, { fields, limit: max }) {
+      return searchIndex(buildIndex([...collectionDocuments(collectionName).values()], fields), term, max);
+    }
+  };
+};
+
+let defaultAdapter = createLocalSearchAdapter();
+const collectionAdapters = new Map();
+
+/**
+ * Replaces the search adapter of every collection, or of one collection.
+ * @param {SearchAdapter} adapter - The adapter
+ * @param {string} [collectionName] - Only for this collection
+ * @example
+ * setSearchAdapter(createKeywordsSearchAdapter(), 'products');
+ */
+export const setSearchAdapter = (adapter, collectionName) => {
+  if (!adapter || typeof adapter.search !== 'function') {
+    throw new TypeError('A search adapter needs a search(collectionName, term, context) function');
+  }
+  if (collectionName) collectionAdapters.set(collectionName, adapter);
+  else defaultAdapter = adapter;
+};
+
+/**
+ * The search adapter a collection uses.
+ * @param {string} collectionName - Collection name
+ * @returns {SearchAdapter}
+ */
+export const getSearchAdapter = (collectionName) => collectionAdapters.get(collectionName) || defaultAdapter;`
+    );
+  } catch (error) {
+    throw new Error(`[Search] Generation failed: ${error.message}`);
+  }
+};
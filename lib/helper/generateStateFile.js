@@ -1,54 +1,80 @@
+import fs from 'fs';
 import path from 'path';
-import { writeFile, capitalize } from './helperF.js';
+import { writeFile, capitalize, sourceExtension, findSourceFile } from './helperF.js';
+import { getSearchableFields } from './fields.js';
 
 /**
- * Generates the state.js file
- * @param {string} baseDir - Base directory path
- * @param {string[]} collections - Array of collection names
- * @param {string[]} authCollections - Authentication collections
- * @param {boolean} addActivityLogging - Whether to add activity logging
+ * The initial sort field of a collection: `createdAt`, unless the collection restricts its
+ * queries, in which case lists start sorted by the first `sortable` field (or unsorted).
+ * @param {{filterable?: string[], sortable?: string[]}} col - Collection configuration
+ * @returns {string|null}
  */
-export const generateStateFile = (baseDir, collections, authCollections, addActivityLogging) => {
-  try {
-    // Generate collection state definitions
-    const collectionStates = collections.map(col => {
-      return `
+const defaultSortField = (col) =>
+  col.filterable || col.sortable ? (col.sortable || [])[0] || null : 'createdAt';
+
+/**
+ * Builds the state entry for a single collection.
+ * @param {{name: string, fields: Object, filterable?: string[], sortable?: string[]}} col - Collection configuration
+ * @param {boolean} [typescript=false] - Type the ref with the collection's document interface instead of JSDoc
+ * @returns {string} The state property source, including its JSDoc
+ */
+export const buildCollectionState = (col, typescript = false) => `
   /** 
-   * ${capitalize(col.name)} collection state
+   * ${capitalize(col.name)} collection state${typescript ? `
+   */
+  ${col.name}: ref<CollectionState<CollectionDocuments['${col.name}']>>({` : `
    * @type {import('vue').Ref<{
    *   items: Array<Object>,
    *   lastVisible: import('firebase/firestore').DocumentSnapshot|null,
    *   hasMore: boolean,
    *   filters: Object,
-   *   orderBy: {field: string, direction: 'asc'|'desc'},
+   *   orderBy: {field: string|null, direction: 'asc'|'desc'},
    *   pageSize: number,
    *   total: number,
    *   specificItems: Array<Object>,
    *   search: {
    *     term: string,
-   *     field: string,
+   *     fields: string[],
    *     results: Array<Object>,
    *     isActive: boolean
-   *   }
+   *   },
+   *   validationErrors: Object.<string, string>,
+   *   sync: Object.<string, {hasPendingWrites: boolean, fromCache: boolean}>${col.softDelete ? `,
+   *   trash: Array<Object>` : ''}
    * }>}
    */
-  ${col.name}: ref({
+  ${col.name}: ref({`}
     items: [],
     specificItems: [],
     lastVisible: null,
     hasMore: true,
     filters: {},
-    orderBy: { field: 'createdAt', direction: 'desc' },
+    orderBy: { field: ${defaultSortField(col) ? `'${defaultSortField(col)}'` : 'null'}, direction: 'desc' },
     pageSize: 15,
     total: 0,
     search: {
       term: '',
-      field: 'name',
+      fields: [${getSearchableFields(col).map(field => `'${field}'`).join(', ')}],
       results: [],
       isActive: false
-    }
+    },
+    validationErrors: {}, // Field name -> message, from the last add/update
+    sync: {}${col.softDelete ? `, // Document ID -> { hasPendingWrites, fromCache }, for sync status in the UI
+    trash: [] // Trashed documents, loaded by fetchTrash` : ' // Document ID -> { hasPendingWrites, fromCache }, for sync status in the UI'}
   }),`;
-    }).join('\n');
+
+/**
+ * Generates the state.js (or state.ts) file
+ * @param {string} baseDir - Base directory path
+ * @param {string[]} collections - Array of collection names
+ * @param {string[]} authCollections - Authentication collections
+ * @param {boolean} addActivityLogging - Whether to add activity logging
+ * @param {boolean} [typescript=false] - Whether to generate typed state.ts
+ */
+export const generateStateFile = (baseDir, collections, authCollections, addActivityLogging, typescript = false) => {
+  try {
+    // Generate collection state definitions
+    const collectionStates = collections.map(col => buildCollectionState(col, typescript)).join('\n');
 
     // Add auth-specific state if needed
     const authState = authCollections.length > 0 ? `
@@ -60,7 +86,10 @@ export const generateStateFile = (baseDir, collections, authCollections, addActi
    *   roles?: string[]
    * }|null>}
    */
-  currentUser: ref(null),` : '';
+  currentUser: ref${typescript ? '<AuthUser | null>' : ''}(null),
+
+  /** Whether a verification email was sent since sign-up or the last sign-out */
+  emailVerificationSent: ref(false),` : '';
 
     // Add activity logging state if needed
     const activityState = addActivityLogging ? `
@@ -72,38 +101,83 @@ export const generateStateFile = (baseDir, collections, authCollections, addActi
    *   timestamp: Date
    * }>>}
    */
-  recentActivity: ref([]),` : '';
+  recentActivity: ref${typescript ? '<ActivityEntry[]>' : ''}([]),` : '';
 
     const storeName = path.basename(baseDir);
-    
+    const typeImports = ['CollectionDocuments', 'CollectionState', 'RealtimeListener',
+      ...(authCollections.length > 0 ? ['AuthUser'] : []),
+      ...(addActivityLogging ? ['ActivityEntry'] : [])];
+
     writeFile(
-      path.join(baseDir, 'state.js'),
-      `import { ref } from 'vue';
+      path.join(baseDir, `state.${sourceExtension(typescript)}`),
+      `import { ref } from 'vue';${typescript ? `\nimport type { ${typeImports.join(', ')} } from './types';` : ''}
 
 /**
  * @file State configuration for ${storeName} store
  * @typedef {Object} StoreState
-${collections.map(col => ` * @property {import('vue').Ref} ${col} - ${capitalize(col.name)} collection state`).join('\n')}
+${collections.map(col => ` * @property {import('vue').Ref} ${col.name} - ${capitalize(col.name)} collection state`).join('\n')}
 ${authCollections.length > 0 ? ` * @property {import('vue').Ref} currentUser - Currently authenticated user` : ''}
 ${addActivityLogging ? ` * @property {import('vue').Ref} recentActivity - Recent user activity logs` : ''}
+ * @property {import('vue').Ref} listeners - Real-time listeners by collection name
  * @property {import('vue').Ref} loading - Global loading state
  * @property {import('vue').Ref} error - Error message
  */
   
 export default function use${capitalize(storeName)}State() {
   return {${collectionStates}${authState}${activityState}
+  /**
+   * Real-time listeners of the realtime collections, by collection name (see subscribe)
+   * @type {import('vue').Ref<Object.<string, {unsubscribe: function(): void, keepAlive: boolean}>>}
+   */
+  listeners: ref${typescript ? '<Record<string, RealtimeListener>>' : ''}({}),
+
   /** Global loading state */
   loading: ref(false),
   
   /** Error message */
-  error: ref(null),
+  error: ref${typescript ? '<string | null>' : ''}(null),
 /** auth initialization*/
   authInitialized: ref(false),
   isLoading: ref(true)
 };
-}`
+}${typescript ? `
+
+/** The store state, as returned by use${capitalize(storeName)}State(). */
+export type StoreState = ReturnType<typeof use${capitalize(storeName)}State>;` : ''}`
     );
   } catch (error) {
     throw new Error(`Error generating state file: ${error.message}`);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Registers a new collection in an existing state.js (or state.ts) file.
+ * @param {string} baseDir - Base directory path of the store
+ * @param {{name: string}} col - Collection configuration
+ * @returns {boolean} False if the collection was already registered
+ * @throws {Error} If the state file cannot be updated automatically
+ */
+export const registerCollectionInStateFile = (baseDir, col) => {
+  const statePath = findSourceFile(path.join(baseDir, 'state'));
+  if (!fs.existsSync(statePath)) {
+    throw new Error(`State file not found: ${statePath}`);
+  }
+
+  let content = fs.readFileSync(statePath, 'utf8');
+  if (new RegExp(`^\\s*${col.name}: ref\\(`, 'm').test(content)) {
+    return false;
+  }
+
+  const returnMarker = /(export default function use\w+State\(\) \{\s*return \{)/;
+  if (!returnMarker.test(content)) {
+    throw new Error(`Could not find the state object in ${statePath}`);
+  }
+
+  content = content.replace(returnMarker, (match) => match + buildCollectionState(col, statePath.endsWith('.ts')));
+  content = content.replace(
+    / \* @property \{import\('vue'\)\.Ref\} loading/,
+    ` * @property {import('vue').Ref} ${col.name} - ${capitalize(col.name)} collection state\n$&`
+  );
+  writeFile(statePath, content);
+  return true;
+};
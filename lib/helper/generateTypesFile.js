@@ -0,0 +1,265 @@
+import path from 'path';
+import { writeFile, capitalize } from './helperF.js';
+import { normalizeFields, isReferenceField, getSearchableFields } from './fields.js';
+
+/** TypeScript types of the field types, for the generated document interfaces. */
+const TS_TYPES = {
+  string: 'string',
+  email: 'string',
+  tel: 'string',
+  number: 'number',
+  boolean: 'boolean',
+  timestamp: 'Timestamp | Date',
+  array: 'unknown[]',
+  object: 'Record<string, unknown>',
+  reference: 'string',
+  references: 'string[]',
+  file: 'StoredFile',
+  image: 'StoredFile',
+  files: 'StoredFile[]'
+};
+
+/** Audit fields the store stamps on every document, with their TypeScript types. */
+const AUDIT_FIELDS = {
+  createdAt: 'Timestamp',
+  createdBy: 'string | null',
+  updatedAt: 'Timestamp',
+  updatedBy: 'string | null'
+};
+
+/**
+ * Names of the types generated for a collection (e.g. products -> ProductsDocument, ProductsInput).
+ * @param {string} collectionName - Collection name (camelCase).
+ * @returns {{document: string, input: string}} The interface and input type names.
+ */
+export const collectionTypeNames = (collectionName) => ({
+  document: `${capitalize(collectionName)}Document`,
+  input: `${capitalize(collectionName)}Input`
+});
+
+/**
+ * Resolves the TypeScript type of a field; enums become a union of their values.
+ * @param {{type: string, enum?: Array<string|number>}} field - A normalized field.
+ * @returns {string} The TypeScript type.
+ */
+export const fieldTsType = (field) => (field.enum
+  ? field.enum.map(value => (typeof value === 'string' ? `'${value.replace(/['\\]/g, '\\$&')}'` : value)).join(' | ')
+  : TS_TYPES[field.type] || 'unknown');
+
+/**
+ * Builds the document interface and input type of a collection.
+ * @param {{name: string, fields: Object, softDelete?: boolean, searchable?: string[]}} col - Collection configuration
+ * @returns {string} The TypeScript source
+ */
+const buildCollectionTypes = (col) => {
+  const { document, input } = collectionTypeNames(col.name);
+  const fields = Object.values(normalizeFields(col.fields));
+  const hasReferences = fields.some(isReferenceField);
+  const searchable = getSearchableFields(col).length > 0;
+  // Audit fields the schema does not declare itself
+  const audit = Object.entries(AUDIT_FIELDS).filter(([name]) => !fields.some(field => field.name === name));
+  // Fields the store manages itself are not part of the input
+  const managed = [
+    'id',
+    ...(hasReferences ? ['populated'] : []),
+    ...audit.map(([name]) => name),
+    ...(searchable ? ['searchKeywords'] : []),
+    ...(col.softDelete ? ['deletedAt', 'deletedBy'] : [])
+  ];
+
+  return `/** A document of the \`${col.name}\` collection. */
+export interface ${document} {
+  id: string;
+${fields.map(field => `  ${field.name}${field.required ? '' : '?'}: ${fieldTsType(field)};`).join('\n')}${audit.length ? `
+  /** Stamped by add and update (missing on documents written before they existed). */
+${audit.map(([name, type]) => `  ${name}?: ${type};`).join('\n')}` : ''}${hasReferences ? `
+  /** Referenced documents, filled in by \`populate\`. */
+  populated?: Record<string, unknown>;` : ''}${searchable ? `
+  /** Prefixes of the words of the searchable fields, kept up to date by add and update. */
+  searchKeywords?: string[];` : ''}${col.softDelete ? `
+  /** Set while the document is in the trash (see remove and restore). */
+  deletedAt?: Timestamp | null;
+  deletedBy?: string | null;` : ''}
+}
+
+/** Data accepted when creating a \`${col.name}\` document. */
+export type ${input} = Omit<${document}, ${managed.map(key => `'${key}'`).join(' | ')}>;`;
+};
+
+/**
+ * Generates the types.ts file of a TypeScript store: one interface per collection derived from
+ * its fields, plus the state, action and auth types shared by the store modules.
+ * @param {string} baseDir - Base directory path
+ * @param {{name: string, fields: Object}[]} collections - Collection configurations
+ */
+export const generateTypesFile = (baseDir, collections) => {
+  try {
+    const collectionTypes = collections.map(buildCollectionTypes).join('\n\n');
+
+    writeFile(
+      path.join(baseDir, 'types.ts'),
+      `import type { DocumentReference, DocumentSnapshot, Timestamp, Transaction, WhereFilterOp } from 'firebase/firestore';
+
+/**
+ * @file Types of the ${path.basename(baseDir)} store, generated from totistack.config.json
+ */
+
+/** A file uploaded to Cloud Storage, as stored in file, image and files fields. */
+export interface StoredFile {
+  /** Download URL. */
+  url: string;
+  /** Path in the bucket, used to delete the file with its document. */
+  path: string;
+  name: string;
+  /** Size in bytes. */
+  size: number;
+  contentType: string;
+}
+
+${collectionTypes}
+
+/** Document types by collection name. */
+export interface CollectionDocuments {
+${collections.map(col => `  ${col.name}: ${collectionTypeNames(col.name).document};`).join('\n')}
+}
+
+/** Resolve reference fields: true for every reference field, or the listed ones. */
+export type Populate = boolean | string[];
+
+/** Sorting of a collection list; no field leaves the list unsorted. */
+export interface SortConfig {
+  field: string | null;
+  direction: 'asc' | 'desc';
+}
+
+/** Options of fetchInitialPage. */
+export interface FetchOptions<T> {
+  pageSize?: number;
+  filters?: Partial<T>;
+  orderBy?: SortConfig;
+  populate?: Populate;
+}
+
+/** Options of search; the fields default to the collection's searchable fields. */
+export interface SearchOptions<T> {
+  fields?: (keyof T & string)[];
+  limit?: number;
+}
+
+/** Options of subscribe, for collections generated with \`realtime: true\`. */
+export interface SubscribeOptions<T> extends FetchOptions<T> {
+  /** Keep listening when the route changes (logout still stops it). */
+  keepAlive?: boolean;
+}
+
+/** A running onSnapshot listener, kept in the store's \`listeners\` state. */
+export interface RealtimeListener {
+  unsubscribe: () => void;
+  keepAlive: boolean;
+}
+
+/** An earlier version of a document, from its \`history\` subcollection (collections generated with \`versioned: true\`). */
+export type DocumentVersion<T> = Omit<T, 'id'> & {
+  /** ID of the history entry, passed to revertTo. */
+  id: string;
+  versionedAt: Timestamp;
+  versionedBy: string | null;
+};
+
+/** Whether a document has local writes the server has not confirmed, and was read from the cache. */
+export interface DocumentSyncStatus {
+  hasPendingWrites: boolean;
+  fromCache: boolean;
+}
+
+/** State kept for each collection. */
+export interface CollectionState<T> {
+  items: T[];
+  specificItems: T[];
+  lastVisible: DocumentSnapshot | null;
+  hasMore: boolean;
+  filters: Partial<T>;
+  orderBy: SortConfig;
+  pageSize: number;
+  total: number;
+  search: {
+    term: string;
+    fields: string[];
+    results: T[];
+    isActive: boolean;
+  };
+  /** Field errors of the last add/update, keyed by field name. */
+  validationErrors: Partial<Record<keyof T & string, string>>;
+  /** Sync status of the loaded documents, keyed by document ID. */
+  sync: Record<string, DocumentSyncStatus>;
+  /** Trashed documents loaded by fetchTrash, in collections generated with \`softDelete: true\`. */
+  trash?: T[];
+}
+
+/** Actions useFirestoreCollectionActions returns for a collection. */
+export interface CollectionActions<T, I> {
+  fetchInitialPage(options?: FetchOptions<T>): Promise<void>;
+  fetchNextPage(): Promise<void>;
+  applyFilters(filters: Partial<T>): Promise<void>;
+  changeSorting(field: keyof T & string, direction?: 'asc' | 'desc'): Promise<void>;
+  add(data: I): Promise<string>;
+  get(id: string, options?: { populate?: Populate }): Promise<T | null>;
+  getWhere(field: keyof T & string, operator: WhereFilterOp, value: unknown): Promise<T[]>;
+  update(id: string, data: Partial<I>): Promise<void>;
+  search(term: string, options?: SearchOptions<T> | (keyof T & string)): Promise<void>;
+  clearSearch(): void;
+  clearValidationErrors(): void;
+  subscribe(options?: SubscribeOptions<T>): Promise<void>;
+  unsubscribe(): void;
+  remove(id: string): Promise<void>;
+  addMany(list: I[]): Promise<string[]>;
+  updateMany(updates: { id: string; data: Partial<I> }[]): Promise<void>;
+  removeMany(ids: string[]): Promise<void>;
+  fetchTrash(): Promise<void>;
+  restore(id: string): Promise<void>;
+  purge(id: string): Promise<void>;
+  getHistory(id: string): Promise<DocumentVersion<T>[]>;
+  revertTo(id: string, versionId: string): Promise<void>;
+  /** Runs fn in a Firestore transaction; \`ref(id)\` references a document of the collection (a new one without ID). */
+  transaction<R>(fn: (transaction: Transaction, ref: (id?: string) => DocumentReference) => Promise<R>): Promise<R>;
+  /** Changes custom claims through the setUserRoles Cloud Function; resolves with the user's roles. */
+  assignRoles(userId: string, roles: string | string[]): Promise<string[]>;
+  revokeRoles(userId: string, roles: string | string[]): Promise<string[]>;
+}
+
+/** The signed-in user: Firebase Auth data merged with the Firestore profile. */
+export interface AuthUser {
+  uid: string;
+  email: string | null;
+  emailVerified?: boolean;
+  displayName?: string | null;
+  photoURL?: string | null;
+  /** True during an anonymous guest session */
+  isAnonymous?: boolean;
+  metadata?: {
+    creationTime?: string;
+    lastSignInTime?: string;
+  };
+  /** The \`roles\` custom claim of the ID token */
+  roles?: string[];
+  [key: string]: unknown;
+}
+
+/** Result of the auth actions. */
+export interface AuthResponse {
+  success: boolean;
+  user?: AuthUser | null;
+}
+
+/** An entry of the activity log. */
+export interface ActivityEntry {
+  type: string;
+  description: string;
+  timestamp: Date;
+  [key: string]: unknown;
+}`
+    );
+  } catch (error) {
+    throw new Error(`Error generating types file: ${error.message}`);
+  }
+};
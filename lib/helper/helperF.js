@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { writeGeneratedFile } from '../manifest.js';
 /**
  * Converts kebab-case to camelCase
  * @param {string} str - Input string in kebab-case
@@ -16,14 +17,15 @@ export const toCamelCase = (str) => str.trim().toLowerCase().split(/[-\s_]+/).ma
 export const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
 
  /**
- * Writes content to a file with consistent formatting
+ * Writes content to a file with consistent formatting.
+ * Goes through the generation manifest, so hand edits survive a regeneration.
  * @param {string} filePath - Full file path
  * @param {string} content - File content
  * @throws {Error} If file writing fails
  */
 export const writeFile = (filePath, content) => {
   try {
-    fs.writeFileSync(filePath, content.trim() + '\n');
+    writeGeneratedFile(filePath, content.trim() + '\n');
   } catch (error) {
     throw new Error(`Failed to write file: ${filePath}\n${error.message}`);
   }
@@ -35,4 +37,17 @@ export const writeFile = (filePath, content) => {
  * @param {string} str - The input string.
  * @returns {string} The PascalCase version of the string.
  */
-export const toPascalCase = (str) => str.trim().toLowerCase().split(/[-\s_]+/).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
\ No newline at end of file
+export const toPascalCase = (str) => str.trim().toLowerCase().split(/[-\s_]+/).map(w => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+/**
+ * Extension of the generated store and router modules.
+ * @param {boolean} typescript - Whether the project was generated with --typescript.
+ * @returns {'ts'|'js'} The file extension, without the dot.
+ */
+export const sourceExtension = (typescript) => (typescript ? 'ts' : 'js');
+
+/**
+ * Finds a generated module whichever language it was generated in.
+ * @param {string} basePath - Path without extension (e.g. 'src/router/index').
+ * @returns {string} The existing .ts file, otherwise the .js path.
+ */
+export const findSourceFile = (basePath) => (fs.existsSync(`${basePath}.ts`) ? `${basePath}.ts` : `${basePath}.js`);
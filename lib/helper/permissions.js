@@ -0,0 +1,149 @@
+/**
+ * @file permissions.js
+ * @description The permissions matrix of the project schema: which `<resource>.<action>` permissions
+ * each role has, roles inheriting the permissions of others. Shared by the schema validation and by
+ * the generators of the store's permissions module, the route meta and the permission guard.
+ */
+
+/** Key of the matrix holding the permissions of every signed-in user, whatever their roles. */
+export const SIGNED_IN_KEY = '*';
+
+/** Role having every permission: it already manages roles, so it is never locked out. */
+export const ADMIN_ROLE = 'admin';
+
+/** `<resource>.<action>`, each part a name or `*`; or `*` alone for every permission. */
+const PERMISSION_PATTERN = /^(\*|(\*|[A-Za-z][\w-]*)\.(\*|[A-Za-z][\w-]*))$/;
+
+/**
+ * @typedef {Object} RolePermissions
+ * @property {string[]} inherits - Roles whose permissions the role also has.
+ * @property {string[]} allow - Permissions of the role itself.
+ */
+
+/**
+ * Turns an entry of the matrix into its object form: a list is the role's own permissions.
+ * @param {string[]|{inherits?: string[], allow?: string[]}} entry - An entry of `permissions`.
+ * @returns {RolePermissions}
+ */
+const toRolePermissions = (entry) => (Array.isArray(entry)
+  ? { inherits: [], allow: entry }
+  : { inherits: entry.inherits || [], allow: entry.allow || [] });
+
+/**
+ * Validates the `permissions` matrix of a raw project schema.
+ * @param {*} permissions - The `permissions` value.
+ * @param {*} roles - The `roles` value, the keys of the matrix.
+ * @returns {string[]} A list of human-readable problems. Empty when the matrix is valid.
+ */
+export function validatePermissions(permissions, roles) {
+  if (permissions === null || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    return ['"permissions" must map roles to their permissions, e.g. { "editor": ["products.create"] }.'];
+  }
+  const errors = [];
+  const knownRoles = [...new Set([ADMIN_ROLE, ...(Array.isArray(roles) ? roles.map(role => String(role).trim()) : [])])];
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  for (const [role, entry] of Object.entries(permissions)) {
+    if (role !== SIGNED_IN_KEY && !knownRoles.includes(role)) {
+      errors.push(`permissions.${role}: unknown role. Declare it in "roles".`);
+      continue;
+    }
+    const validShape = isStringList(entry) || (entry !== null && typeof entry === 'object' && !Array.isArray(entry)
+      && Object.keys(entry).every(key => key === 'inherits' || key === 'allow')
+      && (entry.inherits === undefined || isStringList(entry.inherits))
+      && (entry.allow === undefined || isStringList(entry.allow)));
+    if (!validShape) {
+      errors.push(`permissions.${role} must be a list of permissions or { "inherits": [roles], "allow": [permissions] }.`);
+      continue;
+    }
+    const { inherits, allow } = toRolePermissions(entry);
+    for (const permission of allow) {
+      if (!PERMISSION_PATTERN.test(permission)) {
+        errors.push(`permissions.${role}: "${permission}" is not a permission. Use "<resource>.<action>" (e.g. "products.create"), with "*" for any resource or action.`);
+      }
+    }
+    if (inherits.length > 0 && role === SIGNED_IN_KEY) {
+      errors.push(`permissions.${SIGNED_IN_KEY} cannot inherit roles.`);
+    }
+    for (const parent of inherits) {
+      if (!knownRoles.includes(parent)) {
+        errors.push(`permissions.${role}: cannot inherit unknown role "${parent}".`);
+      }
+    }
+  }
+
+  if (errors.length === 0) {
+    const cycle = findInheritanceCycle(normalizePermissions(permissions));
+    if (cycle) errors.push(`permissions: roles inherit each other (${cycle.join(' -> ')}).`);
+  }
+  return errors;
+}
+
+/**
+ * Fills in the object form of every entry, so saved schemas have one shape.
+ * @param {Object} [permissions={}] - A validated `permissions` matrix.
+ * @returns {Object.<string, RolePermissions>}
+ */
+export const normalizePermissions = (permissions = {}) => Object.fromEntries(Object.entries(permissions)
+  .map(([role, entry]) => {
+    const { inherits, allow } = toRolePermissions(entry);
+    return [role, { inherits: [...new Set(inherits)], allow: [...new Set(allow)] }];
+  }));
+
+/**
+ * Finds roles inheriting from themselves, directly or through other roles.
+ * @param {Object.<string, RolePermissions>} permissions - A normalized matrix.
+ * @returns {string[]|null} The roles of the first cycle (first role repeated at the end), or null.
+ */
+function findInheritanceCycle(permissions) {
+  const done = new Set();
+  const visit = (role, path) => {
+    if (path.includes(role)) return [...path.slice(path.indexOf(role)), role];
+    if (done.has(role)) return null;
+    for (const parent of permissions[role]?.inherits || []) {
+      const cycle = visit(parent, [...path, role]);
+      if (cycle) return cycle;
+    }
+    done.add(role);
+    return null;
+  };
+  for (const role of Object.keys(permissions)) {
+    const cycle = visit(role, []);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Resolves the matrix into the permissions each role ends up with, inherited ones included.
+ * The admin role gets every permission.
+ * @param {Object.<string, RolePermissions>} permissions - A normalized matrix.
+ * @param {string[]} roles - Roles of the project.
+ * @returns {{signedIn: string[], roles: Object.<string, string[]>}} Permissions of every signed-in user and of each role.
+ */
+export function resolvePermissions(permissions, roles) {
+  const resolved = {};
+  const resolve = (role) => {
+    if (!resolved[role]) {
+      const { inherits = [], allow = [] } = permissions[role] || {};
+      resolved[role] = [...new Set([...allow, ...inherits.flatMap(resolve)])];
+    }
+    return resolved[role];
+  };
+  const roleNames = [...new Set([ADMIN_ROLE, ...roles])];
+  return {
+    signedIn: permissions[SIGNED_IN_KEY]?.allow || [],
+    roles: Object.fromEntries(roleNames.map(role => [role, role === ADMIN_ROLE ? ['*'] : resolve(role)]))
+  };
+}
+
+/**
+ * Resources the matrix names explicitly (`products` in `products.create`). The permission checks
+ * only apply to them: other resources stay open to whoever the security rules let in.
+ * @param {Object.<string, RolePermissions>} permissions - A normalized matrix.
+ * @returns {string[]}
+ */
+export const protectedResources = (permissions) => [...new Set(Object.values(permissions)
+  .flatMap(({ allow }) => allow)
+  .map(permission => permission.split('.')[0])
+  .filter(resource => resource !== '*'))];
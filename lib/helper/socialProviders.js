@@ -0,0 +1,38 @@
+/**
+ * @file socialProviders.js
+ * @description The social sign-in providers the generated projects support, shared by the wizard,
+ * the project schema, the store (Firebase Auth provider classes) and the auth views (buttons).
+ */
+
+/**
+ * @typedef {Object} SocialProvider
+ * @property {string} label - Name shown on the sign-in button.
+ * @property {string} providerId - Firebase Auth provider ID, as returned by fetchSignInMethodsForEmail.
+ * @property {string} providerClass - Firebase Auth class creating the provider.
+ * @property {string} icon - Icon class of the button.
+ * @property {string} color - Tailwind classes of the button.
+ */
+
+/** @type {Object.<string, SocialProvider>} */
+export const SOCIAL_PROVIDERS = {
+  google: { label: 'Google', providerId: 'google.com', providerClass: 'GoogleAuthProvider', icon: 'i-mdi-google', color: 'bg-red-600 hover:bg-red-700' },
+  facebook: { label: 'Facebook', providerId: 'facebook.com', providerClass: 'FacebookAuthProvider', icon: 'i-mdi-facebook', color: 'bg-blue-700 hover:bg-blue-800' },
+  twitter: { label: 'Twitter', providerId: 'twitter.com', providerClass: 'TwitterAuthProvider', icon: 'i-mdi-twitter', color: 'bg-sky-500 hover:bg-sky-600' },
+  github: { label: 'GitHub', providerId: 'github.com', providerClass: 'GithubAuthProvider', icon: 'i-mdi-github', color: 'bg-gray-800 hover:bg-gray-900' },
+  microsoft: { label: 'Microsoft', providerId: 'microsoft.com', providerClass: 'OAuthProvider', icon: 'i-mdi-microsoft', color: 'bg-sky-700 hover:bg-sky-800' },
+  apple: { label: 'Apple', providerId: 'apple.com', providerClass: 'OAuthProvider', icon: 'i-mdi-apple', color: 'bg-black hover:bg-gray-800' }
+};
+
+/** Names accepted in the `socialProviders` list of the project schema. */
+export const SOCIAL_PROVIDER_NAMES = Object.keys(SOCIAL_PROVIDERS);
+
+/**
+ * Builds the JavaScript expression creating a provider in the generated store.
+ * Providers without a dedicated class go through OAuthProvider with their provider ID.
+ * @param {string} name - A key of SOCIAL_PROVIDERS.
+ * @returns {string} e.g. `new GoogleAuthProvider()` or `new OAuthProvider('apple.com')`.
+ */
+export const providerConstructor = (name) => {
+  const { providerClass, providerId } = SOCIAL_PROVIDERS[name];
+  return providerClass === 'OAuthProvider' ? `new OAuthProvider('${providerId}')` : `new ${providerClass}()`;
+};
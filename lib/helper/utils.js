@@ -0,0 +1,64 @@
+// lib/helper/utils.js
+import fs from 'fs-extra';
+import path from 'path';
+import { capitalize } from './helperF.js';
+import { isDryRun } from '../manifest.js';
+
+/**
+ * Capitalizes the first letter of a string.
+ * Alias of `capitalize` kept for the project-level generators.
+ * @param {string} string - Input string
+ * @returns {string} Capitalized string
+ */
+export function capitalizeFirstLetter(string) {
+    return capitalize(string);
+}
+
+/**
+ * Walks up from the current directory to find the root of a generated totistack project.
+ * A directory qualifies when it has a package.json, a src folder and either the
+ * totistack.config.json schema or the generated .env.example.
+ * @returns {string|null} Absolute path of the project root, or null when not inside a project.
+ */
+export function getProjectRoot() {
+    let currentPath = process.cwd();
+    while (currentPath !== path.parse(currentPath).root) {
+        if (fs.existsSync(path.join(currentPath, 'package.json')) &&
+            fs.existsSync(path.join(currentPath, 'src')) &&
+            (fs.existsSync(path.join(currentPath, 'totistack.config.json')) ||
+             fs.existsSync(path.join(currentPath, '.env.example')))) {
+            return currentPath;
+        }
+        currentPath = path.dirname(currentPath);
+    }
+    return null;
+}
+
+/**
+ * Adds scripts and dependencies to the project's package.json.
+ * Entries the user already defined are left untouched.
+ * @param {Object} changes
+ * @param {Object.<string, string>} [changes.scripts={}] - npm scripts to add.
+ * @param {Object.<string, string>} [changes.dependencies={}] - Dependencies to add, with version ranges.
+ * @param {Object.<string, string>} [changes.devDependencies={}] - Dev dependencies to add, with version ranges.
+ * @returns {string[]} Names of the scripts and dependencies that were added.
+ */
+export function updatePackageJson({ scripts = {}, dependencies = {}, devDependencies = {} }) {
+    const packagePath = path.join(process.cwd(), 'package.json');
+    if (!fs.existsSync(packagePath) || isDryRun()) return [];
+
+    const pkg = fs.readJsonSync(packagePath);
+    const added = [];
+    for (const [section, entries] of Object.entries({ scripts, dependencies, devDependencies })) {
+        for (const [name, value] of Object.entries(entries)) {
+            const existing = section === 'scripts' ? pkg.scripts?.[name] : pkg.devDependencies?.[name] ?? pkg.dependencies?.[name];
+            if (existing !== undefined) continue;
+            pkg[section] = { ...pkg[section], [name]: value };
+            added.push(name);
+        }
+    }
+    if (added.length > 0) {
+        fs.writeJsonSync(packagePath, pkg, { spaces: 2 });
+    }
+    return added;
+}
@@ -0,0 +1,247 @@
+/**
+ * @file manifest.js
+ * @description Tracks every file the generators write in `.totistack/manifest.json` so a project
+ * can be regenerated without losing hand edits. Files nobody touched are overwritten, edited files
+ * get a three-way merge against the previously generated copy (kept in `.totistack/base/`), and a
+ * dry run only prints a unified diff of what would change.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import { createTwoFilesPatch } from 'diff';
+import { mergeDiff3 } from 'node-diff3';
+
+/** Directory, relative to the project root, holding the manifest and base copies. */
+export const MANIFEST_DIR = '.totistack';
+
+const MANIFEST_FILE = 'manifest.json';
+const BASE_DIR = 'base';
+const MANIFEST_VERSION = 1;
+
+/** The project schema: written on scaffold and by `add collection`, but only read by `regenerate`. */
+const PROJECT_SCHEMA_FILE = 'totistack.config.json';
+
+/**
+ * @typedef {'created'|'updated'|'unchanged'|'merged'|'conflict'|'kept'} WriteStatus
+ * - created: the file did not exist yet.
+ * - updated: the file was untouched since the last generation and got the new output.
+ * - unchanged: the file already matches the generated output.
+ * - merged: the file had local edits that were merged cleanly with the new output.
+ * - conflict: local edits and the new output overlap; conflict markers were written.
+ * - kept: the file has local edits and the generated output did not change, so it was left alone.
+ */
+
+/**
+ * @typedef {Object} WriteResult
+ * @property {string} file - Path relative to the project root.
+ * @property {WriteStatus} status - What happened (or would happen in a dry run).
+ * @property {string} [diff] - Unified diff of the change, only collected in dry runs.
+ */
+
+/**
+ * Options and results of the current generation run. Some files are written by more than one
+ * generator (e.g. the auth views, first written as placeholders by generateRouter); `snapshots`
+ * keeps their state from before the run so the last write wins and is compared against what was
+ * on disk when the run started.
+ */
+const session = {
+  dryRun: false,
+  results: [],
+  snapshots: new Map()
+};
+
+/**
+ * Starts a generation run. Call once before running the generators.
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - When true nothing is written; diffs are collected instead.
+ */
+export function configureGeneration({ dryRun = false } = {}) {
+  session.dryRun = dryRun;
+  session.results = [];
+  session.snapshots = new Map();
+}
+
+/**
+ * Whether the current run is a dry run.
+ * @returns {boolean}
+ */
+export const isDryRun = () => session.dryRun;
+
+/**
+ * Hashes file content for change detection.
+ * @param {string} content - File content.
+ * @returns {string} A sha256 hex digest.
+ */
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Generated headers carry timestamps (`@created ...`, `Generated on ...`). A regeneration that
+ * only changes those keeps the previous output, so untouched files do not churn on every run.
+ * @param {string} content - File content.
+ * @returns {string} The content with timestamp lines blanked out.
+ */
+const stripTimestamps = (content) => content
+  .replace(/^(\s*\*\s*@created ).*$/gm, '$1')
+  .replace(/\*Generated on [^*]*\*/g, '*Generated on*');
+
+/**
+ * Normalizes a path to the forward-slash form stored in the manifest.
+ * @param {string} filePath - Absolute or cwd-relative path.
+ * @returns {string} Path relative to the project root.
+ */
+const toManifestPath = (filePath) => path.relative(process.cwd(), path.resolve(filePath)).split(path.sep).join('/');
+
+/**
+ * Reads the manifest of the project in the current directory.
+ * @returns {{version: number, files: Object.<string, {hash: string}>}} The manifest, empty if none exists yet.
+ */
+export function readManifest() {
+  const manifestPath = path.join(MANIFEST_DIR, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return { version: MANIFEST_VERSION, files: {} };
+  }
+  return fs.readJsonSync(manifestPath);
+}
+
+/**
+ * Persists the manifest of the project in the current directory.
+ * @param {Object} manifest - The manifest to write.
+ */
+function saveManifest(manifest) {
+  const sortedFiles = Object.fromEntries(Object.entries(manifest.files).sort(([a], [b]) => a.localeCompare(b)));
+  fs.outputJsonSync(path.join(MANIFEST_DIR, MANIFEST_FILE), { version: MANIFEST_VERSION, files: sortedFiles }, { spaces: 2 });
+}
+
+/**
+ * Works out the content a file should end up with.
+ * @param {string|null} current - Content on disk, or null if the file does not exist.
+ * @param {string} generated - Freshly generated content.
+ * @param {{hash: string}|undefined} entry - Manifest entry from the previous generation.
+ * @param {string|null} base - Content produced by the previous generation, if known.
+ * @returns {{status: WriteStatus, content: string}}
+ */
+function resolveContent(current, generated, entry, base) {
+  if (current === null) return { status: 'created', content: generated };
+  if (current === generated) return { status: 'unchanged', content: generated };
+  if (entry && hashContent(current) === entry.hash) return { status: 'updated', content: generated };
+
+  // The file was edited by hand: merge the edits with whatever changed in the generated output
+  const { conflict, result } = mergeDiff3(
+    current.split('\n'),
+    (base ?? '').split('\n'),
+    generated.split('\n'),
+    { label: { a: 'local changes', o: 'previous generation', b: 'generated' } }
+  );
+  const merged = result.join('\n');
+  if (conflict) return { status: 'conflict', content: merged };
+  return { status: merged === current ? 'kept' : 'merged', content: merged };
+}
+
+/**
+ * Reads what the previous generation wrote to a file, without the hand edits made since.
+ * Generators that extend a file (e.g. `add collection` appending to STORE_GUIDE.md) build on
+ * this copy, so the edits are merged back in by writeGeneratedFile rather than baked into the base.
+ * @param {string} filePath - Path of the generated file.
+ * @returns {string|null} The generated content, or null if the file is not in the manifest.
+ */
+export function readGeneratedFile(filePath) {
+  const basePath = path.join(MANIFEST_DIR, BASE_DIR, toManifestPath(filePath));
+  return fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null;
+}
+
+/**
+ * Writes a generated file, preserving hand edits made since the previous generation.
+ * Paths are resolved against the current directory, which must be the project root.
+ * @param {string} filePath - Destination path.
+ * @param {string} content - Generated content.
+ * @returns {WriteStatus} What happened to the file.
+ */
+export function writeGeneratedFile(filePath, content) {
+  const relativePath = toManifestPath(filePath);
+  const basePath = path.join(MANIFEST_DIR, BASE_DIR, relativePath);
+  const manifest = readManifest();
+
+  if (!session.snapshots.has(relativePath)) {
+    session.snapshots.set(relativePath, {
+      current: fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null,
+      base: fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null,
+      entry: manifest.files[relativePath]
+    });
+  }
+  const { current, base, entry } = session.snapshots.get(relativePath);
+
+  if (base !== null && stripTimestamps(base) === stripTimestamps(content)) {
+    content = base;
+  }
+  const { status, content: nextContent } = resolveContent(current, content, entry, base);
+
+  const result = { file: relativePath, status };
+  if (session.dryRun) {
+    result.diff = current === nextContent
+      ? ''
+      : createTwoFilesPatch(current === null ? '/dev/null' : `a/${relativePath}`, `b/${relativePath}`, current ?? '', nextContent);
+  } else {
+    fs.outputFileSync(filePath, nextContent);
+    fs.outputFileSync(basePath, content);
+    manifest.files[relativePath] = { hash: hashContent(content) };
+    saveManifest(manifest);
+  }
+
+  session.results = [...session.results.filter(previous => previous.file !== relativePath), result];
+  return status;
+}
+
+/**
+ * Lists files recorded in the manifest that the current run did not generate,
+ * e.g. views of a collection that was removed from the schema.
+ * @returns {string[]} Paths relative to the project root.
+ */
+export function getStaleFiles() {
+  const generated = new Set(session.results.map(result => result.file));
+  return Object.keys(readManifest().files).filter(file => !generated.has(file) && file !== PROJECT_SCHEMA_FILE);
+}
+
+/**
+ * Prints a summary of the current run. In a dry run the unified diffs are printed as well.
+ * @returns {WriteResult[]} The results of the run.
+ */
+export function printGenerationReport() {
+  const colors = {
+    created: chalk.green,
+    updated: chalk.blue,
+    merged: chalk.cyan,
+    conflict: chalk.red,
+    kept: chalk.gray,
+    unchanged: chalk.gray
+  };
+
+  if (session.dryRun) {
+    for (const { diff } of session.results) {
+      if (diff) console.log(diff);
+    }
+  }
+
+  console.log(chalk.bold(session.dryRun ? '\nChanges that would be made:' : '\nGenerated files:'));
+  for (const { file, status } of session.results) {
+    if (status === 'unchanged') continue;
+    console.log(colors[status](`  ${status.padEnd(9)} ${file}`));
+  }
+
+  const counts = session.results.reduce((acc, { status }) => ({ ...acc, [status]: (acc[status] || 0) + 1 }), {});
+  console.log(chalk.gray(`  ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'nothing to do'}`));
+
+  const stale = getStaleFiles();
+  if (stale.length > 0) {
+    console.log(chalk.yellow('\nNo longer generated (left in place):'));
+    stale.forEach(file => console.log(chalk.yellow(`  ${file}`)));
+  }
+
+  const conflicts = session.results.filter(result => result.status === 'conflict');
+  if (conflicts.length > 0) {
+    console.log(chalk.red.bold(`\n⚠️  ${conflicts.length} file(s) ${session.dryRun ? 'would have' : 'have'} conflict markers to resolve by hand.`));
+  }
+
+  return session.results;
+}
@@ -0,0 +1,266 @@
+/**
+ * @file projectConfig.js
+ * @description Loads, validates and saves the totistack project schema file (JSON or YAML).
+ * The schema holds everything the interactive wizard would otherwise ask for, so a project
+ * can be reproduced or scaffolded from CI without any prompts.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import YAML from 'yaml';
+import { REFERENCE_TYPES, getQueryConfig, validateFieldDefinition, validateQueryFields } from './helper/fields.js';
+import { VALIDATORS } from './helper/generateSchemaModule.js';
+import { isAuthCollection } from './generateStore.js';
+import { SOCIAL_PROVIDER_NAMES } from './helper/socialProviders.js';
+import { normalizePermissions, validatePermissions } from './helper/permissions.js';
+
+export { FIELD_TYPES } from './helper/fields.js';
+
+/** Default file name used when saving or looking up a project schema. */
+export const DEFAULT_CONFIG_FILE = 'totistack.config.json';
+
+/** Boolean feature flags accepted at the top level of the schema. */
+const FEATURE_FLAGS = [
+  'enableAuth',
+  'enableRoles',
+  'enableAuthViews',
+  'enableEmailLink',
+  'enableAnonymous',
+  'enableAdmin',
+  'enableLanding',
+  'enableLoading',
+  'addActivityLogging',
+  'runSeeder',
+  'typescript',
+  'offline'
+];
+
+/**
+ * @typedef {Object} ProjectConfig
+ * @property {string} projectName - Name of the project directory to create.
+ * @property {import('./generateStore.js').CollectionConfig[]} collections - Firestore collections to scaffold.
+ * @property {string[]} [roles=[]] - Roles used for role-based authorization.
+ * @property {boolean} [enableAuth=false] - Whether Firebase Auth support is generated.
+ * @property {boolean} [enableRoles=false] - Whether role-based authorization is generated.
+ * @property {Object.<string, import('./helper/permissions.js').RolePermissions>} [permissions={}] - Permissions of each role (`<resource>.<action>`), `*` for every signed-in user.
+ * @property {boolean} [enableAuthViews=true] - Whether authentication views are generated.
+ * @property {string[]} [socialProviders=[]] - Social sign-in providers (google, facebook, twitter, github, microsoft, apple).
+ * @property {boolean} [enableEmailLink=false] - Whether passwordless email-link sign-in is generated.
+ * @property {boolean} [enableAnonymous=false] - Whether anonymous guest sessions are generated.
+ * @property {boolean} [enableAdmin=false] - Whether the admin panel scaffold is generated.
+ * @property {boolean} [enableLanding=true] - Whether the landing page is generated.
+ * @property {boolean} [enableLoading=true] - Whether the global loading UI is generated.
+ * @property {boolean} [addActivityLogging=false] - Whether activity logging is generated.
+ * @property {boolean} [runSeeder=false] - Whether the Firestore seeder runs after setup.
+ * @property {boolean} [typescript=false] - Whether the project uses the vue-ts template and typed store/router modules.
+ * @property {boolean} [offline=false] - Whether Firestore keeps a persistent local cache, so the app works and queues writes while offline.
+ * @property {'builtin'|'zod'|'yup'} [validator='builtin'] - Library of the collection schemas shared by forms, store and Cloud Functions.
+ */
+
+/**
+ * Checks if a file path points to a YAML document.
+ * @param {string} filePath - Path to the schema file.
+ * @returns {boolean} True for .yaml/.yml files.
+ */
+const isYamlFile = (filePath) => /\.ya?ml$/i.test(filePath);
+
+/**
+ * Validates a raw project schema object.
+ * @param {Object} config - The parsed schema.
+ * @returns {string[]} A list of human-readable problems. Empty when the schema is valid.
+ */
+export function validateProjectConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['The project schema must be an object.'];
+  }
+
+  if (typeof config.projectName !== 'string' || !config.projectName.trim()) {
+    errors.push('"projectName" is required.');
+  }
+
+  if (!Array.isArray(config.collections) || config.collections.length === 0) {
+    errors.push('"collections" must be a non-empty array.');
+  } else {
+    const seen = new Set();
+    config.collections.forEach((collection, index) => {
+      const where = `collections[${index}]`;
+      if (!collection || typeof collection !== 'object') {
+        errors.push(`${where} must be an object.`);
+        return;
+      }
+      if (typeof collection.name !== 'string' || !/^[a-z][a-z0-9_-]{0,63}$/i.test(collection.name.trim())) {
+        errors.push(`${where}.name must be a valid Firestore collection name.`);
+      } else if (seen.has(collection.name.trim().toLowerCase())) {
+        errors.push(`${where}.name "${collection.name}" is declared more than once.`);
+      } else {
+        seen.add(collection.name.trim().toLowerCase());
+      }
+      if (!collection.fields || typeof collection.fields !== 'object' || Array.isArray(collection.fields)) {
+        errors.push(`${where}.fields must be an object of field names to types or field descriptors.`);
+      } else if (Object.keys(collection.fields).length === 0) {
+        errors.push(`${where}.fields must declare at least one field.`);
+      } else {
+        for (const [fieldName, definition] of Object.entries(collection.fields)) {
+          if (!/^[A-Za-z_$][\w$]*$/.test(fieldName)) {
+            errors.push(`${where}.fields."${fieldName}" is not a valid field name.`);
+          }
+          errors.push(...validateFieldDefinition(definition, `${where}.fields.${fieldName}`));
+        }
+        errors.push(...validateQueryFields(collection, where));
+      }
+      if (collection.dataType !== undefined && typeof collection.dataType !== 'string') {
+        errors.push(`${where}.dataType must be a string.`);
+      }
+      for (const option of ['realtime', 'softDelete', 'versioned']) {
+        if (collection[option] !== undefined && typeof collection[option] !== 'boolean') {
+          errors.push(`${where}.${option} must be true or false.`);
+        }
+      }
+      if (collection.seedCount !== undefined && (!Number.isInteger(collection.seedCount) || collection.seedCount < 0)) {
+        errors.push(`${where}.seedCount must be a non-negative integer.`);
+      }
+    });
+  }
+
+  if (Array.isArray(config.collections)) {
+    const declared = config.collections.map(collection => String(collection?.name).trim());
+    config.collections.forEach((collection, index) => {
+      for (const [fieldName, definition] of Object.entries(collection?.fields || {})) {
+        if (definition && typeof definition === 'object' && REFERENCE_TYPES.includes(definition.type) &&
+            typeof definition.collection === 'string' && !declared.includes(definition.collection.trim())) {
+          errors.push(`collections[${index}].fields.${fieldName} references unknown collection "${definition.collection}".`);
+        }
+      }
+    });
+  }
+
+  for (const flag of FEATURE_FLAGS) {
+    if (config[flag] !== undefined && typeof config[flag] !== 'boolean') {
+      errors.push(`"${flag}" must be true or false.`);
+    }
+  }
+
+  if (config.validator !== undefined && !VALIDATORS.includes(config.validator)) {
+    errors.push(`"validator" must be one of: ${VALIDATORS.join(', ')}.`);
+  }
+
+  if (config.roles !== undefined) {
+    if (!Array.isArray(config.roles) || config.roles.some(role => typeof role !== 'string' || !role.trim())) {
+      errors.push('"roles" must be an array of non-empty strings.');
+    }
+  }
+
+  if (config.permissions !== undefined) {
+    errors.push(...validatePermissions(config.permissions, config.roles));
+  }
+
+  if (config.socialProviders !== undefined) {
+    if (!Array.isArray(config.socialProviders) || config.socialProviders.some(name => !SOCIAL_PROVIDER_NAMES.includes(name))) {
+      errors.push(`"socialProviders" must be an array of: ${SOCIAL_PROVIDER_NAMES.join(', ')}.`);
+    }
+  }
+
+  if (config.enableAuth && Array.isArray(config.collections) && !config.collections.some(isAuthCollection)) {
+    errors.push('"enableAuth" requires an auth collection (e.g. "users", "customers", "accounts").');
+  }
+
+  return errors;
+}
+
+/**
+ * Fills in defaults so the schema has the same shape as the wizard answers.
+ * @param {Object} config - A validated schema.
+ * @returns {ProjectConfig} The normalized schema.
+ */
+export function normalizeProjectConfig(config) {
+  const enableAuth = Boolean(config.enableAuth);
+  const roles = enableAuth ? (config.roles || []).map(role => role.trim()) : [];
+
+  return {
+    projectName: config.projectName.trim(),
+    collections: config.collections.map(collection => ({
+      name: collection.name.trim(),
+      fields: { ...collection.fields },
+      dataType: collection.dataType || 'object',
+      ...getQueryConfig(collection),
+      ...(collection.realtime && { realtime: true }),
+      ...(collection.softDelete && { softDelete: true }),
+      ...(collection.versioned && { versioned: true }),
+      ...(collection.seedCount !== undefined && { seedCount: collection.seedCount })
+    })),
+    roles,
+    enableAuth,
+    enableRoles: enableAuth && (config.enableRoles ?? roles.length > 0),
+    permissions: enableAuth ? normalizePermissions(config.permissions) : {},
+    enableAuthViews: enableAuth && (config.enableAuthViews ?? true),
+    socialProviders: enableAuth ? [...new Set(config.socialProviders || [])] : [],
+    enableEmailLink: enableAuth && (config.enableEmailLink ?? false),
+    enableAnonymous: enableAuth && (config.enableAnonymous ?? false),
+    enableAdmin: config.enableAdmin ?? false,
+    enableLanding: config.enableLanding ?? true,
+    enableLoading: config.enableLoading ?? true,
+    addActivityLogging: enableAuth && (config.addActivityLogging ?? false),
+    runSeeder: config.runSeeder ?? false,
+    typescript: config.typescript ?? false,
+    offline: config.offline ?? false,
+    validator: config.validator ?? 'builtin'
+  };
+}
+
+/**
+ * Reads, validates and normalizes a project schema file.
+ * @param {string} filePath - Path to a .json, .yaml or .yml schema file.
+ * @returns {Promise<ProjectConfig>} The normalized schema.
+ * @throws {Error} If the file is missing, unparsable or invalid.
+ */
+export async function loadProjectConfig(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  if (!(await fs.pathExists(resolvedPath))) {
+    throw new Error(`Config file not found: ${resolvedPath}`);
+  }
+
+  const raw = await fs.readFile(resolvedPath, 'utf8');
+  let parsed;
+  try {
+    parsed = isYamlFile(resolvedPath) ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse ${resolvedPath}: ${error.message}`);
+  }
+
+  const errors = validateProjectConfig(parsed);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config ${resolvedPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return normalizeProjectConfig(parsed);
+}
+
+/**
+ * Serializes a project schema, as YAML or JSON depending on the file extension.
+ * @param {string} filePath - Destination path.
+ * @param {ProjectConfig} answers - Wizard answers or a loaded schema.
+ * @returns {string} The file content.
+ */
+export function stringifyProjectConfig(filePath, answers) {
+  const config = normalizeProjectConfig(answers);
+  return isYamlFile(filePath)
+    ? YAML.stringify(config)
+    : JSON.stringify(config, null, 2) + '\n';
+}
+
+/**
+ * Writes a project schema to disk, as YAML or JSON depending on the file extension.
+ * @param {string} filePath - Destination path.
+ * @param {ProjectConfig} answers - Wizard answers or a loaded schema.
+ * @returns {Promise<string>} The absolute path that was written.
+ */
+export async function saveProjectConfig(filePath, answers) {
+  const resolvedPath = path.resolve(filePath);
+  const content = stringifyProjectConfig(resolvedPath, answers);
+
+  await fs.ensureDir(path.dirname(resolvedPath));
+  await fs.writeFile(resolvedPath, content);
+  return resolvedPath;
+}
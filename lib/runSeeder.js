@@ -4,106 +4,81 @@ import {execa} from 'execa';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs-extra';
+import { writeGeneratedFile } from './manifest.js';
+import { updatePackageJson } from './helper/utils.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-export default async function runSeeder(userCollections) {
+/** Packages seed.js needs, installed as dev dependencies of the generated project. */
+const SEEDER_DEPENDENCIES = {
+  'firebase-admin': '^14.0.0',
+  '@faker-js/faker': '^10.0.0',
+  dotenv: '^18.0.0'
+};
+
+/**
+ * Writes the schema-driven seeder (`seed.js`) into the project and registers its npm scripts.
+ * The seeder reads totistack.config.json when it runs, so it never goes stale.
+ */
+export function generateSeeder() {
+  writeGeneratedFile('seed.js', fs.readFileSync(path.join(__dirname, './templates/seed.js'), 'utf8'));
+
+  updatePackageJson({
+    scripts: {
+      seed: 'node seed.js',
+      'seed:emulator': 'node seed.js --emulator',
+      'seed:fixtures': 'node seed.js --out fixtures --seed 1',
+      'fixtures:import': 'node seed.js --import fixtures',
+      'fixtures:import:emulator': 'node seed.js --import fixtures --emulator'
+    },
+    devDependencies: SEEDER_DEPENDENCIES
+  });
+}
+
+/**
+ * Describes what a seed.js invocation does, for the progress and result messages.
+ * @param {string[]} seedArgs - Arguments forwarded to seed.js.
+ * @returns {string} e.g. 'seeding Firestore' or 'writing fixtures'.
+ */
+function describeSeedRun(seedArgs) {
+  const hasFlag = (flag) => seedArgs.some(arg => arg === flag || arg.startsWith(`${flag}=`));
+  if (hasFlag('--import')) return 'importing fixtures';
+  if (hasFlag('--dry-run')) return 'generating seed data (dry run)';
+  if (hasFlag('--out')) return 'writing fixtures';
+  return 'seeding Firestore';
+}
+
+/**
+ * Runs the project's seed.js in the current directory: seeds Firestore with fake data, or,
+ * depending on the arguments, writes fixture files, does a dry run or imports fixtures.
+ * @param {string[]} [seedArgs=[]] - Arguments forwarded to seed.js, e.g. ['--count', '50', '--seed', '42', '--emulator'] or ['--out', 'fixtures', '--format', 'ndjson'].
+ * @returns {Promise<boolean>} Whether the run succeeded.
+ */
+export default async function runSeeder(seedArgs = []) {
+  const task = describeSeedRun(seedArgs);
   try {
-    console.log(chalk.blue('Running Firestore seeder...'));
-    
-    // Copy seeder from templates
-    const seederPath = path.join(process.cwd(), 'seed.js');
-    await fs.copyFile(
-      path.join(__dirname, './templates/seed.js'),
-      seederPath
-    );
-    
-    // Update seeder with user's collections
-    let seederCode = await fs.readFile(seederPath, 'utf8');
-    
-    // Create seed configuration based on user input
-    const seedConfig = {
-      users: userCollections.includes('users') ? 200 : 0,
-      locations: userCollections.includes('locations') ? 14 : 0,
-      products: userCollections.includes('products') ? 40 : 0,
-      chats: userCollections.includes('chats') ? 30 : 0,
-      messagesPerChat: { min: 3, max: 15 },
-      reviews: userCollections.includes('reviews') ? 25 : 0,
-      reports: userCollections.includes('reports') ? 100 : 0,
-      favorites: userCollections.includes('favorites') ? 60 : 0,
-      recommendations: userCollections.includes('recommendations') ? 100 : 0
-    };
-    
-    // Inject user's collections into seeder
-    seederCode = seederCode.replace(
-      /const SEED_CONFIG = \{([^}]*)\};/,
-      `const SEED_CONFIG = ${JSON.stringify(seedConfig, null, 2)};`
-    );
-    
-    // Add collection check logic
-    seederCode = seederCode.replace(
-      '// Seed locations first',
-      `// Only seed requested collections
-      const seedCollections = ${JSON.stringify(userCollections)};
-      
-      async function seedDatabase() {
-        try {
-          console.log('Starting database seeding for collections:', seedCollections.join(', '));`
-    );
-    
-    // Modify seeding calls to check for requested collections
-    seederCode = seederCode.replace(
-      /await seedLocations\(\);/g,
-      `if (seedCollections.includes('locations')) {
-        locations = await seedLocations();
-      } else {
-        console.log('Skipping locations seeding');
-        locations = [];
-      }`
-    );
-    
-    seederCode = seederCode.replace(
-      /const userRefs = await seedUsers\(locations\);/g,
-      `let userRefs = [];
-      if (seedCollections.includes('users')) {
-        userRefs = await seedUsers(locations);
-      } else {
-        console.log('Skipping users seeding');
-      }`
-    );
-    
-    // Add similar checks for all other seed functions
-    const collectionMapping = {
-      products: 'seedProducts(userRefs, locations)',
-      chats: 'seedChats(userRefs, productRefs)',
-      reviews: 'seedReviews(userRefs)',
-      reports: 'seedReports(userRefs)',
-      favorites: 'seedFavorites(userRefs, productRefs)',
-      recommendations: 'seedRecommendations(userRefs, productRefs)'
-    };
-    
-    for (const [collection, funcCall] of Object.entries(collectionMapping)) {
-      const regex = new RegExp(`await ${funcCall};`, 'g');
-      seederCode = seederCode.replace(
-        regex,
-        `if (seedCollections.includes('${collection}')) {
-          await ${funcCall};
-        } else {
-          console.log('Skipping ${collection} seeding');
-        }`
-      );
+    console.log(chalk.blue(`Running Firestore seeder (${task})...`));
+
+    // Projects generated before the seeder existed get it now
+    if (!(await fs.pathExists('seed.js'))) {
+      generateSeeder();
     }
-    
-    await fs.writeFile(seederPath, seederCode);
-    
-    // Install seeder dependencies
-    await execa('npm', ['install', 'firebase-admin', '@faker-js/faker', 'uuid'], { stdio: 'inherit' });
-    
+
+    // Install seeder dependencies that are missing
+    const missing = Object.entries(SEEDER_DEPENDENCIES)
+      .filter(([name]) => !fs.existsSync(path.join('node_modules', name)))
+      .map(([name, range]) => `${name}@${range}`);
+    if (missing.length > 0) {
+      await execa('npm', ['install', '--save-dev', ...missing], { stdio: 'inherit' });
+    }
+
     // Run the seeder
-    await execa('node', ['seed.js'], { stdio: 'inherit' });
-    
-    console.log(chalk.green('✅ Firestore data seeded successfully'));
+    await execa('node', ['seed.js', ...seedArgs], { stdio: 'inherit' });
+
+    console.log(chalk.green(`✅ Finished ${task}`));
+    return true;
   } catch (error) {
-    console.error(chalk.red('❌ Error seeding Firestore:'), error);
+    console.error(chalk.red(`❌ Error ${task}:`), error.shortMessage || error.message);
+    return false;
   }
-}
\ No newline at end of file
+}
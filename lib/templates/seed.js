@@ -1,103 +1,536 @@
-// templates/seed.js (modified)
-import admin from 'firebase-admin';
+// templates/seed.js
+/**
+ * Schema-driven Firestore seeder, generated by create-totistack.
+ * Reads the collections from totistack.config.json and writes fake documents matching each
+ * field's type and descriptor (enum, min/max, pattern). Reference fields point at documents
+ * seeded in the same run, or at existing documents of collections that are not seeded.
+ *
+ * Usage:
+ *   node seed.js [--count 20 | --count users=50,products=10] [--seed 42] [--emulator]
+ *   node seed.js --out fixtures [--format json|ndjson] [--count ...] [--seed 42]
+ *   node seed.js --dry-run [--count ...] [--seed 42]
+ *   node seed.js --import fixtures [--emulator]
+ *
+ *   --count     Documents per collection, for all collections or per collection.
+ *               Defaults to the collection's `seedCount` in the schema, or 20.
+ *   --seed      Faker seed. The same seed and schema always produce the same documents and IDs
+ *               (dates are then relative to 2025-01-01 instead of today).
+ *   --emulator  Write to the Local Emulator Suite (also enabled by VITE_FIREBASE_EMULATOR=true).
+ *   --out       Write the documents to fixture files in this directory, one per collection,
+ *               instead of Firestore.
+ *   --format    Fixture format: `json` (an array per file, the default) or `ndjson` (a document per line).
+ *   --dry-run   Generate the documents and print a summary without writing anything.
+ *   --import    Load fixture files from this directory into Firestore.
+ */
+import fs from 'fs';
+import path from 'path';
 import { faker } from '@faker-js/faker';
-import { v4 as uuidv4 } from 'uuid';
 import dotenv from 'dotenv';
-import path from 'path';
 
-// Load environment variables
-dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+const CONFIG_FILE = 'totistack.config.json';
+const DEFAULT_COUNT = 20;
+const BATCH_SIZE = 400; // Firestore accepts at most 500 writes per batch
+const OPTIONAL_FIELD_PROBABILITY = 0.8;
+const EXISTING_ID_LIMIT = 500;
+const FIXED_REF_DATE = '2025-01-01T00:00:00.000Z';
+const FIXTURE_FORMATS = ['json', 'ndjson'];
 
-// Use emulator if configured
-if (process.env.VITE_FIREBASE_EMULATOR === 'true') {
-  process.env.FIREBASE_AUTH_EMULATOR_HOST = 'localhost:9099';
-  console.log("🔥 Using Firebase emulators");
+/**
+ * Parses `--flag value`, `--flag=value` and boolean `--flag` arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {Object.<string, string|boolean>} The parsed flags.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const [key, inlineValue] = argv[i].slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args[key] = inlineValue;
+    } else if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      args[key] = argv[++i];
+    } else {
+      args[key] = true;
+    }
+  }
+  return args;
 }
 
-// Initialize Firebase
-admin.initializeApp({ 
-  projectId: process.env.VITE_FIREBASE_PROJECT_ID,
-  credential: admin.credential.cert({
-    projectId: process.env.VITE_FIREBASE_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_ADMIN_CLIENT_EMAIL,
-    privateKey: process.env.FIREBASE_ADMIN_PRIVATE_KEY.replace(/\\n/g, '\n')
-  })
-});
+/**
+ * Works out how many documents to create per collection.
+ * @param {Object[]} collections - Collections from the schema.
+ * @param {string|undefined} countArg - Value of --count: a number, or `name=number` pairs.
+ * @returns {Object.<string, number>} Collection names mapped to document counts.
+ */
+function resolveCounts(collections, countArg) {
+  const overrides = {};
+  let globalCount;
+  if (typeof countArg === 'string') {
+    for (const part of countArg.split(',')) {
+      const [name, value] = part.includes('=') ? part.split('=') : [null, part];
+      const count = Number(value);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Invalid --count value "${part}". Use --count 20 or --count users=50,products=10.`);
+      }
+      if (name) overrides[name.trim()] = count;
+      else globalCount = count;
+    }
+  }
+  return Object.fromEntries(collections.map(({ name, seedCount }) =>
+    [name, overrides[name] ?? globalCount ?? seedCount ?? DEFAULT_COUNT]));
+}
 
-const db = admin.firestore();
+/**
+ * Converts a collection name the way the generated store does (e.g. "order-items" -> "orderItems").
+ * @param {string} str - Collection name from the schema.
+ * @returns {string} The Firestore collection name.
+ */
+const toCamelCase = (str) => str.trim().toLowerCase().split(/[-\s_]+/).map((w, i) => i === 0 ? w : w.charAt(0).toUpperCase() + w.slice(1)).join('');
 
-if (process.env.VITE_FIREBASE_EMULATOR === 'true') {
-  db.settings({
-    host: "localhost:8080",
-    ssl: false
-  });
-}
+/**
+ * Expands a field definition (type name or descriptor) like the generators do.
+ * @param {string|Object} definition - Field definition from the schema.
+ * @returns {Object} A descriptor with `type` and `required`.
+ */
+const normalizeField = (definition) => typeof definition === 'string'
+  ? { type: definition, required: true }
+  : { required: true, ...definition, ...(definition.collection && { collection: toCamelCase(definition.collection) }) };
+
+/** String generators picked by field name, first match wins. */
+const STRING_GENERATORS = [
+  [/^(display|full)?name$/i, () => faker.person.fullName()],
+  [/first.?name/i, () => faker.person.firstName()],
+  [/last.?name/i, () => faker.person.lastName()],
+  [/user.?name|handle/i, () => faker.internet.username()],
+  [/title|subject|headline/i, () => faker.lorem.sentence({ min: 2, max: 5 }).replace(/\.$/, '')],
+  [/desc|body|content|bio|about|message|comment|note|summary/i, () => faker.lorem.paragraph()],
+  [/photo|avatar|image|picture|logo/i, () => faker.image.avatar()],
+  [/url|website|link/i, () => faker.internet.url()],
+  [/city/i, () => faker.location.city()],
+  [/country/i, () => faker.location.country()],
+  [/address|street/i, () => faker.location.streetAddress()],
+  [/zip|postal/i, () => faker.location.zipCode()],
+  [/company|brand/i, () => faker.company.name()],
+  [/colou?r/i, () => faker.color.human()],
+  [/slug/i, () => faker.lorem.slug()],
+  [/product|item/i, () => faker.commerce.productName()]
+];
 
-// Configuration - WILL BE INJECTED BY CLI
-const SEED_CONFIG = {
-  users: 200,
-  locations: 14,
-  products: 40,
-  chats: 30,
-  messagesPerChat: { min: 3, max: 15 },
-  reviews: 25,
-  reports: 100,
-  favorites: 60,
-  recommendations: 100
+/**
+ * Fits generated text to the min/max length of a field.
+ * @param {string} text - Generated text.
+ * @param {Object} field - Normalized field.
+ * @returns {string} Text of a valid length.
+ */
+const fitLength = (text, field) => {
+  const padded = field.min !== undefined && text.length < field.min
+    ? text + faker.string.alpha(field.min - text.length)
+    : text;
+  return field.max !== undefined ? padded.slice(0, field.max) : padded;
 };
 
-// ... (rest of the original seeder code remains unchanged)
+/**
+ * Prepares a field pattern for faker.helpers.fromRegExp, which knows neither anchors nor
+ * the \d, \w and \s shorthand classes.
+ * @param {string} pattern - Regular expression source from the schema.
+ * @returns {string} An equivalent pattern faker can generate from.
+ */
+const toFakerPattern = (pattern) => pattern
+  .replace(/^\^|\$$/g, '')
+  .replace(/\\d/g, '[0-9]')
+  .replace(/\\w/g, '[a-zA-Z0-9_]')
+  .replace(/\\s/g, ' ');
 
-// Only seed requested collections
-const seedCollections = ['users', 'products']; // WILL BE INJECTED BY CLI
+/**
+ * Picks the number of items for array and references fields.
+ * @param {Object} field - Normalized field.
+ * @param {number} available - Upper bound, e.g. the number of referenceable IDs.
+ * @returns {number} An item count within the field's min/max.
+ */
+const itemCount = (field, available = Infinity) => Math.min(
+  faker.number.int({ min: field.min ?? 1, max: Math.max(field.max ?? 3, field.min ?? 1) }),
+  available
+);
 
-async function seedDatabase() {
-  try {
-    console.log('Starting database seeding for collections:', seedCollections.join(', '));
-    
-    let locations = [];
-    if (seedCollections.includes('locations')) {
-      locations = await seedLocations();
-    } else {
-      console.log('Skipping locations seeding');
+/** Upload limits of file fields that do not declare `accept` and `maxSize` (in MB), as in the generator. */
+const FILE_DEFAULTS = {
+  file: { accept: [], maxSize: 10 },
+  image: { accept: ['image/*'], maxSize: 5 },
+  files: { accept: [], maxSize: 10 }
+};
+
+/** Content types placeholder files may have, with their extension. A wildcard picks the first of its kind. */
+const PLACEHOLDER_TYPES = [
+  ['image/jpeg', 'jpg'], ['image/png', 'png'], ['image/webp', 'webp'], ['image/gif', 'gif'], ['image/svg+xml', 'svg'],
+  ['application/pdf', 'pdf'], ['application/json', 'json'], ['application/zip', 'zip'],
+  ['text/plain', 'txt'], ['text/csv', 'csv'], ['video/mp4', 'mp4'], ['audio/mpeg', 'mp3']
+];
+
+/**
+ * Picks a content type a file field accepts.
+ * @param {string[]} accept - MIME types of the field, possibly with wildcards (`image/*`). Empty for any.
+ * @returns {{contentType: string, extension: string}}
+ */
+const placeholderType = (accept) => {
+  const pattern = accept.length > 0 ? faker.helpers.arrayElement(accept) : 'image/*';
+  const [family, subtype] = pattern.split('/');
+  const known = PLACEHOLDER_TYPES.find(([type]) => (subtype === '*' ? type.startsWith(`${family}/`) : type === pattern));
+  if (known) return { contentType: known[0], extension: known[1] };
+  return { contentType: subtype === '*' ? `${family}/octet-stream` : pattern, extension: 'bin' };
+};
+
+/**
+ * Builds a stored file shaped like the uploads of FileUpload.vue, of a type the field accepts and
+ * within its size limit. Images point at a placeholder image; nothing is uploaded, and deleting the
+ * document skips the missing object.
+ * @param {string} folder - Storage folder of the field, `<collection>/<field>`.
+ * @param {Object} field - Normalized file, image or files field.
+ * @returns {{url: string, path: string, name: string, size: number, contentType: string}}
+ */
+const placeholderFile = (folder, field) => {
+  const accept = field.accept || FILE_DEFAULTS[field.type].accept;
+  const maxBytes = Math.floor((field.maxSize ?? FILE_DEFAULTS[field.type].maxSize) * 1024 * 1024);
+  const { contentType, extension } = placeholderType(accept);
+  const name = faker.system.commonFileName(extension);
+  const url = contentType.startsWith('image/') && contentType !== 'image/svg+xml'
+    ? faker.image.url()
+    : `${faker.internet.url({ appendSlash: true })}${name}`;
+  const size = faker.number.int({ min: Math.min(10000, maxBytes), max: Math.min(500000, maxBytes) });
+  return { url, path: `${folder}/seed-${faker.string.uuid()}-${name}`, name, size, contentType };
+};
+
+/**
+ * Generates a value for a field.
+ * @param {string} fieldName - Name of the field, used to pick realistic strings.
+ * @param {Object} field - Normalized field.
+ * @param {Object.<string, string[]>} ids - Document IDs available per collection, for references.
+ * @param {string} folder - Storage folder of the field, for file fields.
+ * @returns {*} The value, or undefined to leave the field out.
+ */
+function generateValue(fieldName, field, ids, folder) {
+  if (field.enum) return faker.helpers.arrayElement(field.enum);
+
+  switch (field.type) {
+    case 'number': {
+      if (/price|amount|total|cost/i.test(fieldName)) {
+        return Number(faker.commerce.price({ min: field.min ?? 1, max: field.max ?? 500 }));
+      }
+      return faker.number.int({ min: field.min ?? 0, max: field.max ?? Math.max(1000, field.min ?? 0) });
     }
-    
-    let userRefs = [];
-    if (seedCollections.includes('users')) {
-      userRefs = await seedUsers(locations);
-    } else {
-      console.log('Skipping users seeding');
+    case 'boolean':
+      return faker.datatype.boolean();
+    case 'email':
+      return faker.internet.email().toLowerCase();
+    case 'tel':
+      return faker.phone.number({ style: 'international' });
+    case 'timestamp':
+      return faker.date.recent({ days: 90 });
+    case 'array':
+      return Array.from({ length: itemCount(field) }, () => faker.lorem.word());
+    case 'object':
+      return {};
+    case 'reference': {
+      const targets = ids[field.collection] || [];
+      return targets.length > 0 ? faker.helpers.arrayElement(targets) : undefined;
+    }
+    case 'references': {
+      const targets = ids[field.collection] || [];
+      return faker.helpers.arrayElements(targets, itemCount(field, targets.length));
     }
-    
-    let productRefs = [];
-    if (seedCollections.includes('products')) {
-      if (userRefs.length > 0 && locations.length > 0) {
-        productRefs = await seedProducts(userRefs, locations);
-      } else {
-        console.log('Skipping products - missing dependencies');
+    case 'file':
+    case 'image':
+      return placeholderFile(folder, field);
+    case 'files':
+      return Array.from({ length: itemCount(field) }, () => placeholderFile(folder, field));
+    default: {
+      if (field.pattern) {
+        return faker.helpers.fromRegExp(toFakerPattern(field.pattern));
       }
-    } else {
-      console.log('Skipping products seeding');
+      const [, generate] = STRING_GENERATORS.find(([pattern]) => pattern.test(fieldName)) || [null, () => faker.lorem.words({ min: 1, max: 3 })];
+      return fitLength(generate(), field);
+    }
+  }
+}
+
+/** Field types searched by default (unless they declare an enum) when a collection does not declare `searchable`. */
+const TEXT_TYPES = ['string', 'email', 'tel'];
+
+/**
+ * Builds the `searchKeywords` of a document like the store's add() does: every prefix (up to
+ * 20 characters) of every lowercase, accent-free word of the searchable fields, at most 500.
+ * Mirrors buildSearchKeywords in src/stores/<store>/search.js.
+ * @param {Object} data - Document data.
+ * @param {string[]} fields - Searchable fields.
+ * @returns {string[]} The keywords.
+ */
+function buildSearchKeywords(data, fields) {
+  const tokenize = (value) => {
+    if (Array.isArray(value)) return value.flatMap(tokenize);
+    if (value === undefined || value === null || typeof value === 'object') return [];
+    return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  };
+  const keywords = new Set();
+  for (const word of fields.flatMap(field => tokenize(data[field]))) {
+    for (let length = 1; length <= Math.min(word.length, 20); length++) keywords.add(word.slice(0, length));
+    if (keywords.size >= 500) break;
+  }
+  return [...keywords].slice(0, 500);
+}
+
+/**
+ * Generates the documents of a collection.
+ * @param {Object} collection - Collection from the schema.
+ * @param {string[]} docIds - IDs allocated for the collection's documents.
+ * @param {Object.<string, string[]>} ids - Document IDs available per collection, for references.
+ * @returns {Object[]} Documents, each with its `id`.
+ */
+function generateDocuments(collection, docIds, ids) {
+  const fields = Object.entries(collection.fields).map(([name, definition]) => [name, normalizeField(definition)]);
+  const searchable = Array.isArray(collection.searchable)
+    ? collection.searchable
+    : fields.filter(([, field]) => TEXT_TYPES.includes(field.type) && !field.enum).map(([name]) => name);
+
+  return docIds.map(id => {
+    // Audit fields like the store's add(); lists are sorted by createdAt by default
+    const createdAt = faker.date.recent({ days: 90 });
+    const data = { id, createdAt, createdBy: null, updatedAt: createdAt, updatedBy: null };
+    // Soft-delete collections only list documents whose deletedAt is null
+    if (collection.softDelete) data.deletedAt = null;
+    for (const [name, field] of fields) {
+      if (!field.required && !faker.datatype.boolean({ probability: OPTIONAL_FIELD_PROBABILITY })) continue;
+      const value = generateValue(name, field, ids, `${toCamelCase(collection.name)}/${name}`);
+      if (value !== undefined) data[name] = value;
+    }
+    if (searchable.length > 0) data.searchKeywords = buildSearchKeywords(data, searchable);
+    return data;
+  });
+}
+
+/**
+ * Connects to Firestore with the Admin SDK, using the emulators when requested.
+ * @param {boolean} useEmulator - Whether to talk to the Local Emulator Suite.
+ * @returns {Promise<import('firebase-admin/firestore').Firestore>} The Firestore instance.
+ */
+async function connectFirestore(useEmulator) {
+  const { default: admin } = await import('firebase-admin');
+
+  if (useEmulator) {
+    process.env.FIREBASE_AUTH_EMULATOR_HOST ||= 'localhost:9099';
+    process.env.FIRESTORE_EMULATOR_HOST ||= 'localhost:8080';
+    console.log('🔥 Using Firebase emulators');
+    admin.initializeApp({ projectId: process.env.VITE_FIREBASE_PROJECT_ID });
+  } else {
+    admin.initializeApp({
+      projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+      credential: admin.credential.cert({
+        projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+        clientEmail: process.env.FIREBASE_ADMIN_CLIENT_EMAIL,
+        privateKey: (process.env.FIREBASE_ADMIN_PRIVATE_KEY || '').replace(/\\n/g, '\n')
+      })
+    });
+  }
+
+  return admin.firestore();
+}
+
+/**
+ * Loads IDs of existing documents, so references to collections that are not seeded still resolve.
+ * @param {import('firebase-admin/firestore').Firestore} db - Firestore instance.
+ * @param {string} collectionName - Collection to read.
+ * @returns {Promise<string[]>} Up to EXISTING_ID_LIMIT document IDs.
+ */
+async function loadExistingIds(db, collectionName) {
+  const snapshot = await db.collection(collectionName).select().limit(EXISTING_ID_LIMIT).get();
+  return snapshot.docs.map(doc => doc.id);
+}
+
+/**
+ * Writes documents in batches.
+ * @param {import('firebase-admin/firestore').Firestore} db - Firestore instance.
+ * @param {string} collectionName - Target collection.
+ * @param {Object[]} documents - Documents, each with its `id`.
+ * @returns {Promise<void>}
+ */
+async function writeDocuments(db, collectionName, documents) {
+  for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    for (const { id, ...data } of documents.slice(i, i + BATCH_SIZE)) {
+      batch.set(db.collection(collectionName).doc(id), data);
     }
-    
-    if (seedCollections.includes('chats')) {
-      if (userRefs.length > 0 && productRefs.length > 0) {
-        await seedChats(userRefs, productRefs);
-      } else {
-        console.log('Skipping chats - missing dependencies');
+    await batch.commit();
+  }
+}
+
+/**
+ * Writes documents to a fixture file named after the collection.
+ * Dates are stored as ISO strings; the import turns `timestamp` fields back into dates.
+ * @param {string} dir - Fixture directory.
+ * @param {string} collectionName - Collection the documents belong to.
+ * @param {Object[]} documents - Documents, each with its `id`.
+ * @param {string} format - `json` or `ndjson`.
+ * @returns {string} Path of the written file.
+ */
+function writeFixture(dir, collectionName, documents, format) {
+  const filePath = path.join(dir, `${collectionName}.${format}`);
+  const content = format === 'ndjson'
+    ? documents.map(doc => JSON.stringify(doc)).join('\n') + (documents.length > 0 ? '\n' : '')
+    : JSON.stringify(documents, null, 2) + '\n';
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Reads the fixture files of a directory.
+ * @param {string} dir - Fixture directory, as written by --out.
+ * @returns {Array<[string, Object[]]>} Collection names (from the file names) with their documents.
+ */
+function readFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(file => FIXTURE_FORMATS.includes(path.extname(file).slice(1)))
+    .sort()
+    .map(file => {
+      const content = fs.readFileSync(path.join(dir, file), 'utf8');
+      const documents = file.endsWith('.ndjson')
+        ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+        : JSON.parse(content);
+      if (!Array.isArray(documents) || documents.some(doc => typeof doc?.id !== 'string')) {
+        throw new Error(`${file} must contain documents with a string "id".`);
       }
+      return [path.basename(file, path.extname(file)), documents];
+    });
+}
+
+/**
+ * Turns the ISO strings of timestamps back into dates, so they are stored as Firestore Timestamps:
+ * the `timestamp` fields, the audit fields the store stamps (createdAt, updatedAt), deletedAt in
+ * soft-delete collections and versionedAt in versioned ones.
+ * @param {Object[]} documents - Documents read from a fixture.
+ * @param {Object|undefined} collection - The collection's schema, if it is still declared.
+ * @returns {Object[]} The documents with dates restored.
+ */
+function reviveTimestamps(documents, collection) {
+  if (!collection) return documents;
+  const timestampFields = [
+    'createdAt',
+    'updatedAt',
+    ...(collection.softDelete ? ['deletedAt'] : []),
+    ...(collection.versioned ? ['versionedAt'] : []),
+    ...Object.entries(collection.fields || {})
+      .filter(([, definition]) => normalizeField(definition).type === 'timestamp')
+      .map(([name]) => name)
+  ];
+
+  return documents.map(doc => {
+    const revived = { ...doc };
+    for (const name of timestampFields) {
+      if (typeof revived[name] === 'string' && !Number.isNaN(Date.parse(revived[name]))) {
+        revived[name] = new Date(revived[name]);
+      }
+    }
+    return revived;
+  });
+}
+
+/**
+ * Loads fixture files into Firestore, keeping their document IDs so references stay intact.
+ * @param {string} dir - Fixture directory.
+ * @param {Object[]} collections - Collections from the schema.
+ * @param {boolean} useEmulator - Whether to talk to the Local Emulator Suite.
+ * @returns {Promise<void>}
+ */
+async function importFixtures(dir, collections, useEmulator) {
+  if (!fs.existsSync(dir)) throw new Error(`Fixture directory "${dir}" does not exist.`);
+  const fixtures = readFixtures(dir);
+  if (fixtures.length === 0) throw new Error(`No .json or .ndjson fixtures found in "${dir}".`);
+
+  const db = await connectFirestore(useEmulator);
+  for (const [collectionName, documents] of fixtures) {
+    const collection = collections.find(({ name }) => name === collectionName);
+    if (!collection) console.warn(`  ! ${collectionName} is not in the schema; importing it as-is`);
+    await writeDocuments(db, collectionName, reviveTimestamps(documents, collection));
+    console.log(`  ✓ ${collectionName}: ${documents.length} documents`);
+  }
+
+  console.log(`✅ Imported ${fixtures.length} fixture files from ${path.relative(process.cwd(), dir) || '.'}.`);
+}
+
+async function seedDatabase() {
+  const args = parseArgs(process.argv.slice(2));
+  const useEmulator = Boolean(args.emulator) || process.env.VITE_FIREBASE_EMULATOR === 'true';
+
+  // Load environment variables (.env.emulator wins when seeding the emulators)
+  if (useEmulator) {
+    dotenv.config({ path: path.resolve(process.cwd(), '.env.emulator'), quiet: true });
+  }
+  dotenv.config({ path: path.resolve(process.cwd(), '.env'), quiet: true });
+
+  const configPath = path.resolve(process.cwd(), typeof args.config === 'string' ? args.config : CONFIG_FILE);
+  const collections = JSON.parse(fs.readFileSync(configPath, 'utf8')).collections
+    .map(collection => ({ ...collection, name: toCamelCase(collection.name) }));
+
+  if (args.import !== undefined) {
+    await importFixtures(path.resolve(process.cwd(), typeof args.import === 'string' ? args.import : 'fixtures'), collections, useEmulator);
+    return;
+  }
+
+  const outDir = args.out !== undefined ? path.resolve(process.cwd(), typeof args.out === 'string' ? args.out : 'fixtures') : null;
+  const format = typeof args.format === 'string' ? args.format : 'json';
+  if (!FIXTURE_FORMATS.includes(format)) {
+    throw new Error(`Invalid --format value "${args.format}". Use ${FIXTURE_FORMATS.join(' or ')}.`);
+  }
+  const dryRun = Boolean(args['dry-run']);
+  const counts = resolveCounts(collections, args.count);
+
+  const seed = args.seed !== undefined ? Number(args.seed) : Math.floor(Math.random() * 1e9);
+  if (!Number.isInteger(seed)) throw new Error(`Invalid --seed value "${args.seed}". Use an integer.`);
+  faker.seed(seed);
+  if (args.seed !== undefined) {
+    // Dates are generated relative to a fixed day, so a given seed always yields the same data
+    faker.setDefaultRefDate(FIXED_REF_DATE);
+  }
+
+  // Allocate every ID up front, so references between seeded collections resolve in any order
+  const ids = Object.fromEntries(collections.map(({ name }) =>
+    [name, Array.from({ length: counts[name] }, () => faker.string.alphanumeric(20))]));
+
+  // Fixtures and dry runs never touch Firestore, so references only resolve within the run
+  const db = outDir || dryRun ? null : await connectFirestore(useEmulator);
+  if (db) {
+    const referenced = new Set(collections.flatMap(({ fields }) => Object.values(fields)
+      .map(normalizeField).filter(field => field.collection).map(field => field.collection)));
+    for (const name of referenced) {
+      if (!ids[name] || ids[name].length === 0) ids[name] = await loadExistingIds(db, name);
+    }
+  }
+  if (outDir && !dryRun) fs.mkdirSync(outDir, { recursive: true });
+
+  const action = dryRun ? 'Generating (dry run)' : outDir ? `Writing ${format} fixtures for` : 'Seeding';
+  console.log(`${action} ${collections.map(({ name }) => `${counts[name]} ${name}`).join(', ')} (seed ${seed})`);
+
+  for (const collection of collections) {
+    if (counts[collection.name] === 0) continue;
+    const documents = generateDocuments(collection, ids[collection.name].slice(0, counts[collection.name]), ids);
+    if (dryRun) {
+      console.log(`  · ${collection.name}: ${documents.length} documents, e.g. ${JSON.stringify(documents[0])}`);
+    } else if (outDir) {
+      const filePath = writeFixture(outDir, collection.name, documents, format);
+      console.log(`  ✓ ${collection.name}: ${documents.length} documents -> ${path.relative(process.cwd(), filePath)}`);
     } else {
-      console.log('Skipping chats seeding');
+      await writeDocuments(db, collection.name, documents);
+      console.log(`  ✓ ${collection.name}: ${documents.length} documents`);
     }
-    
-    // ... similar checks for other collections
-    
-    console.log('✅ Database seeding completed successfully!');
-  } catch (error) {
-    console.error('❌ Database seeding failed:', error);
-    process.exit(1);
+  }
+
+  if (dryRun) {
+    console.log(`✅ Dry run completed, nothing was written. Re-run with --seed ${seed} to get the same data.`);
+  } else if (outDir) {
+    console.log(`✅ Fixtures written to ${path.relative(process.cwd(), outDir) || '.'}. Load them with: node seed.js --import ${path.relative(process.cwd(), outDir) || '.'}`);
+  } else {
+    console.log(`✅ Database seeding completed. Re-run with --seed ${seed} to get the same data.`);
   }
 }
 
-// Run the seeder
-seedDatabase();
\ No newline at end of file
+seedDatabase().catch(error => {
+  console.error('❌ Database seeding failed:', error.message);
+  process.exit(1);
+});
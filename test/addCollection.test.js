@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import generateStore from '../lib/generateStore.js';
+import generateRouter from '../lib/generateRouter.js';
+import { generateModel } from '../lib/generators/generateModel.js';
+import { stringifyProjectConfig } from '../lib/projectConfig.js';
+import { configureGeneration, readGeneratedFile, readManifest, writeGeneratedFile } from '../lib/manifest.js';
+
+const answers = {
+  projectName: 'shop',
+  collections: [{ name: 'products', fields: { title: 'string' } }],
+  enableLanding: true
+};
+
+let dir;
+const cwd = process.cwd();
+const log = console.log;
+
+const read = (filePath) => fs.readFile(path.join(dir, filePath), 'utf8');
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-add-'));
+  process.chdir(dir);
+  console.log = () => {};
+  await fs.writeJson('package.json', { name: 'shop' });
+  // As scaffolded: the schema and the guide are tracked in the manifest
+  configureGeneration();
+  writeGeneratedFile('totistack.config.json', stringifyProjectConfig('totistack.config.json', answers));
+  writeGeneratedFile('STORE_GUIDE.md', '# Store guide\n\n## Generated Collections\n- **products**\n');
+  await fs.writeFile('STORE_GUIDE.md', '# Store guide\nEdited by hand.\n\n## Generated Collections\n- **products**\n');
+  await generateStore({ collections: answers.collections });
+  await generateRouter(answers);
+
+  configureGeneration();
+  await generateModel({ name: 'orders', fields: { quantity: 'number', note: 'string' } });
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+test('the new collection gets an action module and a validator', async () => {
+  assert.match(await read('src/stores/appStore/actions/orders.js'), /orders/);
+  assert.ok(await fs.pathExists(path.join(dir, 'src/validators/validateOrders.js')));
+});
+
+test('the new collection is registered in the store state and index', async () => {
+  assert.match(await read('src/stores/appStore/state.js'), /orders/);
+  assert.match(await read('src/stores/appStore/index.js'), /orders/);
+});
+
+test('its routes go before the fallback route', async () => {
+  const router = await read('src/router/index.js');
+
+  assert.ok(router.includes('"path": "/orders/create"'));
+  assert.ok(router.indexOf('"path": "/orders/create"') < router.indexOf('"path": "/:pathMatch(.*)*"'));
+});
+
+test('the store guide and the project schema list the new collection', async () => {
+  assert.match(await read('STORE_GUIDE.md'), /- \*\*orders\*\*\n {2}Fields:\n {4}- quantity: `number`/);
+  const config = await fs.readJson(path.join(dir, 'totistack.config.json'));
+  assert.deepEqual(config.collections.map(collection => collection.name), ['products', 'orders']);
+});
+
+test('the security rules cover the new collection', async () => {
+  assert.match(await read('firestore.rules'), /match \/orders\/\{docId\}/);
+  assert.match(await read('storage.rules'), /service firebase\.storage/);
+});
+
+test('the guide and schema updates go through the manifest, keeping hand edits', async () => {
+  assert.match(await read('STORE_GUIDE.md'), /^# Store guide\nEdited by hand\.\n[^]*- \*\*orders\*\*/);
+  assert.doesNotMatch(readGeneratedFile(path.join(dir, 'STORE_GUIDE.md')), /Edited by hand/);
+  assert.ok(readManifest().files['totistack.config.json']);
+});
+
+test('adding an existing collection fails', async () => {
+  await assert.rejects(generateModel({ name: 'orders', fields: { quantity: 'number' } }), /already exists/);
+});
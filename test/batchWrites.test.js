@@ -0,0 +1,83 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateProject } from './support/generateProject.js';
+import { committedBatches, documents, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'products', fields: { title: { type: 'string', min: 3 }, stock: { type: 'number', min: 0 } } }
+];
+
+let project;
+let store;
+
+const titles = () => store.products.value.items.map(item => item.title);
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(async () => {
+  resetFirebase();
+  documents.set('products/p1', { title: 'Lamp', stock: 2 });
+  await store.fetchInitialPageProducts({ filters: {} });
+  store.error.value = null;
+});
+
+test('addMany writes in batches of up to 500 documents', async () => {
+  const list = Array.from({ length: 501 }, (_, i) => ({ title: `Item ${i}`, stock: i }));
+
+  const ids = await store.addManyProducts(list);
+
+  assert.equal(ids.length, 501);
+  assert.deepEqual(committedBatches, [500, 1]);
+  assert.equal(documents.get(`products/${ids[500]}`).title, 'Item 500');
+  assert.equal(store.products.value.items.length, 502);
+});
+
+test('an invalid document stops the whole call before anything is written', async () => {
+  const error = await store.addManyProducts([{ title: 'Pen', stock: 1 }, { title: 'In', stock: 1 }]).catch(error => error);
+
+  assert.equal(error.name, 'ValidationError');
+  assert.equal(error.index, 1);
+  assert.deepEqual(error.errors, { title: 'title must be at least 3 characters.' });
+  assert.equal(documents.size, 1);
+  assert.deepEqual(committedBatches, []);
+});
+
+test('updateMany and deleteMany change the items with the documents', async () => {
+  documents.set('products/p2', { title: 'Desk', stock: 1 });
+  await store.fetchInitialPageProducts({ filters: {} });
+
+  await store.updateManyProducts([{ id: 'p1', data: { stock: 5 } }, { id: 'p2', data: { stock: 6 } }]);
+  assert.deepEqual([documents.get('products/p1').stock, documents.get('products/p2').stock], [5, 6]);
+
+  await store.deleteManyProducts(['p1', 'p2']);
+  assert.equal(documents.size, 0);
+  assert.deepEqual(titles(), []);
+});
+
+test('a failed batch is rolled back in the items', async () => {
+  await assert.rejects(store.updateManyProducts([{ id: 'p1', data: { stock: 5 } }, { id: 'gone', data: { stock: 1 } }]), /No document to update/);
+
+  assert.equal(store.products.value.items[0].stock, 2);
+  assert.equal(documents.get('products/p1').stock, 2);
+  assert.match(store.error.value, /No document to update/);
+});
+
+test('runTransaction gets a reference helper for the collection', async () => {
+  const left = await store.runProductsTransaction(async (transaction, ref) => {
+    const stock = (await transaction.get(ref('p1'))).data().stock - 1;
+    await transaction.update(ref('p1'), { stock });
+    return stock;
+  });
+
+  assert.equal(left, 1);
+  assert.equal(documents.get('products/p1').stock, 1);
+});
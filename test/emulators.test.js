@@ -0,0 +1,71 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import generateFirebaseConfig, { getEmulatorProjectId, EMULATOR_PORTS } from '../lib/generateFirebaseConfig.js';
+import generateFirebaseApp from '../lib/generateFirebaseApp.js';
+import generateFirestoreRules from '../lib/generateFirestoreRules.js';
+import generateStorageRules from '../lib/generateStorageRules.js';
+import { configureGeneration } from '../lib/manifest.js';
+
+let dir;
+const cwd = process.cwd();
+const log = console.log;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-emulators-'));
+  process.chdir(dir);
+  console.log = () => {};
+  await fs.writeJson('package.json', { name: 'my-shop', scripts: {} });
+  configureGeneration();
+  const answers = { projectName: 'My Shop', collections: [{ name: 'products', fields: { title: 'string' } }] };
+  await generateFirestoreRules(answers);
+  await generateStorageRules(answers);
+  await generateFirebaseConfig(answers);
+  await generateFirebaseApp();
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+test('the emulator project ID is a demo- ID derived from the project name', () => {
+  assert.equal(getEmulatorProjectId('My Shop!'), 'demo-my-shop');
+  assert.equal(getEmulatorProjectId('---'), 'demo-app');
+  assert.equal(getEmulatorProjectId(), 'demo-app');
+});
+
+test('firebase.json configures every emulator', async () => {
+  const { emulators } = await fs.readJson('firebase.json');
+
+  assert.equal(emulators.firestore.port, EMULATOR_PORTS.firestore);
+  assert.equal(emulators.auth.port, EMULATOR_PORTS.auth);
+  assert.deepEqual(emulators.ui, { enabled: true, port: EMULATOR_PORTS.ui });
+  assert.ok(await fs.pathExists('storage.rules'));
+});
+
+test('the app, the scripts and the rules tests share one project ID', async () => {
+  const env = await fs.readFile('.env.emulator', 'utf8');
+  const { scripts } = await fs.readJson('package.json');
+
+  assert.match(env, /^VITE_FIREBASE_EMULATOR=true$/m);
+  assert.match(env, /^VITE_FIREBASE_PROJECT_ID=demo-my-shop$/m);
+  assert.match(await fs.readFile('scripts/emulators.js', 'utf8'), /'--project', 'demo-my-shop'/);
+  assert.match(scripts['emulators:export'], /--project demo-my-shop$/);
+  assert.match(scripts['test:rules'], /--project demo-my-shop /);
+  assert.match(await fs.readFile('tests/rules/firestore.rules.test.js', 'utf8'), /projectId: 'demo-my-shop'/);
+  assert.equal(scripts['dev:emulators'], 'vite --mode emulator');
+});
+
+test('@/firebase connects to the emulators when the flag is set', async () => {
+  const app = await fs.readFile('src/firebase.js', 'utf8');
+
+  assert.match(app, /export const usingEmulators = import\.meta\.env\.VITE_FIREBASE_EMULATOR === 'true';/);
+  assert.match(app, /connectFirestoreEmulator\(db, host, 8080\);/);
+  assert.match(app, /connectStorageEmulator\(storage, host, 9199\);/);
+  assert.equal(spawnSync(process.execPath, ['--check', 'scripts/emulators.js']).status, 0);
+});
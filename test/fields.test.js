@@ -0,0 +1,99 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { normalizeField, validateFieldDefinition, describeField } from '../lib/helper/fields.js';
+import { generateValidationModule } from '../lib/helper/generateValidationModule.js';
+import { generateFormComponents } from '../lib/helper/generateFormComponents.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { registeredEmails, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const products = {
+  name: 'products',
+  fields: {
+    title: { type: 'string', min: 3, max: 20, label: 'Title' },
+    sku: { type: 'string', pattern: '^[A-Z]{3}-\\d+$' },
+    status: { type: 'string', enum: ['draft', 'live'], default: 'draft' },
+    price: { type: 'number', min: 0 },
+    tags: { type: 'array', required: false, max: 2 },
+    contact: 'email'
+  }
+};
+
+let dir;
+let validateProducts;
+const cwd = process.cwd();
+const log = console.log;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-fields-'));
+  process.chdir(dir);
+  console.log = () => {};
+  configureGeneration();
+  await generateValidationModule('src/stores/appStore', products);
+  await generateFormComponents([products]);
+  ({ validateProducts } = await import(pathToFileURL(path.join(dir, 'src/validators/validateProducts.js')).href));
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+beforeEach(() => resetFirebase());
+
+const validProduct = { title: 'Lamp', sku: 'LMP-1', status: 'live', price: 12, contact: 'shop@example.com' };
+
+test('a type name is shorthand for a required field', () => {
+  assert.deepEqual(normalizeField('title', 'string'), { type: 'string', name: 'title', required: true, label: 'title' });
+  assert.deepEqual(normalizeField('tags', { type: 'array', required: false }), { type: 'array', name: 'tags', required: false, label: 'tags' });
+});
+
+test('invalid descriptors are reported', () => {
+  assert.deepEqual(validateFieldDefinition({ type: 'boolean', min: 1, enum: [true], size: 2 }, 'fields.flag'), [
+    'fields.flag has unknown option "size".',
+    'fields.flag.min/max are not supported for "boolean" fields.',
+    'fields.flag.enum is only supported for string and number fields.'
+  ]);
+  assert.deepEqual(validateFieldDefinition({ type: 'string', enum: ['a'], default: 'b', pattern: '(' }, 'fields.code'), [
+    'fields.code.pattern is not a valid regular expression: Invalid regular expression: /(/: Unterminated group',
+    'fields.code.default must be one of the enum values.'
+  ]);
+  assert.deepEqual(validateFieldDefinition(products.fields.title, 'fields.title'), []);
+});
+
+test('the docs describe the descriptor', () => {
+  assert.equal(describeField(products.fields.status), '`string`, one of `draft`, `live`, default `"draft"`');
+  assert.equal(describeField(products.fields.tags), '`array`, optional, max 2');
+});
+
+test('the generated validator enforces the descriptor rules', async () => {
+  assert.deepEqual(await validateProducts(validProduct), {});
+  assert.deepEqual(await validateProducts({ ...validProduct, title: 'La', sku: 'lamp', status: 'sold', price: -1, tags: ['a', 'b', 'c'] }), {
+    title: 'Title must be at least 3 characters.',
+    sku: 'sku has an invalid format.',
+    status: 'status must be one of: draft, live.',
+    price: 'price must be at least 0.',
+    tags: 'tags must be at most 2 items.'
+  });
+  assert.deepEqual(await validateProducts({ ...validProduct, title: undefined, tags: undefined }), { title: 'Title is required.' });
+});
+
+test('the generated validator rejects emails that already have an account', async () => {
+  registeredEmails.add('shop@example.com');
+
+  assert.deepEqual(await validateProducts(validProduct), { contact: 'The email address is already in use.' });
+});
+
+test('forms render enums as a select and start from the defaults', async () => {
+  const createView = await fs.readFile(path.join(dir, 'src/views/products/Create.vue'), 'utf8');
+
+  assert.match(createView, /<select id="status"[^]*<option value="draft">/);
+  assert.match(createView, /status: "draft"/);
+});
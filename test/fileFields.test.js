@@ -0,0 +1,119 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { validateFieldDefinition, getFileFields } from '../lib/helper/fields.js';
+import { buildStorageRules } from '../lib/generateStorageRules.js';
+import { generateSeeder } from '../lib/runSeeder.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase, storedFiles } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const storedFile = (filePath) => ({ url: `https://files.test/${filePath}`, path: filePath, name: path.basename(filePath), size: 1024, contentType: 'image/png' });
+
+const collections = [
+  { name: 'users', fields: { email: 'email' } },
+  {
+    name: 'products',
+    fields: {
+      title: 'string',
+      photo: { type: 'image', maxSize: 2 },
+      manuals: { type: 'files', required: false, accept: ['application/pdf'], max: 3 }
+    }
+  },
+  { name: 'posts', fields: { title: 'string', cover: 'image' }, softDelete: true }
+];
+
+let project;
+let store;
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(async () => {
+  resetFirebase();
+  store.currentUser.value = { uid: 'uid-1', roles: [] };
+  store.error.value = null;
+  for (const filePath of ['products/photo/lamp.png', 'products/manuals/lamp.pdf', 'products/photo/desk.png', 'posts/cover/hello.png']) {
+    storedFiles.add(filePath);
+  }
+  documents.set('products/p1', { title: 'Lamp', photo: storedFile('products/photo/lamp.png'), manuals: [storedFile('products/manuals/lamp.pdf')] });
+  documents.set('products/p2', { title: 'Desk', photo: storedFile('products/photo/desk.png') });
+  documents.set('posts/a1', { title: 'Hello', cover: storedFile('posts/cover/hello.png'), deletedAt: null });
+});
+
+test('file fields take accept and maxSize, and no default', () => {
+  assert.deepEqual(getFileFields(collections[1].fields), ['photo', 'manuals']);
+  assert.deepEqual(validateFieldDefinition({ type: 'image', accept: 'image/png', maxSize: 0, default: {} }, 'fields.photo'), [
+    "fields.photo.accept must be an array of MIME types, e.g. ['image/png', 'application/pdf'] or ['image/*'].",
+    'fields.photo.maxSize must be a positive number of MB.',
+    'fields.photo.default is not supported for image fields.'
+  ]);
+  assert.deepEqual(validateFieldDefinition({ type: 'string', maxSize: 1 }, 'fields.title'), [
+    'fields.title.accept/maxSize are only supported for file, image, files fields.'
+  ]);
+});
+
+test('storage.rules enforces the size and type limits of each field', () => {
+  const rules = buildStorageRules({ collections, hasAuth: true });
+
+  assert.match(rules, /match \/products\/photo\/\{fileName\} \{\n\s+allow read, delete: if isSignedIn\(\);\n\s+allow create, update: if isSignedIn\(\) && request\.resource\.size <= 2 \* 1024 \* 1024 && request\.resource\.contentType\.matches\('image\/\.\*'\);/);
+  assert.match(rules, /match \/products\/manuals\/\{fileName\} \{[\s\S]*?request\.resource\.contentType\.matches\('application\/pdf'\)/);
+  assert.match(buildStorageRules({ collections: [collections[0]], hasAuth: true }), /allow read, write: if false;/);
+});
+
+test('add only accepts uploaded files', async () => {
+  await assert.rejects(store.addProducts({ title: 'Chair', photo: 'chair.png' }), { name: 'ValidationError' });
+  assert.equal(store.products.value.validationErrors.photo, 'photo must be an uploaded image.');
+
+  const id = await store.addProducts({ title: 'Chair', photo: storedFile('products/photo/chair.png') });
+  assert.equal(documents.get(`products/${id}`).photo.path, 'products/photo/chair.png');
+});
+
+test('delete removes the files of the document', async () => {
+  await store.deleteProducts('p1');
+
+  assert.ok(!documents.has('products/p1'));
+  assert.deepEqual([...storedFiles].sort(), ['posts/cover/hello.png', 'products/photo/desk.png']);
+});
+
+test('deleteMany removes the files, skipping those already gone', async () => {
+  storedFiles.delete('products/photo/desk.png');
+  await store.deleteManyProducts(['p1', 'p2']);
+
+  assert.deepEqual([...storedFiles], ['posts/cover/hello.png']);
+  assert.equal(store.error.value, null);
+});
+
+test('trashed documents keep their files until purged', async () => {
+  await store.deletePosts('a1');
+  assert.ok(storedFiles.has('posts/cover/hello.png'));
+
+  await store.fetchPostsTrash();
+  await store.purgePosts('a1');
+  assert.ok(!storedFiles.has('posts/cover/hello.png'));
+});
+
+test('seeded files match the type and size limits of their field', async () => {
+  const cwd = process.cwd();
+  process.chdir(project.dir);
+  try {
+    await fs.writeJson('package.json', { name: 'shop', scripts: {} });
+    configureGeneration();
+    generateSeeder();
+  } finally {
+    process.chdir(cwd);
+  }
+  const seeder = await fs.readFile(path.join(project.dir, 'seed.js'), 'utf8');
+
+  assert.match(seeder, /return placeholderFile\(folder, field\);/);
+  assert.match(seeder, /const maxBytes = Math\.floor\(\(field\.maxSize \?\? FILE_DEFAULTS\[field\.type\]\.maxSize\) \* 1024 \* 1024\);/);
+});
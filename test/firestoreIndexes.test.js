@@ -0,0 +1,105 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import generateFirestoreIndexes, { buildCompositeIndexes } from '../lib/generateFirestoreIndexes.js';
+import generateFirebaseConfig from '../lib/generateFirebaseConfig.js';
+import { validateProjectConfig, normalizeProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const products = {
+  name: 'products',
+  fields: { title: 'string', category: 'string', price: 'number', tags: { type: 'array', required: false } },
+  filterable: ['category'],
+  sortable: ['price', 'title']
+};
+
+let project;
+let store;
+
+before(async () => {
+  project = await generateProject({ collections: [products, { name: 'notes', fields: { text: 'string' } }] });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(project.dir);
+  console.log = () => {};
+  try {
+    await generateFirestoreIndexes({ collections: [products] });
+    await generateFirebaseConfig({ projectName: 'shop' });
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  documents.set('products/p1', { title: 'Lamp', category: 'home', price: 12 });
+  documents.set('products/p2', { title: 'Pen', category: 'office', price: 2 });
+});
+
+test('every filter field gets an index with every sort field and createdAt, both ways', () => {
+  const indexes = buildCompositeIndexes(products);
+
+  assert.equal(indexes.length, 6);
+  assert.deepEqual(indexes[1], {
+    collectionGroup: 'products',
+    queryScope: 'COLLECTION',
+    fields: [{ fieldPath: 'category', order: 'ASCENDING' }, { fieldPath: 'price', order: 'DESCENDING' }]
+  });
+});
+
+test('firestore.indexes.json and firebase.json are written', async () => {
+  const { indexes } = await fs.readJson(path.join(project.dir, 'firestore.indexes.json'));
+  const firebaseConfig = await fs.readJson(path.join(project.dir, 'firebase.json'));
+
+  assert.equal(indexes.length, 6);
+  assert.deepEqual(firebaseConfig.firestore, { rules: 'firestore.rules', indexes: 'firestore.indexes.json' });
+});
+
+test('query fields must be declared fields that can be sorted', () => {
+  const errors = validateProjectConfig({
+    projectName: 'shop',
+    collections: [{ ...products, filterable: ['colour'], sortable: ['tags', 'price', 'price'] }]
+  });
+
+  assert.deepEqual(errors, [
+    'collections[0].filterable lists unknown field "colour".',
+    'collections[0].sortable cannot include "tags": array fields cannot be sorted.',
+    'collections[0].sortable lists a field more than once.'
+  ]);
+  assert.deepEqual(normalizeProjectConfig({ projectName: 'shop', collections: [products] }).collections[0].sortable, ['price', 'title']);
+});
+
+test('declared filters and sorting run', async () => {
+  assert.deepEqual(store.products.value.orderBy, { field: 'price', direction: 'desc' });
+  assert.equal(store.notes.value.orderBy.field, 'createdAt');
+
+  await store.applyProductsFilters({ category: 'home' });
+  assert.deepEqual(store.products.value.items.map(item => item.id), ['p1']);
+
+  await store.changeProductsSorting('title', 'asc');
+  assert.deepEqual(store.products.value.orderBy, { field: 'title', direction: 'asc' });
+});
+
+test('undeclared filters and sorting are rejected before querying', async () => {
+  await assert.rejects(store.applyProductsFilters({ title: 'Lamp' }), /Cannot filter products by title\. Filterable fields: category\./);
+  await assert.rejects(store.changeProductsSorting('category'), /Cannot sort products by category\. Sortable fields: price, title, createdAt\./);
+  assert.match(store.error.value, /Cannot sort products by category/);
+});
+
+test('collections without query fields accept any query', async () => {
+  documents.set('notes/n1', { text: 'Hello' });
+
+  await store.applyNotesFilters({ text: 'Hello' });
+  assert.equal(store.notes.value.items.length, 1);
+});
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import generateFirestoreRules, { buildFirestoreRules } from '../lib/generateFirestoreRules.js';
+import { configureGeneration } from '../lib/manifest.js';
+
+const users = { name: 'users', fields: { email: 'email', name: { type: 'string', min: 2 } } };
+const products = { name: 'products', fields: { title: 'string', status: { type: 'string', enum: ['draft', 'live'] }, tags: { type: 'array', required: false, max: 5 } } };
+const reviews = { name: 'reviews', fields: { text: 'string', author: { type: 'reference', collection: 'users' } } };
+
+/** The match block of a collection in the rules. */
+const matchBlock = (rules, name) => rules.match(new RegExp(`match /${name}/\\{\\w+\\} \\{[^]*?\\n    \\}`))[0];
+
+let dir;
+const cwd = process.cwd();
+const log = console.log;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-rules-'));
+  process.chdir(dir);
+  console.log = () => {};
+  await fs.writeJson('package.json', { name: 'shop', scripts: {} });
+  configureGeneration();
+  await generateFirestoreRules({ projectName: 'My Shop', collections: [users, products, reviews], roles: ['admin'], addActivityLogging: true });
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+test('writes are checked against the field descriptors', () => {
+  const rules = buildFirestoreRules({ collections: [products], authCollections: [], hasRoles: false, addActivityLogging: false });
+
+  assert.match(rules, /function isValidProducts\(data\) \{\n\s+return \('title' in data && data\.title != null && data\.title != '' && data\.title is string\)/);
+  assert.match(rules, /data\.status in \["draft","live"\]/);
+  assert.match(rules, /\(!\('tags' in data && data\.tags != null && data\.tags != ''\) \|\| \(data\.tags is list && data\.tags\.size\(\) <= 5\)\)/);
+  assert.match(rules, /No auth collection is configured, so anyone can read and write/);
+  assert.match(matchBlock(rules, 'products'), /allow create: if true && isValidProducts\(request\.resource\.data\);/);
+});
+
+test('profiles are private to their owner and admins', () => {
+  const rules = buildFirestoreRules({ collections: [users, products], authCollections: ['users'], hasRoles: true, addActivityLogging: false });
+  const block = matchBlock(rules, 'users');
+
+  assert.match(block, /allow read: if isOwner\(userId\) \|\| isAdmin\(\);/);
+  // Roles are custom claims: the profile copy is only written by the setUserRoles function
+  assert.match(block, /allow create: if isOwner\(userId\) && isValidUsers\(request\.resource\.data\)\n\s+&& !request\.resource\.data\.keys\(\)\.hasAny\(\['roles'\]\);/);
+  assert.match(block, /&& !request\.resource\.data\.diff\(resource\.data\)\.affectedKeys\(\)\.hasAny\(\['roles'\]\)\n\s+&& \(isOwner\(userId\) \|\| isAdmin\(\)\);/);
+  assert.match(block, /allow delete: if isAdmin\(\);/);
+  assert.match(matchBlock(rules, 'products'), /allow read: if isSignedIn\(\);/);
+});
+
+test('signed-in users read the profiles reference fields point at', () => {
+  for (const hasRoles of [false, true]) {
+    const rules = buildFirestoreRules({ collections: [users, reviews], authCollections: ['users'], hasRoles, addActivityLogging: false });
+
+    assert.match(matchBlock(rules, 'users'), /\/\/ Referenced by reviews: signed-in users resolve those references\n\s+allow read: if isSignedIn\(\);/);
+  }
+});
+
+test('the activity log is append-only', () => {
+  const rules = buildFirestoreRules({ collections: [users], authCollections: ['users'], hasRoles: false, addActivityLogging: true });
+  const block = matchBlock(rules, 'recentActivity');
+
+  assert.match(block, /allow create: if isSignedIn\(\) && request\.resource\.data\.type is string/);
+  assert.match(block, /allow update, delete: if false;/);
+});
+
+test('the rules, their test suite and the test:rules script are written', async () => {
+  assert.match(await fs.readFile('firestore.rules', 'utf8'), /match \/reviews\/\{docId\}/);
+  assert.match((await fs.readJson('package.json')).scripts['test:rules'], /^firebase emulators:exec --only firestore --project demo-my-shop /);
+
+  const suite = await fs.readFile('tests/rules/firestore.rules.test.js', 'utf8');
+  assert.match(suite, /projectId: 'demo-my-shop'/);
+  assert.match(suite, /it\('lets signed-in users read the profiles reviews refer to'/);
+  assert.match(suite, /it\('only lets admins delete profiles'/);
+  assert.equal(spawnSync(process.execPath, ['--check', 'tests/rules/firestore.rules.test.js']).status, 0);
+});
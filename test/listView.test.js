@@ -0,0 +1,93 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { generateFormComponents } from '../lib/helper/generateFormComponents.js';
+import { addCollectionRoutes, stringifyRoutes } from '../lib/generateRouter.js';
+import { configureGeneration } from '../lib/manifest.js';
+
+const collections = [
+  { name: 'users', fields: { email: 'email' } },
+  {
+    name: 'products',
+    fields: {
+      title: 'string',
+      status: { type: 'string', enum: ['draft', 'live'] },
+      price: 'number',
+      owner: { type: 'reference', collection: 'users', displayField: 'email' }
+    },
+    filterable: ['status', 'owner'],
+    sortable: ['price'],
+    softDelete: true
+  },
+  { name: 'notes', fields: { text: 'string', done: 'boolean' } }
+];
+
+let dir;
+const cwd = process.cwd();
+const log = console.log;
+
+const read = (filePath) => fs.readFile(path.join(dir, filePath), 'utf8');
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-list-'));
+  process.chdir(dir);
+  console.log = () => {};
+  configureGeneration();
+  await generateFormComponents(collections.slice(1), { allCollections: collections });
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+test('every collection gets a List view next to its forms', async () => {
+  for (const name of ['products', 'notes']) {
+    assert.ok(await fs.pathExists(path.join(dir, `src/views/${name}/List.vue`)));
+  }
+});
+
+test('the filter bar only offers the declared filters', async () => {
+  const list = await read('src/views/products/List.vue');
+
+  assert.match(list, /v-model="filters\.status"/);
+  assert.match(list, /<ReferencePicker id="filter-owner" v-model="filters\.owner" collection="users" display-field="email"/);
+  assert.doesNotMatch(list, /filters\.price/);
+  assert.match(list, /store\.applyProductsFilters\(\{ \.\.\.filters\.value \}\)/);
+});
+
+test('only the declared sorts and the creation date sort', async () => {
+  const list = await read('src/views/products/List.vue');
+
+  assert.match(list, /\{"key":"price","label":"price","type":"number","sortable":true\}/);
+  assert.match(list, /\{"key":"title","label":"title","type":"string","sortable":false\}/);
+  assert.match(list, /\{"key":"createdAt","label":"Created","type":"timestamp","sortable":true\}/);
+  assert.match(list, /store\.changeProductsSorting\(column\.key, next\)/);
+});
+
+test('lists load in pages and populate references', async () => {
+  const products = await read('src/views/products/List.vue');
+  const notes = await read('src/views/notes/List.vue');
+
+  assert.match(products, /store\.fetchInitialPageProducts\(\{ pageSize: pageSize\.value, populate: true \}\)/);
+  assert.match(products, /store\.fetchNextPageProducts\(\)/);
+  assert.match(products, />Move to trash</);
+  assert.match(notes, /v-model="filters\.done"/);
+  assert.match(notes, />Delete</);
+});
+
+test('the List route is added to routers generated without it', async () => {
+  const fallback = { path: '/:pathMatch(.*)*', name: 'NotFound', component: "() => import('@/views/NotFound.vue')" };
+  const create = { path: '/notes/create', name: 'NotesCreate', component: "() => import('@/views/notes/Create.vue')" };
+  await fs.outputFile('src/router/index.js', `const routes = ${stringifyRoutes([create, fallback])};\n`);
+
+  assert.equal(await addCollectionRoutes(collections[2]), true);
+  const router = await read('src/router/index.js');
+
+  assert.equal(router.match(/"name": "NotesCreate"/g).length, 1);
+  assert.ok(router.indexOf('"path": "/notes"') < router.indexOf('"path": "/:pathMatch(.*)*"'));
+  assert.equal(await addCollectionRoutes(collections[2]), false);
+});
@@ -0,0 +1,106 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  configureGeneration,
+  writeGeneratedFile,
+  readGeneratedFile,
+  readManifest,
+  getStaleFiles,
+  printGenerationReport
+} from '../lib/manifest.js';
+
+let dir;
+const cwd = process.cwd();
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-manifest-'));
+  process.chdir(dir);
+});
+
+after(async () => {
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+beforeEach(async () => {
+  await fs.emptyDir(dir);
+  configureGeneration();
+});
+
+/** Runs one generation: a new session writing each file of `files`. */
+const generate = (files, options) => {
+  configureGeneration(options);
+  return Object.entries(files).map(([file, content]) => writeGeneratedFile(file, content));
+};
+
+const read = (file) => fs.readFileSync(file, 'utf8');
+
+test('new and regenerated files are tracked in the manifest', () => {
+  assert.deepEqual(generate({ 'src/a.js': 'one\n' }), ['created']);
+  assert.deepEqual(generate({ 'src/a.js': 'one\n' }), ['unchanged']);
+  assert.deepEqual(generate({ 'src/a.js': 'two\n' }), ['updated']);
+
+  assert.equal(read('src/a.js'), 'two\n');
+  assert.deepEqual(Object.keys(readManifest().files), ['src/a.js']);
+  assert.equal(readGeneratedFile('src/a.js'), 'two\n');
+});
+
+test('hand edits are merged with the new output', () => {
+  generate({ 'a.js': 'header\n\nbody\n\nfooter\n' });
+  fs.writeFileSync('a.js', 'header\n\nbody\n\nfooter edited\n');
+
+  assert.deepEqual(generate({ 'a.js': 'header changed\n\nbody\n\nfooter\n' }), ['merged']);
+  assert.equal(read('a.js'), 'header changed\n\nbody\n\nfooter edited\n');
+  assert.equal(readGeneratedFile('a.js'), 'header changed\n\nbody\n\nfooter\n');
+});
+
+test('hand edits are kept when the output did not change', () => {
+  generate({ 'a.js': 'one\n' });
+  fs.writeFileSync('a.js', 'one\nmine\n');
+
+  assert.deepEqual(generate({ 'a.js': 'one\n' }), ['kept']);
+  assert.equal(read('a.js'), 'one\nmine\n');
+});
+
+test('overlapping edits get conflict markers', () => {
+  generate({ 'a.js': 'value = 1\n' });
+  fs.writeFileSync('a.js', 'value = 2\n');
+
+  assert.deepEqual(generate({ 'a.js': 'value = 3\n' }), ['conflict']);
+  assert.match(read('a.js'), /<<<<<<< local changes\nvalue = 2\n[^]*=======\nvalue = 3\n>>>>>>> generated/);
+});
+
+test('a new timestamp alone does not rewrite a file', () => {
+  generate({ 'a.js': '/**\n * @created 2026-01-01\n */\ncode\n' });
+
+  assert.deepEqual(generate({ 'a.js': '/**\n * @created 2026-02-02\n */\ncode\n' }), ['unchanged']);
+  assert.match(read('a.js'), /2026-01-01/);
+});
+
+test('a dry run only collects diffs', () => {
+  generate({ 'a.js': 'one\n' });
+
+  assert.deepEqual(generate({ 'a.js': 'two\n', 'b.js': 'new\n' }, { dryRun: true }), ['updated', 'created']);
+  assert.equal(read('a.js'), 'one\n');
+  assert.ok(!fs.existsSync('b.js'));
+
+  const log = console.log;
+  const printed = [];
+  console.log = (line) => printed.push(line);
+  try {
+    printGenerationReport();
+  } finally {
+    console.log = log;
+  }
+  assert.ok(printed.some(line => line.includes('-one\n+two')));
+});
+
+test('files the run no longer generates are reported as stale', () => {
+  generate({ 'a.js': 'one\n', 'b.js': 'two\n' });
+  generate({ 'a.js': 'one\n' });
+
+  assert.deepEqual(getStaleFiles(), ['b.js']);
+});
@@ -0,0 +1,117 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import generateFirebaseApp from '../lib/generateFirebaseApp.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase, holdWrites, settleWrites } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'notes', fields: { text: 'string' } }
+];
+
+let project;
+let store;
+
+const texts = () => store.notes.value.items.map(item => item.text);
+
+/** Runs `callback` with the browser reporting no connection. */
+const whileOffline = async (callback) => {
+  globalThis.navigator = { onLine: false };
+  try {
+    return await callback();
+  } finally {
+    delete globalThis.navigator;
+  }
+};
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(async () => {
+  resetFirebase();
+  documents.set('notes/n1', { text: 'Milk' });
+  await store.fetchInitialPageNotes({ filters: {} });
+  store.error.value = null;
+});
+
+afterEach(() => settleWrites());
+
+test('firebase.js keeps a persistent cache in offline mode', async () => {
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(project.dir);
+  console.log = () => {};
+  try {
+    configureGeneration();
+    await generateFirebaseApp({ offline: true });
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+  const firebase = await fs.readFile(path.join(project.dir, 'src/firebase.js'), 'utf8');
+
+  assert.match(firebase, /localCache: persistentLocalCache\(\{ tabManager: persistentMultipleTabManager\(\) \}\)/);
+  assert.match(firebase, /export const offlineEnabled = true;/);
+  assert.deepEqual(validateProjectConfig({ projectName: 'notes', collections, offline: 'yes' }), ['"offline" must be true or false.']);
+});
+
+test('an offline add resolves once queued and shows as pending', async () => {
+  holdWrites();
+  const id = await whileOffline(() => store.addNotes({ text: 'Eggs' }));
+
+  assert.deepEqual(texts(), ['Eggs', 'Milk']);
+  assert.deepEqual(store.notes.value.sync[id], { hasPendingWrites: true, fromCache: true });
+  assert.ok(!documents.has(`notes/${id}`));
+
+  await settleWrites();
+
+  assert.deepEqual(store.notes.value.sync[id], { hasPendingWrites: false, fromCache: false });
+  assert.equal(documents.get(`notes/${id}`).text, 'Eggs');
+});
+
+test('a rejected add is rolled back and reported', async () => {
+  holdWrites();
+  const adding = store.addNotes({ text: 'Eggs' }).catch(error => error);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(texts(), ['Eggs', 'Milk']);
+
+  await settleWrites(new Error('Missing or insufficient permissions.'));
+
+  assert.equal((await adding).message, 'Missing or insufficient permissions.');
+  assert.deepEqual(texts(), ['Milk']);
+  assert.equal(store.error.value, 'Missing or insufficient permissions.');
+});
+
+test('an offline update the server later rejects is rolled back', async () => {
+  holdWrites();
+  await whileOffline(() => store.updateNotes('n1', { text: 'Oat milk' }));
+  assert.deepEqual(texts(), ['Oat milk']);
+
+  await settleWrites(new Error('Missing or insufficient permissions.'));
+
+  assert.deepEqual(texts(), ['Milk']);
+  assert.deepEqual(store.notes.value.sync.n1, { hasPendingWrites: false, fromCache: false });
+  assert.equal(store.error.value, 'Missing or insufficient permissions.');
+});
+
+test('an offline remove is undone when rejected', async () => {
+  holdWrites();
+  await whileOffline(() => store.deleteNotes('n1'));
+  assert.deepEqual(texts(), []);
+
+  await settleWrites(new Error('Missing or insufficient permissions.'));
+
+  assert.deepEqual(texts(), ['Milk']);
+  assert.ok(documents.has('notes/n1'));
+});
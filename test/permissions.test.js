@@ -0,0 +1,98 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { normalizePermissions, resolvePermissions, validatePermissions } from '../lib/helper/permissions.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'users', fields: { email: 'email' } },
+  { name: 'products', fields: { title: 'string' } },
+  { name: 'notes', fields: { text: 'string' } }
+];
+
+const permissions = normalizePermissions({
+  '*': ['products.read'],
+  editor: ['products.create', 'products.update'],
+  manager: { inherits: ['editor'], allow: ['products.delete'] }
+});
+
+let project;
+let store;
+let matrix;
+
+before(async () => {
+  project = await generateProject({ collections, roles: ['admin', 'editor', 'manager'], permissions });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+  matrix = await import(pathToFileURL(path.join(project.dir, 'src/stores/appStore/permissions.js')).href);
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  store.error.value = null;
+  documents.set('products/p1', { title: 'Lamp' });
+});
+
+const signInAs = (roles) => {
+  store.currentUser.value = { uid: 'uid-1', roles };
+};
+
+test('the matrix only names declared roles and permissions, without cycles', () => {
+  assert.deepEqual(validatePermissions({ guest: ['products.read'], editor: ['products'] }, ['editor']), [
+    'permissions.guest: unknown role. Declare it in "roles".',
+    'permissions.editor: "products" is not a permission. Use "<resource>.<action>" (e.g. "products.create"), with "*" for any resource or action.'
+  ]);
+  assert.deepEqual(validatePermissions({ editor: { inherits: ['manager'] }, manager: { inherits: ['editor'] } }, ['editor', 'manager']), [
+    'permissions: roles inherit each other (editor -> manager -> editor).'
+  ]);
+  assert.deepEqual(validateProjectConfig({ projectName: 'shop', collections, roles: ['editor'], permissions: [] }), [
+    '"permissions" must map roles to their permissions, e.g. { "editor": ["products.create"] }.'
+  ]);
+});
+
+test('roles get the permissions they inherit, admins all of them', () => {
+  const resolved = resolvePermissions(permissions, ['editor', 'manager']);
+
+  assert.deepEqual(resolved.signedIn, ['products.read']);
+  assert.deepEqual(resolved.roles.manager, ['products.delete', 'products.create', 'products.update']);
+  assert.deepEqual(resolved.roles.admin, ['*']);
+});
+
+test('can checks the roles of the user, leaving unnamed resources open', () => {
+  assert.equal(matrix.can({ roles: [] }, 'read', 'products'), true);
+  assert.equal(matrix.can(null, 'read', 'products'), false);
+  assert.equal(matrix.can({ roles: ['editor'] }, 'delete', 'products'), false);
+  assert.equal(matrix.can({ roles: ['manager'] }, 'delete', 'products'), true);
+  assert.equal(matrix.hasPermission({ roles: ['admin'] }, 'products.purge'), true);
+  assert.equal(matrix.can({ roles: [] }, 'delete', 'notes'), true);
+});
+
+test('denied actions reject with a PermissionError kept in state.error', async () => {
+  signInAs(['editor']);
+
+  await assert.rejects(store.deleteProducts('p1'), { name: 'PermissionError', code: 'permission-denied' });
+  assert.equal(store.error.value, 'Permission denied: products.delete');
+  assert.ok(documents.has('products/p1'));
+});
+
+test('allowed actions run as before', async () => {
+  signInAs(['editor']);
+  const id = await store.addProducts({ title: 'Desk' });
+  assert.equal(documents.get(`products/${id}`).title, 'Desk');
+
+  signInAs(['manager']);
+  await store.deleteProducts('p1');
+  assert.ok(!documents.has('products/p1'));
+
+  signInAs([]);
+  const noteId = await store.addNotes({ text: 'Milk' });
+  assert.ok(documents.has(`notes/${noteId}`));
+});
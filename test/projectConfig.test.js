@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { FIELD_TYPES, validateProjectConfig, normalizeProjectConfig, loadProjectConfig, saveProjectConfig } from '../lib/projectConfig.js';
+
+const validConfig = {
+  projectName: 'shop',
+  enableAuth: true,
+  roles: ['admin'],
+  collections: [
+    { name: 'users', fields: { email: 'email', name: 'string' } },
+    { name: 'products', fields: { title: 'string', price: 'number' } }
+  ]
+};
+
+const withTempDir = async (run) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-config-'));
+  try {
+    await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+test('a valid schema has no errors', () => {
+  assert.deepEqual(validateProjectConfig(validConfig), []);
+});
+
+test('every problem of a schema is reported', () => {
+  const errors = validateProjectConfig({
+    collections: [
+      { name: 'products', fields: { title: 'text', 'bad name': 'string' } },
+      { name: 'Products', fields: {} }
+    ],
+    enableAdmin: 'yes',
+    roles: [''],
+    socialProviders: ['myspace']
+  });
+
+  assert.deepEqual(errors, [
+    '"projectName" is required.',
+    `collections[0].fields.title has unknown type "text". Expected one of: ${FIELD_TYPES.join(', ')}.`,
+    'collections[0].fields."bad name" is not a valid field name.',
+    'collections[1].name "Products" is declared more than once.',
+    'collections[1].fields must declare at least one field.',
+    '"enableAdmin" must be true or false.',
+    '"roles" must be an array of non-empty strings.',
+    '"socialProviders" must be an array of: google, facebook, twitter, github, microsoft, apple.'
+  ]);
+});
+
+test('auth needs an auth collection', () => {
+  const errors = validateProjectConfig({ ...validConfig, collections: [validConfig.collections[1]] });
+
+  assert.deepEqual(errors, ['"enableAuth" requires an auth collection (e.g. "users", "customers", "accounts").']);
+  assert.deepEqual(validateProjectConfig({ ...validConfig, collections: [{ name: ' Accounts ', fields: { email: 'email' } }] }), []);
+});
+
+test('the other sign-in methods are only kept with auth', () => {
+  const methods = { socialProviders: ['google', 'google'], enableEmailLink: true, enableAnonymous: true };
+  const withAuth = normalizeProjectConfig({ ...validConfig, ...methods });
+  const withoutAuth = normalizeProjectConfig({ ...validConfig, ...methods, enableAuth: false });
+
+  assert.deepEqual([withAuth.socialProviders, withAuth.enableEmailLink, withAuth.enableAnonymous], [['google'], true, true]);
+  assert.deepEqual([withoutAuth.socialProviders, withoutAuth.enableEmailLink, withoutAuth.enableAnonymous], [[], false, false]);
+  assert.deepEqual(validateProjectConfig({ ...validConfig, enableAnonymous: 'yes' }), ['"enableAnonymous" must be true or false.']);
+});
+
+test('normalizing fills in the wizard defaults', () => {
+  const config = normalizeProjectConfig({ projectName: ' shop ', collections: [{ name: 'products', fields: { title: 'string' } }] });
+
+  assert.deepEqual(config, {
+    projectName: 'shop',
+    collections: [{ name: 'products', fields: { title: 'string' }, dataType: 'object' }],
+    roles: [],
+    enableAuth: false,
+    enableRoles: false,
+    permissions: {},
+    enableAuthViews: false,
+    enableAdmin: false,
+    enableLanding: true,
+    enableLoading: true,
+    addActivityLogging: false,
+    runSeeder: false,
+    typescript: false,
+    offline: false,
+    socialProviders: [],
+    enableEmailLink: false,
+    enableAnonymous: false,
+    validator: 'builtin'
+  });
+  assert.equal(normalizeProjectConfig(validConfig).enableRoles, true);
+});
+
+test('schemas are loaded from JSON and YAML', async () => {
+  await withTempDir(async (dir) => {
+    const jsonPath = path.join(dir, 'totistack.config.json');
+    const yamlPath = path.join(dir, 'totistack.config.yaml');
+    await fs.writeJson(jsonPath, validConfig);
+    await fs.writeFile(yamlPath, 'projectName: shop\ncollections:\n  - name: products\n    fields:\n      title: string\n');
+
+    assert.equal((await loadProjectConfig(jsonPath)).collections.length, 2);
+    assert.deepEqual((await loadProjectConfig(yamlPath)).collections, [{ name: 'products', fields: { title: 'string' }, dataType: 'object' }]);
+  });
+});
+
+test('loading reports a missing, unparsable or invalid schema', async () => {
+  await withTempDir(async (dir) => {
+    const brokenPath = path.join(dir, 'broken.json');
+    const invalidPath = path.join(dir, 'invalid.json');
+    await fs.writeFile(brokenPath, '{ "projectName": ');
+    await fs.writeJson(invalidPath, { projectName: 'shop', collections: [] });
+
+    await assert.rejects(loadProjectConfig(path.join(dir, 'missing.json')), /Config file not found/);
+    await assert.rejects(loadProjectConfig(brokenPath), /Could not parse/);
+    await assert.rejects(loadProjectConfig(invalidPath), /"collections" must be a non-empty array/);
+  });
+});
+
+test('a saved schema loads back to the same answers', async () => {
+  await withTempDir(async (dir) => {
+    for (const fileName of ['totistack.config.json', 'nested/totistack.config.yml']) {
+      const savedPath = await saveProjectConfig(path.join(dir, fileName), validConfig);
+
+      assert.deepEqual(await loadProjectConfig(savedPath), normalizeProjectConfig(validConfig));
+    }
+  });
+});
@@ -0,0 +1,110 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import {
+  documents,
+  resetFirebase,
+  emitSnapshots,
+  failSnapshots,
+  activeSnapshotListeners
+} from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'users', fields: { email: 'email' } },
+  { name: 'messages', fields: { text: 'string', room: 'string' }, realtime: true },
+  { name: 'rooms', fields: { title: 'string' }, realtime: true },
+  { name: 'notes', fields: { text: 'string' } }
+];
+
+let store;
+let project;
+
+const texts = () => store.messages.value.items.map(item => item.text);
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  store.unsubscribeAll();
+  resetFirebase();
+  store.error.value = null;
+  documents.set('messages/m1', { text: 'Hello', room: 'general' });
+  documents.set('messages/m2', { text: 'Hi', room: 'general' });
+  documents.set('messages/m3', { text: 'Psst', room: 'private' });
+});
+
+test('only realtime collections get subscribe and unsubscribe', () => {
+  assert.equal(typeof store.subscribeMessages, 'function');
+  assert.equal(typeof store.unsubscribeMessages, 'function');
+  assert.equal(store.subscribeNotes, undefined);
+  assert.deepEqual(validateProjectConfig({ projectName: 'chat', collections: [{ name: 'notes', fields: { text: 'string' }, realtime: 'yes' }] }), [
+    'collections[0].realtime must be true or false.'
+  ]);
+});
+
+test('subscribe resolves with the first snapshot in state', async () => {
+  await store.subscribeMessages({ filters: { room: 'general' } });
+
+  assert.deepEqual(texts(), ['Hello', 'Hi']);
+  assert.equal(store.messages.value.hasMore, false);
+  assert.equal(store.loading.value, false);
+});
+
+test('added, modified and removed documents are applied', async () => {
+  await store.subscribeMessages({ filters: { room: 'general' } });
+
+  documents.set('messages/m4', { text: 'New', room: 'general' });
+  documents.set('messages/m1', { text: 'Hello!', room: 'general' });
+  documents.delete('messages/m2');
+  emitSnapshots();
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(texts(), ['Hello!', 'New']);
+});
+
+test('unsubscribe stops the listener and keeps the items', async () => {
+  await store.subscribeMessages({ filters: {} });
+  store.unsubscribeMessages();
+
+  documents.set('messages/m4', { text: 'Late', room: 'general' });
+  emitSnapshots();
+
+  assert.equal(activeSnapshotListeners(), 0);
+  assert.equal(texts().length, 3);
+});
+
+test('subscribing again replaces the running listener', async () => {
+  await store.subscribeMessages({ filters: { room: 'general' } });
+  await store.subscribeMessages({ filters: { room: 'private' } });
+
+  assert.equal(activeSnapshotListeners(), 1);
+  assert.deepEqual(texts(), ['Psst']);
+});
+
+test('a route change stops the listeners unless they are kept alive', async () => {
+  await store.subscribeMessages();
+  await store.subscribeRooms({ keepAlive: true });
+
+  store.unsubscribeAll({ routeScoped: true });
+
+  assert.deepEqual(Object.keys(store.listeners.value), ['rooms']);
+  assert.equal(activeSnapshotListeners(), 1);
+});
+
+test('a listener error is reported and ends the subscription', async () => {
+  await store.subscribeMessages();
+
+  failSnapshots(new Error('Missing or insufficient permissions.'));
+
+  assert.equal(store.error.value, 'Missing or insufficient permissions.');
+  assert.deepEqual(store.listeners.value, {});
+});
@@ -0,0 +1,100 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { resolveDisplayField, getReferenceConfig } from '../lib/helper/fields.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'authors', fields: { fullName: 'string', bio: { type: 'string', required: false } } },
+  { name: 'tags', fields: { label: 'string' } },
+  {
+    name: 'books',
+    fields: {
+      title: 'string',
+      author: { type: 'reference', collection: 'authors' },
+      tags: { type: 'references', collection: 'tags', required: false, max: 3 }
+    }
+  }
+];
+
+let project;
+let store;
+let validateBooks;
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+  ({ validateBooks } = await import(pathToFileURL(path.join(project.dir, 'src/validators/validateBooks.js')).href));
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  documents.set('authors/a1', { fullName: 'Ursula K. Le Guin' });
+  documents.set('tags/t1', { label: 'classic' });
+  documents.set('tags/t2', { label: 'fantasy' });
+  documents.set('books/b1', { title: 'A Wizard of Earthsea', author: 'a1', tags: ['t1', 't2', 'missing'] });
+});
+
+test('reference fields must name a declared collection', () => {
+  const errors = validateProjectConfig({
+    projectName: 'library',
+    collections: [
+      { name: 'books', fields: { author: 'reference', publisher: { type: 'reference', collection: 'publishers' } } }
+    ]
+  });
+
+  assert.deepEqual(errors, [
+    'collections[0].fields.author must be a descriptor naming the target collection, e.g. { type: \'reference\', collection: \'users\' }.',
+    'collections[0].fields.publisher references unknown collection "publishers".'
+  ]);
+});
+
+test('pickers show a name-like field of the target', () => {
+  assert.equal(resolveDisplayField({ collection: 'tags' }, collections), 'label');
+  assert.equal(resolveDisplayField({ collection: 'authors' }, collections), 'fullName');
+  assert.equal(resolveDisplayField({ collection: 'authors', displayField: 'bio' }, collections), 'bio');
+  assert.deepEqual(getReferenceConfig(collections[2].fields), {
+    author: { collection: 'authors', many: false },
+    tags: { collection: 'tags', many: true }
+  });
+});
+
+test('get resolves references into populated', async () => {
+  const book = await store.getBooks('b1', { populate: true });
+
+  assert.deepEqual(book.populated.author, { id: 'a1', fullName: 'Ursula K. Le Guin' });
+  assert.deepEqual(book.populated.tags.map(tag => tag.label), ['classic', 'fantasy']);
+  assert.equal((await store.getBooks('b1')).populated, undefined);
+});
+
+test('fetchInitialPage populates only the listed fields', async () => {
+  await store.fetchInitialPageBooks({ populate: ['author'] });
+
+  const [book] = store.books.value.items;
+  assert.deepEqual(Object.keys(book.populated), ['author']);
+});
+
+test('populated references are never written back', async () => {
+  const book = await store.getBooks('b1', { populate: true });
+
+  await store.updateBooks('b1', { ...book, title: 'Earthsea', tags: ['t1', 't2'] });
+
+  assert.ok(!('populated' in documents.get('books/b1')));
+});
+
+test('the validator checks that referenced documents exist', async () => {
+  assert.deepEqual(await validateBooks({ title: 'Tehanu', author: 'a1', tags: ['t1'] }), {});
+  assert.deepEqual(await validateBooks({ title: 'Tehanu', author: 'a2', tags: ['t1', 'nope'] }), {
+    author: 'author refers to a authors document that does not exist.',
+    tags: 'tags refers to a tags document that does not exist.'
+  });
+});
@@ -0,0 +1,89 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import generateRoleFunctions, { hasRoleFunctions } from '../lib/generateRoleFunctions.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { generateProject } from './support/generateProject.js';
+import { auth, callables, documents, fakeUser, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'users', fields: { email: 'email', name: 'string' } },
+  { name: 'products', fields: { title: 'string' } }
+];
+
+let project;
+let store;
+
+before(async () => {
+  project = await generateProject({ collections, roles: ['admin', 'editor'] });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  // setUserRoles of functions/roles.js: merges the change into the user's roles claim
+  const claims = {};
+  callables.setUserRoles = ({ uid, add = [], remove = [] }) => {
+    claims[uid] = [...new Set([...(claims[uid] || []), ...add])].filter(role => !remove.includes(role));
+    return { uid, roles: claims[uid] };
+  };
+});
+
+const signInAs = (roles) => {
+  auth.currentUser = fakeUser({ uid: 'admin-1', email: 'admin@example.com', roles });
+  store.currentUser.value = { uid: 'admin-1', roles };
+};
+
+test('assignUsersRoles and revokeUsersRoles change the roles through setUserRoles', async () => {
+  signInAs(['admin']);
+
+  assert.deepEqual(await store.assignUsersRoles('uid-2', ['editor', 'admin']), ['editor', 'admin']);
+  assert.deepEqual(await store.revokeUsersRoles('uid-2', 'admin'), ['editor']);
+});
+
+test('only admins change roles', async () => {
+  signInAs(['editor']);
+
+  await assert.rejects(store.assignUsersRoles('uid-2', 'admin'), /lacks required role: admin/);
+});
+
+test('only admins remove user profiles', async () => {
+  documents.set('users/uid-2', { email: 'someone@example.com', name: 'Someone' });
+  signInAs(['editor']);
+
+  await assert.rejects(store.deleteUsers('uid-2'), /lacks required role: admin/);
+  assert.ok(documents.has('users/uid-2'));
+
+  signInAs(['admin']);
+  await store.deleteUsers('uid-2');
+  assert.ok(!documents.has('users/uid-2'));
+});
+
+test('projects with roles get the setUserRoles function and the roles script', async () => {
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(project.dir);
+  console.log = () => {};
+  try {
+    await fs.writeJson('package.json', { name: 'shop', scripts: {} });
+    configureGeneration();
+    await generateRoleFunctions({ collections, roles: ['editor'] });
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+  const rolesModule = path.join(project.dir, 'functions/roles.js');
+
+  assert.match(await fs.readFile(rolesModule, 'utf8'), /const ROLES = \["admin","editor"\];/);
+  assert.equal(spawnSync(process.execPath, ['--check', rolesModule]).status, 0);
+  assert.equal((await fs.readJson(path.join(project.dir, 'package.json'))).scripts.roles, 'node scripts/set-roles.js');
+  assert.equal(hasRoleFunctions({ collections: [collections[1]], roles: ['editor'] }), false);
+});
@@ -0,0 +1,88 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { getSearchableFields } from '../lib/helper/fields.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const products = {
+  name: 'products',
+  fields: { title: 'string', description: { type: 'string', required: false }, tags: { type: 'array', required: false } },
+  searchable: ['title', 'tags']
+};
+
+let project;
+let store;
+let search;
+
+const results = () => store.products.value.search.results.map(item => item.title);
+
+before(async () => {
+  project = await generateProject({ collections: [products] });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+  search = await import(pathToFileURL(path.join(project.dir, 'src/stores/appStore/search.js')).href);
+});
+
+after(() => project.cleanup());
+
+beforeEach(async () => {
+  resetFirebase();
+  search.setSearchAdapter(search.createLocalSearchAdapter(), 'products');
+  documents.set('products/p1', { title: 'Blue Shirt', tags: ['cotton'] });
+  documents.set('products/p2', { title: 'Crème Brûlée Mug', tags: ['kitchen'] });
+  await store.fetchInitialPageProducts({ filters: {} });
+});
+
+test('searchable fields default to the free-text fields', () => {
+  assert.deepEqual(getSearchableFields({ fields: { title: 'string', status: { type: 'string', enum: ['a'] }, price: 'number' } }), ['title']);
+  assert.deepEqual(getSearchableFields(products), ['title', 'tags']);
+  assert.deepEqual(validateProjectConfig({ projectName: 'shop', collections: [{ ...products, searchable: ['price'] }] }), [
+    'collections[0].searchable lists unknown field "price".'
+  ]);
+});
+
+test('add and update keep searchKeywords up to date', async () => {
+  const id = await store.addProducts({ title: 'Red Hat' });
+  assert.deepEqual(documents.get(`products/${id}`).searchKeywords, ['r', 're', 'red', 'h', 'ha', 'hat']);
+
+  await store.updateProducts(id, { title: 'Red Cap' });
+  assert.ok(documents.get(`products/${id}`).searchKeywords.includes('cap'));
+});
+
+test('the local adapter matches every word, the last one as a prefix, ignoring accents', async () => {
+  await store.searchProducts('blue sh');
+  assert.deepEqual(results(), ['Blue Shirt']);
+
+  await store.searchProducts('creme');
+  assert.deepEqual(results(), ['Crème Brûlée Mug']);
+
+  await store.searchProducts('kitchen', { fields: ['title'] });
+  assert.deepEqual(results(), []);
+});
+
+test('the keywords adapter searches documents that were not fetched', async () => {
+  documents.set('products/p3', { title: 'Blue Cap', searchKeywords: ['b', 'bl', 'blu', 'blue', 'c', 'ca', 'cap'] });
+  search.setSearchAdapter(search.createKeywordsSearchAdapter(), 'products');
+  await store.searchProducts('blue');
+
+  assert.deepEqual(results(), ['Blue Cap']);
+});
+
+test('external engines are kept in sync by the writes', async () => {
+  const engine = search.createMemorySearchAdapter();
+  search.setSearchAdapter(engine, 'products');
+
+  const id = await store.addProducts({ title: 'Green Scarf' });
+  await store.searchProducts('scarf');
+  assert.deepEqual(results(), ['Green Scarf']);
+
+  await store.deleteProducts(id);
+  assert.equal(engine.documents.get('products').size, 0);
+  assert.throws(() => search.setSearchAdapter({}), /needs a search\(collectionName, term, context\) function/);
+});
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { generateSeeder } from '../lib/runSeeder.js';
+import { validateProjectConfig, normalizeProjectConfig } from '../lib/projectConfig.js';
+import { configureGeneration } from '../lib/manifest.js';
+
+let dir;
+const cwd = process.cwd();
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-seeder-'));
+  process.chdir(dir);
+  await fs.writeJson('package.json', { name: 'shop', scripts: {} });
+  configureGeneration();
+  generateSeeder();
+});
+
+after(async () => {
+  process.chdir(cwd);
+  await fs.remove(dir);
+});
+
+test('the seeder and its scripts are added to the project', async () => {
+  const { scripts, devDependencies } = await fs.readJson('package.json');
+
+  assert.equal(scripts.seed, 'node seed.js');
+  assert.equal(scripts['seed:emulator'], 'node seed.js --emulator');
+  assert.equal(scripts['seed:fixtures'], 'node seed.js --out fixtures --seed 1');
+  assert.equal(scripts['fixtures:import:emulator'], 'node seed.js --import fixtures --emulator');
+  assert.deepEqual(Object.keys(devDependencies).sort(), ['@faker-js/faker', 'dotenv', 'firebase-admin']);
+  assert.equal(spawnSync(process.execPath, ['--check', 'seed.js']).status, 0);
+});
+
+test('the seeder reads the schema instead of hard-coded collections', async () => {
+  const seeder = await fs.readFile('seed.js', 'utf8');
+
+  assert.match(seeder, /const CONFIG_FILE = 'totistack\.config\.json';/);
+  assert.doesNotMatch(seeder, /locations|chats/);
+  assert.match(seeder, /const FIXTURE_FORMATS = \['json', 'ndjson'\];/);
+});
+
+test('seedCount is a per-collection default for the seeder', () => {
+  const products = { name: 'products', fields: { title: 'string' } };
+
+  assert.deepEqual(validateProjectConfig({ projectName: 'shop', collections: [{ ...products, seedCount: -1 }] }), [
+    'collections[0].seedCount must be a non-negative integer.'
+  ]);
+  assert.equal(normalizeProjectConfig({ projectName: 'shop', collections: [{ ...products, seedCount: 5 }] }).collections[0].seedCount, 5);
+  assert.ok(!('seedCount' in normalizeProjectConfig({ projectName: 'shop', collections: [products] }).collections[0]));
+});
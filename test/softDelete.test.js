@@ -0,0 +1,94 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { generateTrashView } from '../lib/generateAdmin.js';
+import { buildFirestoreRules } from '../lib/generateFirestoreRules.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase, serverTimestamp } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'users', fields: { email: 'email' } },
+  { name: 'posts', fields: { title: 'string' }, softDelete: true },
+  { name: 'notes', fields: { text: 'string' } }
+];
+
+let project;
+let store;
+
+const titles = () => store.posts.value.items.map(item => item.title);
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(async () => {
+  resetFirebase();
+  store.currentUser.value = { uid: 'uid-1', roles: [] };
+  documents.set('posts/p1', { title: 'Hello', deletedAt: null });
+  documents.set('posts/p2', { title: 'Draft', deletedAt: new Date('2026-10-01'), deletedBy: 'uid-1' });
+  await store.fetchInitialPagePosts({ filters: {} });
+});
+
+test('only soft-delete collections get the trash actions', () => {
+  assert.equal(typeof store.fetchPostsTrash, 'function');
+  assert.equal(store.restoreNotes, undefined);
+  assert.deepEqual(validateProjectConfig({ projectName: 'blog', collections: [{ name: 'notes', fields: { text: 'string' }, softDelete: 'yes' }] }), [
+    'collections[0].softDelete must be true or false.'
+  ]);
+});
+
+test('lists leave out trashed documents', () => {
+  assert.deepEqual(titles(), ['Hello']);
+});
+
+test('remove moves the document to the trash', async () => {
+  await store.deletePosts('p1');
+
+  assert.deepEqual(titles(), []);
+  assert.deepEqual(documents.get('posts/p1'), { title: 'Hello', deletedAt: serverTimestamp(), deletedBy: 'uid-1' });
+});
+
+test('restore and purge empty the trash', async () => {
+  documents.set('posts/p3', { title: 'Old', deletedAt: new Date('2026-09-01'), deletedBy: 'uid-1' });
+  await store.fetchPostsTrash();
+  assert.deepEqual(store.posts.value.trash.map(item => item.title), ['Draft', 'Old']);
+
+  await store.restorePosts('p2');
+  await store.purgePosts('p3');
+
+  assert.deepEqual(store.posts.value.trash, []);
+  assert.deepEqual(documents.get('posts/p2'), { title: 'Draft', deletedAt: null, deletedBy: null, updatedAt: serverTimestamp(), updatedBy: 'uid-1' });
+  assert.ok(!documents.has('posts/p3'));
+});
+
+test('the rules only let trashed documents be deleted for good', () => {
+  const rules = buildFirestoreRules({ collections, authCollections: ['users'], hasRoles: false, addActivityLogging: false });
+
+  assert.match(rules, /match \/posts\/\{docId\} \{[\s\S]*?allow delete: if isSignedIn\(\) && resource\.data\.get\('deletedAt', null\) != null;/);
+  assert.match(rules, /match \/notes\/\{docId\} \{[\s\S]*?allow delete: if isSignedIn\(\);/);
+});
+
+test('the admin gets a Trash view per soft-delete collection', async () => {
+  const cwd = process.cwd();
+  process.chdir(project.dir);
+  try {
+    configureGeneration();
+    generateTrashView(collections[1]);
+  } finally {
+    process.chdir(cwd);
+  }
+  const view = await fs.readFile(path.join(project.dir, 'src/views/admin/trash/PostsTrashView.vue'), 'utf8');
+
+  assert.match(view, /await store\.fetchPostsTrash\(\);/);
+  assert.match(view, /await store\.purgePosts\(item\.id\);/);
+});
@@ -0,0 +1,379 @@
+/**
+ * @file firebase.js
+ * @description In-memory stand-ins for the Firebase modules generated code imports (firestore,
+ * auth, functions, storage and the app's `@/firebase`). Documents live in `documents`, keyed by
+ * path; emails in `registeredEmails` have an account; uploaded files are the paths in `storedFiles`;
+ * callable functions answer through `callables`. `resetFirebase` clears them between tests. `holdWrites`
+ * keeps writes pending until `settleWrites`, as on a device without a connection.
+ */
+
+/** Stored documents, keyed by path ('users/uid-1') */
+export const documents = new Map();
+
+/** Emails that already have an account */
+export const registeredEmails = new Set();
+
+export const db = { type: 'firestore' };
+export const auth = { currentUser: null };
+export const storage = { type: 'storage' };
+export const functions = { type: 'functions' };
+
+/** Paths of the files in Cloud Storage ('products/photo/lamp.png') */
+export const storedFiles = new Set();
+
+/** Handlers of the callable functions: (data, caller) => result */
+export const callables = {};
+
+/** Clears the documents, the listeners, the held writes, the accounts, the files, the callables and the signed-in user. */
+export const resetFirebase = () => {
+  documents.clear();
+  snapshotListeners.clear();
+  heldWrites.length = 0;
+  holding = false;
+  committedBatches.length = 0;
+  registeredEmails.clear();
+  storedFiles.clear();
+  Object.keys(callables).forEach(name => delete callables[name]);
+  providerAccount.next = null;
+  auth.currentUser = null;
+};
+
+// ---------------------------------------------------------------------------
+// Firestore
+// ---------------------------------------------------------------------------
+
+const SERVER_TIMESTAMP = Object.freeze({ type: 'serverTimestamp' });
+export const serverTimestamp = () => SERVER_TIMESTAMP;
+
+let generatedIds = 0;
+
+/** Writes waiting for the server while `holding` */
+const heldWrites = [];
+let holding = false;
+
+/** Keeps the next writes pending, until settleWrites. */
+export const holdWrites = () => {
+  holding = true;
+};
+
+/**
+ * Sends the held writes to the server: applied, or rejected with `error`.
+ * @param {Error} [error] - Rejects every held write
+ * @returns {Promise<void>} Resolves once the writers have seen the outcome
+ */
+export const settleWrites = async (error) => {
+  holding = false;
+  for (const write of heldWrites.splice(0)) {
+    if (error) {
+      write.reject(error);
+    } else {
+      write.apply();
+      write.resolve();
+    }
+  }
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+/** Applies a write right away, or once settleWrites runs while writes are held. */
+const serverWrite = (apply) => (holding
+  ? new Promise((resolve, reject) => heldWrites.push({ apply, resolve, reject }))
+  : Promise.resolve(apply()));
+
+export const collection = (parent, ...segments) => ({
+  type: 'collection',
+  path: [parent.path, ...segments].filter(Boolean).join('/')
+});
+
+export const doc = (parent, ...segments) => {
+  const docPath = parent.type === 'collection' && segments.length === 0
+    ? `${parent.path}/generated-${++generatedIds}`
+    : [parent.path, ...segments].filter(Boolean).join('/');
+  return { type: 'document', path: docPath, id: docPath.split('/').pop() };
+};
+
+const snapshotOf = (ref) => ({
+  id: ref.id,
+  ref,
+  metadata: { hasPendingWrites: false, fromCache: false },
+  exists: () => documents.has(ref.path),
+  data: () => (documents.has(ref.path) ? { ...documents.get(ref.path) } : undefined)
+});
+
+export const getDoc = async (ref) => snapshotOf(ref);
+
+export const setDoc = (ref, data, { merge = false } = {}) => serverWrite(() => {
+  documents.set(ref.path, merge ? { ...documents.get(ref.path), ...data } : { ...data });
+});
+
+export const updateDoc = async (ref, data) => {
+  if (!documents.has(ref.path)) {
+    throw Object.assign(new Error(`No document to update: ${ref.path}`), { code: 'not-found' });
+  }
+  await serverWrite(() => documents.set(ref.path, { ...documents.get(ref.path), ...data }));
+};
+
+export const deleteDoc = (ref) => serverWrite(() => {
+  documents.delete(ref.path);
+});
+
+export const addDoc = async (ref, data) => {
+  const docRef = doc(ref);
+  await setDoc(docRef, data);
+  return docRef;
+};
+
+/** Number of writes of each committed batch, in order */
+export const committedBatches = [];
+
+/** A write batch: its writes are applied together on commit, or none of them when one fails. */
+export const writeBatch = () => {
+  const operations = [];
+  return {
+    set: (ref, data, { merge = false } = {}) => operations.push({
+      apply: () => documents.set(ref.path, merge ? { ...documents.get(ref.path), ...data } : { ...data })
+    }),
+    update: (ref, data) => operations.push({
+      updates: ref.path,
+      apply: () => documents.set(ref.path, { ...documents.get(ref.path), ...data })
+    }),
+    delete: (ref) => operations.push({ apply: () => documents.delete(ref.path) }),
+    commit: async () => {
+      const missing = operations.find(({ updates }) => updates && !documents.has(updates));
+      if (missing) throw Object.assign(new Error(`No document to update: ${missing.updates}`), { code: 'not-found' });
+      await serverWrite(() => operations.forEach(({ apply }) => apply()));
+      committedBatches.push(operations.length);
+    }
+  };
+};
+
+/** Runs `update` with a transaction reading and writing `documents` directly. */
+export const runTransaction = async (database, update) => update({
+  get: getDoc,
+  set: (ref, data, options) => setDoc(ref, data, options),
+  update: (ref, data) => updateDoc(ref, data),
+  delete: (ref) => deleteDoc(ref)
+});
+
+export const documentId = () => '__name__';
+export const where = (field, op, value) => ({ type: 'where', field, op, value });
+export const orderBy = (field, direction = 'asc') => ({ type: 'orderBy', field, direction });
+export const limit = (count) => ({ type: 'limit', count });
+export const startAfter = (cursor) => ({ type: 'startAfter', cursor });
+export const query = (ref, ...constraints) => ({ ...ref, constraints: [...(ref.constraints || []), ...constraints] });
+
+const matches = (id, data, { field, op, value }) => {
+  const actual = field === '__name__' ? id : data[field];
+  switch (op) {
+    case '==': return actual === value;
+    case '!=': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+    case 'array-contains-any': return Array.isArray(actual) && actual.some(item => value.includes(item));
+    default: return true;
+  }
+};
+
+/** Documents of a collection matching its `where` constraints; ordering and paging are ignored. */
+const findDocs = (ref) => {
+  const depth = ref.path.split('/').length + 1;
+  return [...documents.keys()]
+    .filter(docPath => docPath.startsWith(`${ref.path}/`) && docPath.split('/').length === depth)
+    .map(docPath => snapshotOf(doc(db, docPath)))
+    .filter(snapshot => (ref.constraints || [])
+      .filter(constraint => constraint.type === 'where')
+      .every(constraint => matches(snapshot.id, snapshot.data(), constraint)));
+};
+
+export const getDocs = async (ref) => {
+  const docs = findDocs(ref);
+  return { docs, size: docs.length, empty: docs.length === 0, forEach: (callback) => docs.forEach(callback) };
+};
+
+export const getCountFromServer = async (ref) => {
+  const { size } = await getDocs(ref);
+  return { data: () => ({ count: size }) };
+};
+
+/** Active onSnapshot listeners, with the documents of their last snapshot */
+const snapshotListeners = new Set();
+
+/** Sends a listener the changes since its last snapshot, with the indexes Firestore would report. */
+const emitSnapshot = (listener) => {
+  const docs = findDocs(listener.ref);
+  const current = [...listener.docs];
+  const changes = [];
+  for (const old of listener.docs) {
+    if (!docs.some(snapshot => snapshot.id === old.id)) {
+      changes.push({ type: 'removed', doc: old, oldIndex: current.indexOf(old), newIndex: -1 });
+      current.splice(current.indexOf(old), 1);
+    }
+  }
+  docs.forEach((snapshot, newIndex) => {
+    const oldIndex = current.findIndex(old => old.id === snapshot.id);
+    if (oldIndex === -1) {
+      changes.push({ type: 'added', doc: snapshot, oldIndex, newIndex });
+    } else if (JSON.stringify(current[oldIndex].data()) !== JSON.stringify(snapshot.data())) {
+      changes.push({ type: 'modified', doc: snapshot, oldIndex, newIndex });
+      current.splice(oldIndex, 1);
+    } else {
+      return;
+    }
+    current.splice(newIndex, 0, snapshot);
+  });
+  // Snapshots read \`documents\` lazily, so the listener keeps a copy of the data it was sent
+  listener.docs = docs.map(snapshot => {
+    const data = snapshot.data();
+    return { ...snapshot, data: () => ({ ...data }) };
+  });
+  listener.next({ docs, size: docs.length, docChanges: () => changes });
+};
+
+/**
+ * Listens to a query; the first snapshot arrives asynchronously, later ones on `emitSnapshots`.
+ * Listen options (includeMetadataChanges) may come before the callbacks, as in Firestore.
+ */
+export const onSnapshot = (ref, ...args) => {
+  const [next, error] = typeof args[0] === 'function' ? args : args.slice(1);
+  const listener = { ref, next, error, docs: [] };
+  snapshotListeners.add(listener);
+  queueMicrotask(() => snapshotListeners.has(listener) && emitSnapshot(listener));
+  return () => snapshotListeners.delete(listener);
+};
+
+/** Pushes the changes of `documents` to every listener. */
+export const emitSnapshots = () => snapshotListeners.forEach(emitSnapshot);
+
+/** Ends every listener with an error, as Firestore does on permission-denied. */
+export const failSnapshots = (error) => {
+  for (const listener of snapshotListeners) {
+    snapshotListeners.delete(listener);
+    listener.error(error);
+  }
+};
+
+/** Number of listeners still running */
+export const activeSnapshotListeners = () => snapshotListeners.size;
+
+// ---------------------------------------------------------------------------
+// Auth
+// ---------------------------------------------------------------------------
+
+/**
+ * A Firebase Auth user.
+ * @param {Object} [fields] - uid, email, displayName, photoURL, isAnonymous and the `roles` claim
+ * @returns {Object}
+ */
+export const fakeUser = ({ uid = 'uid-1', email = null, displayName = null, photoURL = null, isAnonymous = false, roles = [] } = {}) => ({
+  uid,
+  email,
+  emailVerified: false,
+  displayName,
+  photoURL,
+  isAnonymous,
+  metadata: { creationTime: 'Sat, 17 Oct 2026 10:00:00 GMT', lastSignInTime: 'Sat, 17 Oct 2026 10:00:00 GMT' },
+  claims: { roles },
+  getIdToken: async () => `token-${uid}`
+});
+
+/** Account the next popup sign-in, or the next sign-in link, signs in to */
+export const providerAccount = { next: null };
+
+const signIn = (user) => {
+  auth.currentUser = user;
+  return { user };
+};
+
+/** Turns the current guest into a full account, keeping its uid. */
+const upgradeGuest = (user, account) => {
+  Object.assign(user, { ...account, uid: user.uid, isAnonymous: false, claims: user.claims });
+  return { user };
+};
+
+const unsupported = (name) => async () => {
+  throw new Error(`${name} is not supported by the test fakes`);
+};
+
+export const getAuth = () => auth;
+export const browserLocalPersistence = 'local';
+export const browserSessionPersistence = 'session';
+export const setPersistence = async () => {};
+export const onAuthStateChanged = () => () => {};
+export const onIdTokenChanged = () => () => {};
+export const getIdTokenResult = async (user) => ({ claims: user.claims || {} });
+export const fetchSignInMethodsForEmail = async (authInstance, email) => (registeredEmails.has(email) ? ['password'] : []);
+
+export const signInWithPopup = async () => signIn(fakeUser(providerAccount.next));
+export const linkWithPopup = async (user) => upgradeGuest(user, providerAccount.next);
+export const signInAnonymously = async () => signIn(fakeUser({ uid: 'guest-1', isAnonymous: true }));
+export const isSignInWithEmailLink = () => true;
+export const signInWithEmailLink = async (authInstance, email) => signIn(fakeUser({ ...providerAccount.next, email }));
+export const linkWithCredential = async (user, credential) => upgradeGuest(user, { ...providerAccount.next, email: credential.email });
+export const sendSignInLinkToEmail = async () => {};
+export const getRedirectResult = async () => null;
+
+export const createUserWithEmailAndPassword = async (authInstance, email) => {
+  registeredEmails.add(email);
+  return signIn(fakeUser({ email }));
+};
+export const updateProfile = async (user, profile) => {
+  Object.assign(user, profile);
+};
+export const sendEmailVerification = async () => {};
+export const signOut = async () => {
+  auth.currentUser = null;
+};
+
+export const signInWithEmailAndPassword = unsupported('signInWithEmailAndPassword');
+export const sendPasswordResetEmail = unsupported('sendPasswordResetEmail');
+export const updatePassword = unsupported('updatePassword');
+export const reauthenticateWithCredential = unsupported('reauthenticateWithCredential');
+export const signInWithRedirect = unsupported('signInWithRedirect');
+export const linkWithRedirect = unsupported('linkWithRedirect');
+export const signInWithCredential = unsupported('signInWithCredential');
+
+export const EmailAuthProvider = {
+  credential: (email, password) => ({ email, password }),
+  credentialWithLink: (email, link) => ({ email, link })
+};
+
+class FakeProvider {
+  constructor(providerId) {
+    this.providerId = providerId;
+  }
+
+  static credentialFromError() {
+    return null;
+  }
+}
+export class GoogleAuthProvider extends FakeProvider {
+  constructor() {
+    super('google.com');
+  }
+}
+export class GithubAuthProvider extends FakeProvider {
+  constructor() {
+    super('github.com');
+  }
+}
+export class OAuthProvider extends FakeProvider {}
+
+// ---------------------------------------------------------------------------
+// Storage
+// ---------------------------------------------------------------------------
+
+export const ref = (storageInstance, filePath) => ({ type: 'storage', fullPath: filePath });
+
+export const deleteObject = async (fileRef) => {
+  if (!storedFiles.delete(fileRef.fullPath)) {
+    throw Object.assign(new Error(`No object at ${fileRef.fullPath}`), { code: 'storage/object-not-found' });
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Functions
+// ---------------------------------------------------------------------------
+
+export const httpsCallable = (functionsInstance, name) => async (data) => {
+  if (!callables[name]) throw new Error(`No callable function named ${name}`);
+  return { data: await callables[name](data, auth.currentUser) };
+};
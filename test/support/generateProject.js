@@ -0,0 +1,39 @@
+/**
+ * @file generateProject.js
+ * @description Generates a store into a temporary project, for tests to import and run it.
+ * Tests register loader.js first, so the generated modules find the fakes of this folder.
+ */
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import generateStore from '../../lib/generateStore.js';
+import { configureGeneration } from '../../lib/manifest.js';
+
+/**
+ * Generates a store, as generateStore does inside a project.
+ * @param {Object} options - Options of generateStore
+ * @returns {Promise<{dir: string, importStore: Function, cleanup: Function}>} The project folder,
+ * an import of its store index, and a function removing the project
+ */
+export async function generateProject(options) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-test-'));
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(dir);
+  console.log = () => {};
+  try {
+    configureGeneration();
+    await generateStore(options);
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+
+  const storeName = options.storeName || 'appStore';
+  return {
+    dir,
+    importStore: () => import(pathToFileURL(path.join(dir, 'src', 'stores', storeName, 'index.js')).href),
+    cleanup: () => fs.remove(dir)
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * @file loader.js
+ * @description Module hooks running generated code under Node: the packages of a generated app
+ * (Vue, Pinia, Firebase) resolve to the in-memory fakes of this folder, `@/` to the `src` folder of the
+ * generated project, and extensionless imports to their `.js` file, as Vite would.
+ */
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const fake = (file) => new URL(`./${file}`, import.meta.url).href;
+
+const FAKES = {
+  vue: fake('vue.js'),
+  pinia: fake('vue.js'),
+  'firebase/firestore': fake('firebase.js'),
+  'firebase/auth': fake('firebase.js'),
+  'firebase/functions': fake('firebase.js'),
+  'firebase/storage': fake('firebase.js'),
+  '@/firebase': fake('firebase.js')
+};
+
+/**
+ * The `src` folder a generated module belongs to.
+ * @param {string} parentURL - URL of the importing module
+ * @returns {string|null}
+ */
+const srcDirOf = (parentURL) => {
+  let dir = path.dirname(fileURLToPath(parentURL));
+  while (path.basename(dir) !== 'src') {
+    if (dir === path.dirname(dir)) return null;
+    dir = path.dirname(dir);
+  }
+  return dir;
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (FAKES[specifier]) {
+    return { url: FAKES[specifier], shortCircuit: true };
+  }
+  const srcDir = context.parentURL?.startsWith('file:') ? srcDirOf(context.parentURL) : null;
+  if (srcDir && (specifier.startsWith('@/') || specifier.startsWith('.'))) {
+    const target = specifier.startsWith('@/')
+      ? path.join(srcDir, specifier.slice(2))
+      : path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier);
+    return nextResolve(pathToFileURL(path.extname(target) ? target : `${target}.js`).href, context);
+  }
+  return nextResolve(specifier, context);
+}
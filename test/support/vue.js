@@ -0,0 +1,31 @@
+/**
+ * @file vue.js
+ * @description The part of Vue and Pinia generated stores use, without reactivity: enough to run
+ * their actions and read their state.
+ */
+
+export const ref = (value) => ({ value });
+
+export const reactive = (value) => value;
+
+export const computed = (getter) => ({
+  get value() {
+    return getter();
+  }
+});
+
+export const watch = () => () => {};
+
+/**
+ * Setup stores only: every call to the returned function shares one store.
+ * @param {string} id - Store ID
+ * @param {Function} setup - Setup function
+ * @returns {Function} The store composable
+ */
+export const defineStore = (id, setup) => {
+  let store = null;
+  return () => {
+    store ||= setup();
+    return store;
+  };
+};
@@ -0,0 +1,81 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import generateRouter, { addCollectionRoutes } from '../lib/generateRouter.js';
+import { fieldTsType } from '../lib/helper/generateTypesFile.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { normalizeProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+
+const collections = [
+  { name: 'users', fields: { email: 'email', name: 'string' } },
+  {
+    name: 'products',
+    fields: {
+      title: 'string',
+      status: { type: 'string', enum: ['draft', 'live'] },
+      publishedAt: { type: 'timestamp', required: false },
+      seller: { type: 'reference', collection: 'users' }
+    }
+  }
+];
+
+let project;
+const storeFile = (file) => fs.readFile(path.join(project.dir, 'src/stores/appStore', file), 'utf8');
+
+before(async () => {
+  project = await generateProject({ collections, roles: ['admin'], typescript: true });
+
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(project.dir);
+  console.log = () => {};
+  try {
+    configureGeneration();
+    await generateRouter({ enableAuth: true, enableRoles: true, enableAuthViews: true, enableAdmin: true, collections, typescript: true });
+    await addCollectionRoutes({ name: 'orders', fields: { total: 'number' } });
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+});
+
+after(() => project.cleanup());
+
+test('the store is generated as TypeScript modules', async () => {
+  const files = await fs.readdir(path.join(project.dir, 'src/stores/appStore'));
+
+  assert.ok(['index.ts', 'state.ts', 'types.ts'].every(file => files.includes(file)));
+  assert.ok(!files.includes('index.js'));
+  assert.deepEqual(await fs.readdir(path.join(project.dir, 'src/stores/appStore/actions')), ['products.ts', 'users.ts']);
+});
+
+test('each collection gets a document interface derived from its fields', async () => {
+  const types = await storeFile('types.ts');
+
+  assert.match(types, /export interface ProductsDocument \{\n  id: string;\n  title: string;\n  status: 'draft' \| 'live';\n  publishedAt\?: Timestamp \| Date;\n  seller: string;/);
+  assert.match(types, /export type ProductsInput = Omit<ProductsDocument, 'id' \| 'populated' \| 'createdAt' \| 'createdBy' \| 'updatedAt' \| 'updatedBy' \| 'searchKeywords'>;/);
+  assert.match(types, /import type \{ DocumentReference, DocumentSnapshot, Timestamp, Transaction, WhereFilterOp \} from 'firebase\/firestore';/);
+  assert.equal(fieldTsType({ type: 'number', enum: [1, 2] }), '1 | 2');
+});
+
+test('state and actions are typed with the document interfaces', async () => {
+  assert.match(await storeFile('state.ts'), /products: ref<CollectionState<CollectionDocuments\['products'\]>>\(\{/);
+  assert.match(await storeFile('actions/products.ts'), /addProducts: CollectionActions<ProductsDocument, ProductsInput>\['add'\];/);
+});
+
+test('the router is written as index.ts with typed route meta', async () => {
+  const router = await fs.readFile(path.join(project.dir, 'src/router/index.ts'), 'utf8');
+
+  assert.ok(!(await fs.pathExists(path.join(project.dir, 'src/router/index.js'))));
+  assert.match(router, /declare module 'vue-router' \{\n  interface RouteMeta \{/);
+  assert.match(router, /layout\?: 'AppLayout' \| 'GuestLayout' \| 'AdminLayout';/);
+  assert.ok(router.includes('"path": "/orders/create"'));
+  assert.ok(router.indexOf('"path": "/orders/create"') < router.indexOf('"path": "/:pathMatch(.*)*"'));
+});
+
+test('the typescript flag is part of the project schema', () => {
+  assert.equal(normalizeProjectConfig({ projectName: 'shop', collections }).typescript, false);
+  assert.equal(normalizeProjectConfig({ projectName: 'shop', collections, typescript: true }).typescript, true);
+});
@@ -0,0 +1,157 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateIndexFile } from '../lib/helper/generateIndexFile.js';
+import { generateProject } from './support/generateProject.js';
+import { auth, documents, fakeUser, providerAccount, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+let project;
+let store;
+
+before(async () => {
+  project = await generateProject({
+    collections: [
+      { name: 'users', fields: { email: 'email', name: 'string', photoURL: { type: 'string', required: false } } },
+      { name: 'products', fields: { title: 'string' } }
+    ],
+    socialProviders: ['google'],
+    enableEmailLink: true,
+    enableAnonymous: true
+  });
+  const storage = new Map();
+  globalThis.window = {
+    location: { origin: 'https://app.example.com', href: 'https://app.example.com/finish-sign-in?oobCode=code' },
+    localStorage: {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value),
+      removeItem: (key) => storage.delete(key)
+    }
+  };
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  auth.currentUser = fakeUser({ uid: 'uid-1', email: 'ada@example.com' });
+  store.currentUser.value = { uid: 'uid-1', roles: [] };
+});
+
+test('profiles are keyed by user ID', async () => {
+  const id = await store.addUsers({ uid: 'uid-1', email: 'ada@example.com', name: 'Ada' });
+
+  assert.equal(id, 'uid-1');
+  assert.equal(documents.get('users/uid-1').name, 'Ada');
+});
+
+test('addManyUsers keys every profile by its user ID', async () => {
+  await store.addManyUsers([
+    { uid: 'uid-2', email: 'grace@example.com', name: 'Grace' },
+    { uid: 'uid-3', email: 'alan@example.com', name: 'Alan' }
+  ]);
+
+  assert.ok(documents.has('users/uid-2'));
+  assert.ok(documents.has('users/uid-3'));
+});
+
+test('profiles without a user ID are rejected', async () => {
+  await assert.rejects(store.addUsers({ email: 'ada@example.com', name: 'Ada' }), /data\.uid is required/);
+  assert.equal(documents.size, 0);
+});
+
+test('other collections get generated IDs', async () => {
+  const id = await store.addProducts({ title: 'Lamp' });
+
+  assert.ok(documents.has(`products/${id}`));
+});
+
+test('a first social sign-in creates the profile from the account', async () => {
+  auth.currentUser = null;
+  store.currentUser.value = null;
+  providerAccount.next = { uid: 'uid-4', email: 'ada@example.com', displayName: 'Ada Lovelace', photoURL: 'https://example.com/ada.png' };
+
+  const { user } = await store.loginWithProvider('google');
+
+  const profile = documents.get('users/uid-4');
+  assert.equal(profile.uid, 'uid-4');
+  assert.equal(profile.email, 'ada@example.com');
+  assert.equal(profile.name, 'Ada Lovelace');
+  assert.equal(profile.photoURL, 'https://example.com/ada.png');
+  assert.equal(profile.createdBy, 'uid-4');
+  assert.equal(user.name, 'Ada Lovelace');
+});
+
+test('a later sign-in keeps the existing profile', async () => {
+  auth.currentUser = null;
+  store.currentUser.value = null;
+  documents.set('users/uid-4', { uid: 'uid-4', email: 'ada@example.com', name: 'Countess of Lovelace' });
+  providerAccount.next = { uid: 'uid-4', email: 'ada@example.com', displayName: 'Ada Lovelace' };
+
+  const { user } = await store.loginWithProvider('google');
+
+  assert.equal(documents.get('users/uid-4').name, 'Countess of Lovelace');
+  assert.equal(user.name, 'Countess of Lovelace');
+});
+
+test('an email-link sign-in names the profile after the email', async () => {
+  auth.currentUser = null;
+  store.currentUser.value = null;
+  providerAccount.next = { uid: 'uid-5' };
+
+  await store.finishSignInWithLink('grace@example.com');
+
+  const profile = documents.get('users/uid-5');
+  assert.equal(profile.email, 'grace@example.com');
+  assert.equal(profile.name, 'grace');
+  assert.ok(!('photoURL' in profile));
+});
+
+test('guests get a profile once they upgrade, under their guest uid', async () => {
+  auth.currentUser = null;
+  store.currentUser.value = null;
+  await store.loginAsGuest();
+  assert.equal(documents.size, 0);
+
+  providerAccount.next = { email: 'alan@example.com', displayName: 'Alan Turing' };
+  await store.loginWithProvider('google');
+
+  assert.equal(documents.get('users/guest-1').name, 'Alan Turing');
+});
+
+test('guests upgrading with an email link get a profile under their guest uid', async () => {
+  auth.currentUser = null;
+  store.currentUser.value = null;
+  await store.loginAsGuest();
+
+  providerAccount.next = {};
+  await store.finishSignInWithLink('alan@example.com');
+
+  assert.equal(documents.get('users/guest-1').email, 'alan@example.com');
+});
+
+test('generation warns about required fields a sign-in without signUp cannot fill', async () => {
+  const warnings = [];
+  const cwd = process.cwd();
+  const { log, warn } = console;
+  process.chdir(project.dir);
+  console.log = () => {};
+  console.warn = (message) => warnings.push(message);
+  try {
+    generateIndexFile('appStore', 'src/stores/scratch', ['users'], ['users'], false, false, { socialProviders: ['google'] }, [], {
+      email: 'email',
+      name: 'string',
+      plan: { type: 'string', default: 'free' },
+      age: 'number'
+    });
+  } finally {
+    Object.assign(console, { log, warn });
+    process.chdir(cwd);
+  }
+
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /users\.age cannot be filled from the Firebase Auth account/);
+});
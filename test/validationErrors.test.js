@@ -0,0 +1,89 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { generateProject } from './support/generateProject.js';
+import { auth, documents, registeredEmails, resetFirebase, serverTimestamp } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'users', fields: { email: 'email', name: { type: 'string', min: 2 } } },
+  { name: 'products', fields: { title: { type: 'string', min: 3 }, price: { type: 'number', min: 0 } } }
+];
+
+let project;
+let store;
+let ValidationError;
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+  ({ ValidationError } = await import(pathToFileURL(path.join(project.dir, 'src/stores/appStore/useFirestoreCollectionActions.js')).href));
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  store.clearProductsValidationErrors();
+  store.clearUsersValidationErrors();
+  store.error.value = null;
+});
+
+test('add rejects invalid data with the field errors', async () => {
+  const error = await store.addProducts({ title: 'La', price: -1 }).catch(error => error);
+
+  assert.ok(error instanceof ValidationError);
+  assert.equal(error.collection, 'products');
+  assert.deepEqual(error.errors, { title: 'title must be at least 3 characters.', price: 'price must be at least 0.' });
+  assert.deepEqual(store.products.value.validationErrors, error.errors);
+  assert.equal(store.error.value, null);
+  assert.equal(documents.size, 0);
+});
+
+test('a valid write clears the field errors', async () => {
+  await assert.rejects(store.addProducts({ title: 'La', price: 1 }), ValidationError);
+  await store.addProducts({ title: 'Lamp', price: 1 });
+
+  assert.deepEqual(store.products.value.validationErrors, {});
+  assert.equal(documents.size, 1);
+});
+
+test('update validates only the fields it changes', async () => {
+  documents.set('products/p1', { title: 'Lamp', price: 12 });
+
+  await store.updateProducts('p1', { price: 15 });
+  const error = await store.updateProducts('p1', { title: 'L' }).catch(error => error);
+
+  assert.deepEqual(error.errors, { title: 'title must be at least 3 characters.' });
+  assert.deepEqual(documents.get('products/p1'), { title: 'Lamp', price: 15, updatedAt: serverTimestamp(), updatedBy: null });
+});
+
+test('signUp without a name is rejected before the account is created', async () => {
+  const error = await store.signUp('ada@example.com', 'secret123', {}).catch(error => error);
+
+  assert.ok(error instanceof ValidationError);
+  assert.deepEqual(store.users.value.validationErrors, { name: 'name is required.' });
+  assert.equal(auth.currentUser, null);
+  assert.ok(!registeredEmails.has('ada@example.com'));
+  assert.equal(documents.size, 0);
+});
+
+test('signUp rejects an email that already has an account', async () => {
+  registeredEmails.add('ada@example.com');
+
+  await assert.rejects(store.signUp('ada@example.com', 'secret123', { name: 'Ada' }), ValidationError);
+  assert.deepEqual(store.users.value.validationErrors, { email: 'The email address is already in use.' });
+  assert.equal(auth.currentUser, null);
+});
+
+test('signUp with a valid profile creates the account and its profile', async () => {
+  const { user } = await store.signUp('ada@example.com', 'secret123', { name: 'Ada' });
+
+  assert.equal(user.name, 'Ada');
+  assert.equal(auth.currentUser.email, 'ada@example.com');
+  assert.deepEqual([...documents.values()].map(profile => profile.name), ['Ada']);
+});
@@ -0,0 +1,109 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { buildSchemaModule, generateSchemaModule } from '../lib/helper/generateSchemaModule.js';
+import { generateFormComponents } from '../lib/helper/generateFormComponents.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const products = {
+  name: 'products',
+  fields: {
+    title: { type: 'string', min: 3 },
+    status: { type: 'string', enum: ['draft', 'live'] },
+    price: { type: 'number', min: 0 }
+  }
+};
+
+let dir;
+let project;
+let store;
+const cwd = process.cwd();
+const log = console.log;
+
+before(async () => {
+  project = await generateProject({ collections: [products] });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'totistack-validators-'));
+  process.chdir(dir);
+  console.log = () => {};
+  await fs.writeJson('package.json', { name: 'shop', dependencies: {} });
+  configureGeneration();
+  generateSchemaModule(products, 'zod');
+  await generateFormComponents([products]);
+});
+
+after(async () => {
+  console.log = log;
+  process.chdir(cwd);
+  await fs.remove(dir);
+  await project.cleanup();
+});
+
+beforeEach(() => {
+  resetFirebase();
+  documents.set('products/p1', { title: 'Lamp', status: 'live', price: 12 });
+});
+
+test('the validator must be a supported library', () => {
+  assert.deepEqual(validateProjectConfig({ projectName: 'shop', collections: [products], validator: 'joi' }), [
+    '"validator" must be one of: builtin, zod, yup.'
+  ]);
+});
+
+test('zod and yup schemas export the same check function', async () => {
+  for (const validator of ['zod', 'yup']) {
+    const source = buildSchemaModule(products, { validator });
+    const file = path.join(dir, `${validator}.mjs`);
+    await fs.writeFile(file, source);
+
+    assert.match(source, new RegExp(`export const productsSchema = ${validator === 'zod' ? 'z' : 'yup'}\\.object\\(\\{`));
+    assert.match(source, /export function checkProducts\(data, \{ partial = false \} = \{\}\) \{/);
+    assert.equal(spawnSync(process.execPath, ['--check', file]).status, 0);
+  }
+});
+
+test('Cloud Functions get a CommonJS copy of the schema', async () => {
+  const source = buildSchemaModule(products, { validator: 'zod', format: 'cjs' });
+  const file = path.join(dir, 'functions.cjs');
+  await fs.writeFile(file, source);
+
+  assert.match(source, /^const \{ z \} = require\('zod'\);$/m);
+  assert.match(source, /module\.exports = \{ productsSchema, checkProducts \};/);
+  assert.equal(spawnSync(process.execPath, ['--check', file]).status, 0);
+});
+
+test('the schema module is written and its library added to the dependencies', async () => {
+  assert.match(await fs.readFile('src/validators/schemas/products.js', 'utf8'), /import \{ z \} from 'zod';/);
+  assert.equal((await fs.readJson('package.json')).dependencies.zod, '^4.1.0');
+});
+
+test('forms show the errors under each field', async () => {
+  const createView = await fs.readFile('src/views/products/Create.vue', 'utf8');
+
+  assert.match(createView, /<p v-if="errors\.title" class="mt-1 text-sm text-red-600">\{\{ errors\.title \}\}<\/p>/);
+  assert.match(createView, /const errors = computed\(\(\) => store\.products\.validationErrors \|\| \{\}\);/);
+});
+
+test('add checks the data against the schema before writing', async () => {
+  await assert.rejects(store.addProducts({ title: 'La', status: 'sold', price: 3 }), /Invalid products data: title must be at least 3 characters\. status must be one of: draft, live\./);
+  assert.equal(documents.size, 1);
+});
+
+test('update only checks the given fields', async () => {
+  await store.updateProducts('p1', { price: 15 });
+  assert.equal(documents.get('products/p1').price, 15);
+
+  await assert.rejects(store.updateProducts('p1', { price: -1 }), /price must be at least 0\./);
+  assert.equal(documents.get('products/p1').price, 15);
+});
@@ -0,0 +1,118 @@
+import { register } from 'node:module';
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import generateFirestoreRules, { buildFirestoreRules } from '../lib/generateFirestoreRules.js';
+import { configureGeneration } from '../lib/manifest.js';
+import { validateProjectConfig } from '../lib/projectConfig.js';
+import { generateProject } from './support/generateProject.js';
+import { documents, resetFirebase, serverTimestamp } from './support/firebase.js';
+
+register('./support/loader.js', import.meta.url);
+
+const collections = [
+  { name: 'users', fields: { email: 'email' } },
+  { name: 'articles', fields: { title: 'string' }, versioned: true, softDelete: true },
+  { name: 'notes', fields: { text: 'string' } }
+];
+
+let project;
+let store;
+
+const historyOf = (id) => [...documents.entries()]
+  .filter(([docPath]) => docPath.startsWith(`articles/${id}/history/`))
+  .map(([, version]) => version);
+
+before(async () => {
+  project = await generateProject({ collections });
+  const { useAppStore } = await project.importStore();
+  store = useAppStore();
+});
+
+after(() => project.cleanup());
+
+beforeEach(() => {
+  resetFirebase();
+  store.currentUser.value = { uid: 'uid-1', roles: [] };
+  documents.set('articles/a1', { title: 'First', deletedAt: null, createdBy: 'uid-2' });
+});
+
+test('add and update stamp the audit fields', async () => {
+  const id = await store.addNotes({ text: 'Milk' });
+  const { searchKeywords, ...note } = documents.get(`notes/${id}`);
+  assert.deepEqual(note, {
+    text: 'Milk',
+    createdAt: serverTimestamp(),
+    createdBy: 'uid-1',
+    updatedAt: serverTimestamp(),
+    updatedBy: 'uid-1'
+  });
+
+  await store.updateNotes(id, { text: 'Oat milk', createdBy: 'uid-9' });
+  assert.equal(documents.get(`notes/${id}`).createdBy, 'uid-1');
+});
+
+test('only versioned collections get the history actions', () => {
+  assert.equal(typeof store.getArticlesHistory, 'function');
+  assert.equal(store.revertNotes, undefined);
+  assert.deepEqual(validateProjectConfig({ projectName: 'blog', collections: [{ name: 'notes', fields: { text: 'string' }, versioned: 1 }] }), [
+    'collections[0].versioned must be true or false.'
+  ]);
+});
+
+test('an update keeps the replaced version in the history', async () => {
+  await store.updateArticles('a1', { title: 'Second' });
+
+  assert.equal(documents.get('articles/a1').title, 'Second');
+  assert.deepEqual(historyOf('a1'), [
+    { title: 'First', deletedAt: null, createdBy: 'uid-2', versionedAt: serverTimestamp(), versionedBy: 'uid-1' }
+  ]);
+});
+
+test('revert restores a version and keeps the current data as one', async () => {
+  await store.updateArticles('a1', { title: 'Second' });
+  const [version] = await store.getArticlesHistory('a1');
+
+  await store.revertArticles('a1', version.id);
+
+  assert.equal(documents.get('articles/a1').title, 'First');
+  assert.deepEqual(historyOf('a1').map(entry => entry.title).sort(), ['First', 'Second']);
+  await assert.rejects(store.revertArticles('a1', 'missing'), /Version missing of articles\/a1 not found/);
+});
+
+test('the rules only accept genuine versions of live documents', () => {
+  const rules = buildFirestoreRules({ collections, authCollections: ['users'], hasRoles: false, addActivityLogging: false });
+  const start = rules.indexOf('match /history/{versionId}');
+  const history = rules.slice(start, rules.indexOf('\n      }', start));
+
+  assert.match(history, /allow read: if isSignedIn\(\);/);
+  assert.match(history, /allow create: if isSignedIn\(\)\n\s+&& exists\(\/databases\/\$\(database\)\/documents\/articles\/\$\(docId\)\)/);
+  assert.match(history, /&& get\(\/databases\/\$\(database\)\/documents\/articles\/\$\(docId\)\)\.data\.get\('deletedAt', null\) == null/);
+  assert.match(history, /&& isValidArticles\(request\.resource\.data\)/);
+  assert.match(history, /&& request\.resource\.data\.versionedAt == request\.time\n\s+&& request\.resource\.data\.versionedBy == request\.auth\.uid;/);
+  assert.doesNotMatch(history, /allow update|allow delete/);
+});
+
+test('the generated rules tests try forged versions', async () => {
+  const cwd = process.cwd();
+  const log = console.log;
+  process.chdir(project.dir);
+  console.log = () => {};
+  try {
+    await fs.writeJson('package.json', { name: 'blog', scripts: {} });
+    configureGeneration();
+    await generateFirestoreRules({ projectName: 'blog', collections });
+  } finally {
+    console.log = log;
+    process.chdir(cwd);
+  }
+  const file = path.join(project.dir, 'tests/rules/firestore.rules.test.js');
+  const suite = await fs.readFile(file, 'utf8');
+
+  assert.match(suite, /it\('rejects forged versions'/);
+  assert.match(suite, /await assertFails\(setDoc\(history, \{ \.\.\.valid, versionedAt: serverTimestamp\(\), versionedBy: 'mallory' \}\)\);/);
+  assert.match(suite, /await seed\('articles\/doc1', \{ \.\.\.valid, deletedAt: Timestamp\.now\(\) \}\);\n\s+await assertFails\(setDoc\(history/);
+  assert.equal(spawnSync(process.execPath, ['--check', file]).status, 0);
+});